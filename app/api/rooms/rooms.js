@@ -0,0 +1,60 @@
+'use strict';
+
+async function manageRoom() {
+    try {
+        // Use dynamic import with await
+        const { default: fetch } = await import('node-fetch');
+
+        const API_KEY_SECRET = 'mirotalksfu_default_secret';
+        const MIROTALK_URL = 'https://sfu.mirotalk.com/api/v1/rooms/test';
+        //const MIROTALK_URL = 'http://localhost:3010/api/v1/rooms/test';
+
+        const headers = {
+            authorization: API_KEY_SECRET,
+            'Content-Type': 'application/json',
+        };
+
+        // Create the room with its settings
+        let response = await fetch(MIROTALK_URL, {
+            method: 'POST',
+            headers: headers,
+            body: JSON.stringify({
+                locked: true,
+                password: 'secret',
+                lobby: true,
+                hostOnlyRecording: true,
+                moderator: {
+                    audio_start_muted: true,
+                    chat_cant_privately: true,
+                },
+            }),
+        });
+        let data = await response.json();
+        if (data.error) return console.log('Error:', data.error);
+        console.log('created:', data.room);
+
+        // Update the room while the meeting is live
+        response = await fetch(MIROTALK_URL, {
+            method: 'PATCH',
+            headers: headers,
+            body: JSON.stringify({ lobby: false, moderator: { audio_cant_unmute: true } }),
+        });
+        data = await response.json();
+        if (data.error) return console.log('Error:', data.error);
+        console.log('updated:', data.room);
+
+        // Close the room ejecting every peer
+        response = await fetch(MIROTALK_URL, {
+            method: 'DELETE',
+            headers: headers,
+            body: JSON.stringify({ reason: 'The meeting is over' }),
+        });
+        data = await response.json();
+        if (data.error) return console.log('Error:', data.error);
+        console.log('closed:', data);
+    } catch (error) {
+        console.error('Error fetching data:', error);
+    }
+}
+
+manageRoom();
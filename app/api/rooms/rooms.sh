@@ -0,0 +1,47 @@
+#!/bin/bash
+
+# Configuration
+API_KEY_SECRET="mirotalksfu_default_secret"
+MIROTALK_URL="https://sfu.mirotalk.com/api/v1/rooms/test"
+# Alternative URL for local testing:
+# MIROTALK_URL="http://localhost:3010/api/v1/rooms/test"
+
+# Create the room with its settings
+curl -X POST "$MIROTALK_URL" \
+    -H "Authorization: $API_KEY_SECRET" \
+    -H "Content-Type: application/json" \
+    -d '{
+    "locked": true,
+    "password": "secret",
+    "lobby": true,
+    "hostOnlyRecording": true,
+    "moderator": {
+        "audio_start_muted": true,
+        "chat_cant_privately": true
+    }
+}'
+
+# Update the room while the meeting is live
+curl -X PATCH "$MIROTALK_URL" \
+    -H "Authorization: $API_KEY_SECRET" \
+    -H "Content-Type: application/json" \
+    -d '{ "lobby": false, "moderator": { "audio_cant_unmute": true } }'
+
+# Mute a peer by peer_uuid or socket id (actions: mute, hide, eject, ban, unban, promote)
+PEER_ID="peer_uuid_or_socket_id"
+curl -X POST "$MIROTALK_URL/peers/$PEER_ID/mute" \
+    -H "Authorization: $API_KEY_SECRET" \
+    -H "Content-Type: application/json" \
+    -d '{ "message": "Please stay muted during the presentation" }'
+
+# Send a system chat message to everyone in the room
+curl -X POST "$MIROTALK_URL/messages" \
+    -H "Authorization: $API_KEY_SECRET" \
+    -H "Content-Type: application/json" \
+    -d '{ "name": "Agenda", "message": "The meeting ends in 5 minutes", "to": "all" }'
+
+# Close the room ejecting every peer
+curl -X DELETE "$MIROTALK_URL" \
+    -H "Authorization: $API_KEY_SECRET" \
+    -H "Content-Type: application/json" \
+    -d '{ "reason": "The meeting is over" }'
@@ -8,4 +8,10 @@ curl $MIROTALK_URL \
     --header "authorization: $API_KEY_SECRET" \
     --header "Content-Type: application/json" \
     --data '{"username":"username","password":"password","presenter":"true", "expire":"1h"}' \
-    --request POST
\ No newline at end of file
+    --request POST
+# Room token: bound to one room, carries role and display name instead of credentials
+curl $MIROTALK_URL \
+    --header "authorization: $API_KEY_SECRET" \
+    --header "Content-Type: application/json" \
+    --data '{"room":"test","role":"guest","name":"John Doe", "expire":"1h"}' \
+    --request POST
@@ -0,0 +1,17 @@
+#!/bin/bash
+
+# Configuration
+API_KEY_SECRET="mirotalksfu_default_secret"
+MIROTALK_URL="https://sfu.mirotalk.com/api/v1/webhooks/deliveries"
+# Alternative URL for local testing:
+# MIROTALK_URL="http://localhost:3010/api/v1/webhooks/deliveries"
+
+# Get the latest failed deliveries of the join event
+curl -X GET "$MIROTALK_URL?event=join&status=failed&limit=10" \
+    -H "Authorization: $API_KEY_SECRET" \
+    -H "Content-Type: application/json"
+
+# Replay a delivery by its delivery_id
+curl -X POST "$MIROTALK_URL/DELIVERY_ID/redeliver" \
+    -H "Authorization: $API_KEY_SECRET" \
+    -H "Content-Type: application/json"
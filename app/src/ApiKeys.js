@@ -0,0 +1,158 @@
+'use strict';
+
+const fs = require('fs');
+
+const BearerToken = require('./BearerToken');
+const Logger = require('./Logger');
+
+const log = new Logger('ApiKeys');
+
+const SCOPES = ['stats', 'meetings', 'join', 'token', 'rooms', 'recordings', 'webhooks', 'drain'];
+
+module.exports = class ApiKeys {
+    constructor(keys = [], keysFile = '') {
+        this._configKeys = Array.isArray(keys) ? keys : [];
+        this._keysFile = keysFile;
+        this._keysFileMtime = null;
+        this._keys = new Map(); // secret => key
+        this.load();
+    }
+
+    static get SCOPES() {
+        return SCOPES;
+    }
+
+    // ####################################################
+    // LOAD
+    // ####################################################
+
+    load() {
+        const keys = new Map();
+        for (const key of [...this._configKeys, ...this.readKeysFile()]) {
+            try {
+                const normalized = this.normalizeKey(key);
+                if (keys.has(normalized.secret)) {
+                    throw new Error('Duplicate secret');
+                }
+                keys.set(normalized.secret, normalized);
+            } catch (err) {
+                log.warn('Skipping invalid api key', { name: key?.name, error: err.message });
+            }
+        }
+        // Keep the request counters of the keys that survived the reload
+        for (const [secret, key] of keys) {
+            const previous = this._keys.get(secret);
+            if (previous && previous.name === key.name) key.requests = previous.requests;
+        }
+        this._keys = keys;
+        log.info('Api keys loaded', { keys: this.getKeys().map(({ name }) => name) });
+    }
+
+    readKeysFile() {
+        if (!this._keysFile) return [];
+        try {
+            const { mtimeMs } = fs.statSync(this._keysFile);
+            this._keysFileMtime = mtimeMs;
+            const keys = JSON.parse(fs.readFileSync(this._keysFile, 'utf8'));
+            if (!Array.isArray(keys)) {
+                throw new Error('Expected an array of keys');
+            }
+            return keys;
+        } catch (err) {
+            log.warn('Unable to read the api keys file', { file: this._keysFile, error: err.message });
+            return [];
+        }
+    }
+
+    reloadIfChanged() {
+        if (!this._keysFile) return;
+        try {
+            // Rotating a key is just editing the file, no restart needed
+            if (fs.statSync(this._keysFile).mtimeMs !== this._keysFileMtime) this.load();
+        } catch (err) {
+            log.warn('Unable to check the api keys file', { file: this._keysFile, error: err.message });
+        }
+    }
+
+    normalizeKey(key) {
+        const { name, secret, scopes = SCOPES, rooms = [], expire = null } = key || {};
+
+        if (typeof name !== 'string' || !name.trim()) {
+            throw new Error('Invalid name, expected non empty string');
+        }
+        if (typeof secret !== 'string' || !secret.trim()) {
+            throw new Error('Invalid secret, expected non empty string');
+        }
+        if (!Array.isArray(scopes) || scopes.some((scope) => !SCOPES.includes(scope))) {
+            throw new Error(`Invalid scopes, expected some of: ${SCOPES.join(', ')}`);
+        }
+        if (!Array.isArray(rooms) || rooms.some((prefix) => typeof prefix !== 'string' || !prefix)) {
+            throw new Error('Invalid rooms, expected array of room prefixes');
+        }
+        if (expire !== null && isNaN(Date.parse(expire))) {
+            throw new Error('Invalid expire, expected date');
+        }
+
+        return {
+            name: name.trim(),
+            secret: secret,
+            scopes: [...scopes],
+            rooms: [...rooms],
+            expire: expire !== null ? new Date(expire) : null,
+            requests: 0,
+        };
+    }
+
+    // ####################################################
+    // AUTHORIZE
+    // ####################################################
+
+    authorize(secret, scope = null, room_id = null) {
+        this.reloadIfChanged();
+
+        const key = this.getKey(secret);
+
+        if (!key) {
+            return { authorized: false, key: null, reason: 'Unknown key' };
+        }
+        if (key.expire && key.expire.getTime() <= Date.now()) {
+            return { authorized: false, key: key.name, reason: 'Key expired' };
+        }
+        if (scope && !key.scopes.includes(scope)) {
+            return { authorized: false, key: key.name, reason: `Key not allowed for scope ${scope}` };
+        }
+        if (room_id !== null && !this.isRoomAllowed(key, room_id)) {
+            return { authorized: false, key: key.name, reason: `Key not allowed for room ${room_id}` };
+        }
+
+        key.requests++;
+
+        return { authorized: true, key: key.name, reason: null };
+    }
+
+    isRoomAllowed(key, room_id) {
+        if (!key.rooms.length) return true;
+        return typeof room_id === 'string' && key.rooms.some((prefix) => room_id.startsWith(prefix));
+    }
+
+    getKey(secret) {
+        if (typeof secret !== 'string' || !secret) return null;
+        // Timing safe, every key is compared in full
+        let found = null;
+        for (const key of this._keys.values()) {
+            if (BearerToken.isEqual(key.secret, secret)) found = key;
+        }
+        return found;
+    }
+
+    getKeys() {
+        // Never expose the secrets
+        return Array.from(this._keys.values()).map(({ name, scopes, rooms, expire, requests }) => ({
+            name,
+            scopes,
+            rooms,
+            expire,
+            requests,
+        }));
+    }
+};
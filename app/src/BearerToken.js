@@ -0,0 +1,23 @@
+'use strict';
+
+const crypto = require('crypto');
+
+function isEqual(expected, received) {
+    // Timing safe, the time taken tells nothing about how much of the secret matched
+    const expectedBuffer = Buffer.from(String(expected));
+    const receivedBuffer = Buffer.from(String(received));
+    return expectedBuffer.length === receivedBuffer.length && crypto.timingSafeEqual(expectedBuffer, receivedBuffer);
+}
+
+function isAuthorized(authorization, token, { allowRaw = false } = {}) {
+    // 'Authorization: Bearer <token>', or the bare token when allowed. Nobody is authorized without a token set
+    if (!token) return false;
+    const [scheme, credentials] = String(authorization || '').split(' ');
+    const given = scheme === 'Bearer' ? credentials || '' : allowRaw ? String(authorization || '') : '';
+    return isEqual(token, given);
+}
+
+module.exports = {
+    isEqual,
+    isAuthorized,
+};
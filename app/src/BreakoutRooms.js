@@ -0,0 +1,126 @@
+'use strict';
+
+const Logger = require('./Logger');
+
+const log = new Logger('BreakoutRooms');
+
+module.exports = class BreakoutRooms {
+    constructor(parent_id, options = {}) {
+        const { count = 2, names = [], duration = 0, maxRooms = 20, maxDuration = 240 } = options;
+
+        const roomsCount = parseInt(count);
+        if (!Number.isInteger(roomsCount) || roomsCount < 1 || roomsCount > maxRooms) {
+            throw new Error(`Invalid count, expected from 1 to ${maxRooms} rooms`);
+        }
+        const minutes = parseInt(duration) || 0;
+        if (minutes < 0 || minutes > maxDuration) {
+            throw new Error(`Invalid duration, expected from 0 to ${maxDuration} minutes`);
+        }
+
+        this.parentId = parent_id;
+        this.rooms = Array.from({ length: roomsCount }, (_, i) => ({
+            id: `${parent_id}-breakout-${i + 1}`,
+            name: typeof names[i] === 'string' && names[i].trim() ? names[i].trim() : `Room ${i + 1}`,
+        }));
+        this.assignments = new Map(); // peer_uuid => room_id
+        this.startedAt = Date.now();
+        this.endsAt = minutes ? this.startedAt + minutes * 60 * 1000 : null;
+        this.timer = null;
+    }
+
+    // ####################################################
+    // ROOMS
+    // ####################################################
+
+    hasRoom(room_id) {
+        return this.rooms.some(({ id }) => id === room_id);
+    }
+
+    getRoom(room_id) {
+        return this.rooms.find(({ id }) => id === room_id) || null;
+    }
+
+    getRoomIds() {
+        return this.rooms.map(({ id }) => id);
+    }
+
+    // ####################################################
+    // ASSIGNMENTS
+    // ####################################################
+
+    assignRandom(peer_uuids) {
+        const shuffled = [...peer_uuids];
+        for (let i = shuffled.length - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+        }
+        // Round robin, the rooms never differ by more than one peer
+        shuffled.forEach((peer_uuid, i) => this.assign(peer_uuid, this.rooms[i % this.rooms.length].id));
+        return this.assignments;
+    }
+
+    assignManual(assignments = {}) {
+        // peer_uuid => room id, or room number counting from 1 as the rooms don't exist yet when picking
+        const entries = Object.entries(assignments || {})
+            .filter(([, room]) => room)
+            .map(([peer_uuid, room]) => [peer_uuid, this.hasRoom(room) ? room : this.rooms[parseInt(room) - 1]?.id]);
+        if (entries.some(([, room_id]) => !room_id)) {
+            throw new Error('Invalid assignments, unknown breakout room');
+        }
+        entries.forEach(([peer_uuid, room_id]) => this.assign(peer_uuid, room_id));
+        return this.assignments;
+    }
+
+    assign(peer_uuid, room_id) {
+        // Assigning to the parent room (or nothing) sends the peer back to the main room
+        if (!room_id || room_id === this.parentId) {
+            this.assignments.delete(peer_uuid);
+            return null;
+        }
+        if (!this.hasRoom(room_id)) {
+            throw new Error('Unknown breakout room');
+        }
+        this.assignments.set(peer_uuid, room_id);
+        return room_id;
+    }
+
+    getAssignment(peer_uuid) {
+        return this.assignments.get(peer_uuid) || null;
+    }
+
+    // ####################################################
+    // TIMER
+    // ####################################################
+
+    getRemaining() {
+        return this.endsAt ? Math.max(this.endsAt - Date.now(), 0) : null;
+    }
+
+    startTimer(onTimeout) {
+        if (!this.endsAt) return;
+        this.stopTimer();
+        this.timer = setTimeout(() => {
+            log.info('Breakout rooms time is up', { parent_id: this.parentId });
+            onTimeout();
+        }, this.getRemaining());
+    }
+
+    stopTimer() {
+        if (this.timer) clearTimeout(this.timer);
+        this.timer = null;
+    }
+
+    toJson() {
+        return {
+            parent_id: this.parentId,
+            rooms: this.rooms.map(({ id, name }) => ({
+                id,
+                name,
+                assigned: Array.from(this.assignments.values()).filter((room_id) => room_id === id).length,
+            })),
+            started_at: this.startedAt,
+            ends_at: this.endsAt,
+            remaining: this.getRemaining(),
+        };
+    }
+};
@@ -0,0 +1,192 @@
+'use strict';
+
+const axios = require('axios');
+const crypto = require('crypto');
+const { ClusterAdapterWithHeartbeat } = require('socket.io-adapter');
+const BearerToken = require('./BearerToken');
+const Logger = require('./Logger');
+
+const log = new Logger('Cluster');
+
+module.exports = class Cluster {
+    constructor(registry, options = {}) {
+        const {
+            nodeId = crypto.randomUUID(),
+            nodeUrl = '',
+            secret = '',
+            heartbeatInterval = 5000,
+            requestTimeout = 3000,
+        } = options;
+
+        if (!nodeUrl) {
+            throw new Error('A cluster node needs the url the other nodes reach it at');
+        }
+        if (!secret) {
+            throw new Error('A cluster node needs the secret shared by the nodes');
+        }
+
+        this.registry = registry;
+        this.node = { id: nodeId, url: nodeUrl.replace(/\/+$/, '') };
+        this.secret = secret;
+        this.heartbeatInterval = heartbeatInterval; // ms
+        this.requestTimeout = requestTimeout; // ms
+        this.nodes = []; // The other nodes, as of the last heartbeat
+        this.adapters = new Map(); // namespace => adapter
+        this.timer = null;
+    }
+
+    // ####################################################
+    // NODE
+    // ####################################################
+
+    async start(getRoomIds) {
+        const heartbeat = async () => {
+            try {
+                await this.registry.heartbeat(this.node, getRoomIds());
+                this.nodes = (await this.registry.getNodes()).filter(({ id }) => id !== this.node.id);
+            } catch (err) {
+                log.error('Cluster heartbeat failed', { node_id: this.node.id, error: err.message });
+            }
+        };
+        await heartbeat();
+        this.timer = setInterval(heartbeat, this.heartbeatInterval);
+        this.timer.unref();
+        log.info('Cluster node started', { node: this.node, nodes: this.nodes.map(({ id }) => id) });
+    }
+
+    async stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+        // The rooms of this node are free at once, no need to wait for the heartbeat to time out
+        await this.registry.removeNode(this.node.id);
+        await this.registry.close();
+    }
+
+    isAuthorized(authorization = '') {
+        return BearerToken.isAuthorized(authorization, this.secret);
+    }
+
+    // ####################################################
+    // ROOMS
+    // ####################################################
+
+    async claimRoom(room_id) {
+        // The node hosting the room, null when it is this one
+        const node = await this.registry.claimRoom(room_id, this.node.id);
+        return node.id === this.node.id ? null : node;
+    }
+
+    async releaseRoom(room_id) {
+        // Only a room this node holds, another node may have claimed it since
+        await this.registry.releaseRoom(room_id, this.node.id);
+    }
+
+    async getRoomNode(room_id) {
+        const node = await this.registry.getRoomNode(room_id);
+        return node && node.id !== this.node.id ? node : null;
+    }
+
+    // ####################################################
+    // REQUESTS TO THE OTHER NODES
+    // ####################################################
+
+    async request(node, method, path, data) {
+        const response = await axios({
+            method: method,
+            url: node.url + path,
+            data: data,
+            timeout: this.requestTimeout,
+            headers: { authorization: `Bearer ${this.secret}` },
+        });
+        return response.data;
+    }
+
+    async collect(path) {
+        // A node that does not answer is left out rather than failing the whole request
+        const results = await Promise.allSettled(this.nodes.map((node) => this.request(node, 'get', path)));
+        return results.flatMap((result, i) => {
+            if (result.status === 'fulfilled') return [{ node: this.nodes[i], data: result.value }];
+            log.warn('Cluster node did not answer', { node_id: this.nodes[i].id, path, error: result.reason.message });
+            return [];
+        });
+    }
+
+    // ####################################################
+    // SOCKET.IO ADAPTER
+    // ####################################################
+
+    createAdapter() {
+        const cluster = this;
+
+        // Relays the broadcasts, and the other cluster messages of socket.io, to the other nodes over https
+        return class HttpClusterAdapter extends ClusterAdapterWithHeartbeat {
+            constructor(nsp) {
+                super(nsp, {
+                    heartbeatInterval: cluster.heartbeatInterval,
+                    heartbeatTimeout: cluster.heartbeatInterval * 3,
+                });
+                this.uidNodes = new Map(); // adapter uid => node id, to send the responses to the node that asked
+                cluster.adapters.set(nsp.name, this);
+                // Socket.io does not do it, tells the other nodes about this one
+                this.init();
+            }
+
+            async doPublish(message) {
+                // Not awaited, the local broadcast does not wait for the other nodes
+                cluster.send(cluster.nodes, { type: 'message', payload: encode(message) });
+                return '';
+            }
+
+            async doPublishResponse(requesterUid, response) {
+                const node_id = this.uidNodes.get(requesterUid);
+                const nodes = cluster.nodes.filter(({ id }) => !node_id || id === node_id);
+                cluster.send(nodes, { type: 'response', payload: encode(response) });
+            }
+
+            close() {
+                super.close();
+                cluster.adapters.delete(this.nsp.name);
+            }
+        };
+    }
+
+    send(nodes, body) {
+        for (const node of nodes) {
+            this.request(node, 'post', '/cluster/message', { ...body, node_id: this.node.id }).catch((err) => {
+                log.warn('Unable to relay to the cluster node', { node_id: node.id, error: err.message });
+            });
+        }
+    }
+
+    receive(body = {}) {
+        const { type, payload, node_id } = body;
+        const message = decode(payload);
+        const adapter = this.adapters.get(message.nsp);
+        if (!adapter) return false;
+        adapter.uidNodes.set(message.uid, node_id);
+        type === 'response' ? adapter.onResponse(message) : adapter.onMessage(message);
+        return true;
+    }
+};
+
+// Binary packets go through JSON as base64
+function encode(message) {
+    return JSON.stringify(message, function (key, value) {
+        const original = this[key];
+        if (ArrayBuffer.isView(original)) {
+            return {
+                $binary: Buffer.from(original.buffer, original.byteOffset, original.byteLength).toString('base64'),
+            };
+        }
+        if (original instanceof ArrayBuffer) {
+            return { $binary: Buffer.from(original).toString('base64') };
+        }
+        return value;
+    });
+}
+
+function decode(payload) {
+    return JSON.parse(payload, (key, value) =>
+        value && typeof value.$binary === 'string' ? Buffer.from(value.$binary, 'base64') : value
+    );
+}
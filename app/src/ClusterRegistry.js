@@ -0,0 +1,128 @@
+'use strict';
+
+const Logger = require('./Logger');
+
+const log = new Logger('ClusterRegistry');
+
+module.exports = class ClusterRegistry {
+    // Shared by all the nodes: which nodes are up, and which node hosts which room.
+    // This one lives in memory, so it only spans the nodes of a single process (tests, single node).
+    // A backend shared between processes overrides transaction() to load and save the state around each change.
+
+    constructor(options = {}) {
+        const { nodeTimeout = 15000 } = options;
+        this.nodeTimeout = nodeTimeout; // ms without heartbeat before a node counts as down
+        this._state = { nodes: {}, rooms: {} }; // node_id => { id, url, updated_at }, room_id => { node_id, claimed_at }
+    }
+
+    async transaction(fn) {
+        return fn(this._state);
+    }
+
+    async close() {}
+
+    // ####################################################
+    // NODES
+    // ####################################################
+
+    async heartbeat(node, room_ids = []) {
+        return this.transaction((state) => {
+            const now = Date.now();
+            state.nodes[node.id] = { ...node, updated_at: now };
+            // Claimed on join but never created, or closed without being released
+            const hosted = new Set(room_ids);
+            for (const [room_id, room] of Object.entries(state.rooms)) {
+                if (room.node_id === node.id && !hosted.has(room_id) && room.claimed_at < now - this.nodeTimeout) {
+                    delete state.rooms[room_id];
+                }
+            }
+            this.removeDeadNodes(state, now);
+        });
+    }
+
+    async removeNode(node_id) {
+        return this.transaction((state) => {
+            delete state.nodes[node_id];
+            for (const [room_id, room] of Object.entries(state.rooms)) {
+                if (room.node_id === node_id) delete state.rooms[room_id];
+            }
+        });
+    }
+
+    async getNodes() {
+        return this.transaction((state) => Object.values(state.nodes).filter((node) => this.isAlive(node)));
+    }
+
+    isAlive(node) {
+        return !!node && node.updated_at >= Date.now() - this.nodeTimeout;
+    }
+
+    removeDeadNodes(state, now) {
+        for (const node of Object.values(state.nodes)) {
+            // Keep them a while longer, the rooms of a node that restarts quickly stay with it
+            if (node.updated_at < now - this.nodeTimeout * 4) {
+                log.warn('Cluster node removed', { node_id: node.id, updated_at: node.updated_at });
+                delete state.nodes[node.id];
+            }
+        }
+    }
+
+    // ####################################################
+    // ROOMS
+    // ####################################################
+
+    async claimRoom(room_id, node_id) {
+        // Returns the node hosting the room, the caller's own node if the room was free
+        return this.transaction((state) => {
+            const owner = this.getOwner(state, room_id);
+            if (owner && owner.id !== node_id) return owner;
+            const room = state.rooms[room_id];
+            state.rooms[room_id] = {
+                node_id: node_id,
+                claimed_at: room && room.node_id === node_id ? room.claimed_at : Date.now(),
+            };
+            return state.nodes[node_id] || { id: node_id };
+        });
+    }
+
+    async releaseRoom(room_id, node_id) {
+        return this.transaction((state) => {
+            if (state.rooms[room_id]?.node_id === node_id) delete state.rooms[room_id];
+        });
+    }
+
+    async getRoomNode(room_id) {
+        return this.transaction((state) => this.getOwner(state, room_id));
+    }
+
+    getOwner(state, room_id) {
+        const room = state.rooms[room_id];
+        const node = room ? state.nodes[room.node_id] : null;
+        // The rooms of a dead node are free to be claimed again
+        return this.isAlive(node) ? node : null;
+    }
+
+    // ####################################################
+    // FACTORY
+    // ####################################################
+
+    static create(options = {}) {
+        const { type = 'file', path: file = '', nodeTimeout } = options;
+
+        let registry;
+        switch (type) {
+            case 'memory':
+                registry = new ClusterRegistry({ nodeTimeout });
+                break;
+            case 'file':
+                registry = new (require('./FileClusterRegistry'))(file, { nodeTimeout });
+                break;
+            default:
+                throw new Error(`Unknown cluster registry type ${type}, expected memory or file`);
+        }
+
+        log.info('Cluster registry enabled', { type: type, path: file });
+
+        return registry;
+    }
+};
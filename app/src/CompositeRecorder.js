@@ -0,0 +1,329 @@
+'use strict';
+
+const EventEmitter = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ffmpeg = require('fluent-ffmpeg');
+const RtpInput = require('./RtpInput');
+const Logger = require('./Logger');
+
+const log = new Logger('CompositeRecorder');
+
+const LAYOUTS = ['grid', 'speaker'];
+
+module.exports = class CompositeRecorder extends EventEmitter {
+    // Records a room on the server: its producers go through plain RTP to FFmpeg, which mixes the
+    // audio and tiles the videos into one MP4. FFmpeg cannot take new inputs while running, so a
+    // producer added or closed ends the current file and starts the next one. A paused producer keeps
+    // its input, muting or turning off the camera does not cut the file.
+    // Emits 'file' for each finished file, then 'end' once stopped.
+
+    constructor(room, options = {}) {
+        super();
+        const {
+            dir = 'rec',
+            layout = 'grid',
+            width = 1280,
+            height = 720,
+            fps = 25,
+            maxVideos = 16,
+            restartDelay = 2000, // ms, the producers changing together end one file only
+            ffmpegPath = '/usr/bin/ffmpeg',
+            rtp = {},
+        } = options;
+        if (!LAYOUTS.includes(layout)) {
+            throw new Error(`Invalid recording layout, expected ${LAYOUTS.join(' or ')}`);
+        }
+        this.room = room;
+        this.dir = dir;
+        this.layout = layout;
+        this.width = width;
+        this.height = height;
+        this.fps = fps;
+        this.maxVideos = maxVideos;
+        this.restartDelay = restartDelay;
+        this.ffmpegPath = ffmpegPath;
+        this.rtp = rtp;
+        this.recording = false;
+        this.startedAt = null;
+        this.files = [];
+        this.segment = null;
+        this.updateTimer = null;
+        this.queue = Promise.resolve();
+    }
+
+    // ####################################################
+    // LAYOUT
+    // ####################################################
+
+    static getTiles(count, options = {}) {
+        const { layout = 'grid', width = 1280, height = 720 } = options;
+        const even = (value) => Math.max(2, Math.floor(value / 2) * 2);
+        if (count === 0) return [];
+        if (count === 1) return [{ x: 0, y: 0, width: even(width), height: even(height) }];
+
+        if (layout === 'speaker') {
+            // The first video on top, the others in a strip below it
+            const stripHeight = even(height / 4);
+            const tileWidth = even(Math.min(width / (count - 1), (stripHeight * 16) / 9));
+            const stripX = Math.floor((width - tileWidth * (count - 1)) / 2);
+            const tiles = [{ x: 0, y: 0, width: even(width), height: even(height - stripHeight) }];
+            for (let i = 0; i < count - 1; i++) {
+                tiles.push({
+                    x: stripX + i * tileWidth,
+                    y: height - stripHeight,
+                    width: tileWidth,
+                    height: stripHeight,
+                });
+            }
+            return tiles;
+        }
+
+        const cols = Math.ceil(Math.sqrt(count));
+        const rows = Math.ceil(count / cols);
+        const tileWidth = even(width / cols);
+        const tileHeight = even(height / rows);
+        return Array.from({ length: count }, (_, i) => {
+            const row = Math.floor(i / cols);
+            // The last row, when not full, is centered
+            const inRow = row === rows - 1 ? count - row * cols : cols;
+            const x = Math.floor((width - inRow * tileWidth) / 2) + (i % cols) * tileWidth;
+            return { x, y: row * tileHeight, width: tileWidth, height: tileHeight };
+        });
+    }
+
+    static buildFilter(videoCount, audioCount, options = {}) {
+        // FFmpeg inputs: the videos first, then the audios
+        const { width = 1280, height = 720, fps = 25 } = options;
+        const filters = [];
+        const base = videoCount ? 'base' : 'vout';
+        filters.push(`color=c=black:s=${width}x${height}:r=${fps}[${base}]`);
+
+        CompositeRecorder.getTiles(videoCount, options).forEach((tile, i) => {
+            filters.push(
+                `[${i}:v]setpts=PTS-STARTPTS,` +
+                    `scale=${tile.width}:${tile.height}:force_original_aspect_ratio=decrease,` +
+                    `pad=${tile.width}:${tile.height}:(ow-iw)/2:(oh-ih)/2,setsar=1[v${i}]`
+            );
+            const from = i === 0 ? base : `o${i - 1}`;
+            const to = i === videoCount - 1 ? 'vout' : `o${i}`;
+            filters.push(`[${from}][v${i}]overlay=x=${tile.x}:y=${tile.y}:eof_action=pass[${to}]`);
+        });
+
+        if (audioCount === 1) {
+            filters.push(`[${videoCount}:a]aresample=async=1[aout]`);
+        } else if (audioCount > 1) {
+            const inputs = Array.from({ length: audioCount }, (_, i) => `[${videoCount + i}:a]`).join('');
+            filters.push(`${inputs}amix=inputs=${audioCount}:duration=longest:dropout_transition=0[aout]`);
+        }
+        return { filters, outputs: audioCount ? ['vout', 'aout'] : ['vout'] };
+    }
+
+    // ####################################################
+    // PRODUCERS
+    // ####################################################
+
+    getProducers() {
+        const videos = [];
+        const audios = [];
+        for (const peer of this.room.peers.values()) {
+            for (const producer of peer.producers.values()) {
+                if (producer.closed) continue;
+                const entry = { peer, producer, screen: producer.appData?.mediaType === 'screenType' };
+                producer.kind === 'video' ? videos.push(entry) : audios.push(entry);
+            }
+        }
+        if (this.layout === 'speaker') {
+            // Main tile: a screen share, else the most recent speaker, picked when the file starts
+            const rank = ({ peer, screen }) => {
+                if (screen) return 0;
+                const index = this.room.recentSpeakers.indexOf(peer.id);
+                return index === -1 ? Infinity : index + 1;
+            };
+            videos.sort((a, b) => rank(a) - rank(b));
+        }
+        return {
+            videos: videos.slice(0, this.maxVideos).map(({ producer }) => producer),
+            audios: audios.map(({ producer }) => producer),
+        };
+    }
+
+    getProducerIds() {
+        const { videos, audios } = this.getProducers();
+        return [...videos, ...audios]
+            .map(({ id }) => id)
+            .sort()
+            .join(',');
+    }
+
+    // ####################################################
+    // RECORDING
+    // ####################################################
+
+    isRecording() {
+        return this.recording;
+    }
+
+    getStatus() {
+        return {
+            recording: this.recording,
+            mode: 'composite',
+            layout: this.layout,
+            startedAt: this.startedAt ? new Date(this.startedAt).toISOString() : null,
+            producers: this.segment ? this.segment.inputs.length : 0,
+            files: this.files.map(({ fileName }) => fileName),
+        };
+    }
+
+    getFileName() {
+        const dateTime = new Date().toISOString().replace(/[:.]/g, '-');
+        return `Rec_${this.room.id}_${dateTime}_composite.mp4`;
+    }
+
+    start() {
+        if (this.recording) throw new Error('Room is already recorded');
+        this.recording = true;
+        this.startedAt = Date.now();
+        log.info('Composite recording started', { room_id: this.room.id, layout: this.layout });
+        return this.enqueue(() => this.startSegment());
+    }
+
+    update() {
+        // The producers changed, start a new file once they settle
+        if (!this.recording) return;
+        clearTimeout(this.updateTimer);
+        this.updateTimer = setTimeout(() => {
+            this.updateTimer = null;
+            this.enqueue(async () => {
+                // Peers joining or leaving without media keep the current file going
+                if (this.segment && this.segment.producerIds === this.getProducerIds()) return;
+                await this.stopSegment();
+                await this.startSegment();
+            });
+        }, this.restartDelay);
+    }
+
+    stop() {
+        if (!this.recording) return this.queue;
+        this.recording = false;
+        clearTimeout(this.updateTimer);
+        this.updateTimer = null;
+        return this.enqueue(async () => {
+            await this.stopSegment();
+            log.info('Composite recording stopped', { room_id: this.room.id, files: this.files.length });
+            this.emit('end', this.getStatus());
+        });
+    }
+
+    enqueue(task) {
+        this.queue = this.queue.then(task).catch((err) => {
+            log.error('Composite recording error', { room_id: this.room.id, error: err.message });
+        });
+        return this.queue;
+    }
+
+    // ####################################################
+    // SEGMENTS
+    // ####################################################
+
+    async startSegment() {
+        if (!this.recording) return;
+        const { videos, audios } = this.getProducers();
+        const producerIds = this.getProducerIds();
+        if (!videos.length && !audios.length) {
+            log.debug('Nothing to record yet', { room_id: this.room.id });
+            return;
+        }
+
+        const inputs = [];
+        try {
+            for (const producer of [...videos, ...audios]) {
+                const input = await new RtpInput(this.room, producer, this.rtp).create();
+                input.consumer.on('producerclose', () => this.update());
+                // Back from a pause, FFmpeg decodes again from the next key frame
+                if (input.kind === 'video') {
+                    input.consumer.on('producerresume', () => input.consumer.requestKeyFrame().catch(() => {}));
+                }
+                inputs.push(input);
+            }
+        } catch (err) {
+            inputs.forEach((input) => input.close());
+            throw err;
+        }
+
+        const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'composite-'));
+        const sdpFiles = inputs.map((input, i) => {
+            const sdpFile = path.join(tmpDir, `input-${i}.sdp`);
+            fs.writeFileSync(sdpFile, input.getSdp());
+            return sdpFile;
+        });
+
+        const fileName = this.getFileName();
+        const filePath = path.join(this.dir, fileName);
+        const { filters, outputs } = CompositeRecorder.buildFilter(videos.length, audios.length, this);
+
+        const segment = { inputs, producerIds, tmpDir, fileName, filePath, command: null, ended: null };
+        segment.ended = new Promise((resolve) => {
+            segment.command = this.runFFmpeg(sdpFiles, filePath, filters, outputs, {
+                start: () => inputs.forEach((input) => input.resume().catch(() => {})),
+                end: resolve,
+            });
+        }).then(() => this.endSegment(segment));
+        this.segment = segment;
+    }
+
+    runFFmpeg(sdpFiles, filePath, filters, outputs, handlers) {
+        const command = ffmpeg().setFfmpegPath(this.ffmpegPath);
+        for (const sdpFile of sdpFiles) {
+            command.input(sdpFile).inputOptions(['-protocol_whitelist', 'file,udp,rtp', '-fflags', '+genpts']);
+        }
+        command
+            .complexFilter(filters, outputs)
+            .videoCodec('libx264')
+            .audioCodec('aac')
+            .audioBitrate('128k')
+            .outputOptions(['-preset veryfast', '-pix_fmt yuv420p', '-movflags +frag_keyframe+empty_moov'])
+            .output(filePath)
+            .on('start', (commandLine) => {
+                log.debug('ffmpeg command', { room_id: this.room.id, cmd: commandLine });
+                handlers.start();
+            })
+            .on('error', (err, stdout, stderr) => {
+                if (!err.message.includes('Exiting normally')) {
+                    log.error(`Error: ${err.message}`, { room_id: this.room.id, stderr });
+                }
+                handlers.end();
+            })
+            .on('end', () => handlers.end())
+            .run();
+        return command;
+    }
+
+    async stopSegment() {
+        const segment = this.segment;
+        if (!segment) return;
+        // SIGINT lets FFmpeg write the end of the file
+        segment.command.kill('SIGINT');
+        const timeout = setTimeout(() => segment.command.kill('SIGKILL'), 10000);
+        await segment.ended;
+        clearTimeout(timeout);
+    }
+
+    endSegment(segment) {
+        if (this.segment === segment) this.segment = null;
+        segment.inputs.forEach((input) => input.close());
+        fs.rmSync(segment.tmpDir, { recursive: true, force: true });
+
+        const size = fs.existsSync(segment.filePath) ? fs.statSync(segment.filePath).size : 0;
+        if (!size) {
+            log.warn('Empty composite recording removed', { file: segment.fileName });
+            fs.rmSync(segment.filePath, { force: true });
+            return;
+        }
+        const file = { fileName: segment.fileName, filePath: segment.filePath, size };
+        this.files.push(file);
+        log.info('Composite recording file ready', file);
+        this.emit('file', file);
+    }
+};
@@ -0,0 +1,105 @@
+'use strict';
+
+const EventEmitter = require('events');
+const Logger = require('./Logger');
+
+const log = new Logger('Drain');
+
+const MAX_TIMEOUT = Math.floor(2147483647 / 1000); // s, longer overflows setTimeout, which then fires at once
+
+module.exports = class Drain extends EventEmitter {
+    // Maintenance mode: no new rooms, and the active ones end at the deadline.
+    // Emits 'start' and 'cancel', 'finalize' a while before the deadline so that the
+    // recordings and the RTMP streams end cleanly, then 'close' at the deadline.
+    // A drain for a shutdown is locked: neither cancelled nor moved, the process exits at its deadline.
+
+    constructor(options = {}) {
+        super();
+        const { timeout = 300, finalizeBefore = 30 } = options;
+        this.timeout = timeout; // s
+        this.finalizeBefore = finalizeBefore; // s
+        this.deadline = null;
+        this.reason = '';
+        this.finalized = false;
+        this.closed = false;
+        this.locked = false;
+        this.timers = [];
+    }
+
+    isDraining() {
+        return this.deadline !== null;
+    }
+
+    getStatus() {
+        return {
+            draining: this.isDraining(),
+            deadline: this.isDraining() ? new Date(this.deadline).toISOString() : null,
+            remaining: this.isDraining() ? Math.max(0, Math.ceil((this.deadline - Date.now()) / 1000)) : null,
+            reason: this.reason,
+        };
+    }
+
+    start(timeout = this.timeout, reason = '') {
+        if (this.locked) {
+            throw new Error('Drain locked by the server shutdown');
+        }
+        if (!Number.isFinite(timeout) || timeout < 0 || timeout > MAX_TIMEOUT) {
+            throw new Error(`Invalid drain timeout, expected seconds up to ${MAX_TIMEOUT}`);
+        }
+        // Starting again moves the deadline of the running drain
+        this.stopTimers();
+        this.deadline = Date.now() + timeout * 1000;
+        this.reason = reason;
+        this.finalized = false;
+        this.closed = false;
+
+        const finalizeIn = Math.max(0, (timeout - this.finalizeBefore) * 1000);
+        this.timers.push(setTimeout(() => this.finalize(), finalizeIn));
+        this.timers.push(setTimeout(() => this.close(), timeout * 1000));
+
+        const status = this.getStatus();
+        log.info('Drain started', status);
+        this.emit('start', status);
+        return status;
+    }
+
+    lock() {
+        this.locked = true;
+        log.info('Drain locked until the server shutdown');
+    }
+
+    cancel() {
+        if (!this.isDraining()) return false;
+        if (this.locked) {
+            log.warn('Drain locked by the server shutdown, not cancelled');
+            return false;
+        }
+        this.stopTimers();
+        this.deadline = null;
+        this.reason = '';
+        log.info('Drain cancelled');
+        this.emit('cancel', this.getStatus());
+        return true;
+    }
+
+    finalize() {
+        if (this.finalized) return;
+        this.finalized = true;
+        this.emit('finalize', this.getStatus());
+    }
+
+    close() {
+        if (this.closed) return;
+        this.finalize();
+        this.closed = true;
+        this.stopTimers();
+        log.info('Drain deadline reached', { reason: this.reason });
+        // Still draining afterwards, until cancelled or restarted
+        this.emit('close', this.getStatus());
+    }
+
+    stopTimers() {
+        this.timers.forEach((timer) => clearTimeout(timer));
+        this.timers = [];
+    }
+};
@@ -0,0 +1,122 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const ClusterRegistry = require('./ClusterRegistry');
+const Logger = require('./Logger');
+
+const log = new Logger('FileClusterRegistry');
+
+const LOCK_RETRY = 20; // ms
+const LOCK_STALE = 5000; // ms
+
+module.exports = class FileClusterRegistry extends ClusterRegistry {
+    // For nodes sharing a disk, a lock file keeps their changes from overwriting each other.
+    // The lock holds a token of its own: a node only removes the lock it took, and a stale lock is
+    // taken over by renaming it away, which a single node can do.
+    constructor(file, options = {}) {
+        super(options);
+        if (!file) {
+            throw new Error('The file cluster registry needs a path');
+        }
+        this._file = file;
+        this._lockFile = file + '.lock';
+        fs.mkdirSync(path.dirname(this._file), { recursive: true });
+    }
+
+    async transaction(fn) {
+        const token = await this.lock();
+        try {
+            const state = await this.load();
+            const result = await fn(state);
+            await this.save(state);
+            return result;
+        } finally {
+            await this.unlock(token);
+        }
+    }
+
+    async lock() {
+        const token = crypto.randomUUID();
+        const started = Date.now();
+        for (;;) {
+            try {
+                await fs.promises.writeFile(this._lockFile, token, { flag: 'wx' });
+                return token;
+            } catch (err) {
+                if (err.code !== 'EEXIST') throw err;
+            }
+            // A node that died while holding the lock must not block the others forever
+            if (await this.breakStaleLock()) continue;
+            if (Date.now() - started > LOCK_STALE * 2) {
+                throw new Error('Unable to lock the cluster registry');
+            }
+            await new Promise((resolve) => setTimeout(resolve, LOCK_RETRY));
+        }
+    }
+
+    async breakStaleLock() {
+        let stale;
+        try {
+            const { mtimeMs } = await fs.promises.stat(this._lockFile);
+            if (Date.now() - mtimeMs <= LOCK_STALE) return false;
+            stale = await fs.promises.readFile(this._lockFile, 'utf8');
+        } catch (err) {
+            if (err.code === 'ENOENT') return true;
+            throw err;
+        }
+        // The rename is atomic: of the nodes taking over together, one moves the lock away
+        const takenFile = `${this._lockFile}.${crypto.randomUUID()}`;
+        try {
+            await fs.promises.rename(this._lockFile, takenFile);
+        } catch (err) {
+            if (err.code === 'ENOENT') return true;
+            throw err;
+        }
+        const taken = await fs.promises.readFile(takenFile, 'utf8');
+        if (taken !== stale) {
+            // Another node took over first and this is its fresh lock, give it back
+            await fs.promises.link(takenFile, this._lockFile).catch((err) => {
+                log.error('Unable to give back a cluster registry lock', { file: this._lockFile, error: err.message });
+            });
+        } else {
+            log.warn('Removed a stale cluster registry lock', { file: this._lockFile });
+        }
+        await fs.promises.rm(takenFile, { force: true });
+        return true;
+    }
+
+    async unlock(token) {
+        try {
+            // Only the lock this node took, a lock broken as stale may belong to another node by now
+            if ((await fs.promises.readFile(this._lockFile, 'utf8')) !== token) {
+                log.warn('Cluster registry lock taken over while held', { file: this._lockFile });
+                return;
+            }
+            await fs.promises.unlink(this._lockFile);
+        } catch (err) {
+            log.error('Unable to unlock the cluster registry', { file: this._lockFile, error: err.message });
+        }
+    }
+
+    async load() {
+        try {
+            const { nodes = {}, rooms = {} } = JSON.parse(await fs.promises.readFile(this._file, 'utf8'));
+            return { nodes, rooms };
+        } catch (err) {
+            if (err.code !== 'ENOENT') {
+                log.error('Unable to read the cluster registry', { file: this._file, error: err.message });
+            }
+            return { nodes: {}, rooms: {} };
+        }
+    }
+
+    async save(state) {
+        // Write and rename, the other nodes never read a half written file
+        const tmpFile = this._file + '.tmp';
+        await fs.promises.writeFile(tmpFile, JSON.stringify(state));
+        await fs.promises.rename(tmpFile, this._file);
+    }
+};
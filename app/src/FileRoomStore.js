@@ -0,0 +1,93 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const RoomStore = require('./RoomStore');
+const Logger = require('./Logger');
+
+const log = new Logger('FileRoomStore');
+
+module.exports = class FileRoomStore extends RoomStore {
+    constructor(file) {
+        super();
+        if (!file) {
+            throw new Error('The file room store needs a path');
+        }
+        this._file = file;
+        this._rooms = this.load(); // room_id => { state, updated_at }
+        this._writing = null; // The write in flight
+        this._next = null; // The write to come, with every change made meanwhile
+    }
+
+    async get(room_id) {
+        return this._rooms.has(room_id) ? this._rooms.get(room_id).state : null;
+    }
+
+    async set(room_id, state) {
+        this._rooms.set(room_id, { state: state, updated_at: Date.now() });
+        await this.save();
+    }
+
+    async touch(room_id) {
+        const room = this._rooms.get(room_id);
+        if (!room) return;
+        room.updated_at = Date.now();
+        await this.save();
+    }
+
+    async delete(room_id) {
+        if (this._rooms.delete(room_id)) await this.save();
+    }
+
+    async purge(before) {
+        let purged = 0;
+        for (const [room_id, { updated_at }] of this._rooms) {
+            if (updated_at < before) {
+                this._rooms.delete(room_id);
+                purged++;
+            }
+        }
+        if (purged) await this.save();
+        return purged;
+    }
+
+    load() {
+        if (!fs.existsSync(this._file)) return new Map();
+        try {
+            return new Map(Object.entries(JSON.parse(fs.readFileSync(this._file, 'utf8'))));
+        } catch (err) {
+            log.error('Unable to read the room store', { file: this._file, error: err.message });
+            return new Map();
+        }
+    }
+
+    save() {
+        // Off the event loop, one write in flight: the changes made meanwhile all go in the next one
+        if (!this._next) {
+            this._next = (this._writing || Promise.resolve()).then(() => {
+                this._next = null;
+                this._writing = this.write().finally(() => (this._writing = null));
+                return this._writing;
+            });
+        }
+        return this._next;
+    }
+
+    async write() {
+        try {
+            // Write and rename, a crash never leaves a half written file behind
+            await fs.promises.mkdir(path.dirname(this._file), { recursive: true });
+            const tmpFile = this._file + '.tmp';
+            await fs.promises.writeFile(tmpFile, JSON.stringify(Object.fromEntries(this._rooms)));
+            await fs.promises.rename(tmpFile, this._file);
+        } catch (err) {
+            log.error('Unable to save the room store', { file: this._file, error: err.message });
+        }
+    }
+
+    async close() {
+        this.stopPurge();
+        await (this._next || this._writing);
+    }
+};
@@ -0,0 +1,153 @@
+'use strict';
+
+const fs = require('fs');
+const { monitorEventLoopDelay } = require('perf_hooks');
+const BearerToken = require('./BearerToken');
+
+const MB = 1024 * 1024;
+
+module.exports = class HealthCheck {
+    constructor(options = {}) {
+        const {
+            workers = [],
+            webRtcServerActive = false,
+            recordingDir = null,
+            isDraining = () => false,
+            token = '',
+            workerTimeout = 2000,
+            maxEventLoopLag = 1000,
+            minFreeDisk = 1024,
+        } = options;
+
+        this.workers = workers;
+        this.webRtcServerActive = webRtcServerActive;
+        this.recordingDir = recordingDir;
+        this.isDraining = isDraining;
+        this.token = token;
+        this.workerTimeout = workerTimeout; // ms
+        this.maxEventLoopLag = maxEventLoopLag; // ms
+        this.minFreeDisk = minFreeDisk; // MB
+        this.eventLoop = null;
+    }
+
+    start() {
+        if (this.eventLoop) return;
+        this.eventLoop = monitorEventLoopDelay({ resolution: 20 });
+        this.eventLoop.enable();
+    }
+
+    stop() {
+        if (!this.eventLoop) return;
+        this.eventLoop.disable();
+        this.eventLoop = null;
+    }
+
+    isAuthorized(authorization = '') {
+        // The details are only for the token holders, none when no token is set
+        return BearerToken.isAuthorized(authorization, this.token, { allowRaw: true });
+    }
+
+    // ####################################################
+    // CHECKS
+    // ####################################################
+
+    async checkWorker(worker) {
+        const webRtcServer = worker.appData?.webRtcServer;
+        const status = {
+            pid: worker.pid,
+            alive: !worker.closed && !worker.died,
+            responsive: false,
+            webRtcServer: this.webRtcServerActive
+                ? webRtcServer && !webRtcServer.closed
+                    ? 'open'
+                    : 'closed'
+                : 'disabled',
+        };
+        if (status.alive) {
+            // A worker that is not closed may still be stuck, make it answer a request
+            let timer;
+            try {
+                await Promise.race([
+                    worker.getResourceUsage(),
+                    new Promise((resolve, reject) => {
+                        timer = setTimeout(() => reject(new Error('Worker timed out')), this.workerTimeout);
+                    }),
+                ]);
+                status.responsive = true;
+            } catch (err) {
+                status.error = err.message;
+            } finally {
+                clearTimeout(timer);
+            }
+        }
+        status.acceptsRooms = status.alive && status.responsive && status.webRtcServer !== 'closed';
+        return status;
+    }
+
+    getEventLoopLag() {
+        if (!this.eventLoop) return null;
+        const lag = {
+            mean: round((this.eventLoop.mean || 0) / 1e6),
+            p99: round(this.eventLoop.percentile(99) / 1e6),
+            max: round(this.eventLoop.max / 1e6),
+        };
+        // Every probe reports on the time elapsed since the previous one
+        this.eventLoop.reset();
+        return lag;
+    }
+
+    async getDisk() {
+        if (!this.recordingDir) return null;
+        try {
+            const { bavail, bsize, blocks } = await fs.promises.statfs(this.recordingDir);
+            return {
+                path: this.recordingDir,
+                freeMB: Math.floor((bavail * bsize) / MB),
+                totalMB: Math.floor((blocks * bsize) / MB),
+            };
+        } catch (err) {
+            return { path: this.recordingDir, error: err.message };
+        }
+    }
+
+    getSummary({ status, ready }) {
+        // All an anonymous probe gets, nothing about the workers or the disk
+        return { status, ready };
+    }
+
+    async check() {
+        const [workers, disk] = await Promise.all([
+            Promise.all(this.workers.map((worker) => this.checkWorker(worker))),
+            this.getDisk(),
+        ]);
+        const eventLoopLag = this.getEventLoopLag();
+        const draining = this.isDraining();
+
+        const ready = !draining && workers.some((worker) => worker.acceptsRooms);
+
+        const warnings = [];
+        if (workers.some((worker) => !worker.acceptsRooms)) warnings.push('worker');
+        if (eventLoopLag && eventLoopLag.p99 > this.maxEventLoopLag) warnings.push('eventLoopLag');
+        if (disk && (disk.error || disk.freeMB < this.minFreeDisk)) warnings.push('disk');
+
+        let status = 'ok';
+        if (!workers.some((worker) => worker.alive)) status = 'fail';
+        else if (warnings.length) status = 'degraded';
+
+        return {
+            status,
+            ready,
+            draining,
+            warnings,
+            timestamp: new Date().toISOString(),
+            uptime: Math.floor(process.uptime()),
+            workers,
+            eventLoopLag,
+            disk,
+        };
+    }
+};
+
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
@@ -0,0 +1,158 @@
+'use strict';
+
+const BearerToken = require('./BearerToken');
+
+// Seconds, from a fast API call up to a large upload
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+module.exports = class Metrics {
+    constructor(prefix = 'mirotalk_sfu_', token = '') {
+        this.prefix = prefix;
+        this.token = token;
+        this.metrics = new Map(); // name => { type, help, buckets, series: Map(labelsKey => { labels, value | counts, sum, count }) }
+        this.collectors = [];
+    }
+
+    // ####################################################
+    // REGISTER
+    // ####################################################
+
+    counter(name, help) {
+        return this.register(name, 'counter', help);
+    }
+
+    gauge(name, help) {
+        return this.register(name, 'gauge', help);
+    }
+
+    histogram(name, help, buckets = DEFAULT_BUCKETS) {
+        return this.register(
+            name,
+            'histogram',
+            help,
+            [...buckets].sort((a, b) => a - b)
+        );
+    }
+
+    register(name, type, help, buckets = null) {
+        if (!this.metrics.has(name)) {
+            this.metrics.set(name, { type, help, buckets, series: new Map() });
+        }
+        return this;
+    }
+
+    addCollector(collector) {
+        // Called on every scrape, sets the gauges that are cheaper to read than to keep up to date
+        this.collectors.push(collector);
+        return this;
+    }
+
+    // ####################################################
+    // UPDATE
+    // ####################################################
+
+    inc(name, labels = {}, value = 1) {
+        const series = this.getSeries(name, labels, 'counter');
+        series.value += value;
+    }
+
+    set(name, labels = {}, value = 0) {
+        // Counters too, to mirror a counter kept elsewhere (e.g. the worker CPU time)
+        const series = this.getSeries(name, labels, 'gauge', 'counter');
+        series.value = value;
+    }
+
+    add(name, labels = {}, value = 1) {
+        const series = this.getSeries(name, labels, 'gauge');
+        series.value += value;
+    }
+
+    observe(name, labels = {}, value = 0) {
+        const metric = this.metrics.get(name);
+        const series = this.getSeries(name, labels, 'histogram');
+        metric.buckets.forEach((bucket, i) => {
+            if (value <= bucket) series.counts[i]++;
+        });
+        series.sum += value;
+        series.count++;
+    }
+
+    startTimer(name, labels = {}) {
+        const start = process.hrtime.bigint();
+        return (extraLabels = {}) => {
+            const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+            this.observe(name, { ...labels, ...extraLabels }, seconds);
+            return seconds;
+        };
+    }
+
+    reset(name) {
+        const metric = this.metrics.get(name);
+        if (metric) metric.series.clear();
+    }
+
+    getSeries(name, labels, ...types) {
+        const metric = this.metrics.get(name);
+        if (!metric || !types.includes(metric.type)) {
+            throw new Error(`Unknown ${types.join(' or ')} ${name}`);
+        }
+        const key = JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+        if (!metric.series.has(key)) {
+            metric.series.set(
+                key,
+                metric.type === 'histogram'
+                    ? { labels, counts: metric.buckets.map(() => 0), sum: 0, count: 0 }
+                    : { labels, value: 0 }
+            );
+        }
+        return metric.series.get(key);
+    }
+
+    // ####################################################
+    // EXPOSE
+    // ####################################################
+
+    isAuthorized(authorization = '') {
+        return BearerToken.isAuthorized(authorization, this.token, { allowRaw: true });
+    }
+
+    async render() {
+        for (const collector of this.collectors) {
+            await collector(this);
+        }
+
+        const lines = [];
+        for (const [name, { type, help, buckets, series }] of this.metrics) {
+            const fullName = this.prefix + name;
+            lines.push(`# HELP ${fullName} ${help}`);
+            lines.push(`# TYPE ${fullName} ${type}`);
+            for (const { labels, value, counts, sum, count } of series.values()) {
+                if (type !== 'histogram') {
+                    lines.push(`${fullName}${formatLabels(labels)} ${formatValue(value)}`);
+                    continue;
+                }
+                buckets.forEach((bucket, i) => {
+                    lines.push(`${fullName}_bucket${formatLabels({ ...labels, le: bucket })} ${counts[i]}`);
+                });
+                lines.push(`${fullName}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+                lines.push(`${fullName}_sum${formatLabels(labels)} ${formatValue(sum)}`);
+                lines.push(`${fullName}_count${formatLabels(labels)} ${count}`);
+            }
+        }
+        return lines.join('\n') + '\n';
+    }
+};
+
+function formatLabels(labels) {
+    const entries = Object.entries(labels);
+    if (!entries.length) return '';
+    const escape = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+    return '{' + entries.map(([key, value]) => `${key}="${escape(value)}"`).join(',') + '}';
+}
+
+function formatValue(value) {
+    if (Number.isNaN(value)) return 'NaN';
+    if (value === Infinity) return '+Inf';
+    if (value === -Infinity) return '-Inf';
+    return String(value);
+}
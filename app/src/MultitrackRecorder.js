@@ -0,0 +1,255 @@
+'use strict';
+
+const EventEmitter = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ffmpeg = require('fluent-ffmpeg');
+const RtpInput = require('./RtpInput');
+const Logger = require('./Logger');
+
+const log = new Logger('MultitrackRecorder');
+
+// Containers the RTP payloads are copied into, without transcoding
+const CONTAINERS = {
+    opus: 'webm',
+    vp8: 'webm',
+    vp9: 'webm',
+    av1: 'webm',
+    h264: 'mkv',
+};
+
+module.exports = class MultitrackRecorder extends EventEmitter {
+    // Records each producer of a room to its own file on the server, for the post-production.
+    // A JSON manifest lists the tracks and when the participants joined and left, as offsets in
+    // ms from the start of the recording. Emits 'file' for each finished track and the manifest,
+    // then 'end' once stopped.
+
+    constructor(room, options = {}) {
+        super();
+        const { dir = 'rec', ffmpegPath = '/usr/bin/ffmpeg', rtp = {} } = options;
+        this.room = room;
+        this.dir = dir;
+        this.ffmpegPath = ffmpegPath;
+        this.rtp = rtp;
+        this.recording = false;
+        this.startedAt = null;
+        this.prefix = null;
+        this.tracks = new Map(); // producer_id, the tracks being recorded
+        this.manifest = null;
+        this.files = [];
+        this.queue = Promise.resolve();
+    }
+
+    isRecording() {
+        return this.recording;
+    }
+
+    getStatus() {
+        return {
+            recording: this.recording,
+            mode: 'multitrack',
+            startedAt: this.startedAt ? new Date(this.startedAt).toISOString() : null,
+            producers: this.tracks.size,
+            files: this.files.map(({ fileName }) => fileName),
+        };
+    }
+
+    getOffset() {
+        return Date.now() - this.startedAt;
+    }
+
+    start() {
+        if (this.recording) throw new Error('Room is already recorded');
+        this.recording = true;
+        this.startedAt = Date.now();
+        const dateTime = new Date(this.startedAt).toISOString().replace(/[:.]/g, '-');
+        this.prefix = `Rec_${this.room.id}_${dateTime}_multitrack`;
+        this.manifest = {
+            room_id: this.room.id,
+            startedAt: new Date(this.startedAt).toISOString(),
+            stoppedAt: null,
+            participants: [],
+            tracks: [],
+        };
+        log.info('Multitrack recording started', { room_id: this.room.id });
+        return this.update();
+    }
+
+    update() {
+        // Peers joined or left, producers started or stopped
+        if (!this.recording) return this.queue;
+        return this.enqueue(async () => {
+            if (!this.recording) return;
+            this.updateParticipants();
+            await this.updateTracks();
+            this.writeManifest();
+        });
+    }
+
+    stop() {
+        if (!this.recording) return this.queue;
+        this.recording = false;
+        return this.enqueue(async () => {
+            await Promise.all([...this.tracks.values()].map((track) => this.stopTrack(track)));
+            this.updateParticipants();
+            this.manifest.stoppedAt = new Date().toISOString();
+            this.writeManifest();
+
+            const fileName = `${this.prefix}.json`;
+            const filePath = path.join(this.dir, fileName);
+            this.addFile({ fileName, filePath, size: fs.statSync(filePath).size });
+            log.info('Multitrack recording stopped', { room_id: this.room.id, files: this.files.length });
+            this.emit('end', this.getStatus());
+        });
+    }
+
+    enqueue(task) {
+        this.queue = this.queue.then(task).catch((err) => {
+            log.error('Multitrack recording error', { room_id: this.room.id, error: err.message });
+        });
+        return this.queue;
+    }
+
+    // ####################################################
+    // MANIFEST
+    // ####################################################
+
+    updateParticipants() {
+        // A peer joining again keeps its entry, with one more session
+        const offset = this.getOffset();
+        const present = this.recording ? [...this.room.peers.values()] : [];
+        for (const peer of present) {
+            const peer_uuid = peer.peer_uuid || peer.id;
+            let participant = this.manifest.participants.find((entry) => entry.peer_uuid === peer_uuid);
+            if (!participant) {
+                participant = { peer_uuid, peer_name: peer.peer_name, sessions: [] };
+                this.manifest.participants.push(participant);
+            }
+            const session = participant.sessions[participant.sessions.length - 1];
+            if (!session || session.leave !== null) {
+                participant.sessions.push({ peer_id: peer.id, join: offset, leave: null });
+            }
+        }
+        const presentIds = present.map(({ id }) => id);
+        for (const participant of this.manifest.participants) {
+            const session = participant.sessions[participant.sessions.length - 1];
+            if (session.leave === null && !presentIds.includes(session.peer_id)) {
+                session.leave = offset;
+            }
+        }
+    }
+
+    writeManifest() {
+        // Written as it goes, so a crash still leaves the tracks described
+        const filePath = path.join(this.dir, `${this.prefix}.json`);
+        fs.writeFileSync(filePath, JSON.stringify(this.manifest, null, 4));
+    }
+
+    // ####################################################
+    // TRACKS
+    // ####################################################
+
+    async updateTracks() {
+        const producers = new Map();
+        for (const peer of this.room.peers.values()) {
+            for (const producer of peer.producers.values()) {
+                if (!producer.closed) producers.set(producer.id, { peer, producer });
+            }
+        }
+        for (const [producer_id, track] of this.tracks) {
+            if (!producers.has(producer_id)) await this.stopTrack(track);
+        }
+        for (const [producer_id, { peer, producer }] of producers) {
+            if (!this.tracks.has(producer_id)) await this.startTrack(peer, producer);
+        }
+    }
+
+    async startTrack(peer, producer) {
+        const input = await new RtpInput(this.room, producer, this.rtp).create();
+        input.consumer.on('producerclose', () => this.update());
+
+        const codec = input.consumer.rtpParameters.codecs[0].mimeType.split('/')[1].toLowerCase();
+        const container = CONTAINERS[codec] || 'mkv';
+        const number = String(this.manifest.tracks.length + 1).padStart(2, '0');
+        const fileName = `${this.prefix}_${number}_${producer.kind}.${container}`;
+        const filePath = path.join(this.dir, fileName);
+
+        const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'multitrack-'));
+        const sdpFile = path.join(tmpDir, 'input.sdp');
+        fs.writeFileSync(sdpFile, input.getSdp());
+
+        const entry = {
+            file: fileName,
+            peer_uuid: peer.peer_uuid || peer.id,
+            peer_name: peer.peer_name,
+            kind: producer.kind,
+            type: producer.appData?.mediaType,
+            codec: codec,
+            start: this.getOffset(),
+            end: null,
+        };
+        this.manifest.tracks.push(entry);
+
+        const track = { producer_id: producer.id, input, entry, tmpDir, fileName, filePath, command: null };
+        track.ended = new Promise((resolve) => {
+            track.command = this.runFFmpeg(sdpFile, filePath, {
+                start: () => input.resume().catch(() => {}),
+                end: resolve,
+            });
+        }).then(() => this.endTrack(track));
+        this.tracks.set(producer.id, track);
+    }
+
+    runFFmpeg(sdpFile, filePath, handlers) {
+        return ffmpeg()
+            .setFfmpegPath(this.ffmpegPath)
+            .input(sdpFile)
+            .inputOptions(['-protocol_whitelist', 'file,udp,rtp', '-fflags', '+genpts'])
+            .outputOptions(['-c copy'])
+            .output(filePath)
+            .on('start', (commandLine) => {
+                log.debug('ffmpeg command', { room_id: this.room.id, cmd: commandLine });
+                handlers.start();
+            })
+            .on('error', (err, stdout, stderr) => {
+                if (!err.message.includes('Exiting normally')) {
+                    log.error(`Error: ${err.message}`, { room_id: this.room.id, stderr });
+                }
+                handlers.end();
+            })
+            .on('end', () => handlers.end())
+            .run();
+    }
+
+    async stopTrack(track) {
+        // SIGINT lets FFmpeg write the end of the file
+        track.command.kill('SIGINT');
+        const timeout = setTimeout(() => track.command.kill('SIGKILL'), 10000);
+        await track.ended;
+        clearTimeout(timeout);
+    }
+
+    endTrack(track) {
+        if (this.tracks.get(track.producer_id) === track) this.tracks.delete(track.producer_id);
+        track.input.close();
+        fs.rmSync(track.tmpDir, { recursive: true, force: true });
+        track.entry.end = this.getOffset();
+
+        const size = fs.existsSync(track.filePath) ? fs.statSync(track.filePath).size : 0;
+        if (!size) {
+            // Kept in the manifest with a null file, the producer sent nothing
+            log.warn('Empty track removed', { file: track.fileName });
+            fs.rmSync(track.filePath, { force: true });
+            track.entry.file = null;
+            return;
+        }
+        this.addFile({ fileName: track.fileName, filePath: track.filePath, size });
+    }
+
+    addFile(file) {
+        this.files.push(file);
+        log.info('Multitrack recording file ready', file);
+        this.emit('file', file);
+    }
+};
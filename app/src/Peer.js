@@ -19,6 +19,7 @@ module.exports = class Peer {
             peer_recording,
             peer_hand,
             peer_lobby,
+            peer_data_saver,
         } = peer_info;
 
         this.id = socket_id;
@@ -34,10 +35,16 @@ module.exports = class Peer {
         this.peer_recording = peer_recording;
         this.peer_hand = peer_hand;
         this.peer_lobby = peer_lobby;
+        this.peer_data_saver = peer_data_saver === true; // No incoming video but the pinned one and screen shares
 
         this.transports = new Map();
         this.consumers = new Map();
         this.producers = new Map();
+        this.videoTiles = new Map(); // consumer_id -> rendered tile { width, height }, see setVideoTiles
+        this.consumerLayers = new Map(); // consumer_id -> layers and priority last applied
+        this.heldConsumers = new Set(); // consumer_id paused by the last N of the room, see setConsumerForwarded
+
+        this.router_id = null; // Router of the room its transports are on, see Room.getPeerRouter
     }
 
     // ####################################################
@@ -89,6 +96,10 @@ module.exports = class Peer {
                 this.peer_info.peer_lobby = data.status;
                 this.peer_lobby = data.status;
                 break;
+            case 'dataSaver':
+                this.peer_info.peer_data_saver = data.status === true;
+                this.peer_data_saver = data.status === true;
+                break;
             default:
                 break;
         }
@@ -276,6 +287,9 @@ module.exports = class Peer {
 
     delConsumer(consumer_id) {
         this.consumers.delete(consumer_id);
+        this.videoTiles.delete(consumer_id);
+        this.consumerLayers.delete(consumer_id);
+        this.heldConsumers.delete(consumer_id);
     }
 
     addConsumer(consumer_id, consumer) {
@@ -398,6 +412,122 @@ module.exports = class Peer {
         });
     }
 
+    // ####################################################
+    // VIDEO LAYERS
+    // ####################################################
+
+    setVideoTiles(tiles) {
+        if (!Array.isArray(tiles)) {
+            throw new Error('Invalid video tiles, expected an array');
+        }
+        const updated = [];
+        for (const tile of tiles) {
+            const { consumer_id } = tile || {};
+            const width = Math.max(0, Math.round(Number(tile?.width)) || 0);
+            const height = Math.max(0, Math.round(Number(tile?.height)) || 0);
+            const pinned = tile?.pinned === true;
+            const consumer = this.getConsumer(consumer_id);
+            if (!consumer || consumer.kind !== 'video') continue;
+            const current = this.videoTiles.get(consumer_id);
+            if (current && current.width === width && current.height === height && current.pinned === pinned) {
+                continue;
+            }
+            this.videoTiles.set(consumer_id, { width, height, pinned });
+            updated.push(consumer_id);
+        }
+        return updated;
+    }
+
+    getPreferredLayers(consumer_id, isSpeaker = false, options = {}) {
+        const { enabled = true, lowMaxWidth = 320, mediumMaxWidth = 640 } = options;
+        const consumer = this.getConsumer(consumer_id);
+        if (!consumer || consumer.kind !== 'video' || !['simulcast', 'svc'].includes(consumer.type)) {
+            return null;
+        }
+        // simulcast - L1T3/L2T3/L3T3 | svc - L3T3, the layers count from 0
+        const { scalabilityMode = 'L1T1' } = consumer.rtpParameters.encodings[0];
+        const maxSpatialLayer = Math.max(0, parseInt(scalabilityMode.substring(1, 2)) - 1);
+        const maxTemporalLayer = Math.max(0, parseInt(scalabilityMode.substring(3, 4)) - 1);
+
+        if (this.peer_data_saver) {
+            return { spatialLayer: 0, temporalLayer: 0, priority: 1 };
+        }
+        if (!enabled) {
+            return { spatialLayer: maxSpatialLayer, temporalLayer: maxTemporalLayer, priority: 1 };
+        }
+
+        const tile = this.videoTiles.get(consumer_id);
+        let spatialLayer = maxSpatialLayer;
+        let priority = 1;
+        if (isSpeaker) {
+            priority = 3;
+        } else if (tile && tile.width <= lowMaxWidth) {
+            // Thumbnails and hidden tiles
+            spatialLayer = 0;
+        } else if (tile && tile.width <= mediumMaxWidth) {
+            spatialLayer = Math.min(1, maxSpatialLayer);
+        } else if (tile) {
+            priority = 2;
+        }
+        return { spatialLayer, temporalLayer: maxTemporalLayer, priority };
+    }
+
+    async updateConsumerLayers(consumer_id, isSpeaker = false, options = {}) {
+        const layers = this.getPreferredLayers(consumer_id, isSpeaker, options);
+        if (!layers) return false;
+
+        const applied = this.consumerLayers.get(consumer_id);
+        if (
+            applied &&
+            applied.spatialLayer === layers.spatialLayer &&
+            applied.temporalLayer === layers.temporalLayer &&
+            applied.priority === layers.priority
+        ) {
+            return false;
+        }
+        this.consumerLayers.set(consumer_id, layers);
+
+        const consumer = this.getConsumer(consumer_id);
+        const { spatialLayer, temporalLayer, priority } = layers;
+        try {
+            await consumer.setPreferredLayers({ spatialLayer, temporalLayer });
+            await consumer.setPriority(priority);
+            log.debug('Consumer layers updated', { consumer_id, peer_name: this.peer_name, isSpeaker, ...layers });
+            return true;
+        } catch (error) {
+            this.consumerLayers.delete(consumer_id);
+            log.error('Failed to update consumer layers', { consumer_id, error: error.message });
+            return false;
+        }
+    }
+
+    isVideoPinned(consumer_id) {
+        return this.videoTiles.get(consumer_id)?.pinned === true;
+    }
+
+    isConsumerHeld(consumer_id) {
+        return this.heldConsumers.has(consumer_id);
+    }
+
+    async setConsumerForwarded(consumer_id, forwarded) {
+        const consumer = this.getConsumer(consumer_id);
+        if (!consumer || forwarded !== this.heldConsumers.has(consumer_id)) return false;
+        try {
+            if (forwarded) {
+                this.heldConsumers.delete(consumer_id);
+                await consumer.resume();
+            } else {
+                this.heldConsumers.add(consumer_id);
+                await consumer.pause();
+            }
+            log.debug('Consumer forwarding updated', { consumer_id, peer_name: this.peer_name, forwarded });
+            return true;
+        } catch (error) {
+            log.error('Failed to update consumer forwarding', { consumer_id, forwarded, error: error.message });
+            return false;
+        }
+    }
+
     // ####################################################
     // CLOSE PEER
     // ####################################################
@@ -425,6 +555,9 @@ module.exports = class Peer {
             }
         }
         this.consumers.clear();
+        this.videoTiles.clear();
+        this.consumerLayers.clear();
+        this.heldConsumers.clear();
 
         // Close all producers
         for (const [producer_id, producer] of this.producers.entries()) {
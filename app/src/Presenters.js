@@ -0,0 +1,32 @@
+'use strict';
+
+function isJoinPresenter(presentersCfg, { roomClaims, peer_name, presentersCount }) {
+    // A room token carries the role, neither its name nor joining first can promote it
+    if (roomClaims) {
+        return roomClaims.role === 'presenter';
+    }
+    return Boolean(presentersCfg?.list?.includes(peer_name) || (presentersCfg?.join_first && presentersCount === 0));
+}
+
+function isLoginPresenter(presentersCfg, username) {
+    // join_first is decided when the peer joins a room, not for every room the login token opens
+    return Boolean(presentersCfg?.list?.includes(username));
+}
+
+function promote(presenters, room_id, peer) {
+    // Keeps the ip the peer joined with, when it was already known
+    if (!(room_id in presenters)) presenters[room_id] = {};
+    presenters[room_id][peer.id] = {
+        ...presenters[room_id][peer.id],
+        peer_name: peer.peer_name,
+        peer_uuid: peer.peer_uuid,
+        is_presenter: true,
+    };
+    return presenters[room_id][peer.id];
+}
+
+module.exports = {
+    isJoinPresenter,
+    isLoginPresenter,
+    promote,
+};
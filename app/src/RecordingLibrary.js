@@ -0,0 +1,279 @@
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const ffmpeg = require('fluent-ffmpeg');
+const {
+    ListObjectsV2Command,
+    HeadObjectCommand,
+    GetObjectCommand,
+    DeleteObjectCommand,
+} = require('@aws-sdk/client-s3');
+const Validator = require('./Validator');
+const Logger = require('./Logger');
+
+const log = new Logger('RecordingLibrary');
+
+const S3_PREFIX = 'recordings/'; // Keys are recordings/<room_id>/<name>, see Server uploadToS3
+const MEDIA_TYPES = {
+    webm: 'video/webm',
+    mp4: 'video/mp4',
+    mkv: 'video/x-matroska',
+    m4a: 'audio/mp4',
+    jpg: 'image/jpeg',
+    gif: 'image/gif',
+    json: 'application/json',
+};
+
+module.exports = class RecordingLibrary {
+    // The recordings kept in the recording dir and, when enabled, in the S3 bucket: list, read,
+    // delete, and download links signed with an expiry for the people without an API key.
+    // The links are signed with a key derived from the secret, never with the secret itself.
+
+    constructor(options = {}) {
+        const {
+            dir,
+            s3Client = null,
+            bucket = '',
+            secret,
+            ffmpegPath = '/usr/bin/ffmpeg',
+            linkExpiresIn = 3600, // s
+            maxLinkExpiresIn = 7 * 24 * 3600, // s
+            probeConcurrency = 4, // recordings probed at once
+        } = options;
+        if (!secret) throw new Error('Recording library needs a secret to sign the links');
+        this.dir = dir;
+        this.s3Client = s3Client;
+        this.bucket = bucket;
+        this.linkKey = Buffer.from(crypto.hkdfSync('sha256', secret, '', 'mirotalksfu recording links', 32));
+        this.probeConcurrency = Math.max(1, probeConcurrency);
+        this.ffprobePath = path.join(path.dirname(ffmpegPath), path.basename(ffmpegPath).replace('ffmpeg', 'ffprobe'));
+        this.linkExpiresIn = linkExpiresIn;
+        this.maxLinkExpiresIn = maxLinkExpiresIn;
+        this.durations = new Map(); // name:size:mtime, the durations probed already
+    }
+
+    static getRoomId(name) {
+        return name.split('_')[1] || '';
+    }
+
+    static getMediaType(name) {
+        return MEDIA_TYPES[path.extname(name).slice(1)] || 'application/octet-stream';
+    }
+
+    isS3Enabled() {
+        return !!this.s3Client && !!this.bucket;
+    }
+
+    getS3Key(name) {
+        return `${S3_PREFIX}${RecordingLibrary.getRoomId(name)}/${name}`;
+    }
+
+    getFilePath(name) {
+        if (!Validator.isValidRecordingName(name)) throw new Error('Invalid recording name');
+        return path.join(this.dir, name);
+    }
+
+    // ####################################################
+    // LIST
+    // ####################################################
+
+    async list(filters = {}) {
+        // Newest first, filtered by room and by creation date. The retention asks for the post-processing
+        // sidecars too, and does without the durations.
+        const { from, to, storage } = filters;
+        const fromTime = from ? new Date(from).getTime() : -Infinity;
+        const toTime = to ? new Date(to).getTime() : Infinity;
+        if (Number.isNaN(fromTime) || Number.isNaN(toTime)) throw new Error('Invalid date filter');
+
+        const recordings = [];
+        if (!storage || storage === 'local') recordings.push(...(await this.listLocal(filters)));
+        if ((!storage || storage === 's3') && this.isS3Enabled()) recordings.push(...(await this.listS3(filters)));
+        return recordings
+            .filter(({ createdAt }) => {
+                const time = new Date(createdAt).getTime();
+                return time >= fromTime && time <= toTime;
+            })
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    }
+
+    isListed(name, { room_id, sidecars = false }) {
+        // The post-processing sidecars describe a recording, they are not one
+        if (!Validator.isValidRecordingName(name) || (!sidecars && name.endsWith('.jobs.json'))) return false;
+        return !room_id || RecordingLibrary.getRoomId(name) === room_id;
+    }
+
+    async listLocal(filters) {
+        let names;
+        try {
+            names = await fs.promises.readdir(this.dir);
+        } catch (err) {
+            if (err.code === 'ENOENT') return [];
+            throw err;
+        }
+        // A few FFmpeg probes at a time, a large library must not start one per recording
+        const pending = names.filter((name) => this.isListed(name, filters));
+        const recordings = [];
+        const listNext = async () => {
+            for (let name = pending.shift(); name; name = pending.shift()) {
+                const recording = await this.getLocalRecording(name, filters);
+                if (recording) recordings.push(recording);
+            }
+        };
+        await Promise.all(Array.from({ length: Math.min(this.probeConcurrency, pending.length) }, listNext));
+        return recordings;
+    }
+
+    async getLocalRecording(name, filters) {
+        const filePath = path.join(this.dir, name);
+        let stat;
+        try {
+            stat = await fs.promises.stat(filePath);
+        } catch (err) {
+            // Deleted since listed
+            if (err.code === 'ENOENT') return null;
+            throw err;
+        }
+        if (!stat.isFile()) return null;
+        return {
+            name,
+            room_id: RecordingLibrary.getRoomId(name),
+            storage: 'local',
+            size: stat.size,
+            duration: filters.durations === false ? null : await this.getDuration(filePath, stat),
+            createdAt: stat.mtime.toISOString(),
+        };
+    }
+
+    async listS3(filters) {
+        const { room_id } = filters;
+        const recordings = [];
+        let ContinuationToken;
+        do {
+            const page = await this.s3Client.send(
+                new ListObjectsV2Command({
+                    Bucket: this.bucket,
+                    Prefix: room_id ? `${S3_PREFIX}${room_id}/` : S3_PREFIX,
+                    ContinuationToken,
+                })
+            );
+            for (const object of page.Contents || []) {
+                const name = path.basename(object.Key);
+                if (!this.isListed(name, filters)) continue;
+                recordings.push({
+                    name,
+                    room_id: RecordingLibrary.getRoomId(name),
+                    storage: 's3',
+                    size: object.Size,
+                    duration: filters.durations === false ? null : await this.getS3Duration(object.Key),
+                    createdAt: new Date(object.LastModified).toISOString(),
+                });
+            }
+            ContinuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+        } while (ContinuationToken);
+        return recordings;
+    }
+
+    // ####################################################
+    // DURATION
+    // ####################################################
+
+    async getDuration(filePath, stat) {
+        if (!/\.(webm|mp4|mkv|m4a)$/.test(filePath)) return null;
+        if (!stat) stat = await fs.promises.stat(filePath);
+        const key = `${path.basename(filePath)}:${stat.size}:${stat.mtimeMs}`;
+        if (!this.durations.has(key)) {
+            this.durations.set(key, await this.probeDuration(filePath));
+        }
+        return this.durations.get(key);
+    }
+
+    probeDuration(filePath) {
+        // In seconds, null when FFmpeg cannot tell, like for a WebM still being uploaded
+        return new Promise((resolve) => {
+            const command = ffmpeg(filePath).setFfprobePath(this.ffprobePath);
+            command.ffprobe((err, metadata) => {
+                const duration = Number(metadata?.format?.duration);
+                resolve(!err && Number.isFinite(duration) ? Math.round(duration * 1000) / 1000 : null);
+            });
+        });
+    }
+
+    async getS3Duration(key) {
+        // Probed before the upload, see Server uploadToS3
+        if (!/\.(webm|mp4|mkv|m4a)$/.test(key)) return null;
+        try {
+            const head = await this.s3Client.send(new HeadObjectCommand({ Bucket: this.bucket, Key: key }));
+            const duration = Number(head.Metadata?.duration);
+            return head.Metadata?.duration && Number.isFinite(duration) ? duration : null;
+        } catch (err) {
+            log.warn('Recording metadata unavailable', { key, error: err.message });
+            return null;
+        }
+    }
+
+    // ####################################################
+    // READ AND DELETE
+    // ####################################################
+
+    async getStorage(name, storage) {
+        // Where the recording is, the local copy first
+        if (storage !== 's3' && (await this.isLocal(name))) return 'local';
+        if (storage !== 'local' && this.isS3Enabled()) {
+            try {
+                await this.s3Client.send(new HeadObjectCommand({ Bucket: this.bucket, Key: this.getS3Key(name) }));
+                return 's3';
+            } catch (err) {
+                return null;
+            }
+        }
+        return null;
+    }
+
+    async isLocal(name) {
+        return fs.promises.access(this.getFilePath(name)).then(
+            () => true,
+            () => false
+        );
+    }
+
+    async getS3Object(name, range) {
+        return this.s3Client.send(
+            new GetObjectCommand({ Bucket: this.bucket, Key: this.getS3Key(name), ...(range && { Range: range }) })
+        );
+    }
+
+    async delete(name, storage) {
+        if (storage === 'local') {
+            await fs.promises.unlink(this.getFilePath(name));
+        } else {
+            await this.s3Client.send(new DeleteObjectCommand({ Bucket: this.bucket, Key: this.getS3Key(name) }));
+        }
+        log.info('Recording deleted', { name, storage });
+    }
+
+    // ####################################################
+    // SIGNED LINKS
+    // ####################################################
+
+    getSignature(name, storage, expires) {
+        return crypto.createHmac('sha256', this.linkKey).update(`${storage}:${name}:${expires}`).digest('hex');
+    }
+
+    sign(name, storage, expiresIn = this.linkExpiresIn) {
+        if (!Number.isInteger(expiresIn) || expiresIn <= 0 || expiresIn > this.maxLinkExpiresIn) {
+            throw new Error(`Invalid expiresIn, expected seconds up to ${this.maxLinkExpiresIn}`);
+        }
+        const expires = Math.floor(Date.now() / 1000) + expiresIn;
+        return { storage, expires, signature: this.getSignature(name, storage, expires) };
+    }
+
+    verify(name, storage, expires, signature) {
+        if (!Validator.isValidRecordingName(name) || !['local', 's3'].includes(storage)) return false;
+        if (!/^\d+$/.test(String(expires)) || Number(expires) < Date.now() / 1000) return false;
+        const expected = Buffer.from(this.getSignature(name, storage, Number(expires)));
+        const received = Buffer.from(String(signature || ''));
+        return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+    }
+};
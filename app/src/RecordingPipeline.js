@@ -0,0 +1,240 @@
+'use strict';
+
+const EventEmitter = require('events');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const ffmpeg = require('fluent-ffmpeg');
+const Logger = require('./Logger');
+
+const log = new Logger('RecordingPipeline');
+
+const JOBS = ['mp4', 'm4a', 'thumbnail', 'preview', 'checksum'];
+
+module.exports = class RecordingPipeline extends EventEmitter {
+    // Post-processing of the finished recordings: MP4/H.264 copy for the players that cannot read
+    // WebM, audio only M4A, JPG thumbnail, GIF preview and SHA-256 checksum. The recordings wait in a
+    // queue, their jobs run one after the other and report in a <name>.jobs.json sidecar file.
+    // Emits 'done' with the sidecar once all the jobs of a recording ran.
+
+    constructor(options = {}) {
+        super();
+        const {
+            jobs = JOBS,
+            concurrency = 1,
+            ffmpegPath = '/usr/bin/ffmpeg',
+            thumbnailAt = 1, // s
+            previewDuration = 5, // s
+        } = options;
+        const unknown = jobs.filter((job) => !JOBS.includes(job));
+        if (unknown.length) {
+            throw new Error(`Unknown recording job ${unknown.join(', ')}, expected ${JOBS.join(', ')}`);
+        }
+        this.jobs = jobs;
+        this.concurrency = Math.max(1, concurrency);
+        this.ffmpegPath = ffmpegPath;
+        this.thumbnailAt = thumbnailAt;
+        this.previewDuration = previewDuration;
+        this.queue = []; // [{ filePath, sidecar, written, resolve }]
+        this.running = 0;
+        this.tasks = new Map(); // filePath => the promise of the recording queued or running
+    }
+
+    static getSidecarPath(filePath) {
+        const { dir, name } = path.parse(filePath);
+        return path.join(dir, `${name}.jobs.json`);
+    }
+
+    static readSidecar(filePath) {
+        try {
+            return JSON.parse(fs.readFileSync(RecordingPipeline.getSidecarPath(filePath), 'utf8'));
+        } catch (err) {
+            return null;
+        }
+    }
+
+    getPending() {
+        return this.tasks.size;
+    }
+
+    add(filePath) {
+        // Resolves with the sidecar once all the jobs ran, a failed job does not stop the others
+        const task = this.tasks.get(filePath);
+        if (task) {
+            // Already queued or running, the same recording is processed once
+            log.debug('Recording already in the pipeline', { source: path.basename(filePath) });
+            return task;
+        }
+        const sidecar = {
+            source: path.basename(filePath),
+            createdAt: new Date().toISOString(),
+            updatedAt: new Date().toISOString(),
+            jobs: Object.fromEntries(this.jobs.map((job) => [job, { status: 'pending' }])),
+        };
+        // Queued at once to keep the order, its jobs wait for the sidecar to be written
+        const written = this.writeSidecar(filePath, sidecar);
+        const promise = new Promise((resolve) => {
+            this.queue.push({ filePath, sidecar, written, resolve });
+            this.next();
+        }).finally(() => this.tasks.delete(filePath));
+        this.tasks.set(filePath, promise);
+        return promise;
+    }
+
+    recover(dir) {
+        // The recordings the process stopped in the middle of, after a restart
+        if (!fs.existsSync(dir)) return [];
+        const filePaths = fs
+            .readdirSync(dir)
+            .filter((file) => file.endsWith('.jobs.json'))
+            .map((file) => this.readRecoverable(path.join(dir, file)))
+            .filter(Boolean)
+            .map(({ source }) => path.join(dir, path.basename(source)))
+            .filter((filePath) => fs.existsSync(filePath));
+        filePaths.forEach((filePath) => this.add(filePath));
+        if (filePaths.length) log.info('Recording jobs recovered', { recordings: filePaths.length });
+        return filePaths;
+    }
+
+    readRecoverable(sidecarPath) {
+        // An unreadable sidecar is skipped, it must not stop the server from starting
+        try {
+            const sidecar = JSON.parse(fs.readFileSync(sidecarPath, 'utf8'));
+            const unfinished = Object.values(sidecar.jobs).some(({ status }) =>
+                ['pending', 'running'].includes(status)
+            );
+            return unfinished && typeof sidecar.source === 'string' ? sidecar : null;
+        } catch (err) {
+            log.warn('Skipping unreadable recording sidecar', { file: path.basename(sidecarPath), error: err.message });
+            return null;
+        }
+    }
+
+    next() {
+        while (this.running < this.concurrency && this.queue.length) {
+            const { filePath, sidecar, written, resolve } = this.queue.shift();
+            this.running++;
+            written
+                .then(() => this.process(filePath, sidecar))
+                .then(() => {
+                    log.info('Recording processed', { source: sidecar.source, jobs: this.getSummary(sidecar) });
+                    this.emit('done', filePath, sidecar);
+                    resolve(sidecar);
+                })
+                .finally(() => {
+                    this.running--;
+                    this.next();
+                });
+        }
+    }
+
+    async process(filePath, sidecar) {
+        for (const job of Object.keys(sidecar.jobs)) {
+            const state = sidecar.jobs[job];
+            Object.assign(state, { status: 'running', startedAt: new Date().toISOString() });
+            await this.writeSidecar(filePath, sidecar);
+            try {
+                Object.assign(state, await this.runJob(job, filePath));
+            } catch (err) {
+                log.warn('Recording job failed', { source: sidecar.source, job, error: err.message });
+                Object.assign(state, { status: 'failed', error: err.message });
+            }
+            state.finishedAt = new Date().toISOString();
+            await this.writeSidecar(filePath, sidecar);
+        }
+    }
+
+    getSummary(sidecar) {
+        return Object.fromEntries(Object.entries(sidecar.jobs).map(([job, { status }]) => [job, status]));
+    }
+
+    async writeSidecar(filePath, sidecar) {
+        sidecar.updatedAt = new Date().toISOString();
+        // Write and rename, a crash never leaves a half written sidecar behind
+        const sidecarPath = RecordingPipeline.getSidecarPath(filePath);
+        try {
+            await fs.promises.writeFile(sidecarPath + '.tmp', JSON.stringify(sidecar, null, 4));
+            await fs.promises.rename(sidecarPath + '.tmp', sidecarPath);
+        } catch (err) {
+            // The sidecar only reports, the jobs go on without it
+            log.warn('Unable to write the recording sidecar', { source: sidecar.source, error: err.message });
+        }
+    }
+
+    // ####################################################
+    // JOBS
+    // ####################################################
+
+    async runJob(job, filePath) {
+        const { dir, name, ext } = path.parse(filePath);
+        const output = (extension) => path.join(dir, `${name}.${extension}`);
+        const done = (outputPath) => ({ status: 'done', output: path.basename(outputPath) });
+
+        switch (job) {
+            case 'mp4': {
+                if (ext.toLowerCase() === '.mp4') return { status: 'skipped' };
+                const outputPath = output('mp4');
+                await this.runFFmpeg(filePath, outputPath, [
+                    '-c:v libx264',
+                    '-preset veryfast',
+                    '-pix_fmt yuv420p',
+                    '-c:a aac',
+                    '-b:a 128k',
+                    '-movflags +faststart',
+                ]);
+                return done(outputPath);
+            }
+            case 'm4a': {
+                const outputPath = output('m4a');
+                await this.runFFmpeg(filePath, outputPath, ['-vn', '-c:a aac', '-b:a 128k']);
+                return done(outputPath);
+            }
+            case 'thumbnail': {
+                const outputPath = output('jpg');
+                await this.runFFmpeg(filePath, outputPath, [
+                    `-ss ${this.thumbnailAt}`,
+                    '-frames:v 1',
+                    '-vf scale=320:-2',
+                ]);
+                return done(outputPath);
+            }
+            case 'preview': {
+                const outputPath = output('gif');
+                await this.runFFmpeg(filePath, outputPath, [
+                    `-t ${this.previewDuration}`,
+                    '-vf fps=10,scale=320:-2:flags=lanczos',
+                    '-loop 0',
+                ]);
+                return done(outputPath);
+            }
+            case 'checksum':
+                return { status: 'done', sha256: await this.getChecksum(filePath) };
+        }
+    }
+
+    runFFmpeg(inputPath, outputPath, outputOptions) {
+        return new Promise((resolve, reject) => {
+            ffmpeg(inputPath)
+                .setFfmpegPath(this.ffmpegPath)
+                .outputOptions(['-y', ...outputOptions])
+                .output(outputPath)
+                .on('start', (commandLine) => log.debug('ffmpeg command', { cmd: commandLine }))
+                .on('error', (err) => {
+                    fs.rmSync(outputPath, { force: true });
+                    reject(err);
+                })
+                .on('end', () => resolve())
+                .run();
+        });
+    }
+
+    getChecksum(filePath) {
+        return new Promise((resolve, reject) => {
+            const hash = crypto.createHash('sha256');
+            fs.createReadStream(filePath)
+                .on('data', (chunk) => hash.update(chunk))
+                .on('error', reject)
+                .on('end', () => resolve(hash.digest('hex')));
+        });
+    }
+};
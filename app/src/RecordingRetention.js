@@ -0,0 +1,159 @@
+'use strict';
+
+const fs = require('fs');
+const Logger = require('./Logger');
+
+const log = new Logger('RecordingRetention');
+
+const MB = 1024 * 1024;
+const DAY = 24 * 60 * 60 * 1000;
+const ACTIVE_WINDOW = 10 * 60 * 1000; // ms, a file written to since is still recorded, uploaded or processed
+
+module.exports = class RecordingRetention {
+    // Scheduled cleanup of the recording library: the recordings older than maxAge go first, then the
+    // oldest ones of each room over its quota, then the oldest ones while the storage is over maxTotalSize.
+    // Local storage and the S3 bucket are counted apart. Also tells when the disk holding the recordings
+    // is below the free space floor, for the uploads to be refused before the disk is full.
+
+    constructor(library, options = {}) {
+        const {
+            storages = ['local'],
+            interval = 3600, // s
+            maxAge = 0, // days, 0 keeps them
+            maxTotalSize = 0, // MB per storage, 0 for no limit
+            roomQuota = 0, // MB per room, 0 for no limit
+            roomQuotas = {}, // { room_id: MB }, instead of roomQuota
+            minFreeDisk = 512, // MB, 0 to never refuse an upload
+        } = options;
+        this.library = library;
+        this.storages = storages;
+        this.interval = interval;
+        this.maxAge = maxAge;
+        this.maxTotalSize = maxTotalSize;
+        this.roomQuota = roomQuota;
+        this.roomQuotas = roomQuotas;
+        this.minFreeDisk = minFreeDisk;
+        this.timer = null;
+        this.running = null;
+    }
+
+    start() {
+        this.timer = setInterval(() => this.run(), this.interval * 1000);
+        this.timer.unref();
+        log.info('Recording retention started', {
+            storages: this.storages,
+            interval: this.interval,
+            maxAge: this.maxAge,
+            maxTotalSize: this.maxTotalSize,
+            roomQuota: this.roomQuota,
+        });
+        return this.run();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    // ####################################################
+    // DISK
+    // ####################################################
+
+    async getFreeDisk() {
+        // MB, null when the disk cannot tell
+        try {
+            const { bavail, bsize } = await fs.promises.statfs(this.library.dir);
+            return Math.floor((bavail * bsize) / MB);
+        } catch (err) {
+            return null;
+        }
+    }
+
+    async isDiskFull() {
+        if (!this.minFreeDisk) return false;
+        const freeMB = await this.getFreeDisk();
+        return freeMB !== null && freeMB < this.minFreeDisk;
+    }
+
+    // ####################################################
+    // CLEANUP
+    // ####################################################
+
+    run() {
+        // A run asked for while one is going on shares it
+        if (!this.running) {
+            this.running = this.cleanup().finally(() => (this.running = null));
+        }
+        return this.running;
+    }
+
+    async cleanup() {
+        const deleted = [];
+        for (const storage of this.storages) {
+            let recordings;
+            try {
+                recordings = await this.library.list({ storage, sidecars: true, durations: false });
+            } catch (err) {
+                log.error('Recording retention list failed', { storage, error: err.message });
+                continue;
+            }
+            for (const recording of this.getExpired(recordings, Date.now())) {
+                try {
+                    await this.library.delete(recording.name, storage);
+                    deleted.push(recording);
+                } catch (err) {
+                    log.warn('Recording retention delete failed', { name: recording.name, error: err.message });
+                }
+            }
+        }
+        if (deleted.length) {
+            log.info('Recording retention done', {
+                deleted: deleted.length,
+                freedMB: Math.round(deleted.reduce((total, { size }) => total + size, 0) / MB),
+            });
+        }
+        return deleted;
+    }
+
+    getExpired(recordings, now) {
+        // The recordings of one storage to delete, each with the reason
+        const oldestFirst = [...recordings].sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+        const kept = new Set(oldestFirst);
+        const expired = [];
+        const isActive = ({ createdAt }) => now - new Date(createdAt).getTime() < ACTIVE_WINDOW;
+        const expire = (recording, reason) => {
+            kept.delete(recording);
+            expired.push({ ...recording, reason });
+        };
+        const getSize = (list) => list.reduce((total, { size }) => total + size, 0);
+
+        if (this.maxAge) {
+            oldestFirst
+                .filter(({ createdAt }) => now - new Date(createdAt).getTime() > this.maxAge * DAY)
+                .forEach((recording) => expire(recording, 'maxAge'));
+        }
+
+        const rooms = new Set(oldestFirst.map(({ room_id }) => room_id));
+        for (const room_id of rooms) {
+            const quota = this.roomQuotas[room_id] ?? this.roomQuota;
+            if (!quota) continue;
+            const room = [...kept].filter((recording) => recording.room_id === room_id);
+            let size = getSize(room);
+            for (const recording of room.filter((recording) => !isActive(recording))) {
+                if (size <= quota * MB) break;
+                expire(recording, 'roomQuota');
+                size -= recording.size;
+            }
+        }
+
+        if (this.maxTotalSize) {
+            let size = getSize([...kept]);
+            for (const recording of [...kept].filter((recording) => !isActive(recording))) {
+                if (size <= this.maxTotalSize * MB) break;
+                expire(recording, 'maxTotalSize');
+                size -= recording.size;
+            }
+        }
+        return expired;
+    }
+};
@@ -0,0 +1,176 @@
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { withFileLock } = require('./MutexManager');
+const Logger = require('./Logger');
+
+const log = new Logger('RecordingUploads');
+
+const KEPT_CHECKSUMS = 16; // Of the last chunks, to tell a retry from a conflicting chunk
+
+module.exports = class RecordingUploads {
+    // Resumable recording uploads: the chunks are numbered from 1 and committed in order, each with its
+    // SHA-256. A chunk sent again is acknowledged without being written twice, so a client that lost a
+    // reply can retry, or ask the status for the last committed chunk and go on from there.
+    // A session belongs to the client that created it with its upload key, only that client gets it back.
+    // Sessions and partial files live in <dir>/.uploads, the file moves to <dir> once complete.
+
+    constructor(dir, options = {}) {
+        const {
+            maxFileSize = 1 * 1024 * 1024 * 1024, // 1GB
+            maxChunkSize = 10 * 1024 * 1024, // 10MB
+            sessionTimeout = 24 * 60 * 60 * 1000, // ms without chunk before a session is removed
+        } = options;
+        this.dir = dir;
+        this.uploadsDir = path.join(dir, '.uploads');
+        this.maxFileSize = maxFileSize;
+        this.maxChunkSize = maxChunkSize;
+        this.sessionTimeout = sessionTimeout;
+    }
+
+    getSessionPath(id) {
+        return path.join(this.uploadsDir, `${id}.json`);
+    }
+
+    getPartPath(id) {
+        return path.join(this.uploadsDir, `${id}.part`);
+    }
+
+    getStatus(session) {
+        const { id, fileName, seq, offset } = session;
+        return { sessionId: id, fileName, seq, offset };
+    }
+
+    getOwner(uploadKey) {
+        if (typeof uploadKey !== 'string' || uploadKey.length < 16 || uploadKey.length > 128) {
+            throw new Error('Invalid upload key');
+        }
+        // Only its hash is kept on disk
+        return crypto.createHash('sha256').update(uploadKey).digest('hex');
+    }
+
+    async exists(filePath) {
+        return fs.promises.access(filePath).then(
+            () => true,
+            () => false
+        );
+    }
+
+    async get(id) {
+        if (!/^[0-9a-f-]{36}$/.test(id)) return null;
+        try {
+            return JSON.parse(await fs.promises.readFile(this.getSessionPath(id), 'utf8'));
+        } catch (err) {
+            return null;
+        }
+    }
+
+    async save(session) {
+        session.updatedAt = Date.now();
+        const sessionPath = this.getSessionPath(session.id);
+        await fs.promises.writeFile(sessionPath + '.tmp', JSON.stringify(session));
+        await fs.promises.rename(sessionPath + '.tmp', sessionPath);
+    }
+
+    async remove(id) {
+        await fs.promises.rm(this.getSessionPath(id), { force: true });
+        await fs.promises.rm(this.getPartPath(id), { force: true });
+    }
+
+    async list() {
+        let files;
+        try {
+            files = await fs.promises.readdir(this.uploadsDir);
+        } catch (err) {
+            if (err.code === 'ENOENT') return [];
+            throw err;
+        }
+        const sessions = await Promise.all(
+            files.filter((file) => file.endsWith('.json')).map((file) => this.get(path.basename(file, '.json')))
+        );
+        return sessions.filter(Boolean);
+    }
+
+    async create(fileName, uploadKey) {
+        const owner = this.getOwner(uploadKey);
+        // The same file asked again, by a client that lost the reply, goes on with its session
+        await this.removeExpired();
+        const existing = (await this.list()).find((session) => session.fileName === fileName);
+        if (existing) {
+            if (existing.owner !== owner) throw new Error('Recording already exists');
+            return this.getStatus(existing);
+        }
+        if (await this.exists(path.join(this.dir, fileName))) {
+            throw new Error('Recording already exists');
+        }
+
+        await fs.promises.mkdir(this.uploadsDir, { recursive: true });
+        const session = { id: uuidv4(), fileName, owner, seq: 0, offset: 0, checksums: {}, createdAt: Date.now() };
+        await fs.promises.writeFile(this.getPartPath(session.id), '');
+        await this.save(session);
+        log.debug('Upload session created', { id: session.id, fileName });
+        return this.getStatus(session);
+    }
+
+    async removeExpired() {
+        const now = Date.now();
+        for (const session of await this.list()) {
+            if (now - session.updatedAt > this.sessionTimeout) {
+                log.info('Upload session expired', { id: session.id, fileName: session.fileName });
+                await this.remove(session.id);
+            }
+        }
+    }
+
+    async writeChunk(id, seq, data, checksum) {
+        return withFileLock(this.getSessionPath(id), async () => {
+            const session = await this.get(id);
+            if (!session) throw new Error('Upload session not found');
+            if (!Number.isInteger(seq) || seq < 1) throw new Error('Invalid chunk sequence');
+            if (data.length > this.maxChunkSize) throw new Error('Chunk exceeds limit');
+
+            const sha256 = crypto.createHash('sha256').update(data).digest('hex');
+            if (sha256 !== String(checksum).toLowerCase()) throw new Error('Chunk checksum mismatch');
+
+            if (seq <= session.seq) {
+                // Already committed, a retry
+                const committed = session.checksums[seq];
+                if (committed && committed !== sha256) throw new Error('Chunk conflicts with the committed one');
+                return { ...this.getStatus(session), duplicate: true };
+            }
+            if (seq !== session.seq + 1) throw new Error('Chunk out of order');
+            if (session.offset + data.length > this.maxFileSize) throw new Error('File size exceeds limit');
+
+            // Bytes written after the last commit, by a process that stopped mid-write, are dropped
+            const partPath = this.getPartPath(id);
+            await fs.promises.truncate(partPath, session.offset);
+            await fs.promises.appendFile(partPath, data);
+
+            session.seq = seq;
+            session.offset += data.length;
+            session.checksums[seq] = sha256;
+            delete session.checksums[seq - KEPT_CHECKSUMS];
+            await this.save(session);
+            return { ...this.getStatus(session), duplicate: false };
+        });
+    }
+
+    async complete(id, totalSize) {
+        return withFileLock(this.getSessionPath(id), async () => {
+            const session = await this.get(id);
+            if (!session) throw new Error('Upload session not found');
+            if (session.offset !== totalSize) throw new Error('Upload size mismatch');
+
+            const filePath = path.join(this.dir, session.fileName);
+            if (await this.exists(filePath)) throw new Error('Recording already exists');
+            await fs.promises.truncate(this.getPartPath(id), session.offset);
+            await fs.promises.rename(this.getPartPath(id), filePath);
+            await this.remove(id);
+            log.info('Upload session completed', { id, fileName: session.fileName, size: session.offset });
+            return { fileName: session.fileName, size: session.offset };
+        });
+    }
+};
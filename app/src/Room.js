@@ -2,6 +2,8 @@
 
 const config = require('./config');
 const crypto = require('crypto-js');
+const { randomBytes, scrypt, scryptSync, timingSafeEqual } = require('crypto');
+const { promisify } = require('util');
 const RtmpFile = require('./RtmpFile');
 const RtmpUrl = require('./RtmpUrl');
 const fs = require('fs');
@@ -11,6 +13,7 @@ const Logger = require('./Logger');
 const log = new Logger('Room');
 
 const { audioLevelObserverEnabled, activeSpeakerObserverEnabled } = config.mediasoup.router;
+const { videoLayers = {}, lastN = 0 } = config.mediasoup;
 
 module.exports = class Room {
     constructor(room_id, worker, io) {
@@ -25,13 +28,24 @@ module.exports = class Room {
         this.activeSpeakerObserverEnabled =
             activeSpeakerObserverEnabled !== undefined ? activeSpeakerObserverEnabled : false;
         this.activeSpeakerObserver = null;
+        this.videoLayers = {
+            enabled: videoLayers.enabled !== false,
+            lowMaxWidth: videoLayers.lowMaxWidth ?? 320,
+            mediumMaxWidth: videoLayers.mediumMaxWidth ?? 640,
+            speakerHoldTime: videoLayers.speakerHoldTime ?? 2000,
+        };
+        this.activeSpeaker = null; // peer_id, its videos get the highest layer, see setActiveSpeaker
+        this.activeSpeakerSince = 0;
         // ##########################
         this._isBroadcasting = false;
         // ##########################
         this._isLocked = false;
         this._isLobbyEnabled = false;
-        this._roomPassword = null;
+        this._roomPasswordHash = null; // Only the hash, the state persisted never holds the password
         this._hostOnlyRecording = false;
+        this._lastN = lastN; // Videos forwarded to each peer, 0 forwards all of them, see updateForwarding
+        this.recentSpeakers = []; // peer_id, the most recent speaker first
+        this.recorder = null; // CompositeRecorder or MultitrackRecorder, see Server startServerRecording
         // ##########################
         this.recording = {
             recSyncServerToS3: (config?.integrations?.aws?.enabled && config?.media?.recording?.uploadToS3) || false,
@@ -69,6 +83,13 @@ module.exports = class Room {
         this.webRtcTransport = config.mediasoup.webRtcTransport;
         this.router = null;
         this.routerSettings = config.mediasoup.router;
+        // Large rooms grow extra routers on other workers, see EXTRA ROUTERS
+        this.routers = new Map(); // router_id => router, the first one included
+        this.pipedProducers = new Map(); // producer_id:router_id => Promise, producers piped to another router
+        this.maxPeersPerRouter = this.routerSettings.maxPeersPerRouter || 0;
+        this.maxRoutersPerRoom = this.routerSettings.maxRoutersPerRoom || 1;
+        this.getExtraWorker = null;
+        this.addingRouter = null;
         this.createTheRouter();
 
         // RTMP configuration
@@ -86,6 +107,13 @@ module.exports = class Room {
 
         this.maxParticipants = config?.moderation?.room?.maxParticipants || 1000;
         this.globalLobby = config?.moderation?.room?.lobby || false;
+
+        // Breakout rooms
+        this.parentId = null; // Set on the breakout rooms, the id of the main room
+        this.breakout = null; // BreakoutRooms, set on the main room while the breakout is running
+
+        // Room state persistence, see RoomStore
+        this.store = null;
     }
 
     // ####################################################
@@ -120,7 +148,19 @@ module.exports = class Room {
             peersCount: this.getPeersCount(),
             maxParticipants: this.maxParticipants,
             maxParticipantsReached: this.peers.size > this.maxParticipants,
-            globalLobby: this.globalLobby,
+            globalLobby: this.isGlobalLobbyEnabled(),
+            parentId: this.parentId,
+            breakout: this.breakout ? this.breakout.toJson() : null,
+        };
+    }
+
+    getSettings() {
+        return {
+            locked: this._isLocked,
+            lobby: this._isLobbyEnabled,
+            hostOnlyRecording: this._hostOnlyRecording,
+            lastN: this._lastN,
+            moderator: { ...this._moderator },
         };
     }
 
@@ -321,51 +361,235 @@ module.exports = class Room {
     // ####################################################
 
     createTheRouter() {
+        return this.createRouter(this.worker).then((router) => {
+            if (!router) return;
+            this.router = router;
+            if (this.audioLevelObserverEnabled) {
+                log.info('Audio Level Observer enabled, starting observation...');
+                this.startAudioLevelObservation().catch((err) => {
+                    log.error('Failed to start audio level observation', err);
+                });
+            }
+            if (this.activeSpeakerObserverEnabled) {
+                log.info('Active Speaker Observer enabled, starting observation...');
+                this.startActiveSpeakerObserver().catch((err) => {
+                    log.error('Failed to start active speaker observer', err);
+                });
+            }
+            this.router.observer.on('close', () => {
+                log.info('---------------> Router is now closed as the last peer has left the room', {
+                    room: this.id,
+                });
+            });
+        });
+    }
+
+    async createRouter(worker) {
         const { mediaCodecs } = this.routerSettings;
-        this.worker
-            .createRouter({
+        try {
+            const router = await worker.createRouter({
                 mediaCodecs,
-            })
-            .then((router) => {
-                this.router = router;
-                if (this.audioLevelObserverEnabled) {
-                    log.info('Audio Level Observer enabled, starting observation...');
-                    this.startAudioLevelObservation().catch((err) => {
-                        log.error('Failed to start audio level observation', err);
-                    });
-                }
-                if (this.activeSpeakerObserverEnabled) {
-                    log.info('Active Speaker Observer enabled, starting observation...');
-                    this.startActiveSpeakerObserver().catch((err) => {
-                        log.error('Failed to start active speaker observer', err);
-                    });
-                }
-                this.router.observer.on('close', () => {
-                    log.info('---------------> Router is now closed as the last peer has left the room', {
-                        room: this.id,
-                    });
-                });
+                appData: { worker: worker },
+            });
+            this.routers.set(router.id, router);
+            router.observer.on('close', () => {
+                this.routers.delete(router.id);
             });
+            return router;
+        } catch (err) {
+            log.error('Failed to create the router', { room: this.id, worker_pid: worker.pid, error: err.message });
+            return null;
+        }
     }
 
     getRtpCapabilities() {
+        // Same media codecs on every router, so the same capabilities
         return this.router.rtpCapabilities;
     }
 
     closeRouter() {
-        if (this.router && !this.router.closed) {
-            this.router.close();
-            log.debug('Router closed', { router_id: this.router.id });
+        for (const router of [this.router, ...this.routers.values()]) {
+            if (router && !router.closed) {
+                router.close();
+                log.debug('Router closed', { router_id: router.id });
+            }
         }
+        this.routers.clear();
+        this.pipedProducers.clear();
     }
 
     close() {
+        if (this.recorder) this.recorder.stop();
         this.closeAudioLevelObserver();
         this.closeActiveSpeakerObserver();
         this.closeRouter();
         log.debug('Room closed', { room_id: this.id });
     }
 
+    async moveToWorker(worker) {
+        // The router died with its worker, taking every transport, producer and consumer with it
+        this.closeAudioLevelObserver();
+        this.closeActiveSpeakerObserver();
+        this.audioLevelObserver = null;
+        this.activeSpeakerObserver = null;
+        this.peers.forEach((peer) => {
+            peer.close();
+            peer.router_id = null;
+        });
+        // Every peer joins again, the extra routers start over too
+        this.closeRouter();
+        this.router = null;
+
+        this.worker = worker;
+        this.webRtcServer = worker.appData.webRtcServer;
+        await this.createTheRouter();
+
+        log.info('Room moved to a new worker', { room_id: this.id, worker_pid: worker.pid, router: !!this.router });
+        return !!this.router;
+    }
+
+    // ####################################################
+    // EXTRA ROUTERS
+    // ####################################################
+
+    setExtraWorkerProvider(getExtraWorker) {
+        // (workers of the room) => Promise<worker|null>, lets a large room grow routers on other workers
+        this.getExtraWorker = getExtraWorker;
+    }
+
+    getWorkers() {
+        return [...new Set([this.worker, ...Array.from(this.routers.values(), (router) => router.appData.worker)])];
+    }
+
+    getRouterPeersCount(router_id) {
+        let count = 0;
+        this.peers.forEach((peer) => {
+            if (peer.router_id === router_id) count++;
+        });
+        return count;
+    }
+
+    getLoadOn(worker) {
+        const load = { routers: this.worker === worker ? 1 : 0, transports: 0, consumers: 0 };
+        this.routers.forEach((router) => {
+            if (router !== this.router && router.appData.worker === worker) load.routers++;
+        });
+        this.peers.forEach((peer) => {
+            const router = this.routers.get(peer.router_id);
+            const peerWorker = router && router !== this.router ? router.appData.worker : this.worker;
+            if (peerWorker !== worker) return;
+            load.transports += peer.transports.size;
+            load.consumers += peer.consumers.size;
+        });
+        return load;
+    }
+
+    async getPeerRouter(peer) {
+        if (peer.router_id && this.routers.has(peer.router_id)) {
+            return this.routers.get(peer.router_id);
+        }
+        const router = await this.selectRouter();
+        if (!router) {
+            throw new Error(`Room ${this.id} has no router`);
+        }
+        peer.router_id = router.id;
+        return router;
+    }
+
+    async selectRouter() {
+        // The router with the fewest peers
+        let selected = this.router;
+        let lowest = Infinity;
+        this.routers.forEach((router) => {
+            const count = this.getRouterPeersCount(router.id);
+            if (!router.closed && count < lowest) {
+                lowest = count;
+                selected = router;
+            }
+        });
+
+        const isFull = this.maxPeersPerRouter > 0 && lowest >= this.maxPeersPerRouter;
+        if (!isFull || this.routers.size >= this.maxRoutersPerRoom || !this.getExtraWorker) {
+            return selected;
+        }
+
+        // Peers joining together wait for the same new router
+        if (!this.addingRouter) {
+            this.addingRouter = this.addRouter().finally(() => {
+                this.addingRouter = null;
+            });
+        }
+        return (await this.addingRouter) || selected;
+    }
+
+    async addRouter() {
+        let worker;
+        try {
+            worker = await this.getExtraWorker(this.getWorkers());
+        } catch (err) {
+            log.warn('No worker for an extra router', { room_id: this.id, error: err.message });
+        }
+        if (!worker) return null;
+
+        const router = await this.createRouter(worker);
+        if (router) {
+            log.info('Extra router added to the room', {
+                room_id: this.id,
+                router_id: router.id,
+                worker_pid: worker.pid,
+                routers: this.routers.size,
+            });
+        }
+        return router;
+    }
+
+    dropWorker(worker) {
+        // An extra router died with its worker, its peers have to join again
+        const routerIds = [];
+        this.routers.forEach((router) => {
+            if (router.appData.worker === worker) routerIds.push(router.id);
+        });
+        routerIds.forEach((router_id) => this.routers.delete(router_id));
+
+        const peers = Array.from(this.peers.values()).filter((peer) => routerIds.includes(peer.router_id));
+        peers.forEach((peer) => {
+            peer.close();
+            peer.router_id = null;
+        });
+        return peers;
+    }
+
+    getProducerRouter(producer_id) {
+        for (const peer of this.peers.values()) {
+            if (peer.producers.has(producer_id)) {
+                return this.routers.get(peer.router_id) || this.router;
+            }
+        }
+        return null;
+    }
+
+    async pipeProducer(producer_id, router) {
+        // Make the producer of another router available on this one, once
+        const source = this.getProducerRouter(producer_id);
+        if (!source || source === router) return;
+
+        const key = `${producer_id}:${router.id}`;
+        if (!this.pipedProducers.has(key)) {
+            const piping = source
+                .pipeToRouter({ producerId: producer_id, router: router })
+                .then(({ pipeProducer }) => {
+                    pipeProducer.observer.on('close', () => this.pipedProducers.delete(key));
+                    log.debug('Producer piped', { producer_id, from: source.id, to: router.id });
+                })
+                .catch((err) => {
+                    this.pipedProducers.delete(key);
+                    throw err;
+                });
+            this.pipedProducers.set(key, piping);
+        }
+        await this.pipedProducers.get(key);
+    }
+
     // ####################################################
     // PRODUCER AUDIO LEVEL OBSERVER
     // ####################################################
@@ -411,6 +635,8 @@ module.exports = class Room {
                                 };
                                 // log.debug('Sending audio volume', data);
                                 this.sendToAll('audioVolume', data);
+                                this.setActiveSpeaker(id);
+                                this.addRecentSpeaker(id);
                                 return;
                             }
                         });
@@ -424,8 +650,11 @@ module.exports = class Room {
 
     addProducerToAudioLevelObserver(producer) {
         if (this.audioLevelObserverEnabled) {
-            this.audioLevelObserver.addProducer(producer);
-            log.info('Producer added to audio level observer', { producer });
+            // The observer is on the first router, where the producers of the other routers get piped
+            this.pipeProducer(producer.producerId, this.router)
+                .then(() => this.audioLevelObserver.addProducer(producer))
+                .then(() => log.info('Producer added to audio level observer', { producer }))
+                .catch((err) => log.error('Failed to add producer to audio level observer', err.message));
         }
     }
 
@@ -472,6 +701,8 @@ module.exports = class Room {
                             };
                             log.debug('Sending dominant speaker', data);
                             this.sendToAll('dominantSpeaker', data);
+                            this.setActiveSpeaker(id);
+                            this.addRecentSpeaker(id);
                             break;
                         }
                     }
@@ -482,8 +713,10 @@ module.exports = class Room {
 
     addProducerToActiveSpeakerObserver(producer) {
         if (this.activeSpeakerObserverEnabled) {
-            this.activeSpeakerObserver.addProducer(producer);
-            log.info('Producer added to active speaker observer', { producer });
+            this.pipeProducer(producer.producerId, this.router)
+                .then(() => this.activeSpeakerObserver.addProducer(producer))
+                .then(() => log.info('Producer added to active speaker observer', { producer }))
+                .catch((err) => log.error('Failed to add producer to active speaker observer', err.message));
         }
     }
 
@@ -495,6 +728,133 @@ module.exports = class Room {
         }
     }
 
+    // ####################################################
+    // VIDEO LAYERS
+    // ####################################################
+
+    setVideoTiles(socket_id, tiles) {
+        const peer = this.getPeer(socket_id);
+        if (!peer) {
+            throw new Error(`Peer with socket ID ${socket_id} not found in the room`);
+        }
+        const updated = peer.setVideoTiles(tiles);
+        updated.forEach((consumer_id) => this.updateConsumerLayers(peer, consumer_id));
+        // A pinned video is forwarded beyond the last N and in data saver mode
+        if ((this._lastN > 0 || peer.peer_data_saver) && updated.length > 0) this.updateForwarding([peer]);
+        return updated;
+    }
+
+    setActiveSpeaker(peer_id) {
+        if (!this.videoLayers.enabled || peer_id === this.activeSpeaker) return false;
+
+        // Keep the speaker a while, the loudest peer changes too often to switch the layers each time
+        const { speakerHoldTime } = this.videoLayers;
+        if (this.peers.has(this.activeSpeaker) && Date.now() - this.activeSpeakerSince < speakerHoldTime) {
+            return false;
+        }
+
+        const previous = this.activeSpeaker;
+        this.activeSpeaker = peer_id;
+        this.activeSpeakerSince = Date.now();
+        this.updateVideoLayers([previous, peer_id]);
+        return true;
+    }
+
+    isActiveSpeakerProducer(producer_id) {
+        const speaker = this.peers.get(this.activeSpeaker);
+        return !!speaker && speaker.producers.has(producer_id);
+    }
+
+    updateVideoLayers(peer_ids) {
+        // The consumers of the videos of these peers, in every peer of the room
+        const producerIds = new Set();
+        for (const peer_id of peer_ids) {
+            const peer = this.peers.get(peer_id);
+            if (peer) peer.producers.forEach((producer, producer_id) => producerIds.add(producer_id));
+        }
+        this.peers.forEach((peer) => {
+            peer.consumers.forEach((consumer, consumer_id) => {
+                if (producerIds.has(consumer.producerId)) this.updateConsumerLayers(peer, consumer_id);
+            });
+        });
+    }
+
+    updateConsumerLayers(peer, consumer_id) {
+        const consumer = peer.getConsumer(consumer_id);
+        if (!consumer) return;
+        peer.updateConsumerLayers(consumer_id, this.isActiveSpeakerProducer(consumer.producerId), this.videoLayers);
+    }
+
+    // ####################################################
+    // LAST N
+    // ####################################################
+
+    addRecentSpeaker(peer_id) {
+        if (this.recentSpeakers[0] === peer_id) return false;
+        const wasForwarded = this.recentSpeakers.slice(0, this._lastN).includes(peer_id);
+        this.recentSpeakers = [peer_id, ...this.recentSpeakers.filter((id) => id !== peer_id)];
+        // Only a new speaker in the last N changes what the peers receive
+        if (this._lastN > 0 && !wasForwarded) this.updateForwarding();
+        return true;
+    }
+
+    getForwardedPeers(viewer_id) {
+        // The most recent speakers, then the peers that did not speak yet in the order they joined
+        const peer_ids = [...this.recentSpeakers, ...this.peers.keys()].filter(
+            (peer_id) => peer_id !== viewer_id && this.peers.has(peer_id)
+        );
+        return new Set([...new Set(peer_ids)].slice(0, this._lastN));
+    }
+
+    getProducerPeer(producer_id) {
+        for (const peer of this.peers.values()) {
+            if (peer.producers.has(producer_id)) return peer;
+        }
+        return null;
+    }
+
+    isForwarded(peer, consumer, forwardedPeers = this.getForwardedPeers(peer.id)) {
+        if (consumer.kind !== 'video' || peer.isVideoPinned(consumer.id)) return true;
+        if (this._lastN === 0 && !peer.peer_data_saver) return true;
+        const producerPeer = this.getProducerPeer(consumer.producerId);
+        if (!producerPeer) return true;
+        // Screen shares are always forwarded
+        const producer = producerPeer.producers.get(consumer.producerId);
+        if (['screen', 'screenType'].includes(producer?.appData?.mediaType)) return true;
+        return !peer.peer_data_saver && forwardedPeers.has(producerPeer.id);
+    }
+
+    async updateForwarding(peers = [...this.peers.values()]) {
+        await Promise.all(
+            peers.map(async (peer) => {
+                const forwardedPeers = this.getForwardedPeers(peer.id);
+                const changes = await Promise.all(
+                    [...peer.consumers.values()].map((consumer) =>
+                        peer.setConsumerForwarded(consumer.id, this.isForwarded(peer, consumer, forwardedPeers))
+                    )
+                );
+                if (changes.includes(true)) this.sendForwarding(peer);
+            })
+        );
+    }
+
+    sendForwarding(peer) {
+        // The tiles of the paused videos show the avatar of the peer instead
+        this.send(peer.id, 'videoForwarding', {
+            lastN: this._lastN,
+            dataSaver: peer.peer_data_saver,
+            paused: [...peer.heldConsumers],
+        });
+    }
+
+    updateDataSaver(peer) {
+        // The videos still forwarded, pinned and screen shares, drop to the lowest layer
+        peer.consumers.forEach((consumer, consumer_id) => {
+            if (consumer.kind === 'video') this.updateConsumerLayers(peer, consumer_id);
+        });
+        return this.updateForwarding([peer]);
+    }
+
     // ####################################################
     // ROOM NOTIFICATIONS
     // ####################################################
@@ -502,6 +862,7 @@ module.exports = class Room {
     updateRoomNotifications(data) {
         log.debug('Update room notifications', data);
         this.notifications = data.notifications;
+        this.saveState();
     }
 
     getRoomNotifications() {
@@ -516,6 +877,7 @@ module.exports = class Room {
     updateRoomModeratorALL(data) {
         this._moderator = data;
         log.debug('Update room moderator all data', this._moderator);
+        this.saveState();
     }
 
     updateRoomModerator(data) {
@@ -554,6 +916,7 @@ module.exports = class Room {
             default:
                 break;
         }
+        this.saveState();
     }
 
     // ####################################################
@@ -562,6 +925,8 @@ module.exports = class Room {
 
     addPeer(peer) {
         this.peers.set(peer.id, peer);
+        this.touchState();
+        if (this.recorder) this.recorder.update();
     }
 
     delPeer(peer) {
@@ -576,6 +941,15 @@ module.exports = class Room {
         return peer;
     }
 
+    getPeerByUuid(peer_uuid) {
+        return Array.from(this.peers.values()).find((peer) => peer.peer_uuid === peer_uuid);
+    }
+
+    findPeer(peer_key) {
+        // The peer can be addressed either by socket id or by peer_uuid
+        return this.getPeer(peer_key) || this.getPeerByUuid(peer_key);
+    }
+
     getPeers() {
         return this.peers;
     }
@@ -609,7 +983,18 @@ module.exports = class Room {
 
         this.delPeer(peer);
 
-        if (this.getPeersCount() === 0) {
+        if (this.activeSpeaker === socket_id) {
+            this.activeSpeaker = null;
+        }
+        if (this.recentSpeakers.includes(socket_id)) {
+            this.recentSpeakers = this.recentSpeakers.filter((peer_id) => peer_id !== socket_id);
+        }
+        // Another peer takes its place in the last N
+        if (this._lastN > 0) this.updateForwarding();
+        if (this.recorder) this.recorder.update();
+
+        // While the breakout is running, peers come and go between its rooms
+        if (this.getPeersCount() === 0 && !this.isInBreakout()) {
             this.close();
         }
     }
@@ -626,10 +1011,10 @@ module.exports = class Room {
     // WebRTC TRANSPORT
     // ####################################################
 
-    getWebRtcTransportOptions() {
+    getWebRtcTransportOptions(webRtcServer = this.webRtcServer) {
         const { iceConsentTimeout = 35, initialAvailableOutgoingBitrate, listenInfos } = this.webRtcTransport;
         return {
-            ...(this.webRtcServerActive ? { webRtcServer: this.webRtcServer } : { listenInfos: listenInfos }),
+            ...(this.webRtcServerActive ? { webRtcServer: webRtcServer } : { listenInfos: listenInfos }),
             enableUdp: true,
             enableTcp: true,
             preferUdp: true,
@@ -643,13 +1028,16 @@ module.exports = class Room {
             throw new Error(`Peer with socket ID ${socket_id} not found in the room`);
         }
 
-        const webRtcTransportOptions = this.getWebRtcTransportOptions();
+        // Both transports of a peer are on its router, picked on the first one
+        const router = await this.getPeerRouter(this.getPeer(socket_id));
+
+        const webRtcTransportOptions = this.getWebRtcTransportOptions(router.appData.worker.appData.webRtcServer);
 
         log.debug('webRtcTransportOptions ----->', webRtcTransportOptions);
 
         let transport;
         try {
-            transport = await this.router.createWebRtcTransport(webRtcTransportOptions);
+            transport = await router.createWebRtcTransport(webRtcTransportOptions);
             if (!transport) {
                 throw new Error('Failed to create WebRTC Transport');
             }
@@ -871,6 +1259,9 @@ module.exports = class Room {
             codecs: rtpParameters.codecs?.map((c) => c.mimeType) || [],
         });
 
+        // A server recording of the room moves on to a new file with this producer
+        if (this.recorder) this.recorder.update();
+
         return id;
     }
 
@@ -903,7 +1294,16 @@ module.exports = class Room {
         const peer = this.getPeer(socket_id);
         const { peer_name } = peer;
 
-        if (!this.router.canConsume({ producerId, rtpCapabilities })) {
+        // A producer of another router is piped to the router of the peer first
+        const router = await this.getPeerRouter(peer);
+        try {
+            await this.pipeProducer(producerId, router);
+        } catch (error) {
+            log.error('Failed to pipe the producer', { producerId, router_id: router.id, error: error.message });
+            throw new Error(`Cannot consume producer for peer ${peer_name} with ID ${producerId}, pipe failed`);
+        }
+
+        if (!router.canConsume({ producerId, rtpCapabilities })) {
             throw new Error(
                 `Cannot consume producer for peer ${peer_name} with ID ${producerId} type ${type}, router validation failed`
             );
@@ -967,9 +1367,66 @@ module.exports = class Room {
             transport_state: `ICE:${consumerTransport.iceState}, DTLS:${consumerTransport.dtlsState}`,
         });
 
+        // The video of the active speaker gets its priority from the start
+        if (kind === 'video') {
+            this.updateConsumerLayers(peer, id);
+        }
+
+        // Beyond the last N, the consumer stays paused whatever the client asks
+        if (!this.isForwarded(peer, consumer)) {
+            await peer.setConsumerForwarded(id, false);
+            this.sendForwarding(peer);
+        }
+
         return params;
     }
 
+    // ####################################################
+    // MODERATE PEERS
+    // ####################################################
+
+    moderatePeer(peer_key, action, message = '') {
+        const peer = this.findPeer(peer_key);
+
+        if (action === 'unban') {
+            const peer_uuid = peer ? peer.peer_uuid : peer_key;
+            if (!this.removeBannedPeer(peer_uuid)) return null;
+            log.info('[Moderate peer] - Unbanned', { room_id: this.id, peer_uuid: peer_uuid });
+            return { peer_id: peer ? peer.id : null, peer_uuid: peer_uuid, peer_name: peer ? peer.peer_name : null };
+        }
+
+        if (!peer) return null;
+
+        if (action === 'ban') this.addBannedPeer(peer.peer_uuid);
+
+        // Same relay a presenter uses to moderate a peer from the client
+        this.sendTo(peer.id, 'peerAction', {
+            from_peer_name: 'Server',
+            peer_id: peer.id,
+            to_peer_uuid: peer.peer_uuid,
+            action: action,
+            message: message,
+            broadcast: false,
+        });
+
+        if (['eject', 'ban'].includes(action)) {
+            // Don't rely on the client to leave, drop the socket if it's still in the room
+            setTimeout(() => {
+                const peerSocket = this.io.sockets.sockets.get(peer.id);
+                if (peerSocket && peerSocket.room_id === this.id) peerSocket.disconnect(true);
+            }, 5000);
+        }
+
+        log.info('[Moderate peer] - Action relayed', {
+            room_id: this.id,
+            peer_id: peer.id,
+            peer_name: peer.peer_name,
+            action: action,
+        });
+
+        return { peer_id: peer.id, peer_uuid: peer.peer_uuid, peer_name: peer.peer_name };
+    }
+
     // ####################################################
     // HANDLE BANNED PEERS
     // ####################################################
@@ -981,9 +1438,21 @@ module.exports = class Room {
                 uuid: uuid,
                 banned: this.bannedPeers,
             });
+            this.saveState();
         }
     }
 
+    removeBannedPeer(uuid) {
+        if (!this.bannedPeers.includes(uuid)) return false;
+        this.bannedPeers = this.bannedPeers.filter((bannedUuid) => bannedUuid !== uuid);
+        log.debug('Removed from the banned list', {
+            uuid: uuid,
+            banned: this.bannedPeers,
+        });
+        this.saveState();
+        return true;
+    }
+
     isBanned(uuid) {
         return this.bannedPeers.includes(uuid);
     }
@@ -996,8 +1465,13 @@ module.exports = class Room {
     isBroadcasting() {
         return this._isBroadcasting;
     }
-    getPassword() {
-        return this._roomPassword;
+    hasPassword() {
+        return this._roomPasswordHash !== null;
+    }
+    async isValidPassword(password) {
+        // A room locked without a password takes an empty one
+        if (!this._roomPasswordHash) return !password;
+        return verifyPassword(String(password || ''), this._roomPasswordHash);
     }
 
     // BOOL
@@ -1008,7 +1482,14 @@ module.exports = class Room {
         return this._isLobbyEnabled;
     }
     isGlobalLobbyEnabled() {
-        return this.globalLobby;
+        // The peers moved into a breakout room were already admitted in the main room
+        return this.globalLobby && !this.isBreakoutRoom();
+    }
+    isBreakoutRoom() {
+        return this.parentId !== null;
+    }
+    isInBreakout() {
+        return this.breakout !== null || this.isBreakoutRoom();
     }
     isHostOnlyRecording() {
         return this._hostOnlyRecording;
@@ -1018,15 +1499,90 @@ module.exports = class Room {
     setIsBroadcasting(status) {
         this._isBroadcasting = status;
     }
-    setLocked(status, password) {
+    setLocked(status, password = null) {
+        // Locking again without a password keeps the current one, unlocking drops it
         this._isLocked = status;
-        this._roomPassword = password;
+        if (!status) this._roomPasswordHash = null;
+        else if (password) this._roomPasswordHash = hashPassword(String(password));
+        this.saveState();
     }
     setLobbyEnabled(status) {
         this._isLobbyEnabled = status;
+        this.saveState();
     }
     setHostOnlyRecording(status) {
         this._hostOnlyRecording = status;
+        this.saveState();
+    }
+    setLastN(lastN) {
+        if (!Number.isInteger(lastN) || lastN < 0) {
+            throw new Error('Invalid last N, expected a positive integer or 0');
+        }
+        this._lastN = lastN;
+        this.saveState();
+        this.updateForwarding();
+    }
+
+    // ####################################################
+    // STATE
+    // ####################################################
+
+    getState() {
+        return {
+            locked: this._isLocked,
+            passwordHash: this._roomPasswordHash,
+            lobby: this._isLobbyEnabled,
+            hostOnlyRecording: this._hostOnlyRecording,
+            lastN: this._lastN,
+            moderator: { ...this._moderator },
+            notifications: this.notifications,
+            bannedPeers: [...this.bannedPeers],
+            polls: this.polls.map(({ question, options, voters }) => ({
+                question,
+                options,
+                voters: Array.from(voters),
+            })),
+        };
+    }
+
+    restoreState(state = {}) {
+        const { locked, passwordHash, lobby, hostOnlyRecording, lastN, moderator, notifications, bannedPeers, polls } =
+            state;
+        this._isLocked = locked === true;
+        this._roomPasswordHash = passwordHash || null;
+        this._isLobbyEnabled = lobby === true;
+        this._hostOnlyRecording = hostOnlyRecording === true;
+        if (Number.isInteger(lastN) && lastN >= 0) this._lastN = lastN;
+        // Only the moderator settings this version knows about
+        for (const type of Object.keys(this._moderator)) {
+            if (typeof moderator?.[type] === 'boolean') this._moderator[type] = moderator[type];
+        }
+        if (notifications) this.notifications = notifications;
+        this.bannedPeers = Array.isArray(bannedPeers) ? [...bannedPeers] : [];
+        this.polls = Array.isArray(polls)
+            ? polls.map(({ question, options, voters = [] }) => ({ question, options, voters: new Map(voters) }))
+            : [];
+    }
+
+    setStore(store) {
+        this.store = store;
+        this.touchState();
+    }
+
+    touchState() {
+        // A room in use keeps its state, even when its settings have not changed for a long time
+        if (!this.store || this.isBreakoutRoom()) return;
+        this.store.touch(this.id).catch((err) => {
+            log.error('Unable to touch the room state', { room_id: this.id, error: err.message });
+        });
+    }
+
+    saveState() {
+        // The breakout rooms are gone with their breakout, nothing to keep
+        if (!this.store || this.isBreakoutRoom()) return;
+        this.store.set(this.id, this.getState()).catch((err) => {
+            log.error('Unable to save the room state', { room_id: this.id, error: err.message });
+        });
     }
 
     // ####################################################
@@ -1055,3 +1611,20 @@ module.exports = class Room {
         this.io.to(socket_id).emit(action, data);
     }
 };
+
+const scryptAsync = promisify(scrypt);
+
+function hashPassword(password) {
+    // Sync, only a presenter or the API locks a room
+    const salt = randomBytes(16).toString('hex');
+    return `scrypt:${salt}:${scryptSync(password, salt, 32).toString('hex')}`;
+}
+
+async function verifyPassword(password, passwordHash) {
+    // Off the event loop, any peer can send password attempts
+    const [scheme, salt, hash] = String(passwordHash).split(':');
+    if (scheme !== 'scrypt' || !salt || !hash) return false;
+    const expected = Buffer.from(hash, 'hex');
+    const received = await scryptAsync(password, salt, expected.length);
+    return expected.length === received.length && timingSafeEqual(expected, received);
+}
@@ -0,0 +1,82 @@
+'use strict';
+
+const Logger = require('./Logger');
+
+const log = new Logger('RoomStore');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+module.exports = class RoomStore {
+    // Every backend keeps one state object per room id, stamped with the time of its last update or use
+
+    async get(room_id) {
+        throw new Error('Not implemented');
+    }
+
+    async set(room_id, state) {
+        throw new Error('Not implemented');
+    }
+
+    async touch(room_id) {
+        throw new Error('Not implemented');
+    }
+
+    async delete(room_id) {
+        throw new Error('Not implemented');
+    }
+
+    async purge(before) {
+        throw new Error('Not implemented');
+    }
+
+    async close() {}
+
+    startPurge(maxAge, interval = HOUR) {
+        // On start, then every interval, a long running server expires the rooms too
+        const purge = () =>
+            this.purge(Date.now() - maxAge * DAY)
+                .then((purged) => {
+                    if (purged) log.info('Room store purged', { rooms: purged, maxAge: maxAge });
+                })
+                .catch((err) => log.error('Unable to purge the room store', { error: err.message }));
+        this.stopPurge();
+        this._purgeTimer = setInterval(purge, interval);
+        this._purgeTimer.unref();
+        return purge();
+    }
+
+    stopPurge() {
+        if (this._purgeTimer) clearInterval(this._purgeTimer);
+        this._purgeTimer = null;
+    }
+
+    // ####################################################
+    // FACTORY
+    // ####################################################
+
+    static async create(options = {}) {
+        const { type = 'memory', path: file = '', maxAge = 90 } = options;
+
+        if (!type || type === 'memory') return null;
+
+        let store;
+        switch (type) {
+            case 'file':
+                store = new (require('./FileRoomStore'))(file);
+                break;
+            case 'sqlite':
+                store = new (require('./SqliteRoomStore'))(file);
+                break;
+            default:
+                throw new Error(`Unknown room store type ${type}, expected memory, file or sqlite`);
+        }
+
+        // Rooms nobody used for a while don't keep their state forever
+        if (maxAge > 0) await store.startPurge(maxAge);
+
+        log.info('Room store enabled', { type: type, path: file });
+
+        return store;
+    }
+};
@@ -0,0 +1,111 @@
+'use strict';
+
+const Logger = require('./Logger');
+
+const log = new Logger('RtpInput');
+
+// RTP/RTCP port pairs handed to FFmpeg, shared by all the recordings of this process
+const usedPorts = new Set();
+
+module.exports = class RtpInput {
+    // A room producer sent as plain RTP to a local port, with the SDP FFmpeg needs to read it.
+    // The consumer starts paused: resume() once FFmpeg listens, so it starts on a key frame.
+
+    constructor(room, producer, options = {}) {
+        const { listenIp = '127.0.0.1', portMin = 50000, portMax = 50999 } = options;
+        this.room = room;
+        this.producer = producer;
+        this.listenIp = listenIp;
+        this.portMin = portMin;
+        this.portMax = portMax;
+        this.port = null;
+        this.transport = null;
+        this.consumer = null;
+    }
+
+    static allocatePort(portMin, portMax) {
+        // Even port for RTP, the next one for RTCP
+        for (let port = portMin + (portMin % 2); port + 1 <= portMax; port += 2) {
+            if (!usedPorts.has(port)) {
+                usedPorts.add(port);
+                return port;
+            }
+        }
+        throw new Error(`No free RTP port left between ${portMin} and ${portMax}`);
+    }
+
+    static releasePort(port) {
+        usedPorts.delete(port);
+    }
+
+    get kind() {
+        return this.producer.kind;
+    }
+
+    async create() {
+        const { router } = this.room;
+        try {
+            // The producer may live on another router of the room
+            await this.room.pipeProducer(this.producer.id, router);
+
+            this.port = RtpInput.allocatePort(this.portMin, this.portMax);
+            this.transport = await router.createPlainTransport({
+                listenInfo: { protocol: 'udp', ip: this.listenIp },
+                rtcpMux: false,
+                comedia: false,
+            });
+            await this.transport.connect({ ip: this.listenIp, port: this.port, rtcpPort: this.port + 1 });
+
+            this.consumer = await this.transport.consume({
+                producerId: this.producer.id,
+                rtpCapabilities: router.rtpCapabilities,
+                paused: true,
+            });
+        } catch (err) {
+            this.close();
+            throw err;
+        }
+        log.debug('RTP input created', { producer_id: this.producer.id, kind: this.kind, port: this.port });
+        return this;
+    }
+
+    getSdp() {
+        if (!this.consumer) throw new Error('RTP input not created');
+        const { kind, rtpParameters } = this.consumer;
+        const codec = rtpParameters.codecs[0];
+        const { payloadType, mimeType, clockRate, channels, parameters = {} } = codec;
+        const codecName = mimeType.split('/')[1];
+        const fmtp = Object.entries(parameters)
+            .map(([key, value]) => `${key}=${value}`)
+            .join(';');
+
+        const lines = [
+            'v=0',
+            `o=- 0 0 IN IP4 ${this.listenIp}`,
+            's=FFmpeg',
+            `c=IN IP4 ${this.listenIp}`,
+            't=0 0',
+            `m=${kind} ${this.port} RTP/AVP ${payloadType}`,
+            `a=rtcp:${this.port + 1}`,
+            `a=rtpmap:${payloadType} ${codecName}/${clockRate}${channels > 1 ? `/${channels}` : ''}`,
+        ];
+        if (fmtp) lines.push(`a=fmtp:${payloadType} ${fmtp}`);
+        lines.push('a=recvonly');
+        return lines.join('\n') + '\n';
+    }
+
+    async resume() {
+        if (!this.consumer || this.consumer.closed) return;
+        await this.consumer.resume();
+        if (this.kind === 'video') await this.consumer.requestKeyFrame();
+    }
+
+    close() {
+        if (this.consumer && !this.consumer.closed) this.consumer.close();
+        if (this.transport && !this.transport.closed) this.transport.close();
+        if (this.port !== null) RtpInput.releasePort(this.port);
+        this.consumer = null;
+        this.transport = null;
+        this.port = null;
+    }
+};
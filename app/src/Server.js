@@ -35,6 +35,7 @@ prod dependencies: {
     qs                      : https://www.npmjs.com/package/qs
     sanitize-filename       : https://www.npmjs.com/package/sanitize-filename
     socket.io               : https://www.npmjs.com/package/socket.io
+    socket.io-adapter       : https://www.npmjs.com/package/socket.io-adapter
     swagger-ui-express      : https://www.npmjs.com/package/swagger-ui-express
     uuid                    : https://www.npmjs.com/package/uuid
 }
@@ -94,9 +95,19 @@ const checkXSS = require('./XSS');
 const Host = require('./Host');
 const Room = require('./Room');
 const Peer = require('./Peer');
+const BreakoutRooms = require('./BreakoutRooms');
+const RoomStore = require('./RoomStore');
+const Metrics = require('./Metrics');
+const HealthCheck = require('./HealthCheck');
+const Drain = require('./Drain');
+const WorkerSelector = require('./WorkerSelector');
+const ClusterRegistry = require('./ClusterRegistry');
+const Cluster = require('./Cluster');
 const ServerApi = require('./ServerApi');
+const WebhookDispatcher = require('./WebhookDispatcher');
 const Logger = require('./Logger');
 const Validator = require('./Validator');
+const Presenters = require('./Presenters');
 const HtmlInjector = require('./HtmlInjector');
 const log = new Logger('Server');
 const yaml = require('js-yaml');
@@ -115,6 +126,12 @@ const brandHtmlInjection = config?.ui?.brand?.htmlInjection ?? true;
 const { v4: uuidv4 } = require('uuid');
 const crypto = require('crypto-js');
 const RtmpStreamer = require('./RtmpStreamer.js'); // Import the RtmpStreamer class
+const CompositeRecorder = require('./CompositeRecorder');
+const MultitrackRecorder = require('./MultitrackRecorder');
+const RecordingPipeline = require('./RecordingPipeline');
+const RecordingUploads = require('./RecordingUploads');
+const RecordingLibrary = require('./RecordingLibrary');
+const RecordingRetention = require('./RecordingRetention');
 const rtmpCfg = config?.media?.rtmp;
 const rtmpDir = rtmpCfg?.dir || 'rtmp';
 
@@ -145,10 +162,29 @@ const corsOptions = {
 
 const server = httpolyglot.createServer(options, app);
 
+// Cluster of nodes sharing a room registry
+const clusterCfg = config?.server?.cluster || {};
+const cluster = clusterCfg.enabled
+    ? new Cluster(
+          ClusterRegistry.create({
+              ...clusterCfg.registry,
+              path: path.join(__dirname, '../', clusterCfg.registry?.path || 'store/cluster.json'),
+              nodeTimeout: (clusterCfg.heartbeatInterval || 5000) * 3,
+          }),
+          {
+              nodeId: clusterCfg.nodeId || undefined,
+              nodeUrl: clusterCfg.nodeUrl,
+              secret: clusterCfg.secret,
+              heartbeatInterval: clusterCfg.heartbeatInterval,
+          }
+      )
+    : null;
+
 const io = socketIo(server, {
     maxHttpBufferSize: 1e7,
     transports: ['websocket'],
     cors: corsOptions,
+    ...(cluster && { adapter: cluster.createAdapter() }),
 });
 
 const host = config?.server?.hostUrl || `http://localhost:${config?.server?.listen?.port || 3010}`;
@@ -188,6 +224,9 @@ const restApi = {
     allowed: config.api?.allowed || {},
 };
 
+// Participant moderation actions allowed through the rest api
+const peerApiActions = ['mute', 'hide', 'eject', 'ban', 'unban', 'promote'];
+
 // Sentry monitoring
 const sentryEnabled = config.integrations?.sentry?.enabled || false;
 const sentryDSN = config.integrations.sentry.DSN;
@@ -231,6 +270,60 @@ const webhook = {
     url: config?.integrations?.webhook?.url || 'http://localhost:8888/webhook-endpoint',
 };
 
+const webhookDispatcher = new WebhookDispatcher({
+    ...config?.integrations?.webhook,
+    enabled: webhook.enabled,
+    url: webhook.url,
+    dir: path.join(__dirname, '../', config?.integrations?.webhook?.dir || 'webhooks'),
+});
+
+// Room state store
+const roomStoreCfg = config?.server?.roomStore || {};
+
+let roomStore = null;
+
+RoomStore.create({
+    ...roomStoreCfg,
+    path: path.join(
+        __dirname,
+        '../',
+        roomStoreCfg.path || (roomStoreCfg.type === 'sqlite' ? 'store/rooms.db' : 'store/rooms.json')
+    ),
+})
+    .then((store) => (roomStore = store))
+    .catch((err) => log.error('Room store disabled, the room state will not survive a restart', err.message));
+
+// Prometheus metrics
+const metricsCfg = config?.server?.metrics || {};
+const metricsEnabled = metricsCfg.enabled || false;
+
+const metrics = new Metrics('mirotalk_sfu_', metricsCfg.token)
+    .gauge('rooms', 'Open rooms')
+    .gauge('peers', 'Peers in all rooms')
+    .gauge('producers', 'Producers in all rooms')
+    .gauge('consumers', 'Consumers in all rooms')
+    .gauge('transports', 'WebRTC transports in all rooms')
+    .gauge('room_peers', 'Peers per room')
+    .gauge('room_producers', 'Producers per room')
+    .gauge('room_consumers', 'Consumers per room')
+    .gauge('room_transports', 'WebRTC transports per room')
+    .gauge('rtmp_streams', 'Active RTMP streams by source')
+    .gauge('recording_uploads_in_progress', 'Recording uploads in progress')
+    .counter('recording_uploads_total', 'Finished recording uploads by status')
+    .counter('recording_bytes_written_total', 'Recording bytes written to disk')
+    .gauge('workers', 'Running mediasoup workers')
+    .counter('worker_cpu_seconds_total', 'mediasoup worker CPU time by mode')
+    .gauge('worker_max_rss_bytes', 'mediasoup worker maximum resident set size')
+    .gauge('socket_connections', 'Connected sockets')
+    .counter('socket_events_total', 'Socket events received by event')
+    .counter('api_requests_total', 'REST API requests by method, route and status')
+    .histogram('api_request_duration_seconds', 'REST API request latency by method and route')
+    .addCollector(collectMetrics);
+
+if (metricsEnabled && !metricsCfg.token) {
+    log.warn('Metrics enabled without a token, the /metrics endpoint will refuse every request');
+}
+
 // Discord Bot
 const { enabled, commands, token } = config?.integrations?.discord || {};
 
@@ -281,6 +374,16 @@ if (serverRecordingEnabled) {
     }
 }
 
+// Resumable recording uploads, see /recSync/sessions
+const recordingUploads = new RecordingUploads(dir.rec, { maxFileSize: recMaxFileSize });
+
+// Post-processing of the finished recordings
+const postProcessingCfg = config?.media?.recording?.postProcessing || {};
+const recordingPipeline =
+    serverRecordingEnabled && postProcessingCfg.enabled
+        ? new RecordingPipeline({ ...postProcessingCfg, ffmpegPath: rtmpCfg?.ffmpegPath })
+        : null;
+
 // Rtmp directory create
 const rtmpEnabled = rtmpCfg && rtmpCfg.enabled;
 if (rtmpEnabled) {
@@ -302,6 +405,24 @@ const s3Client = new S3Client({
     },
 });
 
+// Recordings listed, downloaded and deleted through /api/v1/recordings, locally and in S3
+const recordingLibrary = new RecordingLibrary({
+    ...config?.media?.recording?.library,
+    dir: dir.rec,
+    s3Client: config?.integrations?.aws?.enabled ? s3Client : null,
+    bucket: config?.integrations?.aws?.bucket,
+    // The links get a key of their own, derived from the JWT key when no link secret is set
+    secret: config?.media?.recording?.library?.linkSecret || jwtCfg.JWT_KEY,
+    ffmpegPath: rtmpCfg?.ffmpegPath,
+});
+
+// Cleanup of the old recordings, and the free disk floor below which the uploads are refused
+const retentionCfg = config?.media?.recording?.retention || {};
+const recordingRetention = new RecordingRetention(recordingLibrary, {
+    ...retentionCfg,
+    storages: ['local', ...(config?.integrations?.aws?.enabled && config?.media?.recording?.uploadToS3 ? ['s3'] : [])],
+});
+
 // html views
 const views = {
     html: path.join(__dirname, '../../public/views'),
@@ -313,6 +434,7 @@ const views = {
     notFound: path.join(__dirname, '../../', 'public/views/404.html'),
     permission: path.join(__dirname, '../../', 'public/views/permission.html'),
     privacy: path.join(__dirname, '../../', 'public/views/privacy.html'),
+    maintenance: path.join(__dirname, '../../', 'public/views/maintenance.html'),
     room: path.join(__dirname, '../../', 'public/views/Room.html'),
     rtmpStreamer: path.join(__dirname, '../../', 'public/views/RtmpStreamer.html'),
     whoAreYou: path.join(__dirname, '../../', 'public/views/whoAreYou.html'),
@@ -328,6 +450,8 @@ const roomList = new Map(); // All Rooms
 
 const presenters = {}; // Collect presenters grp by roomId
 
+const roomTokenNonces = new Map(); // Room tokens already used, nonce => { peer_uuid, expire }
+
 const streams = {}; // Collect all rtmp streams
 
 const webRtcServerActive = config.mediasoup.webRtcServerActive;
@@ -344,7 +468,28 @@ let announcedAddress = webRtcServerActive
 
 // All mediasoup workers
 const workers = [];
-let nextMediasoupWorkerIdx = 0;
+
+// Picks the worker of each new room
+const workerSelector = new WorkerSelector(config.mediasoup?.workerSelection);
+
+// Health and readiness probes
+const healthCfg = config?.server?.health || {};
+const healthEnabled = healthCfg.enabled !== false;
+
+// Maintenance drain, no new rooms are accepted and the active ones end at the deadline
+const drainCfg = config?.server?.drain || {};
+const drain = new Drain(drainCfg);
+
+let recordingRequests = 0; // Recording uploads in progress, waited for before exiting
+let exitAfterDrain = false; // Set by a SIGTERM while rooms are active
+
+const healthCheck = new HealthCheck({
+    ...healthCfg,
+    workers: workers,
+    webRtcServerActive: webRtcServerActive,
+    recordingDir: serverRecordingEnabled ? dir.rec : null,
+    isDraining: () => drain.isDraining(),
+});
 
 // Autodetect announcedAddress with multiple fallback services
 if (!announcedAddress && IP === '0.0.0.0') {
@@ -442,6 +587,56 @@ function OIDCAuth(req, res, next) {
     }
 }
 
+async function collectMetrics(metrics) {
+    const totals = { peers: 0, producers: 0, consumers: 0, transports: 0 };
+
+    ['room_peers', 'room_producers', 'room_consumers', 'room_transports'].forEach((name) => metrics.reset(name));
+
+    for (const [room_id, room] of roomList) {
+        const count = { peers: room.getPeersCount(), producers: 0, consumers: 0, transports: 0 };
+        for (const peer of room.getPeers().values()) {
+            count.producers += peer.producers.size;
+            count.consumers += peer.consumers.size;
+            count.transports += peer.transports.size;
+        }
+        for (const key in totals) {
+            totals[key] += count[key];
+            // One series per room is handy, but it adds up on a server with thousands of rooms
+            if (metricsCfg.perRoom !== false) metrics.set('room_' + key, { room_id }, count[key]);
+        }
+    }
+
+    metrics.set('rooms', {}, roomList.size);
+    for (const key in totals) {
+        metrics.set(key, {}, totals[key]);
+    }
+
+    metrics.set('rtmp_streams', { source: 'file' }, rtmpFileStreamsCount);
+    metrics.set('rtmp_streams', { source: 'url' }, rtmpUrlStreamsCount);
+    metrics.set('rtmp_streams', { source: 'stream' }, Object.keys(streams).length);
+
+    metrics.set('socket_connections', {}, io.engine.clientsCount);
+
+    metrics.reset('worker_cpu_seconds_total');
+    metrics.reset('worker_max_rss_bytes');
+    metrics.set('workers', {}, workers.length);
+
+    for (const worker of workers) {
+        try {
+            const usage = await worker.getResourceUsage(); // times in ms, rss in KB
+            const pid = worker.pid;
+            metrics.set('worker_cpu_seconds_total', { pid, mode: 'user' }, usage.ru_utime / 1000);
+            metrics.set('worker_cpu_seconds_total', { pid, mode: 'system' }, usage.ru_stime / 1000);
+            metrics.set('worker_max_rss_bytes', { pid }, usage.ru_maxrss * 1024);
+        } catch (err) {
+            log.warn('Unable to read the mediasoup worker resource usage', {
+                worker_pid: worker.pid,
+                error: err.message,
+            });
+        }
+    }
+}
+
 function startServer() {
     // Start the app
     app.set('trust proxy', trustProxy); // Enables trust for proxy headers (e.g., X-Forwarded-For) based on the trustProxy setting
@@ -466,6 +661,87 @@ function startServer() {
     // IP Whitelist check ...
     app.use(restrictAccessByIP);
 
+    // Health and readiness probes for the load balancer, ahead of the OpenID Connect middleware too
+    if (healthEnabled) {
+        healthCheck.start();
+
+        const sendHealth = async (req, res, isUp) => {
+            try {
+                const health = await healthCheck.check();
+                const details = healthCheck.isAuthorized(req.headers.authorization);
+                res.status(isUp(health) ? 200 : 503).json(details ? health : healthCheck.getSummary(health));
+            } catch (err) {
+                log.error('Health check error', err.message);
+                res.status(503).json({ status: 'fail', ready: false });
+            }
+        };
+
+        // Live while at least one mediasoup worker runs
+        app.get('/healthz', (req, res) => sendHealth(req, res, (health) => health.status !== 'fail'));
+
+        // Ready while not drained and at least one worker can take new rooms
+        app.get('/readyz', (req, res) => sendHealth(req, res, (health) => health.ready));
+    }
+
+    // Prometheus metrics, ahead of the OpenID Connect middleware so scrapers only need the metrics token
+    if (metricsEnabled) {
+        app.get('/metrics', async (req, res) => {
+            if (!metrics.isAuthorized(req.headers.authorization)) {
+                log.debug('MiroTalk get metrics - Unauthorized', { ip: getIP(req) });
+                return res.status(403).json({ error: 'Unauthorized!' });
+            }
+            try {
+                res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+                res.send(await metrics.render());
+            } catch (err) {
+                log.error('Error rendering the metrics', err.message);
+                res.status(500).json({ error: 'Failed to retrieve metrics.' });
+            }
+        });
+
+        app.use(restApi.basePath, (req, res, next) => {
+            const endTimer = metrics.startTimer('api_request_duration_seconds', { method: req.method });
+            res.on('finish', () => {
+                // The registered path, not the url, so that room ids don't turn into new series
+                const route = req.route ? req.route.path : 'unmatched';
+                endTimer({ route });
+                metrics.inc('api_requests_total', { method: req.method, route, status: res.statusCode });
+            });
+            next();
+        });
+    }
+
+    // Requests between the cluster nodes, authenticated by the cluster secret
+    if (cluster) {
+        const clusterAuth = (req, res, next) => {
+            if (!cluster.isAuthorized(req.headers.authorization)) {
+                log.debug('MiroTalk cluster request - Unauthorized', { ip: getIP(req), path: req.path });
+                return res.status(403).json({ error: 'Unauthorized!' });
+            }
+            next();
+        };
+
+        // Socket.io broadcasts relayed by the other nodes
+        app.post('/cluster/message', clusterAuth, (req, res) => {
+            try {
+                res.json({ received: cluster.receive(req.body) });
+            } catch (err) {
+                log.warn('Invalid cluster message', err.message);
+                res.status(400).json({ error: 'Invalid cluster message' });
+            }
+        });
+
+        // The stats and meetings of this node, the REST API of the node asking adds them up
+        app.get('/cluster/state', clusterAuth, (req, res) => {
+            const api = new ServerApi(host);
+            res.json({
+                node: cluster.node,
+                stats: api.getStats(roomList),
+                meetings: api.getMeetings(roomList),
+            });
+        });
+    }
+
     // Logs requests
     /*
     app.use((req, res, next) => {
@@ -672,7 +948,20 @@ function startServer() {
             let isPeerValid = false;
             let isPeerPresenter = false;
 
-            if (token) {
+            const roomClaims = token ? decodeRoomToken(token) : null;
+
+            if (roomClaims) {
+                // Room token, never grants host access, only this room
+                if (roomClaims.room !== room) {
+                    log.warn('Direct Join with room token for another room', {
+                        room: room,
+                        token_room: roomClaims.room,
+                    });
+                    return res.status(401).json({ message: 'Invalid Token' });
+                }
+                peerUsername = roomClaims.name;
+                isPeerValid = true;
+            } else if (token) {
                 try {
                     const validToken = await isValidToken(token);
 
@@ -735,6 +1024,8 @@ function startServer() {
             }
 
             if (room && (hostCfg.authenticated || isPeerValid)) {
+                if (await redirectToRoomNode(req, res, room)) return;
+                if (isRoomRefused(room)) return res.sendFile(views.maintenance);
                 return htmlInjector.injectHtml(views.room, res);
             } else {
                 return htmlInjector.injectHtml(views.login, res);
@@ -762,6 +1053,8 @@ function startServer() {
         const allowRoomAccess = isAllowedRoomAccess('/join/:roomId', req, hostCfg, roomList, roomId);
 
         if (allowRoomAccess) {
+            if (await redirectToRoomNode(req, res, roomId)) return;
+            if (isRoomRefused(roomId)) return res.sendFile(views.maintenance);
             // 1. Protect room access with database check
             if (!OIDC.enabled && hostCfg.protected && hostCfg.users_from_db) {
                 const roomExists = await roomExistsForUser(roomId);
@@ -783,6 +1076,27 @@ function startServer() {
         }
     });
 
+    // In a cluster, a room lives on the node its first peer joined, the other nodes send its peers there
+    async function redirectToRoomNode(req, res, room_id) {
+        if (!cluster) return false;
+        try {
+            // Only a lookup, a link preview must not claim the room: the socket join does
+            const node = await cluster.getRoomNode(room_id);
+            if (!node) return false;
+            log.debug('Room hosted on another cluster node', { room_id: room_id, node_id: node.id });
+            res.redirect(node.url + req.originalUrl);
+            return true;
+        } catch (err) {
+            log.error('Cluster registry error, the room stays on this node', { room_id: room_id, error: err.message });
+            return false;
+        }
+    }
+
+    // While drained, only the active rooms can still be joined
+    function isRoomRefused(room_id) {
+        return drain.isDraining() && !roomList.has(room_id);
+    }
+
     // not specified correctly the room id
     app.get('/join/\\*', (req, res) => {
         res.redirect('/');
@@ -868,9 +1182,7 @@ function startServer() {
                 authorizedIps: authHost.getAuthorizedIPs(),
             });
 
-            const isPresenter = Boolean(
-                hostCfg?.presenters?.join_first || hostCfg?.presenters?.list?.includes(username)
-            );
+            const isPresenter = Presenters.isLoginPresenter(hostCfg?.presenters, username);
 
             const user = hostCfg.users.find((user) => user.displayname === username || user.username === username);
             const token = encodeToken({ username: username, password: password, presenter: isPresenter });
@@ -950,6 +1262,8 @@ function startServer() {
         return withFileLock(filePath, async () => {
             const fileStream = fs.createReadStream(filePath);
             const key = `recordings/${roomId}/${fileName}`;
+            // Kept with the object, S3 cannot probe it for the recording library
+            const duration = await recordingLibrary.getDuration(filePath);
 
             const upload = new Upload({
                 client: s3Client,
@@ -960,6 +1274,7 @@ function startServer() {
                     Metadata: {
                         'room-id': roomId,
                         'file-name': fileName,
+                        ...(duration !== null && { duration: String(duration) }),
                     },
                 },
             });
@@ -970,6 +1285,94 @@ function startServer() {
         });
     }
 
+    function startServerRecording(room, { mode = 'composite', layout } = {}) {
+        const options = { dir: dir.rec, ffmpegPath: rtmpCfg?.ffmpegPath, rtp: config?.media?.recording?.rtp };
+        let recorder;
+        if (mode === 'composite') {
+            recorder = new CompositeRecorder(room, {
+                ...config?.media?.recording?.composite,
+                ...(layout && { layout }),
+                ...options,
+            });
+        } else if (mode === 'multitrack') {
+            // One file per producer, for the post-production
+            recorder = new MultitrackRecorder(room, options);
+        } else {
+            throw new Error('Invalid recording mode, expected composite or multitrack');
+        }
+        recorder.on('file', (file) => saveServerRecording(room.id, file));
+        recorder.on('end', (status) => {
+            if (room.recorder === recorder) room.recorder = null;
+            room.sendToAll('serverRecording', status);
+            webhookDispatcher.dispatch('recordingFinished', {
+                room_id: room.id,
+                source: 'server',
+                files: status.files,
+            });
+        });
+        room.recorder = recorder;
+        recorder.start();
+
+        const status = recorder.getStatus();
+        room.sendToAll('serverRecording', status);
+        webhookDispatcher.dispatch('recordingStarted', { room_id: room.id, source: 'server', mode: status.mode });
+        return status;
+    }
+
+    async function saveServerRecording(roomId, { fileName, filePath }) {
+        const shouldUploadToS3 = config?.integrations?.aws?.enabled && config?.media?.recording?.uploadToS3;
+        if (!shouldUploadToS3) return;
+
+        recordingRequests++;
+        try {
+            const bucket = config?.integrations?.aws?.bucket;
+            const s3 = await uploadToS3(filePath, fileName, roomId, bucket, s3Client);
+            log.info(`[Server recording] uploaded ${fileName}`, { ...s3 });
+            deleteFile(filePath); // Delete local file after successful upload
+        } catch (error) {
+            log.error('[Server recording] upload failed', { fileName, error: error.message });
+        } finally {
+            recordingRequests--;
+        }
+    }
+
+    async function uploadProcessedRecording(filePath, sidecar) {
+        // The recording itself was uploaded by recSyncFinalize, then kept for the jobs
+        const shouldUploadToS3 = config?.integrations?.aws?.enabled && config?.media?.recording?.uploadToS3;
+        if (!shouldUploadToS3) return;
+
+        recordingRequests++;
+        try {
+            const roomId = getRoomIdFromFilename(path.basename(filePath));
+            const bucket = config?.integrations?.aws?.bucket;
+            const outputs = Object.values(sidecar.jobs)
+                .map(({ output }) => output)
+                .filter(Boolean);
+            const sidecarPath = RecordingPipeline.getSidecarPath(filePath);
+            for (const output of outputs) {
+                await uploadToS3(path.join(dir.rec, output), output, roomId, bucket, s3Client);
+            }
+            await uploadToS3(sidecarPath, path.basename(sidecarPath), roomId, bucket, s3Client);
+            log.info(`[Post-processing] uploaded ${sidecar.source}`, { outputs });
+
+            // Delete local files after successful upload
+            [filePath, sidecarPath, ...outputs.map((output) => path.join(dir.rec, output))].forEach(deleteFile);
+        } catch (error) {
+            log.error('[Post-processing] upload failed', { source: sidecar.source, error: error.message });
+        } finally {
+            recordingRequests--;
+        }
+    }
+
+    if (recordingPipeline) {
+        recordingPipeline.on('done', uploadProcessedRecording);
+        recordingPipeline.recover(dir.rec);
+    }
+
+    if (serverRecordingEnabled && retentionCfg.enabled) {
+        recordingRetention.start();
+    }
+
     async function saveLocally(filePath, req, recMaxFileSize) {
         return withFileLock(filePath, () => {
             return new Promise((resolve, reject) => {
@@ -993,11 +1396,30 @@ function startServer() {
         });
     }
 
+    // A drain waits for these before the process exits
+    function trackRecordingRequest(req, res, next) {
+        recordingRequests++;
+        res.on('close', () => recordingRequests--);
+        next();
+    }
+
+    // A full disk takes the whole SFU down, the recordings are refused before
+    async function checkRecordingDisk(req, res, next) {
+        if (await recordingRetention.isDiskFull()) {
+            log.warn('Recording refused, free disk space below the floor', {
+                minFreeDisk: recordingRetention.minFreeDisk,
+            });
+            if (retentionCfg.enabled) recordingRetention.run();
+            return res.status(507).json({ error: 'Recording refused, the server is running out of disk space' });
+        }
+        next();
+    }
+
     // ####################################################
     // RECORDING ROUTE HANDLER
     // ####################################################
 
-    app.post('/recSync', async (req, res) => {
+    app.post('/recSync', trackRecordingRequest, checkRecordingDisk, async (req, res) => {
         if (!serverRecordingEnabled) {
             return res.status(403).json({ error: 'Recording disabled' });
         }
@@ -1006,6 +1428,8 @@ function startServer() {
             fs.mkdirSync(dir.rec, { recursive: true });
         }
 
+        metrics.add('recording_uploads_in_progress', {}, 1);
+
         try {
             const start = Date.now();
 
@@ -1021,6 +1445,7 @@ function startServer() {
 
             passThrough.on('data', (chunk) => {
                 totalBytes += chunk.length;
+                metrics.inc('recording_bytes_written_total', {}, chunk.length);
             });
 
             req.pipe(passThrough);
@@ -1034,10 +1459,14 @@ function startServer() {
 
             log.info(`[Upload] Saved ${fileName} (${sizeMB} MB) in ${duration}s`);
 
+            metrics.inc('recording_uploads_total', { status: 'success' });
+
             return res.status(200).json({ status: 'upload_complete', fileName });
         } catch (error) {
             log.error('Upload error:', error.message);
 
+            metrics.inc('recording_uploads_total', { status: 'failed' });
+
             if (error.message.includes('exceeds limit')) {
                 res.status(413).json({ error: 'File too large' });
             } else if (['Invalid content type', 'Invalid file name', 'Invalid room ID'].includes(error.message)) {
@@ -1047,10 +1476,125 @@ function startServer() {
             } else {
                 res.status(500).json({ error: 'Internal Server Error' });
             }
+        } finally {
+            metrics.add('recording_uploads_in_progress', {}, -1);
         }
     });
 
-    app.post('/recSyncFixWebm', async (req, res) => {
+    // Resumable uploads: a session per recording, its chunks numbered and checked, then assembled
+
+    const uploadErrors = {
+        'Chunk checksum mismatch': 400,
+        'Upload size mismatch': 400,
+        'Upload session not found': 404,
+        'Chunk out of order': 409,
+        'Chunk conflicts with the committed one': 409,
+        'Recording already exists': 409,
+        'Chunk exceeds limit': 413,
+        'File size exceeds limit': 413,
+    };
+
+    async function sendUploadError(res, error, sessionId) {
+        const status = uploadErrors[error.message] || (error.message.startsWith('Invalid') ? 400 : 500);
+        if (status === 500) log.error('Upload session error:', error.message);
+        // Tells the client where to go on from
+        const session = sessionId ? await recordingUploads.get(sessionId) : null;
+        const message = status === 500 ? 'Internal Server Error' : error.message;
+        return res.status(status).json({ error: message, ...(session && recordingUploads.getStatus(session)) });
+    }
+
+    function readChunk(req, limit) {
+        return new Promise((resolve, reject) => {
+            const chunks = [];
+            let receivedBytes = 0;
+            req.on('data', (chunk) => {
+                receivedBytes += chunk.length;
+                if (receivedBytes > limit) {
+                    req.destroy();
+                    return reject(new Error('Chunk exceeds limit'));
+                }
+                chunks.push(chunk);
+            });
+            req.on('end', () => resolve(Buffer.concat(chunks)));
+            req.on('error', reject);
+        });
+    }
+
+    app.post('/recSync/sessions', trackRecordingRequest, checkRecordingDisk, async (req, res) => {
+        if (!serverRecordingEnabled) {
+            return res.status(403).json({ error: 'Recording disabled' });
+        }
+        try {
+            const { fileName } = checkXSS(req.query);
+            const roomId = getRoomIdFromFilename(fileName);
+
+            isValidRequest(req, fileName, roomId, false, false);
+
+            // The key of the client, the session is only given back to it
+            const uploadKey = req.headers['x-upload-key'];
+            return res.status(200).json(await recordingUploads.create(fileName, uploadKey));
+        } catch (error) {
+            return sendUploadError(res, error);
+        }
+    });
+
+    app.get('/recSync/sessions/:id', async (req, res) => {
+        if (!serverRecordingEnabled) {
+            return res.status(403).json({ error: 'Recording disabled' });
+        }
+        const session = await recordingUploads.get(req.params.id);
+        if (!session) {
+            return res.status(404).json({ error: 'Upload session not found' });
+        }
+        return res.status(200).json(recordingUploads.getStatus(session));
+    });
+
+    app.put('/recSync/sessions/:id/chunks/:seq', trackRecordingRequest, checkRecordingDisk, async (req, res) => {
+        if (!serverRecordingEnabled) {
+            return res.status(403).json({ error: 'Recording disabled' });
+        }
+        const { id } = req.params;
+        try {
+            if (req.headers['content-type'] !== 'application/octet-stream') {
+                throw new Error('Invalid content type');
+            }
+            const data = await readChunk(req, recordingUploads.maxChunkSize);
+            const status = await recordingUploads.writeChunk(
+                id,
+                Number(req.params.seq),
+                data,
+                req.headers['x-chunk-checksum']
+            );
+            if (!status.duplicate) {
+                metrics.inc('recording_bytes_written_total', {}, data.length);
+            }
+            return res.status(200).json(status);
+        } catch (error) {
+            return sendUploadError(res, error, id);
+        }
+    });
+
+    app.post('/recSync/sessions/:id/complete', trackRecordingRequest, async (req, res) => {
+        if (!serverRecordingEnabled) {
+            return res.status(403).json({ error: 'Recording disabled' });
+        }
+        try {
+            const { totalSize } = checkXSS(req.query);
+            const result = await recordingUploads.complete(req.params.id, Number(totalSize));
+
+            log.info(`[Upload] Assembled ${result.fileName} (${(result.size / 1024 / 1024).toFixed(2)} MB)`);
+            metrics.inc('recording_uploads_total', { status: 'success' });
+
+            return res.status(200).json({ status: 'upload_complete', ...result });
+        } catch (error) {
+            if (error.message === 'Upload size mismatch') {
+                metrics.inc('recording_uploads_total', { status: 'failed' });
+            }
+            return sendUploadError(res, error, req.params.id);
+        }
+    });
+
+    app.post('/recSyncFixWebm', trackRecordingRequest, async (req, res) => {
         try {
             const { fileName, durationMs } = checkXSS(req.query);
             const roomId = getRoomIdFromFilename(fileName);
@@ -1071,6 +1615,9 @@ function startServer() {
                 }
             }
 
+            // The last request of a recording kept on the server
+            if (recordingPipeline) recordingPipeline.add(filePath);
+
             return res.status(200).json({ message: 'OK' });
         } catch (err) {
             console.error('recSyncFixWebm error', err);
@@ -1078,7 +1625,7 @@ function startServer() {
         }
     });
 
-    app.post('/recSyncFinalize', async (req, res) => {
+    app.post('/recSyncFinalize', trackRecordingRequest, async (req, res) => {
         try {
             const shouldUploadToS3 = config?.integrations?.aws?.enabled && config?.media?.recording?.uploadToS3;
             if (!shouldUploadToS3 || !serverRecordingEnabled) {
@@ -1112,7 +1659,12 @@ function startServer() {
 
             log.info(`[Rec Finalization] done ${fileName} in ${duration}s`, { ...s3 });
 
-            deleteFile(filePath); // Delete local file after successful upload
+            if (recordingPipeline) {
+                // Deleted once processed, see uploadProcessedRecording
+                recordingPipeline.add(filePath);
+            } else {
+                deleteFile(filePath); // Delete local file after successful upload
+            }
 
             return res.status(200).json({ status: 's3_upload_complete', ...s3 });
         } catch (error) {
@@ -1263,7 +1815,7 @@ function startServer() {
     // REST API
     // ####################################################
 
-    app.get(restApi.basePath + '/stats', (req, res) => {
+    app.get(restApi.basePath + '/stats', async (req, res) => {
         try {
             // Check if endpoint allowed
             if (restApi.allowed && !restApi.allowed.stats) {
@@ -1276,7 +1828,7 @@ function startServer() {
             const { host, authorization } = req.headers;
             const api = new ServerApi(host, authorization);
 
-            if (!api.isAuthorized()) {
+            if (!api.isAuthorized('stats')) {
                 log.debug('MiroTalk get meetings - Unauthorized', {
                     header: req.headers,
                     body: req.body,
@@ -1284,13 +1836,14 @@ function startServer() {
                 return res.status(403).json({ error: 'Unauthorized!' });
             }
 
-            const { timestamp, totalRooms, totalUsers } = api.getStats(roomList);
+            const { timestamp, totalRooms, totalUsers, nodes } = await getClusterStats(api);
 
             res.json({
                 success: true,
                 timestamp,
                 totalRooms,
                 totalUsers,
+                ...(nodes && { nodes }),
             });
 
             // log.debug the output if all done
@@ -1308,7 +1861,7 @@ function startServer() {
     });
 
     // request meetings list
-    app.get(restApi.basePath + '/meetings', (req, res) => {
+    app.get(restApi.basePath + '/meetings', async (req, res) => {
         // Check if endpoint allowed
         if (restApi.allowed && !restApi.allowed.meetings) {
             return res.status(403).json({
@@ -1318,7 +1871,7 @@ function startServer() {
         // check if user was authorized for the api call
         const { host, authorization } = req.headers;
         const api = new ServerApi(host, authorization);
-        if (!api.isAuthorized()) {
+        if (!api.isAuthorized('meetings')) {
             log.debug('MiroTalk get meetings - Unauthorized', {
                 header: req.headers,
                 body: req.body,
@@ -1326,7 +1879,7 @@ function startServer() {
             return res.status(403).json({ error: 'Unauthorized!' });
         }
         // Get meetings
-        const meetings = api.getMeetings(roomList);
+        const meetings = await getClusterMeetings(api);
         res.json({ meetings: meetings });
         // log.debug the output if all done
         log.debug('MiroTalk get meetings - Authorized', {
@@ -1336,6 +1889,31 @@ function startServer() {
         });
     });
 
+    // Across all the nodes of a cluster
+    async function getClusterStats(api) {
+        const stats = api.getStats(roomList);
+        if (!cluster) return stats;
+        const nodes = [{ id: cluster.node.id, totalRooms: stats.totalRooms, totalUsers: stats.totalUsers }];
+        for (const { node, data } of await cluster.collect('/cluster/state')) {
+            nodes.push({ id: node.id, totalRooms: data.stats.totalRooms, totalUsers: data.stats.totalUsers });
+            stats.totalRooms += data.stats.totalRooms;
+            stats.totalUsers += data.stats.totalUsers;
+        }
+        return { ...stats, nodes };
+    }
+
+    async function getClusterMeetings(api) {
+        const meetings = api.getMeetings(roomList);
+        if (!cluster) return meetings;
+        meetings.forEach((meeting) => (meeting.node = cluster.node.id));
+        for (const { node, data } of await cluster.collect('/cluster/state')) {
+            // Unfiltered on the other node, the rooms of a scoped api key are known only here
+            const allowed = data.meetings.filter((meeting) => api.isRoomAllowed(meeting.roomId));
+            meetings.push(...allowed.map((meeting) => ({ ...meeting, node: node.id })));
+        }
+        return meetings;
+    }
+
     // request meeting room endpoint
     app.post(restApi.basePath + '/meeting', (req, res) => {
         // Check if endpoint allowed
@@ -1347,7 +1925,7 @@ function startServer() {
         // check if user was authorized for the api call
         const { host, authorization } = req.headers;
         const api = new ServerApi(host, authorization);
-        if (!api.isAuthorized()) {
+        if (!api.isAuthorized('meetings')) {
             log.debug('MiroTalk get meeting - Unauthorized', {
                 header: req.headers,
                 body: req.body,
@@ -1376,7 +1954,7 @@ function startServer() {
         // check if user was authorized for the api call
         const { host, authorization } = req.headers;
         const api = new ServerApi(host, authorization);
-        if (!api.isAuthorized()) {
+        if (!api.isAuthorized('join', req.body?.room || '')) {
             log.debug('MiroTalk get join - Unauthorized', {
                 header: req.headers,
                 body: req.body,
@@ -1384,7 +1962,12 @@ function startServer() {
             return res.status(403).json({ error: 'Unauthorized!' });
         }
         // setup Join URL
-        const joinURL = api.getJoinURL(req.body);
+        let joinURL;
+        try {
+            joinURL = api.getJoinURL(req.body);
+        } catch (err) {
+            return res.status(400).json({ error: err.message });
+        }
         res.json({ join: joinURL });
         // log.debug the output if all done
         log.debug('MiroTalk get join - Authorized', {
@@ -1405,7 +1988,7 @@ function startServer() {
         // check if user was authorized for the api call
         const { host, authorization } = req.headers;
         const api = new ServerApi(host, authorization);
-        if (!api.isAuthorized()) {
+        if (!api.isAuthorized('token', req.body?.room || '')) {
             log.debug('MiroTalk get token - Unauthorized', {
                 header: req.headers,
                 body: req.body,
@@ -1413,7 +1996,12 @@ function startServer() {
             return res.status(403).json({ error: 'Unauthorized!' });
         }
         // Get Token
-        const token = api.getToken(req.body);
+        let token;
+        try {
+            token = api.getToken(req.body);
+        } catch (err) {
+            return res.status(400).json({ error: err.message });
+        }
         res.json({ token: token });
         // log.debug the output if all done
         log.debug('MiroTalk get token - Authorized', {
@@ -1423,72 +2011,675 @@ function startServer() {
         });
     });
 
-    // ####################################################
-    // SLACK API
-    // ####################################################
-
-    app.post('/slack', (req, res) => {
-        if (!slackEnabled) return res.end('`Under maintenance` - Please check back soon.');
-
-        if (restApi.allowed && !restApi.allowed.slack) {
-            return res.end(
-                '`This endpoint has been disabled`. Please contact the administrator for further information.'
-            );
-        }
-
-        log.debug('Slack', req.headers);
-
-        if (!slackSigningSecret) return res.end('`Slack Signing Secret is empty!`');
-
-        const slackSignature = req.headers['x-slack-signature'];
-        const requestBody = qS.stringify(req.body, { format: 'RFC1738' });
-        const timeStamp = req.headers['x-slack-request-timestamp'];
-        const time = Math.floor(new Date().getTime() / 1000);
-
-        if (Math.abs(time - timeStamp) > 300) return res.end('`Wrong timestamp` - Ignore this request.');
-
-        const sigBaseString = 'v0:' + timeStamp + ':' + requestBody;
-        const mySignature = 'v0=' + CryptoJS.HmacSHA256(sigBaseString, slackSigningSecret);
-
-        if (mySignature == slackSignature) {
-            const host = req.headers.host;
-            const api = new ServerApi(host);
-            const meetingURL = api.getMeetingURL();
-            log.debug('Slack', { meeting: meetingURL });
-            return res.end(meetingURL);
-        }
-        return res.end('`Wrong signature` - Verification failed!');
-    });
-
-    // ####################################################
-    // AUTHORIZED API IF ALLOWED
-    // ####################################################
-
-    // request active rooms endpoint
-    app.get(restApi.basePath + '/activeRooms', (req, res) => {
+    // create room with settings endpoint
+    app.post(restApi.basePath + '/rooms/:id', async (req, res) => {
         // Check if endpoint allowed
-        if (!config.ui?.rooms?.showActive) {
+        if (restApi.allowed && !restApi.allowed.rooms) {
             return res.status(403).json({
                 error: 'This endpoint has been disabled. Please contact the administrator for further information.',
             });
         }
         // check if user was authorized for the api call
-        const { host, authorization = config.api.keySecret } = req.headers;
+        const { host, authorization } = req.headers;
         const api = new ServerApi(host, authorization);
-
-        // Get active rooms
-        const activeRooms = api.getActiveRooms(roomList);
-        res.json({ activeRooms: activeRooms });
-
-        // log.debug the output if all done
-        log.debug('MiroTalk get active rooms - Authorized', {
-            header: req.headers,
-            body: req.body,
-            activeRooms: activeRooms,
-        });
-    });
-
-    // not match any of page before, so 404 not found
+        if (!api.isAuthorized('rooms', req.params.id)) {
+            log.debug('MiroTalk create room - Unauthorized', {
+                header: req.headers,
+                body: req.body,
+            });
+            return res.status(403).json({ error: 'Unauthorized!' });
+        }
+        const { id } = checkXSS(req.params);
+        if (!Validator.isValidRoomName(id)) {
+            return res.status(400).json({ error: 'Invalid room id' });
+        }
+        if (roomList.has(id)) {
+            return res.status(409).json({ error: 'Room already exists' });
+        }
+        if (drain.isDraining()) {
+            return res.status(503).json({ error: 'Server in maintenance' });
+        }
+        try {
+            // Claimed once a peer joins it, like the other rooms
+            const node = cluster ? await cluster.getRoomNode(id) : null;
+            if (node) {
+                return res.status(409).json({ error: 'Room hosted on another node', node: node.url });
+            }
+            // Create the room ahead of any peer, then apply the requested settings
+            const state = await getRoomState(id);
+            if (roomList.has(id)) {
+                return res.status(409).json({ error: 'Room already exists' });
+            }
+            const worker = await getMediasoupWorker();
+            const room = new Room(id, worker, io);
+            restoreRoomState(room, state);
+            room.setExtraWorkerProvider(getExtraMediasoupWorker);
+            api.updateRoom(room, checkXSS(req.body || {}));
+            roomList.set(id, room);
+            webhookDispatcher.dispatch('roomCreated', { room_id: id, settings: room.getSettings() });
+            const roomData = api.getRoom(id, room);
+            res.status(201).json({ room: roomData });
+            // log.debug the output if all done
+            log.debug('MiroTalk create room - Authorized', {
+                header: req.headers,
+                body: req.body,
+                room: roomData,
+            });
+        } catch (err) {
+            log.warn('MiroTalk create room - Bad request', { id, error: err.message });
+            res.status(400).json({ error: err.message });
+        }
+    });
+
+    // update room settings endpoint
+    app.patch(restApi.basePath + '/rooms/:id', (req, res) => {
+        // Check if endpoint allowed
+        if (restApi.allowed && !restApi.allowed.rooms) {
+            return res.status(403).json({
+                error: 'This endpoint has been disabled. Please contact the administrator for further information.',
+            });
+        }
+        // check if user was authorized for the api call
+        const { host, authorization } = req.headers;
+        const api = new ServerApi(host, authorization);
+        if (!api.isAuthorized('rooms', req.params.id)) {
+            log.debug('MiroTalk update room - Unauthorized', {
+                header: req.headers,
+                body: req.body,
+            });
+            return res.status(403).json({ error: 'Unauthorized!' });
+        }
+        const { id } = checkXSS(req.params);
+        const room = roomList.get(id);
+        if (!room) {
+            return res.status(404).json({ error: 'Room not found' });
+        }
+        try {
+            const actions = api.updateRoom(room, checkXSS(req.body || {}));
+            // Keep the peers already in the meeting in sync
+            for (const { event, data } of actions) {
+                room.sendToAll(event, data);
+                if (['lock', 'unlock'].includes(data)) {
+                    webhookDispatcher.dispatch(data === 'lock' ? 'roomLocked' : 'roomUnlocked', { room_id: id });
+                }
+            }
+            const roomData = api.getRoom(id, room);
+            res.json({ room: roomData });
+            // log.debug the output if all done
+            log.debug('MiroTalk update room - Authorized', {
+                header: req.headers,
+                body: req.body,
+                actions: actions,
+                room: roomData,
+            });
+        } catch (err) {
+            log.warn('MiroTalk update room - Bad request', { id, error: err.message });
+            res.status(400).json({ error: err.message });
+        }
+    });
+
+    // close room endpoint
+    app.delete(restApi.basePath + '/rooms/:id', (req, res) => {
+        // Check if endpoint allowed
+        if (restApi.allowed && !restApi.allowed.rooms) {
+            return res.status(403).json({
+                error: 'This endpoint has been disabled. Please contact the administrator for further information.',
+            });
+        }
+        // check if user was authorized for the api call
+        const { host, authorization } = req.headers;
+        const api = new ServerApi(host, authorization);
+        if (!api.isAuthorized('rooms', req.params.id)) {
+            log.debug('MiroTalk close room - Unauthorized', {
+                header: req.headers,
+                body: req.body,
+            });
+            return res.status(403).json({ error: 'Unauthorized!' });
+        }
+        const { id } = checkXSS(req.params);
+        const room = roomList.get(id);
+        if (!room) {
+            return res.status(404).json({ error: 'Room not found' });
+        }
+        const { reason = '' } = checkXSS(req.body || {});
+        const ejected = closeRoom(room, reason);
+        res.json({ closed: true, ejected: ejected });
+        // log.debug the output if all done
+        log.debug('MiroTalk close room - Authorized', {
+            header: req.headers,
+            body: req.body,
+            room_id: id,
+            ejected: ejected,
+        });
+    });
+
+    // server recording of a room endpoints
+    function getRecordingRoom(req, res, action) {
+        // Check if endpoint allowed
+        if (restApi.allowed && !restApi.allowed.recordings) {
+            res.status(403).json({
+                error: 'This endpoint has been disabled. Please contact the administrator for further information.',
+            });
+            return null;
+        }
+        // check if user was authorized for the api call
+        const { host, authorization } = req.headers;
+        const api = new ServerApi(host, authorization);
+        if (!api.isAuthorized('recordings', req.params.id)) {
+            log.debug(`MiroTalk ${action} recording - Unauthorized`, {
+                header: req.headers,
+                body: req.body,
+            });
+            res.status(403).json({ error: 'Unauthorized!' });
+            return null;
+        }
+        if (!serverRecordingEnabled) {
+            res.status(403).json({ error: 'Recording disabled' });
+            return null;
+        }
+        const { id } = checkXSS(req.params);
+        const room = roomList.get(id);
+        if (!room) {
+            res.status(404).json({ error: 'Room not found' });
+            return null;
+        }
+        return room;
+    }
+
+    app.get(restApi.basePath + '/rooms/:id/recording', (req, res) => {
+        const room = getRecordingRoom(req, res, 'get');
+        if (!room) return;
+        res.json({ recording: room.recorder ? room.recorder.getStatus() : { recording: false } });
+    });
+
+    app.post(restApi.basePath + '/rooms/:id/recording', async (req, res) => {
+        const room = getRecordingRoom(req, res, 'start');
+        if (!room) return;
+        if (room.recorder) {
+            return res.status(409).json({ error: 'Room is already recorded' });
+        }
+        if (await recordingRetention.isDiskFull()) {
+            return res.status(507).json({ error: 'Recording refused, the server is running out of disk space' });
+        }
+        try {
+            const { mode, layout } = checkXSS(req.body || {});
+            const recording = startServerRecording(room, { mode, layout });
+            res.json({ recording: recording });
+            log.debug('MiroTalk start recording - Authorized', { room_id: room.id, recording: recording });
+        } catch (err) {
+            log.warn('MiroTalk start recording - Bad request', { room_id: room.id, error: err.message });
+            res.status(400).json({ error: err.message });
+        }
+    });
+
+    app.delete(restApi.basePath + '/rooms/:id/recording', async (req, res) => {
+        const room = getRecordingRoom(req, res, 'stop');
+        if (!room) return;
+        const recorder = room.recorder;
+        if (!recorder) {
+            return res.status(404).json({ error: 'Room is not recorded' });
+        }
+        await recorder.stop();
+        res.json({ recording: recorder.getStatus() });
+        log.debug('MiroTalk stop recording - Authorized', { room_id: room.id, files: recorder.files.length });
+    });
+
+    // recording library endpoints
+    function getRecordingsApi(req, res, action, room_id = null) {
+        // Check if endpoint allowed
+        if (restApi.allowed && !restApi.allowed.recordings) {
+            res.status(403).json({
+                error: 'This endpoint has been disabled. Please contact the administrator for further information.',
+            });
+            return null;
+        }
+        // check if user was authorized for the api call
+        const { host, authorization } = req.headers;
+        const api = new ServerApi(host, authorization);
+        if (!api.isAuthorized('recordings', room_id)) {
+            log.debug(`MiroTalk ${action} recordings - Unauthorized`, {
+                header: req.headers,
+                body: req.body,
+            });
+            res.status(403).json({ error: 'Unauthorized!' });
+            return null;
+        }
+        return api;
+    }
+
+    async function getRecordingStorage(req, res, storage) {
+        // Where the recording asked for is, null once the error was sent
+        const { name } = req.params;
+        if (!Validator.isValidRecordingName(name)) {
+            res.status(400).json({ error: 'Invalid recording name' });
+            return null;
+        }
+        if (storage && !['local', 's3'].includes(storage)) {
+            res.status(400).json({ error: 'Invalid storage, expected local or s3' });
+            return null;
+        }
+        const found = await recordingLibrary.getStorage(name, storage);
+        if (!found) {
+            res.status(404).json({ error: 'Recording not found' });
+            return null;
+        }
+        return found;
+    }
+
+    async function sendRecording(req, res, name, storage) {
+        res.attachment(name);
+        if (storage === 'local') {
+            // Range requests are answered by express
+            return res.sendFile(recordingLibrary.getFilePath(name), (err) => {
+                if (err && !res.headersSent) res.status(err.status || 500).json({ error: 'Recording unavailable' });
+            });
+        }
+        try {
+            const object = await recordingLibrary.getS3Object(name, req.headers.range);
+            res.status(object.ContentRange ? 206 : 200).set({
+                'Content-Type': RecordingLibrary.getMediaType(name),
+                'Content-Length': object.ContentLength,
+                'Accept-Ranges': 'bytes',
+                ...(object.ContentRange && { 'Content-Range': object.ContentRange }),
+            });
+            object.Body.on('error', () => res.destroy()).pipe(res);
+        } catch (err) {
+            log.warn('Recording download from S3 failed', { name, error: err.message });
+            if (err.name === 'InvalidRange') return res.status(416).json({ error: 'Range not satisfiable' });
+            res.status(500).json({ error: 'Recording unavailable' });
+        }
+    }
+
+    app.get(restApi.basePath + '/recordings', async (req, res) => {
+        const { room, from, to, storage } = checkXSS(req.query);
+        const api = getRecordingsApi(req, res, 'list', room || null);
+        if (!api) return;
+        try {
+            const recordings = await recordingLibrary.list({ room_id: room, from, to, storage });
+            res.json({ recordings: recordings.filter(({ room_id }) => api.isRoomAllowed(room_id)) });
+            log.debug('MiroTalk list recordings - Authorized', { room_id: room, recordings: recordings.length });
+        } catch (err) {
+            log.warn('MiroTalk list recordings - Failed', { error: err.message });
+            res.status(err.message === 'Invalid date filter' ? 400 : 500).json({ error: err.message });
+        }
+    });
+
+    app.get(restApi.basePath + '/recordings/:name', async (req, res) => {
+        const { name } = req.params;
+        if (!getRecordingsApi(req, res, 'download', RecordingLibrary.getRoomId(name))) return;
+        const storage = await getRecordingStorage(req, res, req.query.storage);
+        if (!storage) return;
+        log.debug('MiroTalk download recording - Authorized', { name, storage, range: req.headers.range });
+        await sendRecording(req, res, name, storage);
+    });
+
+    app.delete(restApi.basePath + '/recordings/:name', async (req, res) => {
+        const { name } = req.params;
+        if (!getRecordingsApi(req, res, 'delete', RecordingLibrary.getRoomId(name))) return;
+        const storage = await getRecordingStorage(req, res, req.query.storage);
+        if (!storage) return;
+        try {
+            await recordingLibrary.delete(name, storage);
+            res.json({ deleted: { name, storage } });
+            log.debug('MiroTalk delete recording - Authorized', { name, storage });
+        } catch (err) {
+            log.error('MiroTalk delete recording - Failed', { name, storage, error: err.message });
+            res.status(500).json({ error: 'Recording not deleted' });
+        }
+    });
+
+    app.post(restApi.basePath + '/recordings/:name/link', async (req, res) => {
+        const { name } = req.params;
+        if (!getRecordingsApi(req, res, 'link', RecordingLibrary.getRoomId(name))) return;
+        const { expiresIn, storage: requested } = checkXSS(req.body || {});
+        const storage = await getRecordingStorage(req, res, requested);
+        if (!storage) return;
+        try {
+            const link = recordingLibrary.sign(name, storage, expiresIn);
+            const query = new URLSearchParams(link);
+            res.json({
+                url: `${host}/recordings/${encodeURIComponent(name)}?${query}`,
+                expiresAt: new Date(link.expires * 1000).toISOString(),
+            });
+            log.debug('MiroTalk recording link - Authorized', { name, storage, expiresAt: link.expires });
+        } catch (err) {
+            res.status(400).json({ error: err.message });
+        }
+    });
+
+    // signed recording download, for the people without an API key
+    app.get('/recordings/:name', async (req, res) => {
+        if (restApi.allowed && !restApi.allowed.recordings) {
+            return res.status(403).json({ error: 'Recording links disabled' });
+        }
+        const { name } = req.params;
+        const { storage, expires, signature } = req.query;
+        if (!recordingLibrary.verify(name, storage, expires, signature)) {
+            return res.status(403).json({ error: 'Invalid or expired link' });
+        }
+        if (!(await getRecordingStorage(req, res, storage))) return;
+        log.debug('Recording link download', { name, storage, range: req.headers.range });
+        await sendRecording(req, res, name, storage);
+    });
+
+    // moderate room participant endpoint
+    app.post(restApi.basePath + '/rooms/:id/peers/:peer/:action', (req, res) => {
+        // Check if endpoint allowed
+        if (restApi.allowed && !restApi.allowed.rooms) {
+            return res.status(403).json({
+                error: 'This endpoint has been disabled. Please contact the administrator for further information.',
+            });
+        }
+        // check if user was authorized for the api call
+        const { host, authorization } = req.headers;
+        const api = new ServerApi(host, authorization);
+        if (!api.isAuthorized('rooms', req.params.id)) {
+            log.debug('MiroTalk peer action - Unauthorized', {
+                header: req.headers,
+                body: req.body,
+            });
+            return res.status(403).json({ error: 'Unauthorized!' });
+        }
+        const { id, peer, action } = checkXSS(req.params);
+        const room = roomList.get(id);
+        if (!room) {
+            return res.status(404).json({ error: 'Room not found' });
+        }
+        if (!peerApiActions.includes(action)) {
+            return res.status(400).json({ error: `Invalid action, expected one of: ${peerApiActions.join(', ')}` });
+        }
+        const { message = '' } = checkXSS(req.body || {});
+        const target = moderatePeer(room, peer, action, message);
+        if (!target) {
+            return res.status(404).json({ error: 'Peer not found' });
+        }
+        res.json({ success: true, action: action, peer: target });
+        // log.debug the output if all done
+        log.debug('MiroTalk peer action - Authorized', {
+            header: req.headers,
+            body: req.body,
+            room_id: id,
+            action: action,
+            peer: target,
+        });
+    });
+
+    // send system chat message endpoint
+    app.post(restApi.basePath + '/rooms/:id/messages', (req, res) => {
+        // Check if endpoint allowed
+        if (restApi.allowed && !restApi.allowed.rooms) {
+            return res.status(403).json({
+                error: 'This endpoint has been disabled. Please contact the administrator for further information.',
+            });
+        }
+        // check if user was authorized for the api call
+        const { host, authorization } = req.headers;
+        const api = new ServerApi(host, authorization);
+        if (!api.isAuthorized('rooms', req.params.id)) {
+            log.debug('MiroTalk message - Unauthorized', {
+                header: req.headers,
+                body: req.body,
+            });
+            return res.status(403).json({ error: 'Unauthorized!' });
+        }
+        const { id } = checkXSS(req.params);
+        const room = roomList.get(id);
+        if (!room) {
+            return res.status(404).json({ error: 'Room not found' });
+        }
+        const data = checkXSS(req.body || {});
+        // The message goes to everyone, unless addressed to a peer by socket id or peer_uuid
+        let toPeer = null;
+        if (data.to && data.to !== 'all') {
+            toPeer = room.getPeer(data.to) || room.getPeerByUuid(data.to);
+            if (!toPeer) {
+                return res.status(404).json({ error: 'Peer not found' });
+            }
+        }
+        let message;
+        try {
+            message = api.getSystemMessage(data, toPeer);
+        } catch (err) {
+            return res.status(400).json({ error: err.message });
+        }
+        toPeer ? room.sendTo(toPeer.id, 'message', message) : room.sendToAll('message', message);
+        res.json({ success: true, message: message });
+        // log.debug the output if all done
+        log.debug('MiroTalk message - Authorized', {
+            header: req.headers,
+            body: req.body,
+            room_id: id,
+            message: message,
+        });
+    });
+
+    // webhook deliveries log endpoint
+    app.get(restApi.basePath + '/webhooks/deliveries', (req, res) => {
+        // Check if endpoint allowed
+        if (restApi.allowed && !restApi.allowed.webhooks) {
+            return res.status(403).json({
+                error: 'This endpoint has been disabled. Please contact the administrator for further information.',
+            });
+        }
+        // check if user was authorized for the api call
+        const { host, authorization } = req.headers;
+        const api = new ServerApi(host, authorization);
+        if (!api.isAuthorized('webhooks')) {
+            log.debug('MiroTalk webhook deliveries - Unauthorized', {
+                header: req.headers,
+                body: req.body,
+            });
+            return res.status(403).json({ error: 'Unauthorized!' });
+        }
+        const { event, status, limit } = checkXSS(req.query);
+        const deliveries = webhookDispatcher
+            .getDeliveries({
+                event: event || null,
+                success: status === 'success' ? true : status === 'failed' ? false : null,
+            })
+            .filter(({ room_id }) => api.isRoomAllowed(String(room_id || '')))
+            .slice(0, parseInt(limit) || 100);
+        res.json({
+            enabled: webhookDispatcher.isEnabled(),
+            pending: webhookDispatcher.getQueue().length,
+            deliveries: deliveries,
+        });
+        // log.debug the output if all done
+        log.debug('MiroTalk webhook deliveries - Authorized', {
+            header: req.headers,
+            body: req.body,
+            deliveries: deliveries.length,
+        });
+    });
+
+    // webhook redeliver endpoint
+    app.post(restApi.basePath + '/webhooks/deliveries/:id/redeliver', (req, res) => {
+        // Check if endpoint allowed
+        if (restApi.allowed && !restApi.allowed.webhooks) {
+            return res.status(403).json({
+                error: 'This endpoint has been disabled. Please contact the administrator for further information.',
+            });
+        }
+        // check if user was authorized for the api call
+        const { host, authorization } = req.headers;
+        const api = new ServerApi(host, authorization);
+        if (!api.isAuthorized('webhooks')) {
+            log.debug('MiroTalk webhook redeliver - Unauthorized', {
+                header: req.headers,
+                body: req.body,
+            });
+            return res.status(403).json({ error: 'Unauthorized!' });
+        }
+        const { id } = checkXSS(req.params);
+        const delivery = webhookDispatcher.getDeliveries().find(({ delivery_id }) => delivery_id === id);
+        if (!delivery || !api.isRoomAllowed(String(delivery.room_id || ''))) {
+            return res.status(404).json({ error: 'Delivery not found' });
+        }
+        let job;
+        try {
+            job = webhookDispatcher.redeliver(id);
+        } catch (err) {
+            return res.status(409).json({ error: err.message });
+        }
+        res.status(202).json({ success: true, delivery_id: job.id, redelivery_of: id });
+        // log.debug the output if all done
+        log.debug('MiroTalk webhook redeliver - Authorized', {
+            header: req.headers,
+            body: req.body,
+            delivery_id: job.id,
+            redelivery_of: id,
+        });
+    });
+
+    // drain status endpoint
+    app.get(restApi.basePath + '/drain', (req, res) => {
+        // Check if endpoint allowed
+        if (restApi.allowed && !restApi.allowed.drain) {
+            return res.status(403).json({
+                error: 'This endpoint has been disabled. Please contact the administrator for further information.',
+            });
+        }
+        // check if user was authorized for the api call, a key limited to some rooms cannot end the others
+        const { host, authorization } = req.headers;
+        const api = new ServerApi(host, authorization);
+        if (!api.isAuthorized('drain') || !api.isRoomAllowed('')) {
+            log.debug('MiroTalk drain status - Unauthorized', {
+                header: req.headers,
+                body: req.body,
+            });
+            return res.status(403).json({ error: 'Unauthorized!' });
+        }
+        res.json(drain.getStatus());
+    });
+
+    // drain the server for maintenance endpoint
+    app.post(restApi.basePath + '/drain', (req, res) => {
+        // Check if endpoint allowed
+        if (restApi.allowed && !restApi.allowed.drain) {
+            return res.status(403).json({
+                error: 'This endpoint has been disabled. Please contact the administrator for further information.',
+            });
+        }
+        // check if user was authorized for the api call, a key limited to some rooms cannot end the others
+        const { host, authorization } = req.headers;
+        const api = new ServerApi(host, authorization);
+        if (!api.isAuthorized('drain') || !api.isRoomAllowed('')) {
+            log.debug('MiroTalk drain - Unauthorized', {
+                header: req.headers,
+                body: req.body,
+            });
+            return res.status(403).json({ error: 'Unauthorized!' });
+        }
+        const { timeout, reason = '' } = checkXSS(req.body || {});
+        let status;
+        try {
+            status = drain.start(timeout === undefined ? drain.timeout : Number(timeout), String(reason));
+        } catch (err) {
+            return res.status(drain.locked ? 409 : 400).json({ error: err.message });
+        }
+        res.json(status);
+        // log.debug the output if all done
+        log.debug('MiroTalk drain - Authorized', {
+            header: req.headers,
+            body: req.body,
+            status: status,
+        });
+    });
+
+    // cancel the drain endpoint
+    app.delete(restApi.basePath + '/drain', (req, res) => {
+        // Check if endpoint allowed
+        if (restApi.allowed && !restApi.allowed.drain) {
+            return res.status(403).json({
+                error: 'This endpoint has been disabled. Please contact the administrator for further information.',
+            });
+        }
+        // check if user was authorized for the api call, a key limited to some rooms cannot end the others
+        const { host, authorization } = req.headers;
+        const api = new ServerApi(host, authorization);
+        if (!api.isAuthorized('drain') || !api.isRoomAllowed('')) {
+            log.debug('MiroTalk drain cancel - Unauthorized', {
+                header: req.headers,
+                body: req.body,
+            });
+            return res.status(403).json({ error: 'Unauthorized!' });
+        }
+        const cancelled = drain.cancel();
+        res.json({ ...drain.getStatus(), cancelled: cancelled });
+        // log.debug the output if all done
+        log.debug('MiroTalk drain cancel - Authorized', {
+            header: req.headers,
+            body: req.body,
+            cancelled: cancelled,
+        });
+    });
+
+    // ####################################################
+    // SLACK API
+    // ####################################################
+
+    app.post('/slack', (req, res) => {
+        if (!slackEnabled) return res.end('`Under maintenance` - Please check back soon.');
+
+        if (restApi.allowed && !restApi.allowed.slack) {
+            return res.end(
+                '`This endpoint has been disabled`. Please contact the administrator for further information.'
+            );
+        }
+
+        log.debug('Slack', req.headers);
+
+        if (!slackSigningSecret) return res.end('`Slack Signing Secret is empty!`');
+
+        const slackSignature = req.headers['x-slack-signature'];
+        const requestBody = qS.stringify(req.body, { format: 'RFC1738' });
+        const timeStamp = req.headers['x-slack-request-timestamp'];
+        const time = Math.floor(new Date().getTime() / 1000);
+
+        if (Math.abs(time - timeStamp) > 300) return res.end('`Wrong timestamp` - Ignore this request.');
+
+        const sigBaseString = 'v0:' + timeStamp + ':' + requestBody;
+        const mySignature = 'v0=' + CryptoJS.HmacSHA256(sigBaseString, slackSigningSecret);
+
+        if (mySignature == slackSignature) {
+            const host = req.headers.host;
+            const api = new ServerApi(host);
+            const meetingURL = api.getMeetingURL();
+            log.debug('Slack', { meeting: meetingURL });
+            return res.end(meetingURL);
+        }
+        return res.end('`Wrong signature` - Verification failed!');
+    });
+
+    // ####################################################
+    // AUTHORIZED API IF ALLOWED
+    // ####################################################
+
+    // request active rooms endpoint
+    app.get(restApi.basePath + '/activeRooms', (req, res) => {
+        // Check if endpoint allowed
+        if (!config.ui?.rooms?.showActive) {
+            return res.status(403).json({
+                error: 'This endpoint has been disabled. Please contact the administrator for further information.',
+            });
+        }
+        // check if user was authorized for the api call
+        const { host, authorization = config.api.keySecret } = req.headers;
+        const api = new ServerApi(host, authorization);
+
+        // Get active rooms
+        const activeRooms = api.getActiveRooms(roomList);
+        res.json({ activeRooms: activeRooms });
+
+        // log.debug the output if all done
+        log.debug('MiroTalk get active rooms - Authorized', {
+            header: req.headers,
+            body: req.body,
+            activeRooms: activeRooms,
+        });
+    });
+
+    // not match any of page before, so 404 not found
     app.use((req, res) => {
         res.sendFile(views.notFound);
     });
@@ -1512,6 +2703,7 @@ function startServer() {
                     rtcMaxPort: config.mediasoup?.worker?.rtcMaxPort,
                 },
                 ngrok_enabled: config.ngrok?.enabled ? config.ngrok : false,
+                cluster: cluster ? { node: cluster.node, registry: clusterCfg.registry?.type } : false,
             },
 
             // Security & Authentication
@@ -1532,7 +2724,7 @@ function startServer() {
             // API & Services
             api: {
                 rest_api: restApi,
-                webhook: webhook.enabled ? webhook : false,
+                webhook: webhook.enabled ? { ...webhook, subscribers: webhookDispatcher.getSubscribers() } : false,
             },
 
             // Media Configuration
@@ -1644,6 +2836,9 @@ function startServer() {
     (async () => {
         try {
             await createWorkers();
+            workerSelector.start(workers);
+            // Only takes rooms once the workers are up
+            if (cluster) await cluster.start(() => Array.from(roomList.keys()));
         } catch (err) {
             log.error('Create Worker ERROR --->', err);
             process.exit(1);
@@ -1653,66 +2848,141 @@ function startServer() {
     async function createWorkers() {
         const { numWorkers } = config.mediasoup;
 
-        const { logLevel, logTags, rtcMinPort, rtcMaxPort, disableLiburing } = config.mediasoup.worker;
-
         log.info('WORKERS:', numWorkers);
 
         for (let i = 0; i < numWorkers; i++) {
-            //
-            const worker = await mediasoup.createWorker({
-                logLevel: logLevel,
-                logTags: logTags,
-                rtcMinPort: Number(rtcMinPort),
-                rtcMaxPort: Number(rtcMaxPort),
-                disableLiburing: Boolean(disableLiburing),
-            });
+            workers.push(await createWorker(i));
+        }
+    }
 
-            if (webRtcServerActive) {
-                const webRtcServerOptions = clone(config.mediasoup.webRtcServerOptions);
-                const portIncrement = i;
+    async function createWorker(index) {
+        const { logLevel, logTags, rtcMinPort, rtcMaxPort, disableLiburing } = config.mediasoup.worker;
 
-                for (const listenInfo of webRtcServerOptions.listenInfos) {
-                    if (!listenInfo.portRange) {
-                        listenInfo.port += portIncrement;
-                    }
-                }
+        const worker = await mediasoup.createWorker({
+            logLevel: logLevel,
+            logTags: logTags,
+            rtcMinPort: Number(rtcMinPort),
+            rtcMaxPort: Number(rtcMaxPort),
+            disableLiburing: Boolean(disableLiburing),
+            appData: { index: index }, // A replacement takes over the WebRtcServer ports of the same index
+        });
 
-                log.info('Create a WebRtcServer', {
-                    worker_pid: worker.pid,
-                    webRtcServerOptions: webRtcServerOptions,
-                });
+        if (webRtcServerActive) {
+            const webRtcServerOptions = clone(config.mediasoup.webRtcServerOptions);
+            const portIncrement = index;
 
-                const webRtcServer = await worker.createWebRtcServer(webRtcServerOptions);
-                worker.appData.webRtcServer = webRtcServer;
+            for (const listenInfo of webRtcServerOptions.listenInfos) {
+                if (!listenInfo.portRange) {
+                    listenInfo.port += portIncrement;
+                }
             }
 
-            worker.on('died', () => {
-                log.error('Mediasoup worker died, exiting in 5 seconds...', worker.pid);
+            log.info('Create a WebRtcServer', {
+                worker_pid: worker.pid,
+                webRtcServerOptions: webRtcServerOptions,
+            });
 
-                nodemailer.sendEmailAlert('alert', {
-                    subject: 'Worker Died',
-                    body: `The Worker with PID ${worker.pid} has died unexpectedly!`,
-                });
+            const webRtcServer = await worker.createWebRtcServer(webRtcServerOptions);
+            worker.appData.webRtcServer = webRtcServer;
+        }
 
+        worker.on('died', (error) => {
+            replaceWorker(worker, error).catch((err) => {
+                log.error('Mediasoup worker recovery failed, exiting in 5 seconds...', err.message);
                 setTimeout(() => process.exit(1), 5000);
             });
+        });
 
-            workers.push(worker);
+        /*
+        setInterval(async () => {
+            const usage = await worker.getResourceUsage();
+            log.info('mediasoup Worker resource usage', { worker_pid: worker.pid, usage: usage });
+            const dump = await worker.dump();
+            log.info('mediasoup Worker dump', { worker_pid: worker.pid, dump: dump });
+        }, 120000);
+        */
+
+        return worker;
+    }
+
+    async function replaceWorker(deadWorker, error) {
+        const { index } = deadWorker.appData;
+
+        log.error('Mediasoup worker died, replacing it...', {
+            worker_pid: deadWorker.pid,
+            index: index,
+            error: error?.message,
+        });
+
+        nodemailer.sendEmailAlert('alert', {
+            subject: 'Worker Died',
+            body: `The Worker with PID ${deadWorker.pid} has died unexpectedly! A new one replaces it and its rooms are moved there.`,
+        });
+
+        let worker;
+        try {
+            worker = await createWorker(index);
+            workers[workers.indexOf(deadWorker)] = worker;
+            log.info('Mediasoup worker replaced', { dead_worker_pid: deadWorker.pid, worker_pid: worker.pid });
+        } catch (err) {
+            // The other workers take over its rooms
+            log.error('Unable to replace the mediasoup worker', err.message);
+            workers.splice(workers.indexOf(deadWorker), 1);
+            if (workers.length === 0) throw new Error('No mediasoup worker left');
+        }
+
+        // Only the rooms of the dead worker are moved, the others keep running untouched
+        for (const room of roomList.values()) {
+            if (room.worker === deadWorker) {
+                await migrateRoom(room, worker || (await getMediasoupWorker()));
+            } else {
+                // Only the peers of an extra router of the room on the dead worker
+                const peers = room.dropWorker(deadWorker);
+                if (peers.length) rejoinRoom(room, peers);
+            }
+        }
+    }
+
+    async function migrateRoom(room, worker) {
+        const moved = await room.moveToWorker(worker);
+        if (!moved) {
+            log.error('Unable to move the room to a new worker', { room_id: room.id });
+            return;
+        }
+
+        rejoinRoom(room, Array.from(room.getPeers().values()));
+
+        log.info('Room migrated to a new worker', {
+            room_id: room.id,
+            worker_pid: worker.pid,
+            peers: room.getPeersCount(),
+        });
+    }
 
-            /*
-            setInterval(async () => {
-                const usage = await worker.getResourceUsage();
-                log.info('mediasoup Worker resource usage', { worker_pid: worker.pid, usage: usage });
-                const dump = await worker.dump();
-                log.info('mediasoup Worker dump', { worker_pid: worker.pid, dump: dump });
-            }, 120000);
-            */
+    function rejoinRoom(room, peers) {
+        // The peers rebuild their transports on a new router, over the same socket
+        for (const peer of peers) {
+            if (peer.peer_lobby) continue; // Not joined yet, will get the new router once let in
+            const peerSocket = io.sockets.sockets.get(peer.id);
+            if (!peerSocket) continue;
+            peerSocket.moved_to = room.id;
+            peerSocket.emit('roomMigrated', { room_id: room.id });
         }
     }
 
+    async function getExtraMediasoupWorker(roomWorkers) {
+        // A worker the room has no router on yet, another router on the same core would not help
+        const candidates = workers.filter((worker) => !roomWorkers.includes(worker));
+        return candidates.length ? workerSelector.select(candidates, roomList.values()) : null;
+    }
+
     async function getMediasoupWorker() {
-        const worker = workers[nextMediasoupWorkerIdx];
-        if (++nextMediasoupWorkerIdx === workers.length) nextMediasoupWorkerIdx = 0;
+        const worker = workerSelector.select(workers, roomList.values());
+        log.debug('Worker selected', {
+            mode: workerSelector.mode,
+            worker_pid: worker.pid,
+            load: workerSelector.getLoad(worker, roomList.values()),
+        });
         return worker;
     }
 
@@ -1721,6 +2991,13 @@ function startServer() {
     // ####################################################
 
     io.on('connection', (socket) => {
+        if (metricsEnabled) {
+            socket.onAny((event) => {
+                // Anything without a handler is counted together, clients choose the event names
+                metrics.inc('socket_events_total', { event: socket.listenerCount(event) ? event : 'unknown' });
+            });
+        }
+
         socket.on('clientError', (error) => {
             try {
                 log.error('Client error', error.message);
@@ -1743,12 +3020,42 @@ function startServer() {
             socket.room_id = room_id;
 
             if (roomList.has(socket.room_id)) {
+                // A room created ahead through the API is claimed by its first peer
+                if (cluster && roomList.get(socket.room_id).getPeersCount() === 0) {
+                    await cluster.claimRoom(socket.room_id).catch((err) => {
+                        log.error('Unable to claim the room', { room_id: socket.room_id, error: err.message });
+                    });
+                }
                 callback({ error: 'already exists' });
             } else {
+                if (drain.isDraining()) {
+                    log.warn('Room refused while drained', { room_id: socket.room_id });
+                    return callback({ error: 'Server in maintenance' });
+                }
                 log.debug('Created room', { room_id: socket.room_id });
-                const worker = await getMediasoupWorker();
-                roomList.set(socket.room_id, new Room(socket.room_id, worker, io));
-                callback({ room_id: socket.room_id });
+                const node = cluster ? await cluster.claimRoom(socket.room_id).catch(() => null) : null;
+                if (node) {
+                    log.warn('Room hosted on another cluster node', { room_id: socket.room_id, node_id: node.id });
+                    return callback({ error: 'Room hosted on another node' });
+                }
+                const state = await getRoomState(socket.room_id);
+                // Created by someone else while the state was loading
+                if (roomList.has(socket.room_id)) {
+                    return callback({ error: 'already exists' });
+                }
+                let worker;
+                try {
+                    worker = await getMediasoupWorker();
+                } catch (err) {
+                    log.error('Unable to create the room', { room_id: socket.room_id, error: err.message });
+                    return callback({ error: err.message });
+                }
+                const room = new Room(socket.room_id, worker, io);
+                restoreRoomState(room, state);
+                room.setExtraWorkerProvider(getExtraMediasoupWorker);
+                roomList.set(room.id, room);
+                webhookDispatcher.dispatch('roomCreated', { room_id: room.id });
+                callback({ room_id: room.id });
             }
         });
 
@@ -1778,6 +3085,34 @@ function startServer() {
 
             const room = getRoom(socket);
 
+            // A breakout room has no lock, password or lobby of its own: only the peers the server moved
+            // there, already let in the main room, can join it
+            if (room.isBreakoutRoom() && socket.moved_to !== room.id) {
+                log.warn('[Join] - Breakout room joined directly', { room_id: room.id, peer_ip: peer_ip });
+                return cb('notAllowed');
+            }
+
+            // A breakout room grants the same access as its main room
+            const accessRoomId = room.parentId || room.id;
+
+            // Room token, the claims take over what the peer sent
+            const roomClaims = data.peer_info.peer_token ? decodeRoomToken(data.peer_info.peer_token) : null;
+
+            if (roomClaims) {
+                if (roomClaims.room !== accessRoomId) {
+                    log.warn('[Join] - Room token for another room', { room_id: room.id, token_room: roomClaims.room });
+                    return cb('notAllowed');
+                }
+                if (!consumeRoomTokenNonce(roomClaims, data.peer_info.peer_uuid)) {
+                    log.warn('[Join] - Room token already used', { room_id: room.id, nonce: roomClaims.nonce });
+                    return cb('unauthorized');
+                }
+                if (roomClaims.name) data.peer_info.peer_name = roomClaims.name;
+                if (roomClaims.avatar) data.peer_info.peer_avatar = roomClaims.avatar;
+                data.peer_info.peer_presenter = roomClaims.role === 'presenter';
+            }
+            data.peer_info.peer_role = roomClaims ? roomClaims.role : null;
+
             const {
                 peer_name,
                 peer_id,
@@ -1793,7 +3128,7 @@ function startServer() {
             let is_presenter = peer_presenter;
 
             // User Auth required or detect token, we check if peer valid
-            if (hostCfg.user_auth || peer_token) {
+            if (!roomClaims && (hostCfg.user_auth || peer_token)) {
                 // Check JWT
                 if (peer_token) {
                     try {
@@ -1838,7 +3173,7 @@ function startServer() {
                 }
 
                 if (!hostCfg.users_from_db) {
-                    const roomAllowedForUser = isRoomAllowedForUser('[Join]', peer_name, room.id);
+                    const roomAllowedForUser = isRoomAllowedForUser('[Join]', peer_name, accessRoomId);
                     if (!roomAllowedForUser) {
                         log.warn('[Join] - Room not allowed for this peer', { peer_name, room_id: room.id });
                         return cb('notAllowed');
@@ -1847,7 +3182,7 @@ function startServer() {
             }
 
             // check if banned...
-            if (room.isBanned(peer_uuid)) {
+            if (room.isBanned(peer_uuid) || roomList.get(room.parentId)?.isBanned(peer_uuid)) {
                 log.info('[Join] - peer is banned!', {
                     room_id: data.room_id,
                     peer: {
@@ -1862,10 +3197,11 @@ function startServer() {
                 return cb('isBanned');
             }
 
-            // Remove old peer with same socket.id before adding new one
+            // Remove old peer with same socket.id before adding new one, the room stays open meanwhile
             const existingPeer = room.getPeer(socket.id);
             if (existingPeer) {
-                room.removePeer(socket.id);
+                existingPeer.close();
+                room.delPeer(existingPeer);
             }
 
             room.addPeer(new Peer(socket.id, data));
@@ -1887,10 +3223,13 @@ function startServer() {
                 peer_uuid: peer_uuid,
                 is_presenter: is_presenter,
             };
-            // first we check if the username match the presenters username else if join_first enabled
+            // the room token role, else the presenters list or the first to join when join_first enabled
             if (
-                hostCfg?.presenters?.list?.includes(peer_name) ||
-                (hostCfg?.presenters?.join_first && Object.keys(presenters[socket.room_id]).length === 0)
+                Presenters.isJoinPresenter(hostCfg?.presenters, {
+                    roomClaims: roomClaims,
+                    peer_name: peer_name,
+                    presentersCount: Object.keys(presenters[socket.room_id]).length,
+                })
             ) {
                 presenter.is_presenter = true;
                 presenters[socket.room_id][socket.id] = presenter;
@@ -1918,12 +3257,16 @@ function startServer() {
 
             peer.updatePeerInfo({ type: 'presenter', status: isPresenter });
 
-            if (room.isLocked() && !isPresenter) {
+            // Moved by the breakout rooms or to a new worker, the peer was already let in
+            const isMovedPeer = socket.moved_to === room.id;
+            socket.moved_to = null;
+
+            if (room.isLocked() && !isPresenter && !isMovedPeer) {
                 log.debug('The user was rejected because the room is locked, and they are not a presenter');
                 return cb('isLocked');
             }
 
-            if ((room.isLobbyEnabled() || room.isGlobalLobbyEnabled()) && !isPresenter) {
+            if ((room.isLobbyEnabled() || room.isGlobalLobbyEnabled()) && !isPresenter && !isMovedPeer) {
                 log.debug(
                     'The user is currently waiting to join the room because the lobby is enabled, and they are not a presenter'
                 );
@@ -1933,11 +3276,12 @@ function startServer() {
                     peer_name: peer_name,
                     lobby_status: 'waiting',
                 });
+                webhookDispatcher.dispatch('lobbyWaiting', { room_id: room.id, peer_info: peer.peer_info });
                 return cb('isLobby');
             }
 
             if ((hostCfg.protected || hostCfg.user_auth) && isPresenter && !hostCfg.users_from_db) {
-                const roomAllowedForUser = isRoomAllowedForUser('[Join]', peer_name, room.id);
+                const roomAllowedForUser = isRoomAllowedForUser('[Join]', peer_name, accessRoomId);
                 if (!roomAllowedForUser) {
                     log.warn('[Join] - Room not allowed for this peer', { peer_name, room_id: room.id });
                     return cb('notAllowed');
@@ -1985,6 +3329,13 @@ function startServer() {
             handleJoinWebHook(room.id, data.peer_info);
 
             cb(room.toJson());
+
+            if (drain.isDraining()) {
+                room.sendTo(socket.id, 'serverDrain', drain.getStatus());
+            }
+            if (room.recorder) {
+                room.sendTo(socket.id, 'serverRecording', room.recorder.getStatus());
+            }
         });
 
         socket.on('getRouterRtpCapabilities', (_, callback) => {
@@ -2092,6 +3443,10 @@ function startServer() {
                 return callback({ error: 'Peer not found' });
             }
 
+            if (peer.peer_info.peer_role === 'viewer') {
+                return callback({ error: 'Viewers are not allowed to share media' });
+            }
+
             const peerInfo = getPeerInfo(peer);
 
             const data = {
@@ -2287,6 +3642,12 @@ function startServer() {
 
             const peerInfo = getPeerInfo(peer);
 
+            // Beyond the last N of the room, resumed once its peer gets among the recent speakers
+            if (peer.isConsumerHeld(consumer_id)) {
+                log.debug('Consumer held by last N', { consumer_id, type, peerInfo });
+                return callback('successfully');
+            }
+
             try {
                 await consumer.resume();
 
@@ -2302,6 +3663,19 @@ function startServer() {
             }
         });
 
+        socket.on('setVideoTiles', ({ tiles } = {}) => {
+            if (!roomExists(socket)) return;
+
+            const room = getRoom(socket);
+
+            try {
+                // Rendered size of each remote video, for the layers its consumer receives
+                room.setVideoTiles(socket.id, tiles);
+            } catch (error) {
+                log.warn('Set video tiles', { error: error.message });
+            }
+        });
+
         socket.on('getProducers', () => {
             if (!roomExists(socket)) return;
 
@@ -2389,6 +3763,7 @@ function startServer() {
                     if (!room.isLocked()) {
                         room.setLocked(true, data.password);
                         room.broadCast(socket.id, 'roomAction', data.action);
+                        webhookDispatcher.dispatch('roomLocked', { room_id: room.id, peer_name: data.peer_name });
                     }
                     break;
                 case 'checkPassword':
@@ -2396,7 +3771,7 @@ function startServer() {
                         room: null,
                         password: 'KO',
                     };
-                    if (data.password == room.getPassword()) {
+                    if (await room.isValidPassword(data.password)) {
                         roomData.room = room.toJson();
                         roomData.password = 'OK';
                     }
@@ -2406,6 +3781,7 @@ function startServer() {
                     if (!isPresenter) return;
                     room.setLocked(false);
                     room.broadCast(socket.id, 'roomAction', data.action);
+                    webhookDispatcher.dispatch('roomUnlocked', { room_id: room.id, peer_name: data.peer_name });
                     break;
                 case 'globalLobbyOn':
                     if (!room.isGlobalLobbyEnabled()) return;
@@ -2479,6 +3855,8 @@ function startServer() {
 
                     peer.updatePeerInfo({ type: 'lobby', status: false });
 
+                    webhookDispatcher.dispatch('lobbyAccepted', { room_id: room.id, peer_info: peer.peer_info });
+
                     handleJoinWebHook(room.id, peer.peer_info);
                 }
             }
@@ -2500,6 +3878,7 @@ function startServer() {
                 'start',
                 'eject',
                 'ban',
+                'promote',
                 'geoLocation',
             ];
 
@@ -2517,6 +3896,11 @@ function startServer() {
 
             if (data.action === 'ban') room.addBannedPeer(data.to_peer_uuid);
 
+            if (data.action === 'promote') {
+                const peer = room.getPeer(data.peer_id);
+                if (peer) promotePeer(room, peer);
+            }
+
             data.broadcast
                 ? room.broadCast(data.peer_id, 'peerAction', data)
                 : room.sendTo(data.peer_id, 'peerAction', data);
@@ -2533,6 +3917,14 @@ function startServer() {
 
             peer.updatePeerInfo(data);
 
+            if (data.type === 'hand' && data.status === true) {
+                webhookDispatcher.dispatch('handRaised', { room_id: room.id, peer_name: peer.peer_name });
+            }
+
+            if (data.type === 'dataSaver') {
+                room.updateDataSaver(peer);
+            }
+
             if (data.broadcast) {
                 log.debug('updatePeerInfo broadcast data');
                 room.broadCast(socket.id, 'updatePeerInfo', data);
@@ -2737,6 +4129,17 @@ function startServer() {
             const room = getRoom(socket);
 
             room.broadCast(socket.id, 'recordingAction', data);
+
+            const recordingEvents = {
+                'Start conference recording': 'recordingStarted',
+                'Stop conference recording': 'recordingFinished',
+            };
+            if (recordingEvents[data.action]) {
+                webhookDispatcher.dispatch(recordingEvents[data.action], {
+                    room_id: room.id,
+                    peer_name: data.peer_name,
+                });
+            }
         });
 
         socket.on('refreshParticipantsCount', () => {
@@ -2775,6 +4178,9 @@ function startServer() {
                 return;
             }
 
+            // System messages can only come from the rest api
+            delete data.system;
+
             log.info('message', data);
 
             data.to_peer_id == 'all'
@@ -3217,7 +4623,10 @@ function startServer() {
 
             const rtmp = await room.startRTMP(socket.id, room, host, 1935, `../${rtmpDir}/${file}`);
 
-            if (rtmp !== false) rtmpFileStreamsCount++;
+            if (rtmp !== false) {
+                rtmpFileStreamsCount++;
+                webhookDispatcher.dispatch('rtmpStarted', { room_id: room.id, peer_name: peer_name, source: 'file' });
+            }
 
             log.debug('startRTMP - rtmpFileStreamsCount ---->', rtmpFileStreamsCount);
 
@@ -3234,6 +4643,8 @@ function startServer() {
             log.debug('stopRTMP - rtmpFileStreamsCount ---->', rtmpFileStreamsCount);
 
             await room.stopRTMP();
+
+            webhookDispatcher.dispatch('rtmpStopped', { room_id: room.id, source: 'file' });
         });
 
         socket.on('endOrErrorRTMP', async () => {
@@ -3266,7 +4677,10 @@ function startServer() {
 
             const rtmp = await room.startRTMPfromURL(socket.id, room, host, 1935, inputVideoURL);
 
-            if (rtmp !== false) rtmpUrlStreamsCount++;
+            if (rtmp !== false) {
+                rtmpUrlStreamsCount++;
+                webhookDispatcher.dispatch('rtmpStarted', { room_id: room.id, peer_name: peer_name, source: 'url' });
+            }
 
             log.debug('startRTMPfromURL - rtmpUrlStreamsCount ---->', rtmpUrlStreamsCount);
 
@@ -3283,6 +4697,8 @@ function startServer() {
             log.debug('stopRTMPfromURL - rtmpUrlStreamsCount ---->', rtmpUrlStreamsCount);
 
             await room.stopRTMPfromURL();
+
+            webhookDispatcher.dispatch('rtmpStopped', { room_id: room.id, source: 'url' });
         });
 
         socket.on('endOrErrorRTMPfromURL', async () => {
@@ -3311,7 +4727,9 @@ function startServer() {
             const roomPolls = room.getPolls();
 
             roomPolls.push(newPoll);
+            room.saveState();
             room.sendToAll('updatePolls', room.convertPolls(roomPolls));
+            webhookDispatcher.dispatch('pollCreated', { room_id: room.id, question: question, options: options });
             log.debug('[Poll] createPoll', roomPolls);
         });
 
@@ -3329,6 +4747,7 @@ function startServer() {
             const poll = roomPolls[data.pollIndex];
             if (poll) {
                 poll.voters.set(peer_name, data.option);
+                room.saveState();
                 room.sendToAll('updatePolls', room.convertPolls(roomPolls));
                 log.debug('[Poll] vote', roomPolls);
             }
@@ -3361,6 +4780,7 @@ function startServer() {
             if (roomPolls[index]) {
                 roomPolls[index].question = question;
                 roomPolls[index].options = options;
+                room.saveState();
                 room.sendToAll('updatePolls', roomPolls);
                 log.debug('[Poll] editPoll', roomPolls);
             }
@@ -3381,6 +4801,7 @@ function startServer() {
 
             if (roomPolls[index]) {
                 roomPolls.splice(index, 1);
+                room.saveState();
                 room.sendToAll('updatePolls', roomPolls);
                 log.debug('[Poll] deletePoll', roomPolls);
             }
@@ -3422,6 +4843,69 @@ function startServer() {
             room.broadCast(socket.id, 'editorUpdate', data);
         });
 
+        socket.on('breakoutRooms', async (dataObject, cb) => {
+            if (!roomExists(socket)) {
+                return cb({ error: 'Room not found' });
+            }
+
+            const data = checkXSS(dataObject);
+
+            const { room, peer } = getRoomAndPeer(socket);
+
+            // The presenter drives the breakout from the main room or from inside a breakout room
+            const mainRoom = room.isBreakoutRoom() ? roomList.get(room.parentId) : room;
+
+            if (!peer || !mainRoom) {
+                return cb({ error: 'Room not found' });
+            }
+
+            const { peer_name, peer_uuid } = peer;
+
+            const isPresenter = isPeerPresenter(socket.room_id, socket.id, peer_name, peer_uuid);
+
+            if (data.action !== 'get' && !isPresenter) {
+                log.warn('[Breakout rooms] - Only the presenter can manage the breakout rooms', {
+                    room_id: mainRoom.id,
+                    peer_name: peer_name,
+                    action: data.action,
+                });
+                return cb({ error: 'Only the presenter can manage the breakout rooms' });
+            }
+
+            try {
+                switch (data.action) {
+                    case 'get':
+                        break;
+                    case 'start':
+                        await startBreakoutRooms(mainRoom, data);
+                        break;
+                    case 'broadcast':
+                        broadcastBreakoutRooms(mainRoom, data.message, peer_name);
+                        break;
+                    case 'move':
+                        moveBreakoutPeer(mainRoom, data.peer_uuid, data.room_id);
+                        break;
+                    case 'recall':
+                        recallBreakoutRooms(mainRoom, data.message);
+                        break;
+                    default:
+                        return cb({ error: 'Invalid action' });
+                }
+            } catch (err) {
+                log.warn('[Breakout rooms] - Action failed', {
+                    room_id: mainRoom.id,
+                    action: data.action,
+                    error: err.message,
+                });
+                return cb({ error: err.message });
+            }
+
+            cb({
+                breakout: mainRoom.breakout ? getBreakoutRoomsInfo(mainRoom) : null,
+                peers: getBreakoutPeersInfo(mainRoom),
+            });
+        });
+
         socket.on('disconnect', (reason) => {
             if (!roomExists(socket)) return;
 
@@ -3433,29 +4917,23 @@ function startServer() {
 
             log.debug('[Disconnect] - peer name', { peer_name, reason });
 
-            if (webhook.enabled) {
-                const data = {
-                    timestamp: log.getDateTime(false),
-                    room_id: socket.room_id,
-                    peer: peer?.peer_info,
-                    reason: reason,
-                };
-                // Trigger a POST request when a user disconnects
-                axios
-                    .post(webhook.url, { event: 'disconnect', data })
-                    .then((response) => log.debug('Disconnect event tracked:', response.data))
-                    .catch((error) => log.error('Error tracking disconnect event:', error.message));
-            }
+            webhookDispatcher.dispatch('disconnect', {
+                room_id: socket.room_id,
+                peer: peer?.peer_info,
+                reason: reason,
+            });
 
             room.removePeer(socket.id);
 
             room.broadCast(socket.id, 'removeMe', removeMeData(room, peer_name, isPresenter));
 
-            if (room.getPeersCount() === 0) {
+            if (room.getPeersCount() === 0 && !handleEmptyBreakoutRoom(room)) {
                 //
                 stopRTMPActiveStreams(isPresenter, room);
 
-                roomList.delete(socket.room_id);
+                deleteRoom(socket.room_id);
+
+                webhookDispatcher.dispatch('roomClosed', { room_id: socket.room_id });
 
                 delete presenters[socket.room_id];
 
@@ -3490,28 +4968,22 @@ function startServer() {
 
             log.debug('Exit room', peer_name);
 
-            if (webhook.enabled) {
-                const data = {
-                    timestamp: log.getDateTime(false),
-                    room_id: socket.room_id,
-                    peer: peer?.peer_info,
-                };
-                // Trigger a POST request when a user exits
-                axios
-                    .post(webhook.url, { event: 'exit', data })
-                    .then((response) => log.debug('ExitRoom event tracked:', response.data))
-                    .catch((error) => log.error('Error tracking exitRoom event:', error.message));
-            }
+            webhookDispatcher.dispatch('exit', {
+                room_id: socket.room_id,
+                peer: peer?.peer_info,
+            });
 
             room.removePeer(socket.id);
 
             room.broadCast(socket.id, 'removeMe', removeMeData(room, peer_name, isPresenter));
 
-            if (room.getPeersCount() === 0) {
+            if (room.getPeersCount() === 0 && !handleEmptyBreakoutRoom(room)) {
                 //
                 stopRTMPActiveStreams(isPresenter, room);
 
-                roomList.delete(socket.room_id);
+                deleteRoom(socket.room_id);
+
+                webhookDispatcher.dispatch('roomClosed', { room_id: socket.room_id });
 
                 delete presenters[socket.room_id];
 
@@ -3535,21 +5007,8 @@ function startServer() {
 
         // Helpers
 
-        async function handleJoinWebHook(room_id, peer_info) {
-            // handle WebHook
-            if (webhook.enabled) {
-                // Trigger a POST request when a user joins
-                const data = {
-                    timestamp: log.getDateTime(false),
-                    room_id,
-                    peer_info,
-                };
-
-                axios
-                    .post(webhook.url, { event: 'join', data })
-                    .then((response) => log.debug('Join event tracked:', response.data))
-                    .catch((error) => log.error('Error tracking join event:', error.message));
-            }
+        function handleJoinWebHook(room_id, peer_info) {
+            webhookDispatcher.dispatch('join', { room_id, peer_info });
         }
 
         function getRoomAndPeer(socket) {
@@ -3664,6 +5123,344 @@ function startServer() {
         }
     }
 
+    async function getRoomState(room_id) {
+        if (!roomStore) return null;
+        try {
+            return await roomStore.get(room_id);
+        } catch (err) {
+            log.error('Unable to read the room state', { room_id: room_id, error: err.message });
+            return null;
+        }
+    }
+
+    function restoreRoomState(room, state) {
+        if (state) {
+            room.restoreState(state);
+            log.info('Room state restored', { room_id: room.id });
+        }
+        // Only from now on, restoring must not write the state back
+        room.setStore(roomStore);
+    }
+
+    function deleteRoom(room_id) {
+        roomList.delete(room_id);
+        // Free the room on the cluster at once, not after the next heartbeat
+        if (cluster) {
+            cluster.releaseRoom(room_id).catch((err) => {
+                log.warn('Cluster registry error, unable to release the room', {
+                    room_id: room_id,
+                    error: err.message,
+                });
+            });
+        }
+    }
+
+    function closeRoom(room, reason = '') {
+        // Closing the main room closes its breakout rooms too
+        if (room.breakout) {
+            room.breakout.stopTimer();
+            getBreakoutRooms(room).forEach((breakoutRoom) => closeRoom(breakoutRoom, reason));
+            room.breakout = null;
+        }
+
+        const peerIds = Array.from(room.getPeers().keys());
+
+        // Ask every client to leave, then release their server side resources
+        for (const peer_id of peerIds) {
+            room.sendTo(peer_id, 'peerAction', {
+                from_peer_name: 'Server',
+                peer_id: peer_id,
+                action: 'eject',
+                message: reason,
+                broadcast: false,
+            });
+        }
+
+        stopRTMPActiveStreams(true, room);
+
+        for (const peer_id of peerIds) {
+            room.removePeer(peer_id);
+            const peerSocket = io.sockets.sockets.get(peer_id);
+            if (peerSocket) peerSocket.room_id = null;
+        }
+
+        room.close();
+
+        deleteRoom(room.id);
+
+        delete presenters[room.id];
+
+        if (!room.isBreakoutRoom()) {
+            webhookDispatcher.dispatch('roomClosed', { room_id: room.id, reason: reason });
+        }
+
+        log.info('[Close room] - Room closed', { room_id: room.id, ejected: peerIds.length, reason: reason });
+
+        return peerIds.length;
+    }
+
+    // ####################################################
+    // DRAIN
+    // ####################################################
+
+    drain.on('start', (status) => notifyDrain(status));
+
+    drain.on('cancel', (status) => notifyDrain(status));
+
+    drain.on('finalize', (status) => {
+        // Ahead of the deadline, so the recordings get uploaded and the RTMP streams end cleanly
+        for (const room of roomList.values()) {
+            room.sendToAll('serverDrain', { ...status, finalize: true });
+            stopRTMPActiveStreams(true, room);
+            if (room.recorder) room.recorder.stop();
+        }
+        log.info('Drain - recordings and RTMP streams stopped', { rooms: roomList.size });
+    });
+
+    drain.on('close', ({ reason }) => {
+        // Closing a main room closes its breakout rooms
+        const rooms = Array.from(roomList.values()).filter((room) => !room.isBreakoutRoom());
+        let peers = 0;
+        for (const room of rooms) {
+            peers += closeRoom(room, reason || 'Server maintenance');
+        }
+        log.info('Drain - rooms closed', { rooms: rooms.length, peers: peers });
+    });
+
+    function notifyDrain(status) {
+        for (const room of roomList.values()) {
+            room.sendToAll('serverDrain', status);
+        }
+    }
+
+    function moderatePeer(room, peer_key, action, message = '') {
+        // The presenter rights are kept here, the room relays the action to the peer
+        const peer = room.findPeer(peer_key);
+        if (peer && action === 'promote') promotePeer(room, peer);
+        return room.moderatePeer(peer_key, action, message);
+    }
+
+    function promotePeer(room, peer) {
+        Presenters.promote(presenters, room.id, peer);
+        peer.updatePeerInfo({ type: 'presenter', status: true });
+        log.info('[Promote peer] - Presenter', { room_id: room.id, peer_id: peer.id, peer_name: peer.peer_name });
+    }
+
+    // ####################################################
+    // BREAKOUT ROOMS
+    // ####################################################
+
+    function getBreakoutRooms(room) {
+        return room.breakout
+            ? room.breakout
+                  .getRoomIds()
+                  .map((room_id) => roomList.get(room_id))
+                  .filter(Boolean)
+            : [];
+    }
+
+    function getBreakoutPeersInfo(room) {
+        return room
+            ? Array.from(room.getPeers().values()).map(({ id, peer_uuid, peer_name, peer_presenter }) => ({
+                  id,
+                  peer_uuid,
+                  peer_name,
+                  peer_presenter,
+              }))
+            : [];
+    }
+
+    function getBreakoutRoomsInfo(room) {
+        const breakout = room.breakout.toJson();
+        // Who is where right now, the assignments alone don't say who already came back
+        return {
+            ...breakout,
+            rooms: breakout.rooms.map((breakoutRoom) => ({
+                ...breakoutRoom,
+                peers: getBreakoutPeersInfo(roomList.get(breakoutRoom.id)),
+            })),
+        };
+    }
+
+    async function startBreakoutRooms(room, options = {}) {
+        if (room.isBreakoutRoom()) {
+            throw new Error('Breakout rooms can not be nested');
+        }
+        if (room.breakout) {
+            throw new Error('Breakout rooms already started');
+        }
+
+        // The server limits always win over what the presenter asked for
+        const { count, names, duration } = options;
+        const breakout = new BreakoutRooms(room.id, { count, names, duration, ...config?.moderation?.room?.breakout });
+
+        if (breakout.getRoomIds().some((room_id) => roomList.has(room_id))) {
+            throw new Error('Breakout room already in use');
+        }
+
+        // Presenters and peers still waiting in the lobby stay in the main room unless assigned by hand
+        const peers = Array.from(room.getPeers().values()).filter((peer) => !peer.peer_lobby);
+
+        options.mode === 'manual'
+            ? breakout.assignManual(options.assignments)
+            : breakout.assignRandom(peers.filter((peer) => !peer.peer_presenter).map(({ peer_uuid }) => peer_uuid));
+
+        for (const room_id of breakout.getRoomIds()) {
+            const worker = await getMediasoupWorker();
+            const breakoutRoom = new Room(room_id, worker, io);
+            breakoutRoom.parentId = room.id;
+            breakoutRoom.updateRoomModeratorALL(room.getSettings().moderator);
+            roomList.set(room_id, breakoutRoom);
+            // Same presenters, so nobody gets promoted for joining a breakout room first
+            presenters[room_id] = { ...presenters[room.id] };
+        }
+
+        room.breakout = breakout;
+        breakout.startTimer(() => recallBreakoutRooms(room, 'The breakout rooms time is up'));
+
+        for (const peer of peers) {
+            const room_id = breakout.getAssignment(peer.peer_uuid);
+            if (room_id) movePeerToRoom(room, roomList.get(room_id), peer.id);
+        }
+
+        log.info('[Breakout rooms] - Started', { room_id: room.id, breakout: breakout.toJson() });
+
+        return breakout;
+    }
+
+    function broadcastBreakoutRooms(room, message, peer_name) {
+        if (!room.breakout) {
+            throw new Error('Breakout rooms not started');
+        }
+        const data = new ServerApi().getSystemMessage({ message: message, name: peer_name });
+        [room, ...getBreakoutRooms(room)].forEach((r) => r.sendToAll('message', data));
+    }
+
+    function moveBreakoutPeer(room, peer_uuid, room_id) {
+        if (!room.breakout) {
+            throw new Error('Breakout rooms not started');
+        }
+        const from = [room, ...getBreakoutRooms(room)].find((r) => r.getPeerByUuid(peer_uuid));
+        if (!from) {
+            throw new Error('Peer not found');
+        }
+        const to = roomList.get(room.breakout.assign(peer_uuid, room_id) || room.id);
+        if (to && to !== from) movePeerToRoom(from, to, from.getPeerByUuid(peer_uuid).id);
+    }
+
+    function recallBreakoutRooms(room, message = '') {
+        if (!room.breakout) {
+            throw new Error('Breakout rooms not started');
+        }
+
+        room.breakout.stopTimer();
+
+        const breakoutRoomIds = room.breakout.getRoomIds();
+
+        let recalled = 0;
+
+        for (const breakoutRoom of getBreakoutRooms(room)) {
+            for (const peer_id of Array.from(breakoutRoom.getPeers().keys())) {
+                if (movePeerToRoom(breakoutRoom, room, peer_id, message)) recalled++;
+            }
+            breakoutRoom.close();
+            deleteRoom(breakoutRoom.id);
+            delete presenters[breakoutRoom.id];
+        }
+
+        room.breakout = null;
+
+        // Sockets moved into a breakout room that had not joined it yet
+        for (const peerSocket of io.sockets.sockets.values()) {
+            if (breakoutRoomIds.includes(peerSocket.room_id)) {
+                peerSocket.room_id = room.id;
+                peerSocket.moved_to = room.id;
+                peerSocket.emit('breakoutRooms', { action: 'move', room_id: room.id, message: message });
+            }
+        }
+
+        log.info('[Breakout rooms] - Recalled', { room_id: room.id, recalled: recalled });
+
+        return recalled;
+    }
+
+    function movePeerToRoom(from, to, peer_id, message = '') {
+        const peer = from.getPeer(peer_id);
+        const peerSocket = io.sockets.sockets.get(peer_id);
+
+        if (!peer || !peerSocket) return false;
+
+        const { peer_name, peer_uuid } = peer;
+
+        const isPresenter = isPeerPresenter(from.id, peer_id, peer_name, peer_uuid);
+
+        if (presenters[from.id]?.[peer_id]) {
+            if (!(to.id in presenters)) presenters[to.id] = {};
+            presenters[to.id][peer_id] = presenters[from.id][peer_id];
+        }
+
+        from.removePeer(peer_id);
+
+        from.broadCast(peer_id, 'removeMe', {
+            room_id: from.id,
+            peer_id: peer_id,
+            peer_name: peer_name,
+            peer_counts: from.getPeersCount(),
+            isPresenter: isPresenter,
+        });
+
+        // The client leaves the old router and joins the new one over the same socket
+        peerSocket.room_id = to.id;
+        peerSocket.moved_to = to.id;
+
+        const mainRoom = to.isBreakoutRoom() ? roomList.get(to.parentId) : to;
+
+        peerSocket.emit('breakoutRooms', {
+            action: 'move',
+            room_id: to.id,
+            room_name: mainRoom?.breakout?.getRoom(to.id)?.name || null,
+            ends_at: to.isBreakoutRoom() ? mainRoom?.breakout?.endsAt : null,
+            message: message,
+        });
+
+        log.debug('[Breakout rooms] - Peer moved', { from: from.id, to: to.id, peer_name: peer_name });
+
+        return true;
+    }
+
+    function handleEmptyBreakoutRoom(room) {
+        // True when the room belongs to a running breakout, which takes care of it
+        if (!room.isInBreakout()) return false;
+
+        const mainRoom = room.isBreakoutRoom() ? roomList.get(room.parentId) : room;
+
+        if (!mainRoom?.breakout) {
+            room.close();
+            return false;
+        }
+
+        if ([mainRoom, ...getBreakoutRooms(mainRoom)].some((r) => r.getPeersCount() > 0)) return true;
+
+        // Everybody left, end the breakout and let the main room close as usual
+        mainRoom.breakout.stopTimer();
+        for (const breakoutRoom of getBreakoutRooms(mainRoom)) {
+            breakoutRoom.close();
+            deleteRoom(breakoutRoom.id);
+            delete presenters[breakoutRoom.id];
+        }
+        mainRoom.breakout = null;
+        mainRoom.close();
+
+        if (room !== mainRoom) {
+            deleteRoom(mainRoom.id);
+            delete presenters[mainRoom.id];
+            webhookDispatcher.dispatch('roomClosed', { room_id: mainRoom.id });
+            return true;
+        }
+
+        return false;
+    }
+
     function bytesToSize(bytes) {
         const sizes = ['Bytes', 'KB', 'MB', 'GB', 'TB'];
         if (bytes == 0) return '0 Byte';
@@ -3680,6 +5477,11 @@ function startServer() {
 
     function isPeerPresenter(room_id, peer_id, peer_name, peer_uuid) {
         try {
+            // Joined with a room token, only its role or a promotion gives the presenter rights
+            if (roomList.get(room_id)?.getPeer(peer_id)?.peer_info?.peer_role) {
+                return Boolean(presenters[room_id]?.[peer_id]?.is_presenter);
+            }
+
             if (hostCfg?.presenters?.join_first && (!presenters[room_id] || !presenters[room_id][peer_id])) {
                 // Presenter not in the presenters config list, disconnected, or peer_id changed...
                 for (const [existingPeerID, presenter] of Object.entries(presenters[room_id] || {})) {
@@ -3810,6 +5612,27 @@ function startServer() {
         return payload;
     }
 
+    function decodeRoomToken(jwtToken) {
+        try {
+            const decodedToken = jwt.verify(jwtToken, jwtCfg.JWT_KEY);
+            return decodedToken?.type === 'room' ? checkXSS(decodedToken) : null;
+        } catch (err) {
+            return null; // Not valid or not a room token, left to the user auth checks
+        }
+    }
+
+    function consumeRoomTokenNonce(claims, peer_uuid) {
+        const now = Date.now();
+        for (const [nonce, { expire }] of roomTokenNonces) {
+            if (expire <= now) roomTokenNonces.delete(nonce);
+        }
+        // The same peer can rejoin with its token (reconnect, page refresh), anyone else is rejected
+        const used = roomTokenNonces.get(claims.nonce);
+        if (used) return used.peer_uuid === peer_uuid;
+        roomTokenNonces.set(claims.nonce, { peer_uuid: peer_uuid, expire: claims.exp * 1000 });
+        return true;
+    }
+
     function getActiveRooms() {
         const roomIds = Array.from(roomList.keys());
         const roomPeersArray = roomIds.map((roomId) => {
@@ -4061,12 +5884,45 @@ function startServer() {
 
 process.on('SIGINT', () => {
     log.debug('PROCESS', 'SIGINT');
-    htmlInjector.cleanup();
-    process.exit();
+    exitProcess();
 });
 
 process.on('SIGTERM', () => {
     log.debug('PROCESS', 'SIGTERM');
-    htmlInjector.cleanup();
-    process.exit();
+    // Deploying a new version lets the meetings end first, a second SIGTERM exits at once
+    if (drainCfg.onSigterm !== false && !exitAfterDrain && roomList.size > 0 && !drain.closed) {
+        exitAfterDrain = true;
+        drain.once('close', () => waitForRecordingRequests().finally(exitProcess));
+        // A drain started through the api keeps its deadline, the api can no longer cancel or move it
+        if (!drain.isDraining()) drain.start(drain.timeout, 'Server restart');
+        drain.lock();
+        return;
+    }
+    exitProcess();
 });
+
+function exitProcess() {
+    htmlInjector.cleanup();
+    Promise.all([leaveCluster(), webhookDispatcher.whenSaved(), roomStore && roomStore.close()]).finally(() =>
+        process.exit()
+    );
+}
+
+async function waitForRecordingRequests(timeout = 30000) {
+    const until = Date.now() + timeout;
+    while (recordingRequests > 0 && Date.now() < until) {
+        await new Promise((resolve) => setTimeout(resolve, 500));
+    }
+    if (recordingRequests > 0) {
+        log.warn('Exiting with recording uploads in progress', { uploads: recordingRequests });
+    }
+}
+
+async function leaveCluster() {
+    if (!cluster) return;
+    try {
+        await cluster.stop();
+    } catch (err) {
+        log.error('Unable to leave the cluster', err.message);
+    }
+}
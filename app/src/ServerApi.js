@@ -4,21 +4,55 @@ const jwt = require('jsonwebtoken');
 const CryptoJS = require('crypto-js');
 
 const config = require('./config');
+const ApiKeys = require('./ApiKeys');
+const Logger = require('./Logger');
+const Validator = require('./Validator');
 const { v4: uuidV4 } = require('uuid');
 
+const log = new Logger('ServerApi');
+
+// The api.keySecret is a named key like the others, with the scopes it is given
+const defaultKey = config.api?.keySecret
+    ? [{ name: 'default', secret: config.api.keySecret, scopes: config.api.keySecretScopes }]
+    : [];
+
+const apiKeys = new ApiKeys([...defaultKey, ...(config.api?.keys || [])], config.api?.keysFile);
+
 const JWT_KEY = config.security?.jwt?.key || 'mirotalksfu_jwt_secret';
 const JWT_EXP = config.security?.jwt?.exp || '1h';
 
+const ROOM_TOKEN_ROLES = ['presenter', 'guest', 'viewer'];
+
 module.exports = class ServerApi {
     constructor(host = null, authorization = null) {
         this._host = host;
         this._authorization = authorization;
-        this._api_key_secret = config.api.keySecret;
+        this._key = null;
+        this._rooms = [];
+    }
+
+    isAuthorized(scope = null, room_id = null) {
+        const { authorized, key, reason } = apiKeys.authorize(this._authorization, scope, room_id);
+
+        this._key = key;
+        this._rooms = authorized ? apiKeys.getKey(this._authorization).rooms : [];
+
+        if (authorized) {
+            log.debug('Api request', { key: key, scope: scope, room_id: room_id });
+        } else {
+            log.info('Api request denied', { key: key, scope: scope, room_id: room_id, reason: reason });
+        }
+
+        return authorized;
+    }
+
+    getKeyName() {
+        return this._key;
     }
 
-    isAuthorized() {
-        if (this._authorization != this._api_key_secret) return false;
-        return true;
+    isRoomAllowed(room_id) {
+        if (!this._rooms.length) return true;
+        return this._rooms.some((prefix) => room_id.startsWith(prefix));
     }
 
     getStats(roomList, timestamp = new Date().toISOString()) {
@@ -36,7 +70,8 @@ module.exports = class ServerApi {
     }
 
     getMeetings(roomList) {
-        const meetings = Array.from(roomList.entries()).map(([id, room]) => {
+        const rooms = Array.from(roomList.entries()).filter(([id]) => this.isRoomAllowed(id));
+        const meetings = rooms.map(([id, room]) => {
             const peers = Array.from(room.peers.values()).map(
                 ({
                     peer_info: {
@@ -70,6 +105,111 @@ module.exports = class ServerApi {
         return meetings;
     }
 
+    getRoom(roomId, room) {
+        return {
+            id: roomId,
+            peers: room.getPeersCount(),
+            ...room.getSettings(),
+            join: 'https://' + this._host + '/join/' + roomId,
+        };
+    }
+
+    updateRoom(room, data = {}) {
+        const { locked, password, lobby, hostOnlyRecording, lastN, moderator } = data;
+        const settings = room.getSettings();
+
+        // Validate everything first, so a bad request never leaves the room half updated
+        for (const [key, value] of Object.entries({ locked, lobby, hostOnlyRecording })) {
+            if (value !== undefined && typeof value !== 'boolean') {
+                throw new Error(`Invalid ${key} value, expected boolean`);
+            }
+        }
+        if (password !== undefined && (typeof password !== 'string' || !password.trim())) {
+            throw new Error('Invalid password value, expected non empty string');
+        }
+        if (lastN !== undefined && (!Number.isInteger(lastN) || lastN < 0)) {
+            throw new Error('Invalid lastN value, expected a positive integer or 0');
+        }
+        if (locked === true && !password && !room.hasPassword()) {
+            throw new Error('Password is required to lock the room');
+        }
+        if (password && locked !== true && !(locked === undefined && settings.locked)) {
+            throw new Error('Password can only be set on a locked room');
+        }
+        if (moderator !== undefined) {
+            if (typeof moderator !== 'object' || moderator === null || Array.isArray(moderator)) {
+                throw new Error('Invalid moderator value, expected object');
+            }
+            for (const [type, status] of Object.entries(moderator)) {
+                if (!Object.prototype.hasOwnProperty.call(settings.moderator, type)) {
+                    throw new Error(`Unknown moderator setting ${type}`);
+                }
+                if (typeof status !== 'boolean') {
+                    throw new Error(`Invalid moderator ${type} value, expected boolean`);
+                }
+            }
+        }
+
+        // Apply and collect the actions to relay to the peers already in the room
+        const actions = [];
+
+        if (locked === true || (locked === undefined && password)) {
+            room.setLocked(true, password);
+            if (!settings.locked) actions.push({ event: 'roomAction', data: 'lock' });
+        } else if (locked === false && settings.locked) {
+            room.setLocked(false, null);
+            actions.push({ event: 'roomAction', data: 'unlock' });
+        }
+
+        if (lobby !== undefined && lobby !== settings.lobby) {
+            room.setLobbyEnabled(lobby);
+            actions.push({ event: 'roomAction', data: lobby ? 'lobbyOn' : 'lobbyOff' });
+        }
+
+        if (hostOnlyRecording !== undefined && hostOnlyRecording !== settings.hostOnlyRecording) {
+            room.setHostOnlyRecording(hostOnlyRecording);
+            actions.push({
+                event: 'roomAction',
+                data: hostOnlyRecording ? 'hostOnlyRecordingOn' : 'hostOnlyRecordingOff',
+            });
+        }
+
+        // Applied on the server, the peers get the paused videos from the room
+        if (lastN !== undefined && lastN !== settings.lastN) {
+            room.setLastN(lastN);
+        }
+
+        for (const [type, status] of Object.entries(moderator || {})) {
+            if (settings.moderator[type] === status) continue;
+            room.updateRoomModerator({ type, status });
+            actions.push({ event: 'updateRoomModerator', data: { type, status } });
+        }
+
+        return actions;
+    }
+
+    getSystemMessage(data = {}, toPeer = null) {
+        const { message, name = 'System' } = data;
+
+        if (typeof message !== 'string' || !message.trim()) {
+            throw new Error('Invalid message value, expected non empty string');
+        }
+        if (typeof name !== 'string' || !name.trim()) {
+            throw new Error('Invalid name value, expected non empty string');
+        }
+
+        // Same shape as a peer chat message, flagged so the client renders it as a system sender
+        return {
+            system: true,
+            peer_name: name.trim(),
+            peer_id: 'system',
+            peer_avatar: false,
+            peer_msg: message.trim(),
+            to_peer_id: toPeer ? toPeer.id : 'all',
+            to_peer_name: toPeer ? toPeer.peer_name : 'all',
+        };
+    }
+
     getMeetingURL() {
         return 'https://' + this._host + '/join/' + uuidV4();
     }
@@ -78,9 +218,13 @@ module.exports = class ServerApi {
         // Get data
         const { room, roomPassword, name, avatar, audio, video, screen, chat, hide, notify, duration, token } = data;
 
-        const roomValue = room || uuidV4();
+        if (room && token?.room && room !== token.room) {
+            throw new Error('The token room does not match the room');
+        }
+
+        const roomValue = room || token?.room || uuidV4();
         const roomPasswordValue = roomPassword || false;
-        const nameValue = name || 'User-' + this.getRandomNumber();
+        const nameValue = name || token?.name || 'User-' + this.getRandomNumber();
         const avatarValue = avatar || false;
         const audioValue = audio || false;
         const videoValue = video || false;
@@ -114,6 +258,8 @@ module.exports = class ServerApi {
     getToken(token) {
         if (!token) return '';
 
+        if (token.room) return this.getRoomToken(token);
+
         const { username = 'username', password = 'password', presenter = false, expire } = token;
 
         const expireValue = expire || JWT_EXP;
@@ -135,6 +281,32 @@ module.exports = class ServerApi {
         return jwtToken;
     }
 
+    getRoomToken(token) {
+        const { room, role = 'guest', name = '', avatar = '', expire } = token;
+
+        if (!Validator.isValidRoomName(room)) {
+            throw new Error('Invalid room value');
+        }
+        if (!ROOM_TOKEN_ROLES.includes(role)) {
+            throw new Error(`Invalid role value, expected one of: ${ROOM_TOKEN_ROLES.join(', ')}`);
+        }
+        if (typeof name !== 'string' || typeof avatar !== 'string') {
+            throw new Error('Invalid name or avatar value, expected string');
+        }
+
+        // Only claims, no credentials: the nonce makes the token usable by a single peer
+        const payload = {
+            type: 'room',
+            room: room,
+            role: role,
+            name: name.trim(),
+            avatar: avatar.trim(),
+            nonce: uuidV4(),
+        };
+
+        return jwt.sign(payload, JWT_KEY, { expiresIn: expire || JWT_EXP });
+    }
+
     getRandomNumber() {
         return Math.floor(Math.random() * 999999);
     }
@@ -0,0 +1,68 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const RoomStore = require('./RoomStore');
+
+module.exports = class SqliteRoomStore extends RoomStore {
+    constructor(file) {
+        super();
+        if (!file) {
+            throw new Error('The sqlite room store needs a path');
+        }
+
+        // Built into Node.js since 22.5, no native module to compile
+        let DatabaseSync;
+        try {
+            ({ DatabaseSync } = require('node:sqlite'));
+        } catch (err) {
+            throw new Error(`The sqlite room store needs node:sqlite (Node.js 22.5 or newer): ${err.message}`);
+        }
+
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+
+        this._db = new DatabaseSync(file);
+        this._db.exec(`
+            CREATE TABLE IF NOT EXISTS rooms (
+                room_id TEXT PRIMARY KEY,
+                state TEXT NOT NULL,
+                updated_at INTEGER NOT NULL
+            )
+        `);
+        this._get = this._db.prepare('SELECT state FROM rooms WHERE room_id = ?');
+        this._set = this._db.prepare(`
+            INSERT INTO rooms (room_id, state, updated_at) VALUES (?, ?, ?)
+            ON CONFLICT(room_id) DO UPDATE SET state = excluded.state, updated_at = excluded.updated_at
+        `);
+        this._touch = this._db.prepare('UPDATE rooms SET updated_at = ? WHERE room_id = ?');
+        this._delete = this._db.prepare('DELETE FROM rooms WHERE room_id = ?');
+        this._purge = this._db.prepare('DELETE FROM rooms WHERE updated_at < ?');
+    }
+
+    async get(room_id) {
+        const row = this._get.get(room_id);
+        return row ? JSON.parse(row.state) : null;
+    }
+
+    async set(room_id, state) {
+        this._set.run(room_id, JSON.stringify(state), Date.now());
+    }
+
+    async touch(room_id) {
+        this._touch.run(Date.now(), room_id);
+    }
+
+    async delete(room_id) {
+        this._delete.run(room_id);
+    }
+
+    async purge(before) {
+        return Number(this._purge.run(before).changes);
+    }
+
+    async close() {
+        this.stopPurge();
+        this._db.close();
+    }
+};
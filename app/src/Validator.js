@@ -28,6 +28,18 @@ function isValidRecFileNameFormat(input) {
     return !hasPathTraversal(input);
 }
 
+function isValidRecordingName(input) {
+    // Any recording the server keeps: uploaded, recorded on the server or made by the post-processing
+    if (!input || typeof input !== 'string') {
+        return false;
+    }
+    const validPattern = /^Rec_[a-zA-Z0-9_.-]+\.(webm|mp4|mkv|m4a|jpg|gif|json)$/;
+    if (!validPattern.test(input) || input.includes('..')) {
+        return false;
+    }
+    return !hasPathTraversal(input);
+}
+
 function hasPathTraversal(input) {
     if (!input || typeof input !== 'string') {
         return false;
@@ -64,6 +76,7 @@ function isValidEmail(email) {
 module.exports = {
     isValidRoomName,
     isValidRecFileNameFormat,
+    isValidRecordingName,
     hasPathTraversal,
     isValidEmail,
 };
@@ -0,0 +1,390 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const CryptoJS = require('crypto-js');
+const { v4: uuidV4 } = require('uuid');
+
+const Logger = require('./Logger');
+
+const log = new Logger('WebhookDispatcher');
+
+const EVENTS = [
+    'join',
+    'exit',
+    'disconnect',
+    'roomCreated',
+    'roomClosed',
+    'lobbyWaiting',
+    'lobbyAccepted',
+    'roomLocked',
+    'roomUnlocked',
+    'recordingStarted',
+    'recordingFinished',
+    'rtmpStarted',
+    'rtmpStopped',
+    'pollCreated',
+    'handRaised',
+];
+
+module.exports = class WebhookDispatcher {
+    constructor(options = {}) {
+        const {
+            enabled = false,
+            url = '',
+            secret = '',
+            events = ['*'],
+            subscribers = [],
+            maxAttempts = 8,
+            retryDelay = 2000,
+            maxRetryDelay = 10 * 60 * 1000,
+            timeout = 5000,
+            concurrency = 4, // subscribers delivered at once
+            historySize = 500,
+            maxPayloadSize = 4096, // bytes of payload kept in the history for a redelivery
+            dir = '',
+        } = options;
+
+        this._enabled = enabled;
+        this._maxAttempts = maxAttempts;
+        this._retryDelay = retryDelay;
+        this._maxRetryDelay = maxRetryDelay;
+        this._timeout = timeout;
+        this._concurrency = Math.max(1, concurrency);
+        this._queueFile = dir ? path.join(dir, 'queue.json') : '';
+        this._queue = [];
+        this._historySize = historySize;
+        this._historyFile = dir ? path.join(dir, 'deliveries.json') : '';
+        this._history = []; // Every delivery attempt, newest last
+        this._maxPayloadSize = maxPayloadSize;
+        this._writes = new Map(); // file => { pending, done }, a single write in flight per file
+        this._timer = null;
+        this._flushing = false;
+
+        // The single url keeps working as a subscriber to every event
+        this._subscribers = [...(url ? [{ url, secret, events }] : []), ...subscribers].filter((subscriber) =>
+            this.isValidSubscriber(subscriber)
+        );
+
+        if (this._enabled) {
+            this.loadQueue();
+            this.loadHistory();
+            this.schedule();
+        }
+    }
+
+    static get EVENTS() {
+        return EVENTS;
+    }
+
+    isEnabled() {
+        return this._enabled && this._subscribers.length > 0;
+    }
+
+    isValidSubscriber(subscriber) {
+        const { url, events = ['*'] } = subscriber || {};
+        if (typeof url !== 'string' || !/^https?:\/\//.test(url)) {
+            log.warn('Skipping webhook subscriber with invalid url', { url: url });
+            return false;
+        }
+        const unknown = events.filter((event) => event !== '*' && !EVENTS.includes(event));
+        if (unknown.length) {
+            log.warn('Webhook subscriber has unknown events', { url: url, unknown: unknown });
+        }
+        return true;
+    }
+
+    getSubscribers() {
+        // Never expose the secrets
+        return this._subscribers.map(({ url, events = ['*'] }) => ({ url, events }));
+    }
+
+    getQueue() {
+        return this._queue;
+    }
+
+    // ####################################################
+    // DISPATCH
+    // ####################################################
+
+    dispatch(event, data = {}) {
+        if (!this.isEnabled()) return [];
+
+        const payload = {
+            event: event,
+            data: { timestamp: log.getDateTime(false), ...data },
+        };
+
+        const jobs = this._subscribers
+            .filter(({ events = ['*'] }) => events.includes('*') || events.includes(event))
+            .map(({ url }) => this.createJob(url, event, payload));
+
+        if (!jobs.length) return [];
+
+        this.enqueue(jobs);
+
+        log.debug('Webhook event queued', { event: event, deliveries: jobs.length });
+
+        return jobs;
+    }
+
+    redeliver(delivery_id) {
+        const attempts = this._history.filter((attempt) => attempt.delivery_id === delivery_id);
+        if (!attempts.length) {
+            throw new Error('Delivery not found');
+        }
+        const attempt = attempts.find(({ payload }) => payload);
+        if (!attempt) {
+            throw new Error('Delivery payload not kept for a redelivery');
+        }
+        if (!this._subscribers.some(({ url }) => url === attempt.url)) {
+            throw new Error('Webhook subscriber no longer configured');
+        }
+
+        // Same payload to the same url, as a new delivery with its own retries
+        const job = this.createJob(attempt.url, attempt.event, attempt.payload);
+        job.redelivery_of = delivery_id;
+
+        this.enqueue([job]);
+
+        log.info('Webhook redelivery queued', { event: job.event, url: job.url, redelivery_of: delivery_id });
+
+        return job;
+    }
+
+    createJob(url, event, payload) {
+        return {
+            id: uuidV4(),
+            url: url,
+            event: event,
+            payload: payload,
+            attempts: 0,
+            created_at: Date.now(),
+            next_attempt_at: Date.now(),
+            last_error: null,
+        };
+    }
+
+    enqueue(jobs) {
+        this._queue.push(...jobs);
+        this.saveQueue();
+        this.schedule(0);
+    }
+
+    sign(secret, timestamp, body) {
+        return 'sha256=' + CryptoJS.HmacSHA256(`${timestamp}.${body}`, secret).toString(CryptoJS.enc.Hex);
+    }
+
+    async deliver(job) {
+        const subscriber = this._subscribers.find(({ url }) => url === job.url);
+        const body = JSON.stringify(job.payload);
+        const timestamp = Math.floor(Date.now() / 1000);
+
+        const headers = {
+            'Content-Type': 'application/json',
+            'X-MiroTalk-Event': job.event,
+            'X-MiroTalk-Delivery': job.id,
+            'X-MiroTalk-Timestamp': String(timestamp),
+        };
+        if (subscriber?.secret) {
+            headers['X-MiroTalk-Signature'] = this.sign(subscriber.secret, timestamp, body);
+        }
+        if (job.redelivery_of) {
+            headers['X-MiroTalk-Redelivery-Of'] = job.redelivery_of;
+        }
+
+        job.attempts++;
+
+        const start = Date.now();
+
+        try {
+            const response = await axios.post(job.url, body, { headers: headers, timeout: this._timeout });
+            log.debug('Webhook delivered', { event: job.event, url: job.url, status: response.status });
+            this.recordAttempt(job, { status: response.status, latency: Date.now() - start, error: null });
+            this.removeJob(job);
+            return true;
+        } catch (error) {
+            job.last_error = error.response ? `HTTP ${error.response.status}` : error.message;
+            this.recordAttempt(job, {
+                status: error.response ? error.response.status : null,
+                latency: Date.now() - start,
+                error: job.last_error,
+            });
+            if (!subscriber || job.attempts >= this._maxAttempts) {
+                log.error('Webhook delivery failed, giving up', {
+                    event: job.event,
+                    url: job.url,
+                    attempts: job.attempts,
+                    error: job.last_error,
+                });
+                this.removeJob(job);
+            } else {
+                job.next_attempt_at = Date.now() + this.getRetryDelay(job.attempts);
+                log.warn('Webhook delivery failed, will retry', {
+                    event: job.event,
+                    url: job.url,
+                    attempts: job.attempts,
+                    error: job.last_error,
+                });
+                this.saveQueue();
+            }
+            return false;
+        }
+    }
+
+    getRetryDelay(attempts) {
+        return Math.min(this._retryDelay * Math.pow(2, attempts - 1), this._maxRetryDelay);
+    }
+
+    removeJob(job) {
+        this._queue = this._queue.filter(({ id }) => id !== job.id);
+        this.saveQueue();
+    }
+
+    // ####################################################
+    // QUEUE
+    // ####################################################
+
+    schedule(delay = null) {
+        if (this._timer) clearTimeout(this._timer);
+        this._timer = null;
+
+        if (!this._queue.length) return;
+
+        const next = Math.min(...this._queue.map(({ next_attempt_at }) => next_attempt_at));
+        const wait = delay !== null ? delay : Math.max(next - Date.now(), 0);
+
+        this._timer = setTimeout(() => this.flush(), wait);
+        this._timer.unref();
+    }
+
+    async flush() {
+        if (this._flushing) return;
+        this._flushing = true;
+        try {
+            // In order and one at a time per subscriber, so a slow one can't pile up requests nor hold the others
+            const due = new Map(); // url => jobs
+            for (const job of this._queue.filter(({ next_attempt_at }) => next_attempt_at <= Date.now())) {
+                due.set(job.url, [...(due.get(job.url) || []), job]);
+            }
+            const subscribers = Array.from(due.values());
+            const deliverNext = async () => {
+                for (let jobs = subscribers.shift(); jobs; jobs = subscribers.shift()) {
+                    for (const job of jobs) {
+                        await this.deliver(job);
+                    }
+                }
+            };
+            await Promise.all(Array.from({ length: Math.min(this._concurrency, subscribers.length) }, deliverNext));
+        } finally {
+            this._flushing = false;
+            this.schedule();
+        }
+    }
+
+    loadQueue() {
+        if (!this._queueFile || !fs.existsSync(this._queueFile)) return;
+        try {
+            const queue = JSON.parse(fs.readFileSync(this._queueFile, 'utf8'));
+            this._queue = Array.isArray(queue) ? queue : [];
+            log.info('Webhook queue restored', { pending: this._queue.length });
+        } catch (err) {
+            log.error('Unable to read the webhook queue', { file: this._queueFile, error: err.message });
+        }
+    }
+
+    saveQueue() {
+        this.writeFile(this._queueFile, () => this._queue, 'queue');
+    }
+
+    writeFile(file, getData, name) {
+        // Off the event loop, one write in flight per file: the changes made meanwhile go in the next one
+        if (!file) return;
+        const write = this._writes.get(file);
+        if (write) {
+            write.pending = true;
+            return;
+        }
+        const state = { pending: false, done: null };
+        this._writes.set(file, state);
+        state.done = (async () => {
+            do {
+                state.pending = false;
+                try {
+                    // Write and rename, a crash never leaves a half written file behind
+                    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+                    const tmpFile = file + '.tmp';
+                    await fs.promises.writeFile(tmpFile, JSON.stringify(getData()));
+                    await fs.promises.rename(tmpFile, file);
+                } catch (err) {
+                    log.error(`Unable to save the webhook ${name}`, { file: file, error: err.message });
+                }
+            } while (state.pending);
+            this._writes.delete(file);
+        })();
+    }
+
+    async whenSaved() {
+        // Resolves once the queue and the deliveries log are on disk
+        while (this._writes.size) {
+            await Promise.all(Array.from(this._writes.values(), ({ done }) => done));
+        }
+    }
+
+    // ####################################################
+    // DELIVERIES LOG
+    // ####################################################
+
+    recordAttempt(job, { status, latency, error }) {
+        // The payload is kept once, on the first attempt, and only when small enough
+        const keepPayload = job.attempts === 1 && JSON.stringify(job.payload).length <= this._maxPayloadSize;
+        // The attempts of a delivery share its delivery_id, the one id the log and the redelivery know
+        this._history.push({
+            delivery_id: job.id,
+            redelivery_of: job.redelivery_of || null,
+            event: job.event,
+            url: job.url,
+            attempt: job.attempts,
+            success: !error,
+            status: status,
+            latency_ms: latency,
+            error: error,
+            timestamp: new Date().toISOString(),
+            room_id: job.payload?.data?.room_id || null,
+            payload: keepPayload ? job.payload : null,
+        });
+        // Bounded, the oldest attempts go first
+        if (this._history.length > this._historySize) {
+            this._history.splice(0, this._history.length - this._historySize);
+        }
+        this.saveHistory();
+    }
+
+    getDeliveries({ event = null, success = null, limit = null } = {}) {
+        const deliveries = this._history
+            .filter((attempt) => !event || attempt.event === event)
+            .filter((attempt) => success === null || attempt.success === success)
+            .reverse();
+        return limit ? deliveries.slice(0, limit) : deliveries;
+    }
+
+    loadHistory() {
+        if (!this._historyFile || !fs.existsSync(this._historyFile)) return;
+        try {
+            const history = JSON.parse(fs.readFileSync(this._historyFile, 'utf8'));
+            this._history = Array.isArray(history) ? history.slice(-this._historySize) : [];
+        } catch (err) {
+            log.error('Unable to read the webhook deliveries log', { file: this._historyFile, error: err.message });
+        }
+    }
+
+    saveHistory() {
+        this.writeFile(this._historyFile, () => this._history, 'deliveries log');
+    }
+
+    stop() {
+        if (this._timer) clearTimeout(this._timer);
+        this._timer = null;
+    }
+};
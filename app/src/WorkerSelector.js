@@ -0,0 +1,117 @@
+'use strict';
+
+const Logger = require('./Logger');
+
+const log = new Logger('WorkerSelector');
+
+const MODES = ['load', 'roundRobin'];
+
+// Score points per router, transport, consumer and percent of CPU
+const DEFAULT_WEIGHTS = { router: 5, transport: 1, consumer: 1, cpu: 2 };
+
+module.exports = class WorkerSelector {
+    constructor(options = {}) {
+        const { mode = 'load', cpuSampleInterval = 10000, weights = {} } = options;
+
+        if (!MODES.includes(mode)) {
+            throw new Error(`Unknown worker selection mode ${mode}, expected ${MODES.join(' or ')}`);
+        }
+
+        this.mode = mode;
+        this.cpuSampleInterval = cpuSampleInterval; // ms
+        this.weights = { ...DEFAULT_WEIGHTS, ...weights };
+        this.nextIdx = 0;
+        this.cpu = new WeakMap(); // worker => { total, time, usage }
+        this.timer = null;
+    }
+
+    // ####################################################
+    // CPU SAMPLING
+    // ####################################################
+
+    start(workers) {
+        if (this.mode !== 'load' || this.timer || !this.cpuSampleInterval) return;
+        this.timer = setInterval(() => this.sampleCpu(workers), this.cpuSampleInterval);
+        this.timer.unref();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    async sampleCpu(workers) {
+        await Promise.all(
+            workers.map(async (worker) => {
+                if (!isAvailable(worker)) return;
+                try {
+                    const { ru_utime, ru_stime } = await worker.getResourceUsage(); // ms
+                    const total = ru_utime + ru_stime;
+                    const time = Date.now();
+                    const previous = this.cpu.get(worker);
+                    // Share of one core used since the previous sample
+                    const usage =
+                        previous && time > previous.time ? (total - previous.total) / (time - previous.time) : 0;
+                    this.cpu.set(worker, { total, time, usage: Math.max(0, usage) });
+                } catch (err) {
+                    log.warn('Unable to sample the worker CPU', { worker_pid: worker.pid, error: err.message });
+                }
+            })
+        );
+    }
+
+    // ####################################################
+    // SELECTION
+    // ####################################################
+
+    getLoad(worker, rooms) {
+        const load = { routers: 0, transports: 0, consumers: 0, cpu: 0 };
+        for (const room of rooms) {
+            // A large room may have routers on several workers
+            const { routers, transports, consumers } = room.getLoadOn(worker);
+            load.routers += routers;
+            load.transports += transports;
+            load.consumers += consumers;
+        }
+        load.cpu = Math.round((this.cpu.get(worker)?.usage || 0) * 100);
+        return load;
+    }
+
+    getScore(load) {
+        const { router, transport, consumer, cpu } = this.weights;
+        return load.routers * router + load.transports * transport + load.consumers * consumer + load.cpu * cpu;
+    }
+
+    select(workers, rooms = []) {
+        // A dead worker may still wait for its replacement
+        const candidates = [];
+        for (let i = 0; i < workers.length; i++) {
+            const worker = workers[(this.nextIdx + i) % workers.length];
+            if (isAvailable(worker)) candidates.push(worker);
+        }
+        if (!candidates.length) {
+            throw new Error('No mediasoup worker available');
+        }
+
+        let selected = candidates[0];
+        if (this.mode === 'load') {
+            const roomList = Array.from(rooms);
+            let lowest = Infinity;
+            // In round robin order, so equally loaded workers take turns
+            for (const worker of candidates) {
+                const score = this.getScore(this.getLoad(worker, roomList));
+                if (score < lowest) {
+                    lowest = score;
+                    selected = worker;
+                }
+            }
+        }
+
+        this.nextIdx = (workers.indexOf(selected) + 1) % workers.length;
+        return selected;
+    }
+};
+
+function isAvailable(worker) {
+    return worker && !worker.died && !worker.closed;
+}
@@ -144,6 +144,99 @@ module.exports = {
             origin: process.env.CORS_ORIGIN || '*',
             methods: ['GET', 'POST'],
         },
+
+        /**
+         * Room State Store
+         * ----------------
+         * Keeps the room settings (lock and password hash, lobby, moderator, notifications, ban list and polls)
+         * across restarts and after the last peer left, restored when the room is created again.
+         * - type: 'memory' (nothing kept), 'file' (JSON file) or 'sqlite' (built in node:sqlite, Node.js 22.5+)
+         * - path: File or database path, relative to app/ (default store/rooms.json or store/rooms.db)
+         * - maxAge: Days an unused room keeps its state, checked on start and every hour, 0 to keep it forever
+         */
+        roomStore: {
+            type: process.env.ROOM_STORE || 'memory',
+            path: process.env.ROOM_STORE_PATH || '',
+            maxAge: parseInt(process.env.ROOM_STORE_MAX_AGE_DAYS ?? 90) || 0,
+        },
+
+        /**
+         * Prometheus Metrics
+         * ------------------
+         * Serves GET /metrics (rooms, peers, producers, consumers, transports, RTMP streams,
+         * recording uploads, mediasoup worker CPU and memory, socket events, REST API requests and latency).
+         * - enabled: Expose the endpoint
+         * - token: Required, scrape with the header 'Authorization: Bearer <token>'
+         * - perRoom: Also break down peers, producers, consumers and transports per room
+         */
+        metrics: {
+            enabled: process.env.METRICS_ENABLED === 'true',
+            token: process.env.METRICS_TOKEN || '',
+            perRoom: process.env.METRICS_PER_ROOM !== 'false',
+        },
+
+        /**
+         * Health Probes
+         * -------------
+         * Serves GET /healthz (503 once no mediasoup worker is alive) and GET /readyz (503 while drained
+         * or when no worker can take new rooms), both answering the status and readiness to anyone.
+         * The details, the workers and their WebRtcServer, the event loop lag and the free recording
+         * disk space, are only reported to the token holders.
+         * - enabled: Expose the endpoints
+         * - token: Send 'Authorization: Bearer <token>' for the details, none are reported when unset
+         * - workerTimeout: Milliseconds a worker has to answer before it is reported unresponsive
+         * - maxEventLoopLag: Event loop lag (p99, ms) reported as degraded
+         * - minFreeDisk: Free recording disk space (MB) reported as degraded
+         */
+        health: {
+            enabled: process.env.HEALTH_ENABLED !== 'false',
+            token: process.env.HEALTH_TOKEN || '',
+            workerTimeout: parseInt(process.env.HEALTH_WORKER_TIMEOUT) || 2000,
+            maxEventLoopLag: parseInt(process.env.HEALTH_MAX_EVENT_LOOP_LAG) || 1000,
+            minFreeDisk: parseInt(process.env.HEALTH_MIN_FREE_DISK_MB) || 1024,
+        },
+
+        /**
+         * Maintenance Drain
+         * -----------------
+         * Started through the REST API (POST /api/v1/drain) or on SIGTERM. New rooms are refused,
+         * /join serves the maintenance page for them and /readyz reports not ready, while the active
+         * rooms show a countdown and are closed at the deadline.
+         * - timeout: Seconds before the active rooms are closed
+         * - finalizeBefore: Seconds before the deadline the recordings and RTMP streams are stopped
+         * - onSigterm: Drain before exiting on SIGTERM, a second SIGTERM exits at once
+         */
+        drain: {
+            timeout: parseInt(process.env.DRAIN_TIMEOUT) || 300,
+            finalizeBefore: parseInt(process.env.DRAIN_FINALIZE_BEFORE) || 30,
+            onSigterm: process.env.DRAIN_ON_SIGTERM !== 'false',
+        },
+
+        /**
+         * Cluster
+         * -------
+         * Runs several nodes behind one balancer. A shared registry records which node hosts which room,
+         * /join/:roomId redirects to that node, socket.io broadcasts are relayed between the nodes,
+         * and the REST API meetings and stats cover all of them.
+         * - enabled: Join the cluster
+         * - nodeId: Unique name of this node (default random on each start)
+         * - nodeUrl: Public URL of this very node, not of the balancer (e.g., 'https://sfu-1.yourdomain.com')
+         * - secret: Shared by all the nodes, authenticates the requests between them
+         * - heartbeatInterval: Milliseconds between two heartbeats, a node is down after three missed ones
+         * - registry.type: 'file' (JSON file on a disk shared by the nodes, default) or 'memory' (this process only, for tests)
+         * - registry.path: File path, relative to app/ (default store/cluster.json)
+         */
+        cluster: {
+            enabled: process.env.CLUSTER_ENABLED === 'true',
+            nodeId: process.env.CLUSTER_NODE_ID || '',
+            nodeUrl: process.env.CLUSTER_NODE_URL || '',
+            secret: process.env.CLUSTER_SECRET || '',
+            heartbeatInterval: parseInt(process.env.CLUSTER_HEARTBEAT_INTERVAL) || 5000,
+            registry: {
+                type: process.env.CLUSTER_REGISTRY || 'file',
+                path: process.env.CLUSTER_REGISTRY_PATH || '',
+            },
+        },
     },
 
     // ==============================================
@@ -168,6 +261,66 @@ module.exports = {
          * - dir            : Storage directory for recordings
          * - maxFileSize    : Maximum recording size (1GB default)
          *
+         * Composite Recording:
+         * --------------------
+         * The room recorded on the server, started and stopped through the rooms/:id/recording API.
+         * Every producer is sent as plain RTP to FFmpeg, which mixes the audio and tiles the videos.
+         * A producer added or closed starts a new file, FFmpeg cannot add inputs. A pause keeps the file going.
+         * - composite.layout    : grid (all videos the same size) or speaker (a screen share or the
+         *                         most recent speaker on top, the others below) (default: grid)
+         * - composite.width     : Output width in pixels (default: 1280)
+         * - composite.height    : Output height in pixels (default: 720)
+         * - composite.fps       : Output frame rate (default: 25)
+         * - composite.maxVideos : Videos tiled at most, the audio of everyone is kept (default: 16)
+         * - rtp.listenIp        : Local IP the RTP is sent to FFmpeg on (default: 127.0.0.1)
+         * - rtp.portMin/portMax : UDP ports given to FFmpeg, two per producer (default: 50000-50999)
+         * Files are named Rec_<room>_<date>_composite.mp4, uploaded to S3 as above when uploadToS3 is set.
+         * Requires FFmpeg, see rtmp.ffmpegPath.
+         *
+         * Multitrack Recording:
+         * ---------------------
+         * The same API with mode 'multitrack' records each producer to its own file, copied without
+         * transcoding (Rec_<room>_<date>_multitrack_<n>_<kind>.webm or .mkv for H264), next to a
+         * Rec_<room>_<date>_multitrack.json manifest with the tracks and the join and leave offsets
+         * of the participants. It uses the rtp settings above.
+         *
+         * Post-processing:
+         * ----------------
+         * Jobs run on the recordings uploaded through /recSync once complete (recSyncFixWebm, or
+         * recSyncFinalize before the local copy is removed). The recordings wait in a queue.
+         * - postProcessing.enabled         : Run the jobs [true/false] (default: false)
+         * - postProcessing.jobs            : mp4 (H.264 copy), m4a (audio only), thumbnail (JPG),
+         *                                    preview (GIF), checksum (SHA-256) (default: all, in this order)
+         * - postProcessing.concurrency     : Recordings processed at the same time (default: 1)
+         * - postProcessing.thumbnailAt     : Second of the recording the thumbnail is taken at (default: 1)
+         * - postProcessing.previewDuration : Seconds in the preview GIF (default: 5)
+         * Each job reports its status in a Rec_<name>.jobs.json sidecar file next to the recording,
+         * uploaded to S3 with the job outputs when uploadToS3 is set. Unfinished jobs run again on restart.
+         *
+         * Recording Library:
+         * ------------------
+         * The api/v1/recordings endpoints list (by room and date, with size and duration), download with
+         * range requests and delete the recordings of the dir above and of the S3 bucket, and mint signed
+         * download links (/recordings/<name>?expires=&signature=) for the people without an API key.
+         * - library.linkSecret       : Secret the links signing key is derived from (default: security.jwt.key)
+         * - library.linkExpiresIn    : Seconds a link is valid when none is asked for (default: 3600)
+         * - library.maxLinkExpiresIn : Seconds a link can be valid at most (default: 604800, a week)
+         * - library.probeConcurrency : Recordings probed by FFmpeg at once for their duration (default: 4)
+         * Durations come from ffprobe next to rtmp.ffmpegPath, S3 keeps the one probed before the upload.
+         *
+         * Retention:
+         * ----------
+         * A job deleting the old recordings from the dir above, and from the S3 bucket when uploadToS3 is set,
+         * each storage counted apart. Files written to in the last 10 minutes are never deleted.
+         * - retention.enabled      : Run the job [true/false] (default: false)
+         * - retention.interval     : Seconds between two runs (default: 3600)
+         * - retention.maxAge       : Days a recording is kept, 0 keeps them (default: 0)
+         * - retention.maxTotalSize : MB kept at most, the oldest recordings go first, 0 for no limit (default: 0)
+         * - retention.roomQuota    : MB kept at most per room, the oldest go first, 0 for no limit (default: 0)
+         * - retention.roomQuotas   : { room_id: MB } quotas of given rooms instead of roomQuota (default: {})
+         * - retention.minFreeDisk  : Free disk space (MB) below which /recSync uploads and server recordings
+         *                            are refused with 507, 0 to never refuse (default: 512)
+         *
          * Docker Note:
          * ------------
          * - When running in Docker, ensure the recording directory exists and is properly mounted:
@@ -182,6 +335,42 @@ module.exports = {
             endpoint: process.env.RECORDING_ENDPOINT || '',
             dir: 'rec',
             maxFileSize: 1 * 1024 * 1024 * 1024, // 1GB
+            composite: {
+                layout: process.env.RECORDING_COMPOSITE_LAYOUT || 'grid',
+                width: parseInt(process.env.RECORDING_COMPOSITE_WIDTH) || 1280,
+                height: parseInt(process.env.RECORDING_COMPOSITE_HEIGHT) || 720,
+                fps: parseInt(process.env.RECORDING_COMPOSITE_FPS) || 25,
+                maxVideos: parseInt(process.env.RECORDING_COMPOSITE_MAX_VIDEOS) || 16,
+            },
+            postProcessing: {
+                enabled: process.env.RECORDING_POST_PROCESSING_ENABLED === 'true',
+                jobs: process.env.RECORDING_POST_PROCESSING_JOBS
+                    ? process.env.RECORDING_POST_PROCESSING_JOBS.split(',').map((job) => job.trim())
+                    : ['mp4', 'm4a', 'thumbnail', 'preview', 'checksum'],
+                concurrency: parseInt(process.env.RECORDING_POST_PROCESSING_CONCURRENCY) || 1,
+                thumbnailAt: 1,
+                previewDuration: 5,
+            },
+            library: {
+                linkSecret: process.env.RECORDING_LINK_SECRET || '',
+                linkExpiresIn: parseInt(process.env.RECORDING_LINK_EXPIRES_IN) || 3600,
+                maxLinkExpiresIn: 7 * 24 * 3600,
+                probeConcurrency: 4,
+            },
+            retention: {
+                enabled: process.env.RECORDING_RETENTION_ENABLED === 'true',
+                interval: parseInt(process.env.RECORDING_RETENTION_INTERVAL) || 3600,
+                maxAge: parseInt(process.env.RECORDING_RETENTION_MAX_AGE_DAYS) || 0,
+                maxTotalSize: parseInt(process.env.RECORDING_RETENTION_MAX_TOTAL_SIZE_MB) || 0,
+                roomQuota: parseInt(process.env.RECORDING_RETENTION_ROOM_QUOTA_MB) || 0,
+                roomQuotas: {},
+                minFreeDisk: parseInt(process.env.RECORDING_MIN_FREE_DISK_MB ?? 512) || 0,
+            },
+            rtp: {
+                listenIp: process.env.RECORDING_RTP_LISTEN_IP || '127.0.0.1',
+                portMin: parseInt(process.env.RECORDING_RTP_PORT_MIN) || 50000,
+                portMax: parseInt(process.env.RECORDING_RTP_PORT_MAX) || 50999,
+            },
         },
 
         /**
@@ -482,8 +671,15 @@ module.exports = {
      *
      * Security Settings:
      * -----------------
-     * - keySecret : Authentication secret for API requests
-     *               (Always override default in production)
+     * - keySecret : Authentication secret for API requests, the API key named 'default'
+     *               (Always override default in production, set API_KEY_SECRET=false to disable it)
+     * - keySecretScopes : Scopes of the keySecret, comma separated in API_KEY_SECRET_SCOPES (default: all)
+     * - keys      : Named API keys, each with its own access, in addition to keySecret:
+     *               { name, secret, scopes, rooms, expire }
+     *               - scopes : stats, meetings, join, token, rooms, recordings, webhooks, drain (default: all)
+     *               - rooms  : Room id prefixes the key is restricted to (default: [] any room)
+     *               - expire : ISO date after which the key is rejected (default: null never)
+     * - keysFile  : JSON file with an array of keys, reloaded when it changes (default: '')
      *
      * Endpoint Control:
      * -----------------
@@ -492,6 +688,10 @@ module.exports = {
      * - meeting    : Enable/disable single meeting operations [true/false] (default: true)
      * - join       : Enable/disable meeting join endpoint [true/false] (default: true)
      * - token      : Enable/disable token generation endpoint [true/false] (default: false)
+     * - rooms      : Enable/disable rooms create/update/close and peers moderation endpoints [true/false] (default: false)
+     * - webhooks   : Enable/disable webhook deliveries log and redeliver endpoints [true/false] (default: false)
+     * - drain      : Enable/disable maintenance drain status, start and cancel endpoints [true/false] (default: false)
+     * - recordings : Enable/disable server recording and recording library endpoints [true/false] (default: false)
      * - slack      : Enable/disable Slack webhook integration [true/false] (default: true)
      * - mattermost : Enable/disable Mattermost webhook integration [true/false] (default: true)
      *
@@ -501,13 +701,31 @@ module.exports = {
      * - Webhook setup: See integration guides for Slack/Mattermost
      */
     api: {
-        keySecret: process.env.API_KEY_SECRET || 'mirotalksfu_default_secret',
+        keySecret:
+            process.env.API_KEY_SECRET === 'false' ? '' : process.env.API_KEY_SECRET || 'mirotalksfu_default_secret',
+        keySecretScopes: process.env.API_KEY_SECRET_SCOPES
+            ? process.env.API_KEY_SECRET_SCOPES.split(',').map((scope) => scope.trim())
+            : ['stats', 'meetings', 'join', 'token', 'rooms', 'recordings', 'webhooks', 'drain'],
+        keys: [
+            // {
+            //     name: 'crm',
+            //     secret: 'crm_api_secret',
+            //     scopes: ['meetings', 'join'],
+            //     rooms: ['sales-'],
+            //     expire: '2030-01-01T00:00:00Z',
+            // },
+        ],
+        keysFile: process.env.API_KEYS_FILE || '',
         allowed: {
             stats: process.env.API_ALLOW_STATS !== 'false',
             meetings: process.env.API_ALLOW_MEETINGS === 'true',
             meeting: process.env.API_ALLOW_MEETING !== 'false',
             join: process.env.API_ALLOW_JOIN !== 'false',
             token: process.env.API_ALLOW_TOKEN === 'true',
+            rooms: process.env.API_ALLOW_ROOMS === 'true',
+            webhooks: process.env.API_ALLOW_WEBHOOKS === 'true',
+            drain: process.env.API_ALLOW_DRAIN === 'true',
+            recordings: process.env.API_ALLOW_RECORDINGS === 'true',
             slack: process.env.API_ALLOW_SLACK !== 'false',
             mattermost: process.env.API_ALLOW_MATTERMOST !== 'false',
         },
@@ -865,6 +1083,22 @@ module.exports = {
          * ---------------------
          * - enabled: Turns webhook notifications on/off
          * - url: The endpoint URL where webhook payloads will be sent in JSON format
+         * - secret: Signs every payload, X-MiroTalk-Signature: sha256=HMAC(secret, timestamp + '.' + body)
+         * - events: Events sent to the url, '*' for all of them
+         * - subscribers: More endpoints, each with its own { url, secret, events }
+         *
+         * Delivery:
+         * ---------------------
+         * - Deliveries are queued on disk (dir) and retried with exponential backoff
+         *   (retryDelay, doubled on every attempt up to maxRetryDelay) until maxAttempts
+         * - Each subscriber gets its deliveries in order, up to concurrency subscribers at once
+         * - The last historySize attempts are kept in the deliveries log, see GET /api/v1/webhooks/deliveries
+         *   with the payload of the first attempt when under maxPayloadSize bytes, for a redelivery
+         *
+         * Events:
+         * ---------------------
+         * join, exit, disconnect, roomCreated, roomClosed, lobbyWaiting, lobbyAccepted, roomLocked, roomUnlocked,
+         * recordingStarted, recordingFinished, rtmpStarted, rtmpStopped, pollCreated, handRaised
          *
          * Implementation Guide:
          * --------------------
@@ -874,6 +1108,25 @@ module.exports = {
         webhook: {
             enabled: process.env.WEBHOOK_ENABLED === 'true',
             url: process.env.WEBHOOK_URL || 'https://your-site.com/webhook-endpoint',
+            secret: process.env.WEBHOOK_SECRET || '',
+            events: process.env.WEBHOOK_EVENTS
+                ? process.env.WEBHOOK_EVENTS.split(',').map((event) => event.trim())
+                : ['*'],
+            subscribers: [
+                // {
+                //     url: 'https://crm.your-site.com/webhook-endpoint',
+                //     secret: 'crm_webhook_secret',
+                //     events: ['roomCreated', 'roomClosed', 'recordingFinished'],
+                // },
+            ],
+            maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 8,
+            retryDelay: 2000, // ms
+            maxRetryDelay: 10 * 60 * 1000, // ms
+            timeout: 5000, // ms
+            concurrency: 4,
+            historySize: 500,
+            maxPayloadSize: 4096,
+            dir: 'webhooks',
         },
 
         /**
@@ -1282,6 +1535,7 @@ module.exports = {
                 saveInfoButton: process.env.SHOW_SAVE_INFO !== 'false',
                 sendFileAllButton: process.env.SHOW_SEND_FILE_ALL !== 'false',
                 ejectAllButton: process.env.SHOW_EJECT_ALL !== 'false',
+                breakoutRoomsButton: process.env.SHOW_BREAKOUT_ROOMS !== 'false',
                 sendFileButton: process.env.SHOW_SEND_FILE !== 'false',
                 geoLocationButton: process.env.SHOW_GEO_LOCATION !== 'false',
                 banButton: process.env.SHOW_BAN_BUTTON !== 'false',
@@ -1374,11 +1628,18 @@ module.exports = {
      * - room.maxParticipants: Maximum number of participants allowed per room.
      * - lobby: Enable/disable lobby feature for pre-approval of participants.
      *   Adjust to limit room size and manage server load.
+     * - room.breakout: Limits for the breakout rooms a presenter can split a room into.
+     *   - maxRooms: Maximum number of breakout rooms per room.
+     *   - maxDuration: Maximum breakout duration in minutes (0 means no timer).
      */
     moderation: {
         room: {
             maxParticipants: parseInt(process.env.ROOM_MAX_PARTICIPANTS) || 1000, // Maximum participants per room
             lobby: process.env.ROOM_LOBBY === 'true', // Enable lobby feature
+            breakout: {
+                maxRooms: parseInt(process.env.ROOM_BREAKOUT_MAX_ROOMS) || 20, // Maximum breakout rooms per room
+                maxDuration: parseInt(process.env.ROOM_BREAKOUT_MAX_DURATION) || 240, // Maximum duration in minutes
+            },
         },
     },
 
@@ -1450,6 +1711,25 @@ module.exports = {
         },
         numWorkers: NUM_WORKERS, // Number of mediasoup worker processes to create
 
+        /**
+         * Worker Selection
+         * ----------------
+         * How the worker of each new room is picked.
+         * - mode: 'load' (least loaded worker) or 'roundRobin' (each worker in turn)
+         * - cpuSampleInterval: Milliseconds between two CPU samples of every worker (load mode)
+         * - weights: Score points per router, transport, consumer and percent of CPU, the lowest score wins
+         */
+        workerSelection: {
+            mode: process.env.MEDIASOUP_WORKER_SELECTION || 'load',
+            cpuSampleInterval: parseInt(process.env.MEDIASOUP_WORKER_CPU_SAMPLE_INTERVAL) || 10000,
+            weights: {
+                router: 5,
+                transport: 1,
+                consumer: 1,
+                cpu: 2,
+            },
+        },
+
         /**
          * Router Configuration
          * --------------------
@@ -1463,6 +1743,12 @@ module.exports = {
             // Disable active speaker detection (uses more CPU)
             activeSpeakerObserverEnabled: process.env.MEDIASOUP_ROUTER_ACTIVE_SPEAKER_OBSERVER_ENABLED === 'true',
 
+            // Grow large rooms over several workers: once every router of a room has maxPeersPerRouter peers,
+            // new peers get a router on another worker (up to maxRoutersPerRoom), producers are piped between them.
+            // 0 keeps every room on a single router
+            maxPeersPerRouter: parseInt(process.env.MEDIASOUP_ROUTER_MAX_PEERS) || 0,
+            maxRoutersPerRoom: parseInt(process.env.MEDIASOUP_ROUTER_MAX_PER_ROOM) || NUM_WORKERS,
+
             /**
              * Supported Media Codecs
              * ----------------------
@@ -1539,6 +1825,32 @@ module.exports = {
             ],
         },
 
+        /**
+         * Video Layers
+         * ------------
+         * Picks the simulcast/SVC layer each peer receives, from the size of the tile it renders the video in.
+         * - lowMaxWidth: Tiles up to this width (css px) get the lowest layer, like the thumbnails of a large gallery
+         * - mediumMaxWidth: Tiles up to this width get the middle layer, wider ones the highest
+         * - speakerHoldTime: Milliseconds the active speaker keeps the highest layer and priority before another
+         *   one takes over, whatever the size of its tiles
+         */
+        videoLayers: {
+            enabled: process.env.MEDIASOUP_VIDEO_LAYERS_ENABLED !== 'false',
+            lowMaxWidth: parseInt(process.env.MEDIASOUP_VIDEO_LAYERS_LOW_MAX_WIDTH) || 320,
+            mediumMaxWidth: parseInt(process.env.MEDIASOUP_VIDEO_LAYERS_MEDIUM_MAX_WIDTH) || 640,
+            speakerHoldTime: parseInt(process.env.MEDIASOUP_VIDEO_LAYERS_SPEAKER_HOLD_TIME) || 2000,
+        },
+
+        /**
+         * Last N
+         * ------
+         * Default for the rooms created on this server, the REST API sets it per room (lastN).
+         * Each peer receives the video of the N most recent speakers only, pinned videos and
+         * screen shares aside. The other videos are paused on the server and show the avatar.
+         * 0 forwards every video
+         */
+        lastN: parseInt(process.env.MEDIASOUP_LAST_N) || 0,
+
         /**
          * WebRTC Server Configuration
          * ---------------------------
@@ -40,6 +40,7 @@ class LocalStorage {
             lobby: false, // default false
             pitch_bar: true, // volume indicator
             sounds: true, // room notify sounds
+            data_saver: false, // pause the incoming videos and send the lowest video quality
             keep_buttons_visible: false, // Keep buttons always visible
             keyboard_shortcuts: false, // keyboard shortcuts
             host_only_recording: false, // presenter
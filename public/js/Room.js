@@ -85,6 +85,7 @@ const _PEER = {
     sendFile: '<i class="fas fa-upload"></i>',
     sendMsg: '<i class="fas fa-paper-plane"></i>',
     sendVideo: '<i class="fab fa-youtube"></i>',
+    breakoutRooms: '<i class="fas fa-people-group"></i>',
 };
 
 const initUser = document.getElementById('initUser');
@@ -372,6 +373,11 @@ function initClient() {
         );
         setTippy('switchPitchBar', 'Toggle audio pitch bar', 'right');
         setTippy('switchSounds', 'Toggle the sounds notifications', 'right');
+        setTippy(
+            'switchDataSaver',
+            'If Active, the videos of the other participants are paused, but the pinned one and screen shares, and your camera is sent in low quality',
+            'right'
+        );
         setTippy('switchShare', "Show 'Share Room' popup on join", 'right');
         setTippy('switchKeepButtonsVisible', 'Keep buttons always visible', 'right');
         setTippy('roomId', 'Room name (click to copy)', 'right');
@@ -1065,6 +1071,7 @@ function getPeerInfo() {
         peer_recording: isRecording,
         peer_video_privacy: isVideoPrivacyActive,
         peer_hand: false,
+        peer_data_saver: localStorageSettings.data_saver === true,
         is_desktop_device: isDesktopDevice,
         is_mobile_device: isMobileDevice,
         is_tablet_device: isTabletDevice,
@@ -2814,6 +2821,13 @@ function handleSelects() {
         lS.setSettings(localStorageSettings);
         e.target.blur();
     };
+    switchDataSaver.onchange = async (e) => {
+        localStorageSettings.data_saver = e.currentTarget.checked;
+        lS.setSettings(localStorageSettings);
+        await rc.setDataSaver(localStorageSettings.data_saver);
+        userLog('info', `Data saver ${localStorageSettings.data_saver ? 'enabled' : 'disabled'}`, 'top-end');
+        e.target.blur();
+    };
     switchShare.onchange = (e) => {
         notify = e.currentTarget.checked;
         rc.roomMessage('notify', notify);
@@ -3512,6 +3526,7 @@ function loadSettingsFromLocalStorage() {
     speechIncomingMsg.checked = rc.speechInMessages;
     switchPitchBar.checked = isPitchBarEnabled;
     switchSounds.checked = isSoundEnabled;
+    switchDataSaver.checked = localStorageSettings.data_saver === true;
     switchShare.checked = notify;
     switchKeepButtonsVisible.checked = isKeepButtonsVisible;
     switchShortcuts.checked = isShortcutsEnabled;
@@ -4829,6 +4844,10 @@ function getParticipantsList(peers) {
 
         li += `<li><button class="btn-sm ml5" id="sendVideoToAll" onclick="rc.shareVideo('all');">${_PEER.sendVideo} Share audio/video to all</button></li>`;
 
+        if (BUTTONS.participantsList.breakoutRoomsButton) {
+            li += `<li><button class="btn-sm ml5" id="breakoutRoomsButton" onclick="rc.breakoutRooms()">${_PEER.breakoutRooms} Breakout rooms</button></li>`;
+        }
+
         if (BUTTONS.participantsList.ejectAllButton) {
             li += `<li><button class="btn-sm ml5" id="ejectAllButton" onclick="rc.peerAction('me','${socket.id}','eject',true,true)">${_PEER.ejectPeer} Eject all participants</button></li>`;
         }
@@ -389,6 +389,23 @@ class RoomClient {
         };
         this.recSyncTime = 4000; // 4 sec
         this.recSyncChunkSize = 1000000; // 1MB
+        this.recUpload = null; // Resumable upload of the server recording, see startRecordingUpload
+        this.recUploadRetryDelay = 3000; // 3 sec
+        this.recUploadMaxOffline = 10 * 60 * 1000; // 10 min
+
+        // Maintenance drain countdown
+        this.drainTimer = null;
+
+        // Rendered size of the remote videos, reported for the layers the server sends
+        this.videoTilesTimer = null;
+
+        // Remote videos paused by the last N of the room or the data saver mode, their tiles show the avatar
+        this.pausedVideos = new Set();
+
+        // Poor connection samples, the data saver mode switches on after a few in a row
+        this.dataSaverMonitor = null;
+        this.dataSaverSamples = { bad: 0, lost: 0, received: 0 };
+        this.dataSaverEncoding = { scaleResolutionDownBy: 4, maxBitrate: 500000 }; // The lowest webcam simulcast stream
 
         // Encodings
         this.preferLocalCodecsOrder = false; // Prefer local codecs order
@@ -651,6 +668,7 @@ class RoomClient {
                     show(roomRecordingServer);
                 }
                 switchServerRecording.checked = this.recording.recSyncServerRecording;
+                this.resumeRecordingUpload();
             }
             console.log('07.1 ----> SERVER SYNC RECORDING', this.recording);
             // ###################################################################################################
@@ -963,6 +981,7 @@ class RoomClient {
                     break;
                 case 'connected':
                     console.log('✅ Consumer Transport connected', { id: this.consumerTransport.id });
+                    this.startDataSaverMonitor();
                     break;
                 case 'disconnected':
                     console.warn('⚠️ Consumer Transport disconnected', { id: this.consumerTransport.id });
@@ -1052,6 +1071,11 @@ class RoomClient {
                 return true;
             }
 
+            if (transport?.closed) {
+                console.warn(`${transportType} transport closed meanwhile, e.g. replaced on rejoining the room`);
+                return false;
+            }
+
             if (attempt < maxRetries) {
                 console.warn(`🌀 ${transportType} reconnection attempt ${attempt} failed. Retrying in ${delay}ms...`);
                 await new Promise((resolve) => setTimeout(resolve, delay));
@@ -1148,6 +1172,11 @@ class RoomClient {
         this.socket.on('editorChange', this.handleEditorChange);
         this.socket.on('editorActions', this.handleEditorActions);
         this.socket.on('editorUpdate', this.handleEditorUpdate);
+        this.socket.on('breakoutRooms', this.handleBreakoutRooms);
+        this.socket.on('roomMigrated', this.handleRoomMigrated);
+        this.socket.on('serverDrain', this.handleServerDrain);
+        this.socket.on('videoForwarding', this.handleVideoForwarding);
+        this.socket.on('serverRecording', this.handleServerRecording);
     }
 
     // ####################################################
@@ -1372,6 +1401,190 @@ class RoomClient {
         this.handleEditorUpdateData(data);
     };
 
+    handleRoomMigrated = (data) => {
+        console.warn('SocketOn Room migrated to a new media worker', data);
+        this.rejoinRoom();
+    };
+
+    handleVideoForwarding = (data) => {
+        console.log('SocketOn Video forwarding:', data);
+        this.pausedVideos = new Set(data.paused);
+        this.applyPausedVideos();
+    };
+
+    handleServerDrain = (data) => {
+        console.log('SocketOn Server drain:', data);
+        // The server stops the recordings ahead of the deadline, so they can still be uploaded
+        if (data.finalize) this.saveRecording('Server maintenance');
+        this.showDrainCountdown(data);
+    };
+
+    handleServerRecording = (data) => {
+        console.log('SocketOn Server recording:', data);
+        data.recording
+            ? userLog('warning', 'This meeting is being recorded by the server', 'top-end', 6000)
+            : userLog('info', 'The server recording of this meeting has ended', 'top-end', 6000);
+    };
+
+    handleBreakoutRooms = (data) => {
+        console.log('SocketOn Breakout rooms:', data);
+        if (data.action === 'move') this.switchRoom(data);
+    };
+
+    // ####################################################
+    // MAINTENANCE DRAIN
+    // ####################################################
+
+    showDrainCountdown({ draining, remaining, reason }) {
+        const drainBanner = this.getId('drainBanner');
+        clearInterval(this.drainTimer);
+        this.drainTimer = null;
+        if (!draining) {
+            hide(drainBanner);
+            userLog('success', 'The server maintenance has been cancelled', 'top-end', 6000);
+            return;
+        }
+        // Counted from now, the clocks of the server and of this device may differ
+        const endsAt = Date.now() + remaining * 1000;
+        const update = () => {
+            const seconds = Math.max(0, Math.round((endsAt - Date.now()) / 1000));
+            const countdown = `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+            this.getId('drainBannerText').innerText =
+                `${reason || 'Server maintenance'}: this meeting ends in ${countdown}`;
+            if (seconds === 0) clearInterval(this.drainTimer);
+        };
+        update();
+        this.drainTimer = setInterval(update, 1000);
+        show(drainBanner);
+    }
+
+    // ####################################################
+    // VIDEO LAYERS
+    // ####################################################
+
+    reportVideoTiles() {
+        // Once the grid settles, small and hidden tiles get the low layer, large ones the high layer
+        clearTimeout(this.videoTilesTimer);
+        this.videoTilesTimer = setTimeout(() => {
+            const tiles = [];
+            this.consumers.forEach((consumer, consumer_id) => {
+                if (consumer.kind !== 'video') return;
+                const elem = this.getId(consumer_id);
+                if (!elem) return;
+                const pinned = this.isVideoPinned && this.pinnedVideoPlayerId === consumer_id;
+                tiles.push({ consumer_id, width: elem.offsetWidth, height: elem.offsetHeight, pinned });
+            });
+            if (tiles.length > 0) this.socket.emit('setVideoTiles', { tiles });
+        }, 500);
+    }
+
+    // ####################################################
+    // PAUSED VIDEOS
+    // ####################################################
+
+    applyPausedVideos() {
+        this.consumers.forEach((consumer, consumer_id) => {
+            if (consumer.kind !== 'video') return;
+            const elem = this.getId(consumer_id);
+            if (!elem) return;
+            const paused = this.pausedVideos.has(consumer_id);
+            let avatar = this.getId(consumer_id + '__paused');
+            if (paused && !avatar) {
+                const { peer_name, peer_avatar } = consumer.appData.peer_info || {};
+                avatar = document.createElement('img');
+                avatar.id = consumer_id + '__paused';
+                avatar.className = 'videoAvatarImage center';
+                elem.parentNode.appendChild(avatar);
+                this.setVideoAvatarImgName(avatar.id, peer_name, peer_avatar);
+            }
+            elem.style.display = paused ? 'none' : '';
+            if (avatar) avatar.style.display = paused ? 'block' : 'none';
+        });
+        this.reportVideoTiles();
+    }
+
+    // ####################################################
+    // DATA SAVER
+    // ####################################################
+
+    async setDataSaver(enabled) {
+        if (this.peer_info.peer_data_saver === enabled) return;
+        this.peer_info.peer_data_saver = enabled;
+        switchDataSaver.checked = enabled;
+        // The server pauses the incoming videos, but the pinned one and screen shares
+        this.socket.emit('updatePeerInfo', {
+            room_id: this.room_id,
+            peer_name: this.peer_name,
+            peer_id: this.peer_id,
+            type: 'dataSaver',
+            status: enabled,
+            broadcast: false,
+        });
+        // The webcam running drops to its lowest encoding, a new one only gets that one, see getWebCamEncoding
+        const producer = this.producers.get(this.producerLabel.get(mediaType.video));
+        if (!producer) return;
+        try {
+            const { encodings } = producer.rtpParameters;
+            if (encodings.length > 1) {
+                await producer.setMaxSpatialLayer(enabled ? 0 : encodings.length - 1);
+            } else {
+                await producer.setRtpEncodingParameters(
+                    enabled ? this.dataSaverEncoding : { scaleResolutionDownBy: 1, maxBitrate: 5000000 }
+                );
+            }
+        } catch (error) {
+            console.error('Error updating the webcam encoding for the data saver', error);
+        }
+    }
+
+    startDataSaverMonitor() {
+        clearInterval(this.dataSaverMonitor);
+        this.dataSaverSamples = { bad: 0, lost: 0, received: 0 };
+        this.dataSaverMonitor = setInterval(() => this.checkConnectionQuality(), 5000);
+    }
+
+    stopDataSaverMonitor() {
+        clearInterval(this.dataSaverMonitor);
+        this.dataSaverMonitor = null;
+    }
+
+    async checkConnectionQuality() {
+        if (this.peer_info.peer_data_saver || !this.consumerTransport || this.consumerTransport.closed) return;
+        try {
+            let lost = 0;
+            let received = 0;
+            let availableBitrate = null;
+            (await this.consumerTransport.getStats()).forEach((report) => {
+                if (report.type === 'inbound-rtp') {
+                    lost += report.packetsLost || 0;
+                    received += report.packetsReceived || 0;
+                }
+            });
+            if (this.producerTransport && !this.producerTransport.closed) {
+                (await this.producerTransport.getStats()).forEach((report) => {
+                    if (report.type === 'candidate-pair' && report.nominated && report.availableOutgoingBitrate) {
+                        availableBitrate = report.availableOutgoingBitrate;
+                    }
+                });
+            }
+            // Loss over the last sample only, the counters add up since the start
+            const sampleLost = lost - this.dataSaverSamples.lost;
+            const sampleTotal = sampleLost + received - this.dataSaverSamples.received;
+            const lossRatio = sampleTotal > 0 ? sampleLost / sampleTotal : 0;
+            const isBad = lossRatio > 0.1 || (availableBitrate !== null && availableBitrate < 200000);
+            this.dataSaverSamples = { bad: isBad ? this.dataSaverSamples.bad + 1 : 0, lost, received };
+
+            if (this.dataSaverSamples.bad >= 3) {
+                console.warn('Poor connection, switching to the data saver mode', { lossRatio, availableBitrate });
+                // Not stored, the next meeting starts with the choice of the participant
+                await this.setDataSaver(true);
+                userLog('warning', 'Poor connection: data saver enabled, the videos are paused', 'top-end', 6000);
+            }
+        } catch (error) {
+            console.error('Error checking the connection quality', error);
+        }
+    }
+
     // ####################################################
     // SOCKET RECONNECT/DISCONNECT
     // ####################################################
@@ -2417,6 +2630,10 @@ class RoomClient {
                 }
             }
         }
+        // Data saver, the lowest encoding only
+        if (this.peer_info.peer_data_saver) {
+            encodings = [this.dataSaverEncoding];
+        }
         return { encodings, codec };
     }
 
@@ -2965,9 +3182,12 @@ class RoomClient {
             console.log('CONSUMER', consumer);
 
             this.consumers.set(consumer.id, consumer);
+            consumer.appData.peer_info = peer_info;
 
             await this.handleConsumer(consumer.id, type, stream, peer_name, peer_info);
 
+            if (kind === 'video') this.applyPausedVideos();
+
             // https://mediasoup.discourse.group/t/create-server-side-consumers-with-paused-true/244
             try {
                 const response = await this.socket.request('resumeConsumer', { consumer_id: consumer.id, type });
@@ -3554,6 +3774,7 @@ class RoomClient {
 
         const clean = () => {
             this._isConnected = false;
+            this.stopDataSaverMonitor();
             if (this.consumerTransport) this.consumerTransport.close();
             if (this.producerTransport) this.producerTransport.close();
             this.socket.off('disconnect');
@@ -3604,6 +3825,225 @@ class RoomClient {
         this.emitCmd(cmd);
     }
 
+    // ####################################################
+    // BREAKOUT ROOMS
+    // ####################################################
+
+    async breakoutRooms() {
+        try {
+            const { breakout, peers } = await this.socket.request('breakoutRooms', { action: 'get' });
+            breakout ? this.manageBreakoutRooms(breakout, peers) : this.startBreakoutRooms(peers);
+        } catch (err) {
+            this.userLog('warning', err, 'top-end', 6000);
+        }
+    }
+
+    startBreakoutRooms(peers) {
+        this.sound('open');
+
+        const guests = peers.filter((peer) => !peer.peer_presenter);
+
+        Swal.fire({
+            allowOutsideClick: false,
+            background: swalBackground,
+            position: 'center',
+            title: 'Breakout rooms',
+            html: `
+            <div class="breakout-form">
+                <label for="breakoutCount">Rooms</label>
+                <input id="breakoutCount" class="swal2-input" type="number" min="1" value="2" />
+                <label for="breakoutDuration">Duration in minutes (0 for no timer)</label>
+                <input id="breakoutDuration" class="swal2-input" type="number" min="0" value="15" />
+                <label for="breakoutMode">Assign participants</label>
+                <select id="breakoutMode" class="swal2-select">
+                    <option value="random">Randomly</option>
+                    <option value="manual">Manually</option>
+                </select>
+                <div id="breakoutAssignments" style="display: none">
+                    ${guests
+                        .map(
+                            ({ peer_uuid, peer_name }, i) => `
+                    <div class="breakout-assignment">
+                        <span>${peer_name}</span>
+                        <input data-peer-uuid="${peer_uuid}" type="number" min="0" value="${(i % 2) + 1}" />
+                    </div>`
+                        )
+                        .join('')}
+                    <small>Room number, 0 to stay in the main room</small>
+                </div>
+            </div>`,
+            didOpen: () => {
+                const mode = this.getId('breakoutMode');
+                mode.onchange = () => elemDisplay('breakoutAssignments', mode.value === 'manual');
+            },
+            showDenyButton: true,
+            confirmButtonText: `Start`,
+            denyButtonText: `Cancel`,
+            preConfirm: () => {
+                const assignments = {};
+                document.querySelectorAll('#breakoutAssignments input').forEach((input) => {
+                    assignments[input.dataset.peerUuid] = parseInt(input.value) || 0;
+                });
+                return {
+                    action: 'start',
+                    count: parseInt(this.getId('breakoutCount').value),
+                    duration: parseInt(this.getId('breakoutDuration').value) || 0,
+                    mode: this.getId('breakoutMode').value,
+                    assignments: assignments,
+                };
+            },
+            showClass: { popup: 'animate__animated animate__fadeInDown' },
+            hideClass: { popup: 'animate__animated animate__fadeOutUp' },
+        }).then(async (result) => {
+            if (!result.isConfirmed) return;
+            try {
+                const { breakout } = await this.socket.request('breakoutRooms', result.value);
+                this.userLog('success', `${breakout.rooms.length} breakout rooms started`, 'top-end', 6000);
+            } catch (err) {
+                this.userLog('warning', err, 'top-end', 6000);
+            }
+        });
+    }
+
+    manageBreakoutRooms(breakout, peers) {
+        this.sound('open');
+
+        const rooms = [{ id: breakout.parent_id, name: 'Main room', peers: peers }, ...breakout.rooms];
+
+        const roomOptions = (selected) =>
+            rooms
+                .map(({ id, name }) => `<option value="${id}"${id === selected ? ' selected' : ''}>${name}</option>`)
+                .join('');
+
+        Swal.fire({
+            allowOutsideClick: false,
+            background: swalBackground,
+            position: 'center',
+            title: 'Breakout rooms',
+            html: `
+            <div class="breakout-form">
+                ${breakout.ends_at ? `<p>Ends at ${new Date(breakout.ends_at).toLocaleTimeString()}</p>` : ''}
+                ${rooms
+                    .map(
+                        ({ id, name, peers }) => `
+                <h4>${name}</h4>
+                ${peers
+                    .map(
+                        ({ peer_uuid, peer_name }) => `
+                <div class="breakout-assignment">
+                    <span>${peer_name}</span>
+                    <select data-peer-uuid="${peer_uuid}">${roomOptions(id)}</select>
+                </div>`
+                    )
+                    .join('')}`
+                    )
+                    .join('')}
+            </div>`,
+            didOpen: () => {
+                document.querySelectorAll('.breakout-assignment select').forEach((select) => {
+                    select.onchange = () => {
+                        this.socket
+                            .request('breakoutRooms', {
+                                action: 'move',
+                                peer_uuid: select.dataset.peerUuid,
+                                room_id: select.value,
+                            })
+                            .catch((err) => this.userLog('warning', err, 'top-end', 6000));
+                    };
+                });
+            },
+            showDenyButton: true,
+            showCancelButton: true,
+            confirmButtonText: `Broadcast message`,
+            denyButtonText: `Recall everyone`,
+            cancelButtonText: `Close`,
+            showClass: { popup: 'animate__animated animate__fadeInDown' },
+            hideClass: { popup: 'animate__animated animate__fadeOutUp' },
+        }).then((result) => {
+            if (result.isConfirmed) this.broadcastBreakoutRooms();
+            if (result.isDenied) {
+                this.socket
+                    .request('breakoutRooms', { action: 'recall', message: 'The presenter closed the breakout rooms' })
+                    .catch((err) => this.userLog('warning', err, 'top-end', 6000));
+            }
+        });
+    }
+
+    broadcastBreakoutRooms() {
+        Swal.fire({
+            background: swalBackground,
+            position: 'center',
+            title: 'Message to all the rooms',
+            input: 'text',
+            inputPlaceholder: 'Five minutes left!',
+            showDenyButton: true,
+            confirmButtonText: `Send`,
+            denyButtonText: `Cancel`,
+            showClass: { popup: 'animate__animated animate__fadeInDown' },
+            hideClass: { popup: 'animate__animated animate__fadeOutUp' },
+        }).then((result) => {
+            if (!result.isConfirmed || !result.value) return;
+            this.socket
+                .request('breakoutRooms', { action: 'broadcast', message: result.value })
+                .catch((err) => this.userLog('warning', err, 'top-end', 6000));
+        });
+    }
+
+    async switchRoom({ room_id, room_name, ends_at, message }) {
+        console.log('Switch room', { from: this.room_id, to: room_id });
+
+        this.leaveRouter('Switch room');
+
+        this.room_id = room_id;
+
+        // The server already moved the socket, no need to create the room
+        await this.join({ room_id: room_id, peer_info: this.peer_info });
+
+        this.sound('joined');
+
+        room_name
+            ? this.userLog(
+                  'info',
+                  `You are in the breakout room ${room_name}${ends_at ? `, until ${new Date(ends_at).toLocaleTimeString()}` : ''}`,
+                  'top-end',
+                  8000
+              )
+            : this.userLog('info', message || 'You are back in the main room', 'top-end', 8000);
+    }
+
+    async rejoinRoom() {
+        console.warn('Rejoin room', { room_id: this.room_id });
+
+        // Keep the presenter role we have, as on a socket reconnect
+        window.localStorage.isReconnected = true;
+
+        this.leaveRouter('Rejoin room');
+
+        await this.join({ room_id: this.room_id, peer_info: this.peer_info });
+
+        this.userLog('warning', 'The media server restarted, your audio and video are back', 'top-end', 6000);
+    }
+
+    leaveRouter(reason) {
+        // Join the next router the way we left this one
+        const audioProducer = this.producers.get(this.producerLabel.get(mediaType.audio));
+        this.isAudioAllowed = !!audioProducer && !audioProducer.paused;
+        this.isVideoAllowed = this.producerLabel.has(mediaType.video);
+
+        // Our producers, the consumers of the others and the transports
+        for (const type of Array.from(this.producerLabel.keys())) {
+            this.closeProducer(type, reason);
+        }
+        for (const [consumer_id, consumer] of Array.from(this.consumers)) {
+            this.removeConsumer(consumer_id, consumer.kind);
+        }
+        for (const peer_id of Array.from(this.peers.keys()).filter((id) => id !== this.peer_id)) {
+            this.removeVideoOff(peer_id);
+        }
+        if (this.consumerTransport) this.consumerTransport.close();
+        if (this.producerTransport) this.producerTransport.close();
+    }
+
     // ####################################################
     // HELPERS
     // ####################################################
@@ -5300,16 +5740,21 @@ class RoomClient {
             await this.toggleChat();
         }
 
-        this.setMsgAvatar('right', data.peer_name, data.peer_avatar);
-        this.appendMessage(
-            'right',
-            this.rightMsgAvatar,
-            data.peer_name,
-            data.peer_id,
-            data.peer_msg,
-            data.to_peer_id,
-            data.to_peer_name
-        );
+        if (data.system) {
+            // Sent through the rest api, there is no participant to chat back with, keep it in the public chat
+            this.appendMessage('right', image.avatar, data.peer_name, data.peer_id, data.peer_msg, 'all', 'all', true);
+        } else {
+            this.setMsgAvatar('right', data.peer_name, data.peer_avatar);
+            this.appendMessage(
+                'right',
+                this.rightMsgAvatar,
+                data.peer_name,
+                data.peer_id,
+                data.peer_msg,
+                data.to_peer_id,
+                data.to_peer_name
+            );
+        }
 
         if (!this.showChatOnMessage) {
             this.userLog('info', `💬 New message from: ${data.peer_name}`, 'top-end');
@@ -5347,7 +5792,7 @@ class RoomClient {
         avatar === 'left' ? (this.leftMsgAvatar = avatarImg) : (this.rightMsgAvatar = avatarImg);
     }
 
-    appendMessage(side, img, fromName, fromId, msg, toId, toName) {
+    appendMessage(side, img, fromName, fromId, msg, toId, toName, system = false) {
         const getSide = filterXSS(side);
         const getImg = filterXSS(img);
         const getFromName = filterXSS(fromName);
@@ -5358,11 +5803,13 @@ class RoomClient {
         const time = this.getTimeNow();
 
         const myMessage = getSide === 'left';
-        const messageClass = myMessage ? 'my-message' : 'other-message float-right';
+        const messageClass = myMessage ? 'my-message' : `other-message float-right${system ? ' system-message' : ''}`;
         const messageData = myMessage ? 'text-start' : 'text-end';
         const timeAndName = myMessage
             ? `<span class="message-data-time">${time}, ${getFromName} ( me ) </span>`
-            : `<span class="message-data-time">${time}, ${getFromName} </span>`;
+            : system
+              ? `<span class="message-data-time">${time}, ${getFromName} <span class="system-badge">system</span></span>`
+              : `<span class="message-data-time">${time}, ${getFromName} </span>`;
 
         const formatMessage = this.formatMsg(getMsg);
         const speechButton = this.isSpeechSynthesisSupported
@@ -6565,6 +7012,7 @@ class RoomClient {
     handleMediaRecorder() {
         if (this.mediaRecorder) {
             this.recServerFileName = this.getServerRecFileName();
+            if (rc.recording.recSyncServerRecording) this.startRecordingUpload();
             rc.recording.recSyncServerRecording
                 ? this.mediaRecorder.start(this.recSyncTime)
                 : this.mediaRecorder.start();
@@ -6601,44 +7049,219 @@ class RoomClient {
         }
     }
 
-    async syncRecordingInCloud(data) {
-        if (!this._isRecording) return;
+    syncRecordingInCloud(data) {
+        const upload = this.recUpload;
+        if (!upload) return;
+        // In order, the stop event may come before the last chunks are added
+        upload.adding = upload.adding.then(() => this.addRecordingChunks(upload, data));
+    }
+
+    // ####################################################
+    // RESUMABLE RECORDING UPLOAD
+    // ####################################################
 
+    startRecordingUpload() {
+        this.recUpload = {
+            sessionId: null,
+            uploadKey: this.generateUUIDv4(), // The server gives the session back to this key only
+            fileName: this.recServerFileName,
+            startedAt: Date.now(),
+            queue: [], // [{ seq, data, checksum }] not committed yet
+            lastSeq: 0,
+            size: 0,
+            adding: Promise.resolve(),
+            sending: null,
+            failedSince: null,
+        };
+    }
+
+    async addRecordingChunks(upload, data) {
         const arrayBuffer = await data.arrayBuffer();
         const chunkSize = rc.recSyncChunkSize;
-        const totalChunks = Math.ceil(arrayBuffer.byteLength / chunkSize);
-        for (let chunkIndex = 0; chunkIndex < totalChunks; chunkIndex++) {
-            const chunk = arrayBuffer.slice(chunkIndex * chunkSize, (chunkIndex + 1) * chunkSize);
-            try {
-                const response = await axios.post(
-                    `${this.recording.recSyncServerEndpoint}/recSync?fileName=` + rc.recServerFileName,
-                    chunk,
-                    {
+        for (let start = 0; start < arrayBuffer.byteLength; start += chunkSize) {
+            const chunk = arrayBuffer.slice(start, start + chunkSize);
+            const checksum = await this.getChunkChecksum(chunk);
+            upload.queue.push({ seq: ++upload.lastSeq, data: chunk, checksum });
+            upload.size += chunk.byteLength;
+        }
+        this.sendRecordingChunks();
+    }
+
+    async getChunkChecksum(chunk) {
+        const digest = await crypto.subtle.digest('SHA-256', chunk);
+        return Array.from(new Uint8Array(digest), (byte) => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    sendRecordingChunks() {
+        // One sender at a time, the server commits the chunks in order
+        const upload = this.recUpload;
+        if (!upload) return Promise.resolve();
+        if (upload.sending) return upload.sending;
+
+        const endpoint = `${this.recording.recSyncServerEndpoint}/recSync/sessions`;
+        upload.sending = (async () => {
+            while (upload.queue.length && this.recUpload === upload) {
+                try {
+                    if (!upload.sessionId) {
+                        const { data } = await axios.post(endpoint, null, {
+                            params: { fileName: upload.fileName },
+                            headers: { 'X-Upload-Key': upload.uploadKey },
+                        });
+                        upload.sessionId = data.sessionId;
+                        this.commitRecordingChunks(upload, data);
+                        continue;
+                    }
+                    const { seq, data, checksum } = upload.queue[0];
+                    const response = await axios.put(`${endpoint}/${upload.sessionId}/chunks/${seq}`, data, {
                         headers: {
                             'Content-Type': 'application/octet-stream',
+                            'X-Chunk-Checksum': checksum,
                         },
-                    }
-                );
-                console.log('Chunk synced successfully:', response.data);
-            } catch (error) {
-                let errorMessage = 'Recording stopped! ';
-                if (error.response) {
-                    errorMessage += error.response.data.message;
-                    console.error('Error syncing chunk', {
-                        status_code: error.response.status,
-                        response_data: error.response.data,
-                        response_headers: error.response.headers,
                     });
-                } else if (error.request) {
-                    console.error('Error syncing chunk: No response received', { request_details: error.request });
-                } else {
-                    errorMessage += error.message;
-                    console.error('Error syncing chunk:', error.message);
+                    this.commitRecordingChunks(upload, response.data);
+                    if (upload.failedSince) {
+                        upload.failedSince = null;
+                        userLog('success', 'Recording upload resumed', 'top-end', 3000);
+                    }
+                } catch (error) {
+                    if (!(await this.handleRecordingUploadError(upload, error))) break;
                 }
-                userLog('warning', errorMessage, 'top-end', 3000);
-                rc.stopRecording();
-                rc.saveLastRecordingInfo('<br/><span class="red">' + errorMessage + '.</span>');
             }
+            upload.sending = null;
+        })();
+        return upload.sending;
+    }
+
+    commitRecordingChunks(upload, { seq, offset }) {
+        // The server may be ahead of the replies we got, after a lost one
+        upload.queue = upload.queue.filter((chunk) => chunk.seq > seq);
+        if (this.recUpload === upload) this.saveRecordingUploadToLocalStorage(upload, seq, offset);
+        if (upload.queue.length && upload.queue[0].seq !== seq + 1) {
+            this.failRecordingUpload(upload, 'Recording chunks lost');
+        }
+    }
+
+    async handleRecordingUploadError(upload, error) {
+        const { response } = error;
+        if (response && response.status === 409 && response.data?.seq !== undefined) {
+            // Out of order, the server tells where it stands
+            this.commitRecordingChunks(upload, response.data);
+            return this.recUpload === upload;
+        }
+        // The server out of disk space (507) does not come back by retrying
+        if (response && ((response.status < 500 && response.status !== 429) || response.status === 507)) {
+            console.error('Error syncing chunk', {
+                status_code: response.status,
+                response_data: response.data,
+            });
+            this.failRecordingUpload(upload, response.data?.error || response.statusText);
+            return false;
+        }
+
+        // Network blip or server restart, the chunks wait in the queue
+        if (!upload.failedSince) {
+            upload.failedSince = Date.now();
+            userLog('warning', 'Recording upload interrupted, it resumes once connected', 'top-end', 6000);
+        }
+        if (Date.now() - upload.failedSince > this.recUploadMaxOffline) {
+            this.failRecordingUpload(upload, 'Upload server unreachable');
+            return false;
+        }
+        console.warn('Error syncing chunk, retrying:', error.message);
+        await new Promise((resolve) => setTimeout(resolve, this.recUploadRetryDelay));
+        if (upload.sessionId) {
+            try {
+                const { data } = await axios.get(
+                    `${this.recording.recSyncServerEndpoint}/recSync/sessions/${upload.sessionId}`
+                );
+                this.commitRecordingChunks(upload, data);
+            } catch (err) {
+                console.warn('Recording upload status unavailable:', err.message);
+            }
+        }
+        return this.recUpload === upload;
+    }
+
+    failRecordingUpload(upload, reason) {
+        if (this.recUpload !== upload) return;
+        this.recUpload = null;
+        this.removeRecordingUploadFromLocalStorage();
+        const errorMessage = 'Recording stopped! ' + reason;
+        userLog('warning', errorMessage, 'top-end', 3000);
+        rc.stopRecording();
+        rc.saveLastRecordingInfo('<br/><span class="red">' + errorMessage + '.</span>');
+    }
+
+    async finishRecordingUpload() {
+        // Once the last chunks are committed, the server assembles the file
+        const upload = this.recUpload;
+        if (!upload) return false;
+        await upload.adding;
+        while (this.recUpload === upload && upload.queue.length) {
+            await this.sendRecordingChunks();
+        }
+        if (this.recUpload !== upload || !upload.sessionId) return false;
+        this.recUpload = null;
+        this.removeRecordingUploadFromLocalStorage();
+        try {
+            await axios.post(
+                `${this.recording.recSyncServerEndpoint}/recSync/sessions/${upload.sessionId}/complete`,
+                null,
+                { params: { totalSize: upload.size } }
+            );
+            return true;
+        } catch (error) {
+            const errorMessage = 'Recording upload failed! ' + (error.response?.data?.error || error.message);
+            console.error(errorMessage);
+            userLog('warning', errorMessage, 'top-end', 3000);
+            return false;
+        }
+    }
+
+    async resumeRecordingUpload() {
+        // A page reload ends the recording: what the server committed before is kept as the recording
+        const saved = this.getRecordingUploadFromLocalStorage();
+        if (!saved || this.recUpload) return;
+        this.removeRecordingUploadFromLocalStorage();
+        const endpoint = `${this.recording.recSyncServerEndpoint}/recSync/sessions/${saved.sessionId}`;
+        try {
+            const { data } = await axios.get(endpoint);
+            if (!data.offset) return;
+            await axios.post(`${endpoint}/complete`, null, { params: { totalSize: data.offset } });
+            await this.finalizeRecordingUpload(saved.fileName, saved.committedAt - saved.startedAt);
+            userLog('success', 'Recording interrupted by the page reload saved', 'top-end', 3000);
+        } catch (error) {
+            console.warn('Recording upload not resumed:', error.response?.data?.error || error.message);
+        }
+    }
+
+    saveRecordingUploadToLocalStorage(upload, seq, offset) {
+        const { sessionId, uploadKey, fileName, startedAt } = upload;
+        try {
+            localStorage.setItem(
+                'sfu_rec_upload',
+                JSON.stringify({ sessionId, uploadKey, fileName, startedAt, seq, offset, committedAt: Date.now() })
+            );
+        } catch (e) {
+            console.warn('Unable to save the recording upload to localStorage:', e);
+        }
+    }
+
+    removeRecordingUploadFromLocalStorage() {
+        try {
+            localStorage.removeItem('sfu_rec_upload');
+        } catch (e) {
+            console.warn('Unable to remove the recording upload from localStorage:', e);
+        }
+    }
+
+    getRecordingUploadFromLocalStorage() {
+        try {
+            const sfu_rec_upload = localStorage.getItem('sfu_rec_upload');
+            return sfu_rec_upload ? JSON.parse(sfu_rec_upload) : null;
+        } catch (e) {
+            console.warn('Unable to get the recording upload from localStorage:', e);
+            return null;
         }
     }
 
@@ -6648,37 +7271,10 @@ class RoomClient {
             rc.recording.recSyncServerRecording ? rc.handleServerRecordingStop() : rc.handleLocalRecordingStop();
             rc.disableRecordingOptions(false);
 
-            // If cloud sync is enabled, patch duration on the server
-            if (rc.recording.recSyncServerRecording) {
+            // If cloud sync is enabled, patch duration on the server once the file is assembled
+            if (rc.recording.recSyncServerRecording && (await rc.finishRecordingUpload())) {
                 const durationMs = rc._recStartTs ? Math.round(performance.now() - rc._recStartTs) : undefined;
-
-                // Option S3: pass duration to your existing finalize endpoint (preferred if it uploads to S3)
-                if (rc.recording.recSyncServerToS3) {
-                    try {
-                        await axios.post(`${rc.recording.recSyncServerEndpoint}/recSyncFinalize`, null, {
-                            params: { fileName: rc.recServerFileName, durationMs },
-                        });
-                        console.log('Finalized (with duration fix) and uploaded to S3');
-                        userLog('success', 'Recording successfully uploaded to S3.', 'top-end', 3000);
-                    } catch (error) {
-                        let errorMessage = 'Finalization failed! ';
-                        if (error.response) errorMessage += error.response.data?.message || 'Server error';
-                        else if (error.request) errorMessage += 'No response from server';
-                        else errorMessage += error.message;
-                        userLog('warning', errorMessage, 'top-end', 3000);
-                    }
-                } else {
-                    // Option Disk: if you don’t use S3 finalize, call a dedicated “fix” endpoint
-                    try {
-                        await axios.post(`${rc.recording.recSyncServerEndpoint}/recSyncFixWebm`, null, {
-                            params: { fileName: rc.recServerFileName, durationMs },
-                        });
-                        console.log('Server-side WEBM duration fixed for', rc.recServerFileName);
-                    } catch (error) {
-                        console.warn('WEBM duration server-side fix failed:', error?.message || error);
-                    }
-                }
-
+                await rc.finalizeRecordingUpload(rc.recServerFileName, durationMs);
                 rc._recStartTs = null;
             }
         } catch (err) {
@@ -6686,6 +7282,35 @@ class RoomClient {
         }
     }
 
+    async finalizeRecordingUpload(fileName, durationMs) {
+        // Option S3: pass duration to your existing finalize endpoint (preferred if it uploads to S3)
+        if (this.recording.recSyncServerToS3) {
+            try {
+                await axios.post(`${this.recording.recSyncServerEndpoint}/recSyncFinalize`, null, {
+                    params: { fileName, durationMs },
+                });
+                console.log('Finalized (with duration fix) and uploaded to S3');
+                userLog('success', 'Recording successfully uploaded to S3.', 'top-end', 3000);
+            } catch (error) {
+                let errorMessage = 'Finalization failed! ';
+                if (error.response) errorMessage += error.response.data?.message || 'Server error';
+                else if (error.request) errorMessage += 'No response from server';
+                else errorMessage += error.message;
+                userLog('warning', errorMessage, 'top-end', 3000);
+            }
+        } else {
+            // Option Disk: if you don’t use S3 finalize, call a dedicated “fix” endpoint
+            try {
+                await axios.post(`${this.recording.recSyncServerEndpoint}/recSyncFixWebm`, null, {
+                    params: { fileName, durationMs },
+                });
+                console.log('Server-side WEBM duration fixed for', fileName);
+            } catch (error) {
+                console.warn('WEBM duration server-side fix failed:', error?.message || error);
+            }
+        }
+    }
+
     async handleMediaRecorderStopOLD(evt) {
         try {
             console.log('MediaRecorder stopped: ', evt);
@@ -8993,6 +9618,15 @@ class RoomClient {
                         this.peerActionProgress(from_peer_name, message, 5000, action);
                     }
                     break;
+                case 'promote':
+                    if (peerActionAllowed && !isPresenter) {
+                        isPresenter = true;
+                        this.peer_info.peer_presenter = isPresenter;
+                        this.getId('isUserPresenter').innerText = isPresenter;
+                        handleRules(isPresenter);
+                        this.userLog('info', from_peer_name + ' promoted you to presenter', 'top-end', 6000);
+                    }
+                    break;
                 case 'mute':
                     if (peerActionAllowed) {
                         if (this.producerExist(mediaType.audio)) {
@@ -113,6 +113,7 @@ let BUTTONS = {
         saveInfoButton: true, // presenter
         sendFileAllButton: true, // presenter
         ejectAllButton: true, // presenter
+        breakoutRoomsButton: true, // presenter
         sendFileButton: true, // presenter & guests
         geoLocationButton: true, // presenter
         banButton: true, // presenter
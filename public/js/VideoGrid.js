@@ -43,7 +43,7 @@ function Area(Increment, Count, Width, Height, Margin = 10) {
 }
 
 function resizeVideoMedia() {
-    if (isHideALLVideosActive) return;
+    if (isHideALLVideosActive) return reportVideoTiles();
 
     let Margin = 5;
     let videoMediaContainer = document.getElementById('videoMediaContainer');
@@ -82,6 +82,11 @@ function resizeVideoMedia() {
     max = max - Margin * 2;
     setWidth(Cameras, max, bigWidth, Margin, Height, isOneVideoElement);
     document.documentElement.style.setProperty('--vmi-wh', max / 3 + 'px');
+    reportVideoTiles();
+}
+
+function reportVideoTiles() {
+    if (rc) rc.reportVideoTiles();
 }
 
 function resetZoom() {
@@ -0,0 +1,107 @@
+'use strict';
+
+// npx mocha test-ApiKeys.js
+
+require('should');
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ApiKeys = require('../app/src/ApiKeys');
+
+describe('test-ApiKeys', () => {
+    const keys = [
+        { name: 'full', secret: 'full-secret' },
+        { name: 'crm', secret: 'crm-secret', scopes: ['meetings', 'join'], rooms: ['sales-'] },
+        { name: 'old', secret: 'old-secret', expire: '2000-01-01T00:00:00Z' },
+    ];
+
+    describe('authorize', () => {
+        let apiKeys;
+
+        beforeEach(() => {
+            apiKeys = new ApiKeys(keys);
+        });
+
+        it('should authorize a key with every scope by default', () => {
+            ApiKeys.SCOPES.forEach((scope) => {
+                apiKeys
+                    .authorize('full-secret', scope)
+                    .should.deepEqual({ authorized: true, key: 'full', reason: null });
+            });
+        });
+
+        it('should reject unknown and expired keys', () => {
+            apiKeys.authorize('nope', 'stats').authorized.should.be.false();
+            apiKeys.authorize(undefined, 'stats').authorized.should.be.false();
+            apiKeys.authorize('old-secret', 'stats').should.deepEqual({
+                authorized: false,
+                key: 'old',
+                reason: 'Key expired',
+            });
+        });
+
+        it('should restrict a key to its scopes and room prefixes', () => {
+            apiKeys.authorize('crm-secret', 'join', 'sales-weekly').authorized.should.be.true();
+            apiKeys.authorize('crm-secret', 'rooms', 'sales-weekly').authorized.should.be.false();
+            apiKeys.authorize('crm-secret', 'join', 'board-meeting').authorized.should.be.false();
+            apiKeys.authorize('crm-secret', 'join', '').authorized.should.be.false();
+            apiKeys.authorize('crm-secret', 'meetings').authorized.should.be.true();
+        });
+
+        it('should count the authorized requests per key without exposing secrets', () => {
+            apiKeys.authorize('crm-secret', 'meetings');
+            apiKeys.authorize('crm-secret', 'meetings');
+            apiKeys.authorize('crm-secret', 'rooms');
+            const crm = apiKeys.getKeys().find(({ name }) => name === 'crm');
+            crm.requests.should.equal(2);
+            crm.should.not.have.property('secret');
+        });
+    });
+
+    describe('load', () => {
+        let keysFile;
+
+        beforeEach(() => {
+            keysFile = path.join(os.tmpdir(), `test-api-keys-${process.pid}.json`);
+        });
+
+        afterEach(() => {
+            if (fs.existsSync(keysFile)) fs.unlinkSync(keysFile);
+        });
+
+        it('should skip invalid and duplicated keys', () => {
+            const apiKeys = new ApiKeys([
+                ...keys,
+                { name: 'bad-scope', secret: 'bad-scope-secret', scopes: ['admin'] },
+                { name: 'no-secret' },
+                { name: 'bad-expire', secret: 'bad-expire-secret', expire: 'tomorrow' },
+                { name: 'duplicated', secret: 'full-secret' },
+            ]);
+            apiKeys
+                .getKeys()
+                .map(({ name }) => name)
+                .should.deepEqual(['full', 'crm', 'old']);
+        });
+
+        it('should load the keys file and reload it when it changes', () => {
+            fs.writeFileSync(keysFile, JSON.stringify([{ name: 'file', secret: 'file-secret' }]));
+            const apiKeys = new ApiKeys([], keysFile);
+            apiKeys.authorize('file-secret', 'stats').authorized.should.be.true();
+
+            // Rotate the secret
+            fs.writeFileSync(keysFile, JSON.stringify([{ name: 'file', secret: 'rotated-secret' }]));
+            const future = new Date(Date.now() + 10000);
+            fs.utimesSync(keysFile, future, future);
+
+            apiKeys.authorize('file-secret', 'stats').authorized.should.be.false();
+            apiKeys.authorize('rotated-secret', 'stats').authorized.should.be.true();
+        });
+
+        it('should ignore a missing or malformed keys file', () => {
+            new ApiKeys(keys, keysFile).getKeys().length.should.equal(3);
+            fs.writeFileSync(keysFile, '{ not json');
+            new ApiKeys(keys, keysFile).getKeys().length.should.equal(3);
+        });
+    });
+});
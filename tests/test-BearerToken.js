@@ -0,0 +1,38 @@
+'use strict';
+
+// npx mocha test-BearerToken.js
+
+require('should');
+
+const BearerToken = require('../app/src/BearerToken');
+
+describe('test-BearerToken', () => {
+    describe('isAuthorized', () => {
+        it('should only accept the bearer token', () => {
+            BearerToken.isAuthorized('Bearer secret', 'secret').should.be.true();
+            BearerToken.isAuthorized('Bearer wrong', 'secret').should.be.false();
+            BearerToken.isAuthorized('Bearer secret-longer', 'secret').should.be.false();
+            BearerToken.isAuthorized('secret', 'secret').should.be.false();
+            BearerToken.isAuthorized(undefined, 'secret').should.be.false();
+        });
+
+        it('should accept the bare token when allowed', () => {
+            BearerToken.isAuthorized('secret', 'secret', { allowRaw: true }).should.be.true();
+            BearerToken.isAuthorized('Bearer secret', 'secret', { allowRaw: true }).should.be.true();
+            BearerToken.isAuthorized('wrong', 'secret', { allowRaw: true }).should.be.false();
+        });
+
+        it('should refuse everything without a token', () => {
+            BearerToken.isAuthorized('Bearer ', '').should.be.false();
+            BearerToken.isAuthorized('', '', { allowRaw: true }).should.be.false();
+        });
+    });
+
+    describe('isEqual', () => {
+        it('should compare the secrets of any length', () => {
+            BearerToken.isEqual('secret', 'secret').should.be.true();
+            BearerToken.isEqual('secret', 'secreT').should.be.false();
+            BearerToken.isEqual('secret', '').should.be.false();
+        });
+    });
+});
@@ -0,0 +1,89 @@
+'use strict';
+
+// npx mocha test-BreakoutRooms.js
+
+require('should');
+
+const sinon = require('sinon');
+const BreakoutRooms = require('../app/src/BreakoutRooms');
+
+describe('test-BreakoutRooms', () => {
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    describe('constructor', () => {
+        it('should create the rooms linked to the main room', () => {
+            const breakout = new BreakoutRooms('training', { count: 3, names: ['Alpha', ' ', 42] });
+            breakout.rooms.should.deepEqual([
+                { id: 'training-breakout-1', name: 'Alpha' },
+                { id: 'training-breakout-2', name: 'Room 2' },
+                { id: 'training-breakout-3', name: 'Room 3' },
+            ]);
+            breakout.hasRoom('training-breakout-2').should.be.true();
+            breakout.hasRoom('training').should.be.false();
+            (breakout.endsAt === null).should.be.true();
+        });
+
+        it('should enforce the rooms and duration limits', () => {
+            (() => new BreakoutRooms('training', { count: 0 })).should.throw(/Invalid count/);
+            (() => new BreakoutRooms('training', { count: 'many' })).should.throw(/Invalid count/);
+            (() => new BreakoutRooms('training', { count: 5, maxRooms: 4 })).should.throw(/Invalid count/);
+            (() => new BreakoutRooms('training', { duration: 300, maxDuration: 240 })).should.throw(/Invalid duration/);
+        });
+    });
+
+    describe('assignments', () => {
+        it('should spread the peers randomly and evenly', () => {
+            const breakout = new BreakoutRooms('training', { count: 2 });
+            breakout.assignRandom(['a', 'b', 'c', 'd', 'e']);
+            breakout
+                .toJson()
+                .rooms.map(({ assigned }) => assigned)
+                .should.deepEqual([3, 2]);
+        });
+
+        it('should assign by hand by room number or id', () => {
+            const breakout = new BreakoutRooms('training', { count: 2 });
+            breakout.assignManual({ a: 2, b: 'training-breakout-1', c: 0 });
+            breakout.getAssignment('a').should.equal('training-breakout-2');
+            breakout.getAssignment('b').should.equal('training-breakout-1');
+            (breakout.getAssignment('c') === null).should.be.true();
+            (() => breakout.assignManual({ d: 3 })).should.throw(/unknown breakout room/);
+        });
+
+        it('should send a peer back to the main room', () => {
+            const breakout = new BreakoutRooms('training', { count: 2 });
+            breakout.assign('a', 'training-breakout-1');
+            (breakout.assign('a', 'training') === null).should.be.true();
+            (breakout.getAssignment('a') === null).should.be.true();
+            (() => breakout.assign('a', 'elsewhere')).should.throw('Unknown breakout room');
+        });
+    });
+
+    describe('timer', () => {
+        it('should call back once the time is up', () => {
+            const clock = sinon.useFakeTimers();
+            const onTimeout = sinon.spy();
+            const breakout = new BreakoutRooms('training', { count: 2, duration: 10 });
+
+            breakout.getRemaining().should.equal(10 * 60 * 1000);
+            breakout.startTimer(onTimeout);
+            clock.tick(10 * 60 * 1000 - 1);
+            onTimeout.called.should.be.false();
+            clock.tick(1);
+            onTimeout.calledOnce.should.be.true();
+        });
+
+        it('should not call back once stopped', () => {
+            const clock = sinon.useFakeTimers();
+            const onTimeout = sinon.spy();
+            const breakout = new BreakoutRooms('training', { count: 2, duration: 1 });
+
+            breakout.startTimer(onTimeout);
+            breakout.stopTimer();
+            clock.tick(60 * 1000);
+            onTimeout.called.should.be.false();
+        });
+    });
+});
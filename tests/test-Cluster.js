@@ -0,0 +1,136 @@
+'use strict';
+
+// npx mocha test-Cluster.js
+
+require('should');
+
+const sinon = require('sinon');
+const { Server } = require('socket.io');
+const Cluster = require('../app/src/Cluster');
+const ClusterRegistry = require('../app/src/ClusterRegistry');
+
+describe('test-Cluster', () => {
+    const createCluster = (registry, id) =>
+        new Cluster(registry, { nodeId: id, nodeUrl: `https://${id}.example.com/`, secret: 'cluster-secret' });
+
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    it('should need a node url and a secret', () => {
+        const registry = new ClusterRegistry();
+        (() => new Cluster(registry, { secret: 'cluster-secret' })).should.throw(/needs the url/);
+        (() => new Cluster(registry, { nodeUrl: 'https://sfu.example.com' })).should.throw(/needs the secret/);
+    });
+
+    it('should only accept the requests of the other nodes', () => {
+        const cluster = createCluster(new ClusterRegistry(), 'node-a');
+        cluster.isAuthorized('Bearer cluster-secret').should.be.true();
+        cluster.isAuthorized('cluster-secret').should.be.false();
+        cluster.isAuthorized('Bearer wrong').should.be.false();
+        cluster.isAuthorized(undefined).should.be.false();
+    });
+
+    describe('rooms', () => {
+        it('should tell the node hosting a room of another node', async () => {
+            const registry = new ClusterRegistry();
+            const clusterA = createCluster(registry, 'node-a');
+            const clusterB = createCluster(registry, 'node-b');
+            await clusterA.start(() => []);
+            await clusterB.start(() => []);
+
+            ((await clusterA.claimRoom('standup')) === null).should.be.true();
+            (await clusterB.claimRoom('standup')).url.should.equal('https://node-a.example.com');
+            (await clusterB.getRoomNode('standup')).id.should.equal('node-a');
+            ((await clusterA.getRoomNode('standup')) === null).should.be.true();
+            clusterB.nodes.map(({ id }) => id).should.deepEqual(['node-a']);
+
+            await clusterA.stop();
+            ((await clusterB.claimRoom('standup')) === null).should.be.true();
+            await clusterB.stop();
+        });
+
+        it('should free a released room for the other nodes', async () => {
+            const registry = new ClusterRegistry();
+            const clusterA = createCluster(registry, 'node-a');
+            const clusterB = createCluster(registry, 'node-b');
+            await clusterA.start(() => []);
+            await clusterB.start(() => []);
+
+            ((await clusterA.claimRoom('standup')) === null).should.be.true();
+            // Only the node holding the room releases it
+            await clusterB.releaseRoom('standup');
+            (await clusterB.getRoomNode('standup')).id.should.equal('node-a');
+
+            await clusterA.releaseRoom('standup');
+            ((await clusterB.claimRoom('standup')) === null).should.be.true();
+            await clusterA.stop();
+            await clusterB.stop();
+        });
+
+        it('should leave out the nodes that do not answer', async () => {
+            const cluster = createCluster(new ClusterRegistry(), 'node-a');
+            cluster.nodes = [{ id: 'node-b' }, { id: 'node-c' }];
+            sinon.stub(cluster, 'request').callsFake(async (node) => {
+                if (node.id === 'node-c') throw new Error('timeout of 3000ms exceeded');
+                return { stats: { totalRooms: 2 } };
+            });
+            const results = await cluster.collect('/cluster/state');
+            results.should.deepEqual([{ node: { id: 'node-b' }, data: { stats: { totalRooms: 2 } } }]);
+        });
+    });
+
+    describe('adapter', () => {
+        let clusters, servers;
+
+        beforeEach(() => {
+            const registry = new ClusterRegistry();
+            clusters = ['node-a', 'node-b'].map((id) => createCluster(registry, id));
+            for (const cluster of clusters) {
+                cluster.nodes = clusters.filter((other) => other !== cluster).map(({ node }) => node);
+                // Straight to the other node, through JSON as over https
+                cluster.request = async (node, method, path, data) => {
+                    await null;
+                    return clusters
+                        .find((other) => other.node.id === node.id)
+                        .receive(JSON.parse(JSON.stringify(data)));
+                };
+            }
+            servers = clusters.map((cluster) => new Server({ adapter: cluster.createAdapter() }));
+        });
+
+        afterEach(() => {
+            // Not attached to an http server, closing the adapters stops their timers
+            servers.forEach((io) => io.of('/').adapter.close());
+        });
+
+        it('should relay the broadcasts to the other nodes', async () => {
+            const adapter = clusters[1].adapters.get('/');
+            const onMessage = sinon.spy(adapter, 'onMessage');
+
+            servers[0].to('standup').emit('chat', { text: 'hello', file: Buffer.from('binary') });
+            await new Promise((resolve) => setTimeout(resolve, 10));
+
+            const message = onMessage.args.map(([message]) => message).find(({ type }) => type === 3);
+            message.data.opts.rooms.should.deepEqual(['standup']);
+            const [event, data] = message.data.packet.data;
+            event.should.equal('chat');
+            data.text.should.equal('hello');
+            Buffer.isBuffer(data.file).should.be.true();
+            data.file.toString().should.equal('binary');
+        });
+
+        it('should route the responses back to the node that asked', async () => {
+            servers[1].on('ping', (callback) => callback('pong from node-b'));
+            await new Promise((resolve) => setTimeout(resolve, 10));
+
+            (await servers[0].serverSideEmitWithAck('ping')).should.deepEqual(['pong from node-b']);
+            (await servers[0].of('/').adapter.serverCount()).should.equal(2);
+        });
+
+        it('should ignore a namespace without adapter', () => {
+            const payload = JSON.stringify({ uid: 'other', nsp: '/unknown', type: 2 });
+            clusters[0].receive({ type: 'message', payload, node_id: 'node-b' }).should.be.false();
+        });
+    });
+});
@@ -0,0 +1,145 @@
+'use strict';
+
+// npx mocha test-ClusterRegistry.js
+
+require('should');
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sinon = require('sinon');
+const ClusterRegistry = require('../app/src/ClusterRegistry');
+const FileClusterRegistry = require('../app/src/FileClusterRegistry');
+
+describe('test-ClusterRegistry', () => {
+    const nodeA = { id: 'node-a', url: 'https://sfu-a.example.com' };
+    const nodeB = { id: 'node-b', url: 'https://sfu-b.example.com' };
+
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    describe('memory', () => {
+        it('should keep a room on the node that claimed it first', async () => {
+            const registry = ClusterRegistry.create({ type: 'memory' });
+            await registry.heartbeat(nodeA);
+            await registry.heartbeat(nodeB);
+
+            (await registry.claimRoom('standup', 'node-a')).id.should.equal('node-a');
+            (await registry.claimRoom('standup', 'node-b')).url.should.equal(nodeA.url);
+            (await registry.getRoomNode('standup')).id.should.equal('node-a');
+
+            await registry.releaseRoom('standup', 'node-b');
+            (await registry.getRoomNode('standup')).id.should.equal('node-a');
+            await registry.releaseRoom('standup', 'node-a');
+            (await registry.claimRoom('standup', 'node-b')).id.should.equal('node-b');
+        });
+
+        it('should free the rooms of a node that stopped', async () => {
+            const clock = sinon.useFakeTimers(Date.now());
+            const registry = ClusterRegistry.create({ type: 'memory', nodeTimeout: 1000 });
+            await registry.heartbeat(nodeA);
+            await registry.heartbeat(nodeB);
+            await registry.claimRoom('standup', 'node-a');
+
+            clock.tick(1500);
+            await registry.heartbeat(nodeB);
+            (await registry.getNodes()).map(({ id }) => id).should.deepEqual(['node-b']);
+            ((await registry.getRoomNode('standup')) === null).should.be.true();
+            (await registry.claimRoom('standup', 'node-b')).id.should.equal('node-b');
+
+            await registry.removeNode('node-b');
+            ((await registry.getRoomNode('standup')) === null).should.be.true();
+        });
+
+        it('should drop the claims of rooms the node does not host', async () => {
+            const clock = sinon.useFakeTimers(Date.now());
+            const registry = ClusterRegistry.create({ type: 'memory', nodeTimeout: 1000 });
+            await registry.heartbeat(nodeA);
+            await registry.claimRoom('standup', 'node-a');
+            await registry.claimRoom('retro', 'node-a');
+
+            // Just claimed, the first peer may still be loading the room
+            await registry.heartbeat(nodeA, ['retro']);
+            (await registry.getRoomNode('standup')).id.should.equal('node-a');
+
+            clock.tick(1500);
+            await registry.heartbeat(nodeA, ['retro']);
+            ((await registry.getRoomNode('standup')) === null).should.be.true();
+            (await registry.getRoomNode('retro')).id.should.equal('node-a');
+        });
+    });
+
+    describe('file', () => {
+        let dir;
+
+        beforeEach(() => {
+            dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cluster-registry-'));
+        });
+
+        afterEach(() => {
+            fs.rmSync(dir, { recursive: true, force: true });
+        });
+
+        it('should share the rooms between the nodes using the same file', async () => {
+            const file = path.join(dir, 'cluster.json');
+            const registryA = ClusterRegistry.create({ type: 'file', path: file });
+            const registryB = ClusterRegistry.create({ type: 'file', path: file });
+            await registryA.heartbeat(nodeA);
+            await registryB.heartbeat(nodeB);
+
+            const claims = await Promise.all([
+                registryA.claimRoom('standup', 'node-a'),
+                registryB.claimRoom('standup', 'node-b'),
+            ]);
+            claims[0].id.should.equal(claims[1].id);
+            (await registryB.getNodes()).should.have.length(2);
+            fs.existsSync(file + '.lock').should.be.false();
+        });
+
+        it('should break a stale lock', async () => {
+            const file = path.join(dir, 'cluster.json');
+            const registry = new FileClusterRegistry(file);
+            fs.writeFileSync(file + '.lock', '');
+            const old = new Date(Date.now() - 60000);
+            fs.utimesSync(file + '.lock', old, old);
+
+            await registry.heartbeat(nodeA);
+            (await registry.getNodes()).map(({ id }) => id).should.deepEqual(['node-a']);
+        });
+
+        it('should let a single node take over a stale lock', async () => {
+            const file = path.join(dir, 'cluster.json');
+            fs.writeFileSync(file + '.lock', 'dead-node-token');
+            const old = new Date(Date.now() - 60000);
+            fs.utimesSync(file + '.lock', old, old);
+
+            const registries = [nodeA, nodeB].map(() => new FileClusterRegistry(file));
+            await Promise.all([registries[0].heartbeat(nodeA), registries[1].heartbeat(nodeB)]);
+            (await registries[0].getNodes()).should.have.length(2);
+            fs.readdirSync(dir).should.deepEqual(['cluster.json']);
+        });
+
+        it('should only remove its own lock', async () => {
+            const file = path.join(dir, 'cluster.json');
+            const registry = new FileClusterRegistry(file);
+            const token = await registry.lock();
+            // Broken as stale meanwhile and taken by another node
+            fs.writeFileSync(file + '.lock', 'other-node-token');
+            await registry.unlock(token);
+            fs.readFileSync(file + '.lock', 'utf8').should.equal('other-node-token');
+        });
+
+        it('should start over from a malformed file', async () => {
+            const file = path.join(dir, 'cluster.json');
+            fs.writeFileSync(file, '{ not json');
+            const registry = new FileClusterRegistry(file);
+            (await registry.getNodes()).should.deepEqual([]);
+        });
+    });
+
+    it('should reject an unknown type', () => {
+        (() => ClusterRegistry.create({ type: 'redis' })).should.throw(/Unknown cluster registry type/);
+        (() => new FileClusterRegistry('')).should.throw(/needs a path/);
+    });
+});
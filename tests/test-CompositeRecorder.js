@@ -0,0 +1,236 @@
+'use strict';
+
+// npx mocha test-CompositeRecorder.js
+
+require('should');
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sinon = require('sinon');
+const EventEmitter = require('events');
+const CompositeRecorder = require('../app/src/CompositeRecorder');
+const RtpInput = require('../app/src/RtpInput');
+
+describe('test-CompositeRecorder', () => {
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    describe('layout', () => {
+        it('should tile the videos in a grid, centering the last row', () => {
+            const tiles = CompositeRecorder.getTiles(5, { layout: 'grid', width: 1280, height: 720 });
+            tiles.should.have.length(5);
+            tiles[0].should.deepEqual({ x: 1, y: 0, width: 426, height: 360 });
+            tiles[2].should.deepEqual({ x: 853, y: 0, width: 426, height: 360 });
+            tiles[3].should.deepEqual({ x: 214, y: 360, width: 426, height: 360 });
+            tiles[4].x.should.equal(640);
+        });
+
+        it('should put the first video on top in the speaker layout', () => {
+            const tiles = CompositeRecorder.getTiles(3, { layout: 'speaker', width: 1280, height: 720 });
+            tiles[0].should.deepEqual({ x: 0, y: 0, width: 1280, height: 540 });
+            tiles[1].should.deepEqual({ x: 320, y: 540, width: 320, height: 180 });
+            tiles[2].should.deepEqual({ x: 640, y: 540, width: 320, height: 180 });
+            CompositeRecorder.getTiles(1, { layout: 'speaker' }).should.deepEqual([
+                { x: 0, y: 0, width: 1280, height: 720 },
+            ]);
+        });
+
+        it('should overlay the videos and mix the audios', () => {
+            const { filters, outputs } = CompositeRecorder.buildFilter(2, 3, { width: 640, height: 360, fps: 30 });
+            filters[0].should.equal('color=c=black:s=640x360:r=30[base]');
+            filters[2].should.equal('[base][v0]overlay=x=0:y=0:eof_action=pass[o0]');
+            filters[4].should.equal('[o0][v1]overlay=x=320:y=0:eof_action=pass[vout]');
+            filters[5].should.equal('[2:a][3:a][4:a]amix=inputs=3:duration=longest:dropout_transition=0[aout]');
+            outputs.should.deepEqual(['vout', 'aout']);
+        });
+
+        it('should record a black video for the audio only rooms', () => {
+            const { filters, outputs } = CompositeRecorder.buildFilter(0, 1);
+            filters.should.deepEqual(['color=c=black:s=1280x720:r=25[vout]', '[0:a]aresample=async=1[aout]']);
+            outputs.should.deepEqual(['vout', 'aout']);
+        });
+
+        it('should reject an unknown layout', () => {
+            (() => new CompositeRecorder({}, { layout: 'mosaic' })).should.throw(/Invalid recording layout/);
+        });
+    });
+
+    describe('rtp input', () => {
+        it('should hand out free even ports and take them back', () => {
+            const first = RtpInput.allocatePort(41001, 41006);
+            const second = RtpInput.allocatePort(41001, 41006);
+            [first, second].should.deepEqual([41002, 41004]);
+            (() => RtpInput.allocatePort(41001, 41006)).should.throw(/No free RTP port/);
+            RtpInput.releasePort(first);
+            RtpInput.allocatePort(41001, 41006).should.equal(41002);
+            [41002, 41004].forEach((port) => RtpInput.releasePort(port));
+        });
+
+        it('should describe the consumer codec to FFmpeg', () => {
+            const input = new RtpInput({}, { kind: 'audio' }, { listenIp: '127.0.0.1' });
+            input.port = 50010;
+            input.consumer = {
+                kind: 'audio',
+                rtpParameters: {
+                    codecs: [
+                        {
+                            mimeType: 'audio/opus',
+                            payloadType: 100,
+                            clockRate: 48000,
+                            channels: 2,
+                            parameters: { minptime: 10, useinbandfec: 1 },
+                        },
+                    ],
+                },
+            };
+            const sdp = input.getSdp();
+            sdp.should.containEql('m=audio 50010 RTP/AVP 100\n');
+            sdp.should.containEql('a=rtcp:50011\n');
+            sdp.should.containEql('a=rtpmap:100 opus/48000/2\n');
+            sdp.should.containEql('a=fmtp:100 minptime=10;useinbandfec=1\n');
+        });
+    });
+
+    describe('recording', () => {
+        let dir, room, commands;
+
+        const createProducer = (id, kind, mediaType) => ({ id, kind, paused: false, appData: { mediaType } });
+
+        const createConsumer = (producerId, kind) => {
+            const consumer = new EventEmitter();
+            Object.assign(consumer, { producerId, kind, closed: false });
+            consumer.rtpParameters = {
+                codecs: [
+                    { mimeType: kind === 'audio' ? 'audio/opus' : 'video/VP8', payloadType: 101, clockRate: 90000 },
+                ],
+            };
+            consumer.resume = sinon.stub().resolves();
+            consumer.requestKeyFrame = sinon.stub().resolves();
+            consumer.close = () => (consumer.closed = true);
+            return consumer;
+        };
+
+        beforeEach(() => {
+            dir = fs.mkdtempSync(path.join(os.tmpdir(), 'composite-recorder-'));
+            const router = {
+                rtpCapabilities: {},
+                createPlainTransport: async () => ({
+                    closed: false,
+                    connect: async () => {},
+                    consume: async ({ producerId }) =>
+                        createConsumer(producerId, producerId.startsWith('audio') ? 'audio' : 'video'),
+                    close() {
+                        this.closed = true;
+                    },
+                }),
+            };
+            const producers = new Map([
+                ['video-a', createProducer('video-a', 'video', 'videoType')],
+                ['audio-a', createProducer('audio-a', 'audio', 'audioType')],
+            ]);
+            const screen = new Map([['video-b', createProducer('video-b', 'video', 'screenType')]]);
+            room = {
+                id: 'standup',
+                router: router,
+                recentSpeakers: ['peer-a'],
+                peers: new Map([
+                    ['peer-a', { id: 'peer-a', producers: producers }],
+                    ['peer-b', { id: 'peer-b', producers: screen }],
+                ]),
+                pipeProducer: async () => {},
+            };
+            commands = [];
+        });
+
+        afterEach(() => {
+            fs.rmSync(dir, { recursive: true, force: true });
+        });
+
+        const createRecorder = (options = {}) => {
+            const recorder = new CompositeRecorder(room, { dir, restartDelay: 10, ...options });
+            // FFmpeg writes a file and ends once killed
+            sinon.stub(recorder, 'runFFmpeg').callsFake((sdpFiles, filePath, filters, outputs, handlers) => {
+                const command = { sdpFiles, filePath, filters, outputs };
+                command.kill = sinon.spy(() => {
+                    fs.writeFileSync(filePath, 'mp4');
+                    handlers.end();
+                });
+                commands.push(command);
+                handlers.start();
+                return command;
+            });
+            return recorder;
+        };
+
+        it('should record the producers and give the file once stopped', async () => {
+            const recorder = createRecorder({ layout: 'speaker' });
+            const files = [];
+            recorder.on('file', (file) => files.push(file));
+
+            await recorder.start();
+            commands.should.have.length(1);
+            commands[0].outputs.should.deepEqual(['vout', 'aout']);
+            // The screen share is the main tile of the speaker layout
+            const sdps = commands[0].sdpFiles.map((file) => fs.readFileSync(file, 'utf8'));
+            sdps.map((sdp) => sdp.match(/^m=(\w+)/m)[1]).should.deepEqual(['video', 'video', 'audio']);
+            recorder.getStatus().producers.should.equal(3);
+            (() => recorder.start()).should.throw(/already recorded/);
+
+            const ended = new Promise((resolve) => recorder.once('end', resolve));
+            await recorder.stop();
+            commands[0].kill.calledWith('SIGINT').should.be.true();
+            files.map(({ fileName }) => fileName).should.match([/^Rec_standup_.+_composite\.mp4$/]);
+            (await ended).should.containDeep({ recording: false, producers: 0 });
+            fs.existsSync(path.dirname(commands[0].sdpFiles[0])).should.be.false();
+        });
+
+        it('should start a new file when the producers change', async () => {
+            const recorder = createRecorder();
+            await recorder.start();
+
+            // A peer joining without media
+            recorder.update();
+            await new Promise((resolve) => setTimeout(resolve, 20));
+            await recorder.queue;
+            commands.should.have.length(1);
+
+            // A producer paused keeps the file going, a key frame is asked for once resumed
+            const { consumer } = recorder.segment.inputs.find(({ producer }) => producer.id === 'video-b');
+            room.peers.get('peer-b').producers.get('video-b').paused = true;
+            consumer.emit('producerpause');
+            consumer.emit('producerresume');
+            consumer.requestKeyFrame.callCount.should.equal(2);
+            await new Promise((resolve) => setTimeout(resolve, 20));
+            await recorder.queue;
+            commands.should.have.length(1);
+
+            room.peers.get('peer-b').producers.get('video-b').closed = true;
+            consumer.emit('producerclose');
+            await new Promise((resolve) => setTimeout(resolve, 20));
+            await recorder.queue;
+
+            commands.should.have.length(2);
+            commands[1].sdpFiles.should.have.length(2);
+            recorder.files.should.have.length(1);
+            await recorder.stop();
+            recorder.files.should.have.length(2);
+        });
+
+        it('should wait for a producer before starting FFmpeg', async () => {
+            room.peers.forEach((peer) => peer.producers.clear());
+            const recorder = createRecorder();
+            await recorder.start();
+            commands.should.have.length(0);
+            recorder.isRecording().should.be.true();
+
+            room.peers.get('peer-a').producers.set('audio-a', createProducer('audio-a', 'audio', 'audioType'));
+            recorder.update();
+            await new Promise((resolve) => setTimeout(resolve, 20));
+            await recorder.queue;
+            commands.should.have.length(1);
+            await recorder.stop();
+        });
+    });
+});
@@ -0,0 +1,104 @@
+'use strict';
+
+// npx mocha test-Drain.js
+
+require('should');
+
+const sinon = require('sinon');
+const Drain = require('../app/src/Drain');
+
+describe('test-Drain', () => {
+    let clock;
+
+    beforeEach(() => {
+        clock = sinon.useFakeTimers(new Date('2026-01-01T10:00:00Z'));
+    });
+
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    const listen = (drain) => {
+        const events = [];
+        for (const event of ['start', 'cancel', 'finalize', 'close']) {
+            drain.on(event, (status) => events.push([event, status.remaining]));
+        }
+        return events;
+    };
+
+    it('should finalize ahead of the deadline, then close', () => {
+        const drain = new Drain({ timeout: 120, finalizeBefore: 30 });
+        const events = listen(drain);
+
+        drain.start(undefined, 'Upgrade to 2.0').should.deepEqual({
+            draining: true,
+            deadline: '2026-01-01T10:02:00.000Z',
+            remaining: 120,
+            reason: 'Upgrade to 2.0',
+        });
+        clock.tick(89999);
+        events.should.deepEqual([['start', 120]]);
+        clock.tick(1);
+        events.should.deepEqual([
+            ['start', 120],
+            ['finalize', 30],
+        ]);
+        clock.tick(30000);
+        events.should.deepEqual([
+            ['start', 120],
+            ['finalize', 30],
+            ['close', 0],
+        ]);
+        // Still refusing new rooms once the rooms are closed
+        drain.isDraining().should.be.true();
+    });
+
+    it('should finalize at once when the deadline is closer', () => {
+        const drain = new Drain({ finalizeBefore: 30 });
+        const events = listen(drain);
+        drain.start(10);
+        clock.tick(0);
+        events.map(([event]) => event).should.deepEqual(['start', 'finalize']);
+    });
+
+    it('should move the deadline when started again', () => {
+        const drain = new Drain({ finalizeBefore: 0 });
+        const events = listen(drain);
+        drain.start(600);
+        clock.tick(60000);
+        drain.start(30).remaining.should.equal(30);
+        clock.tick(30000);
+        events.map(([event]) => event).should.deepEqual(['start', 'start', 'finalize', 'close']);
+    });
+
+    it('should not close the rooms once cancelled', () => {
+        const drain = new Drain();
+        const events = listen(drain);
+        drain.cancel().should.be.false();
+        drain.start(60);
+        drain.cancel().should.be.true();
+        clock.tick(60000);
+        events.map(([event]) => event).should.deepEqual(['start', 'cancel']);
+        drain.getStatus().should.deepEqual({ draining: false, deadline: null, remaining: null, reason: '' });
+    });
+
+    it('should neither cancel nor move a locked drain', () => {
+        const drain = new Drain();
+        const events = listen(drain);
+        drain.start(60, 'Server restart');
+        drain.lock();
+        drain.cancel().should.be.false();
+        (() => drain.start(3600)).should.throw(/locked/);
+        clock.tick(60000);
+        events.map(([event]) => event).should.deepEqual(['start', 'finalize', 'close']);
+    });
+
+    it('should reject an invalid timeout', () => {
+        const drain = new Drain();
+        (() => drain.start(-1)).should.throw(/Invalid drain timeout/);
+        (() => drain.start(NaN)).should.throw(/Invalid drain timeout/);
+        // Over the 32-bit timer limit, the rooms would close at once
+        (() => drain.start(3000000)).should.throw(/Invalid drain timeout, expected seconds up to 2147483/);
+        drain.isDraining().should.be.false();
+    });
+});
@@ -0,0 +1,127 @@
+'use strict';
+
+// npx mocha test-HealthCheck.js
+
+require('should');
+
+const os = require('os');
+const sinon = require('sinon');
+const HealthCheck = require('../app/src/HealthCheck');
+
+describe('test-HealthCheck', () => {
+    const fakeWorker = (pid, options = {}) => ({
+        pid,
+        closed: options.closed || false,
+        died: options.died || false,
+        appData: { webRtcServer: options.webRtcServer === undefined ? { closed: false } : options.webRtcServer },
+        getResourceUsage: options.getResourceUsage || sinon.stub().resolves({}),
+    });
+
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    describe('check', () => {
+        it('should be ready while a worker can take rooms', async () => {
+            const healthCheck = new HealthCheck({
+                workers: [fakeWorker(1), fakeWorker(2, { died: true })],
+                webRtcServerActive: true,
+            });
+            const health = await healthCheck.check();
+            health.status.should.equal('degraded');
+            health.ready.should.be.true();
+            health.warnings.should.deepEqual(['worker']);
+            health.workers
+                .map(({ pid, acceptsRooms }) => [pid, acceptsRooms])
+                .should.deepEqual([
+                    [1, true],
+                    [2, false],
+                ]);
+        });
+
+        it('should fail once every worker is dead', async () => {
+            const healthCheck = new HealthCheck({ workers: [fakeWorker(1, { closed: true })] });
+            const health = await healthCheck.check();
+            health.status.should.equal('fail');
+            health.ready.should.be.false();
+        });
+
+        it('should not be ready without an open WebRtcServer', async () => {
+            const healthCheck = new HealthCheck({
+                workers: [fakeWorker(1, { webRtcServer: { closed: true } })],
+                webRtcServerActive: true,
+            });
+            const health = await healthCheck.check();
+            health.workers[0].webRtcServer.should.equal('closed');
+            health.ready.should.be.false();
+        });
+
+        it('should report a worker that does not answer', async () => {
+            const healthCheck = new HealthCheck({
+                workers: [fakeWorker(1, { getResourceUsage: () => new Promise(() => {}) })],
+                workerTimeout: 10,
+            });
+            const health = await healthCheck.check();
+            health.workers[0].should.containEql({ alive: true, responsive: false, error: 'Worker timed out' });
+            health.ready.should.be.false();
+        });
+
+        it('should not be ready while drained', async () => {
+            const healthCheck = new HealthCheck({ workers: [fakeWorker(1)], isDraining: () => true });
+            const health = await healthCheck.check();
+            health.draining.should.be.true();
+            health.ready.should.be.false();
+            health.status.should.equal('ok');
+        });
+
+        it('should report the free recording disk space', async () => {
+            const healthCheck = new HealthCheck({
+                workers: [fakeWorker(1)],
+                recordingDir: os.tmpdir(),
+                minFreeDisk: 0,
+            });
+            const { disk } = await healthCheck.check();
+            disk.path.should.equal(os.tmpdir());
+            disk.freeMB.should.be.a.Number();
+            disk.totalMB.should.be.aboveOrEqual(disk.freeMB);
+        });
+
+        it('should be degraded when the recording disk is missing', async () => {
+            const healthCheck = new HealthCheck({ workers: [fakeWorker(1)], recordingDir: '/not/a/recording/dir' });
+            const health = await healthCheck.check();
+            health.disk.should.have.property('error');
+            health.warnings.should.deepEqual(['disk']);
+        });
+
+        it('should report the event loop lag once started', async () => {
+            const healthCheck = new HealthCheck({ workers: [fakeWorker(1)] });
+            ((await healthCheck.check()).eventLoopLag === null).should.be.true();
+
+            healthCheck.start();
+            const { eventLoopLag } = await healthCheck.check();
+            healthCheck.stop();
+            eventLoopLag.should.have.properties('mean', 'p99', 'max');
+        });
+    });
+
+    describe('getSummary', () => {
+        it('should only tell the status and readiness', async () => {
+            const healthCheck = new HealthCheck({ workers: [fakeWorker(101)] });
+            healthCheck.getSummary(await healthCheck.check()).should.deepEqual({ status: 'ok', ready: true });
+        });
+    });
+
+    describe('isAuthorized', () => {
+        it('should keep the details closed without a token', () => {
+            new HealthCheck().isAuthorized(undefined).should.be.false();
+            new HealthCheck().isAuthorized('Bearer ').should.be.false();
+        });
+
+        it('should require the token once set', () => {
+            const healthCheck = new HealthCheck({ token: 'probe-secret' });
+            healthCheck.isAuthorized('Bearer probe-secret').should.be.true();
+            healthCheck.isAuthorized('Bearer wrong').should.be.false();
+            healthCheck.isAuthorized(undefined).should.be.false();
+        });
+    });
+});
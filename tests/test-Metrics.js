@@ -0,0 +1,98 @@
+'use strict';
+
+// npx mocha test-Metrics.js
+
+require('should');
+
+const Metrics = require('../app/src/Metrics');
+
+describe('test-Metrics', () => {
+    describe('render', () => {
+        it('should render counters and gauges in the Prometheus text format', async () => {
+            const metrics = new Metrics('sfu_').counter('events_total', 'Events').gauge('rooms', 'Rooms');
+            metrics.inc('events_total', { event: 'join' });
+            metrics.inc('events_total', { event: 'join' }, 2);
+            metrics.set('rooms', {}, 4);
+
+            (await metrics.render()).should.equal(
+                [
+                    '# HELP sfu_events_total Events',
+                    '# TYPE sfu_events_total counter',
+                    'sfu_events_total{event="join"} 3',
+                    '# HELP sfu_rooms Rooms',
+                    '# TYPE sfu_rooms gauge',
+                    'sfu_rooms 4',
+                    '',
+                ].join('\n')
+            );
+        });
+
+        it('should render cumulative histogram buckets', async () => {
+            const metrics = new Metrics('sfu_').histogram('latency_seconds', 'Latency', [0.1, 1]);
+            metrics.observe('latency_seconds', { route: '/stats' }, 0.05);
+            metrics.observe('latency_seconds', { route: '/stats' }, 0.5);
+            metrics.observe('latency_seconds', { route: '/stats' }, 5);
+
+            const output = await metrics.render();
+            output.should.containEql('sfu_latency_seconds_bucket{route="/stats",le="0.1"} 1');
+            output.should.containEql('sfu_latency_seconds_bucket{route="/stats",le="1"} 2');
+            output.should.containEql('sfu_latency_seconds_bucket{route="/stats",le="+Inf"} 3');
+            output.should.containEql('sfu_latency_seconds_sum{route="/stats"} 5.55');
+            output.should.containEql('sfu_latency_seconds_count{route="/stats"} 3');
+        });
+
+        it('should escape the label values', async () => {
+            const metrics = new Metrics('sfu_').gauge('room_peers', 'Peers');
+            metrics.set('room_peers', { room_id: 'a"b\\c\nd' }, 1);
+            (await metrics.render()).should.containEql('sfu_room_peers{room_id="a\\"b\\\\c\\nd"} 1');
+        });
+
+        it('should run the collectors on every scrape', async () => {
+            let rooms = 1;
+            const metrics = new Metrics('sfu_')
+                .gauge('rooms', 'Rooms')
+                .addCollector(async (m) => m.set('rooms', {}, rooms));
+
+            (await metrics.render()).should.containEql('sfu_rooms 1');
+            rooms = 2;
+            (await metrics.render()).should.containEql('sfu_rooms 2');
+        });
+
+        it('should drop the series of a reset metric', async () => {
+            const metrics = new Metrics('sfu_').gauge('room_peers', 'Peers');
+            metrics.set('room_peers', { room_id: 'closed-room' }, 1);
+            metrics.reset('room_peers');
+            (await metrics.render()).should.not.containEql('closed-room');
+        });
+    });
+
+    describe('update', () => {
+        it('should refuse unknown metrics and type mismatches', () => {
+            const metrics = new Metrics().counter('events_total', 'Events');
+            (() => metrics.inc('unknown_total')).should.throw(/Unknown counter/);
+            (() => metrics.observe('events_total', {}, 1)).should.throw(/Unknown histogram/);
+            (() => metrics.add('events_total')).should.throw(/Unknown gauge/);
+        });
+
+        it('should keep one series per label set whatever the order', () => {
+            const metrics = new Metrics().counter('requests_total', 'Requests');
+            metrics.inc('requests_total', { method: 'GET', status: 200 });
+            metrics.inc('requests_total', { status: 200, method: 'GET' });
+            metrics.metrics.get('requests_total').series.size.should.equal(1);
+        });
+    });
+
+    describe('isAuthorized', () => {
+        it('should only accept the configured token', () => {
+            const metrics = new Metrics('sfu_', 'scrape-secret');
+            metrics.isAuthorized('Bearer scrape-secret').should.be.true();
+            metrics.isAuthorized('scrape-secret').should.be.true();
+            metrics.isAuthorized('Bearer wrong-secret').should.be.false();
+            metrics.isAuthorized(undefined).should.be.false();
+        });
+
+        it('should refuse everything without a token', () => {
+            new Metrics('sfu_', '').isAuthorized('Bearer ').should.be.false();
+        });
+    });
+});
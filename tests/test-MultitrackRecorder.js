@@ -0,0 +1,176 @@
+'use strict';
+
+// npx mocha test-MultitrackRecorder.js
+
+require('should');
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sinon = require('sinon');
+const EventEmitter = require('events');
+const MultitrackRecorder = require('../app/src/MultitrackRecorder');
+
+describe('test-MultitrackRecorder', () => {
+    let dir, room, commands, clock;
+
+    const codecs = { audio: 'audio/opus', video: 'video/H264' };
+
+    const createProducer = (id, kind, mediaType) => ({ id, kind, appData: { mediaType } });
+
+    const createPeer = (id, peer_uuid, peer_name, producers) => ({
+        id,
+        peer_uuid,
+        peer_name,
+        producers: new Map(producers.map((producer) => [producer.id, producer])),
+    });
+
+    const createConsumer = (producerId, kind) => {
+        const consumer = new EventEmitter();
+        Object.assign(consumer, { producerId, kind, closed: false });
+        consumer.rtpParameters = { codecs: [{ mimeType: codecs[kind], payloadType: 101, clockRate: 90000 }] };
+        consumer.resume = sinon.stub().resolves();
+        consumer.requestKeyFrame = sinon.stub().resolves();
+        consumer.close = () => (consumer.closed = true);
+        return consumer;
+    };
+
+    beforeEach(() => {
+        clock = sinon.useFakeTimers({ now: new Date('2026-01-01T10:00:00Z'), toFake: ['Date'] });
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'multitrack-recorder-'));
+        const router = {
+            rtpCapabilities: {},
+            createPlainTransport: async () => ({
+                closed: false,
+                connect: async () => {},
+                consume: async ({ producerId }) =>
+                    createConsumer(producerId, producerId.startsWith('audio') ? 'audio' : 'video'),
+                close() {
+                    this.closed = true;
+                },
+            }),
+        };
+        room = {
+            id: 'podcast',
+            router: router,
+            peers: new Map([
+                [
+                    'socket-a',
+                    createPeer('socket-a', 'uuid-a', 'Alice', [
+                        createProducer('audio-a', 'audio', 'audioType'),
+                        createProducer('video-a', 'video', 'videoType'),
+                    ]),
+                ],
+            ]),
+            pipeProducer: async () => {},
+        };
+        commands = [];
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+        sinon.restore();
+    });
+
+    const createRecorder = () => {
+        const recorder = new MultitrackRecorder(room, { dir });
+        // FFmpeg writes a file and ends once killed
+        sinon.stub(recorder, 'runFFmpeg').callsFake((sdpFile, filePath, handlers) => {
+            const command = { sdpFile, filePath };
+            command.kill = sinon.spy(() => {
+                fs.writeFileSync(filePath, 'track');
+                handlers.end();
+            });
+            commands.push(command);
+            handlers.start();
+            return command;
+        });
+        return recorder;
+    };
+
+    const readManifest = (recorder) => JSON.parse(fs.readFileSync(path.join(dir, `${recorder.prefix}.json`)));
+
+    it('should record each producer to its own file', async () => {
+        const recorder = createRecorder();
+        await recorder.start();
+
+        commands
+            .map(({ filePath }) => path.basename(filePath))
+            .should.deepEqual([
+                'Rec_podcast_2026-01-01T10-00-00-000Z_multitrack_01_audio.webm',
+                'Rec_podcast_2026-01-01T10-00-00-000Z_multitrack_02_video.mkv',
+            ]);
+        recorder.getStatus().should.containDeep({ recording: true, mode: 'multitrack', producers: 2 });
+        (() => recorder.start()).should.throw(/already recorded/);
+
+        const files = [];
+        recorder.on('file', ({ fileName }) => files.push(fileName));
+        await recorder.stop();
+        commands.every(({ kill }) => kill.calledWith('SIGINT')).should.be.true();
+        files.should.have.length(3);
+        files[2].should.equal(`${recorder.prefix}.json`);
+    });
+
+    it('should write the join and leave offsets of the participants', async () => {
+        const recorder = createRecorder();
+        await recorder.start();
+
+        clock.tick(5000);
+        const bob = createPeer('socket-b', 'uuid-b', 'Bob', [createProducer('audio-b', 'audio', 'audioType')]);
+        room.peers.set('socket-b', bob);
+        await recorder.update();
+        commands.should.have.length(3);
+
+        clock.tick(10000);
+        room.peers.delete('socket-b');
+        await recorder.update();
+        commands[2].kill.calledWith('SIGINT').should.be.true();
+
+        // Joining again with a new socket
+        clock.tick(2000);
+        room.peers.set('socket-c', createPeer('socket-c', 'uuid-b', 'Bob', []));
+        await recorder.update();
+
+        clock.tick(3000);
+        await recorder.stop();
+        const manifest = readManifest(recorder);
+        manifest.should.containDeep({ room_id: 'podcast', stoppedAt: '2026-01-01T10:00:20.000Z' });
+        manifest.participants.should.deepEqual([
+            { peer_uuid: 'uuid-a', peer_name: 'Alice', sessions: [{ peer_id: 'socket-a', join: 0, leave: 20000 }] },
+            {
+                peer_uuid: 'uuid-b',
+                peer_name: 'Bob',
+                sessions: [
+                    { peer_id: 'socket-b', join: 5000, leave: 15000 },
+                    { peer_id: 'socket-c', join: 17000, leave: 20000 },
+                ],
+            },
+        ]);
+        manifest.tracks[2].should.deepEqual({
+            file: `${recorder.prefix}_03_audio.webm`,
+            peer_uuid: 'uuid-b',
+            peer_name: 'Bob',
+            kind: 'audio',
+            type: 'audioType',
+            codec: 'opus',
+            start: 5000,
+            end: 15000,
+        });
+    });
+
+    it('should keep the track of a producer that sent nothing without its file', async () => {
+        const recorder = createRecorder();
+        recorder.runFFmpeg.callsFake((sdpFile, filePath, handlers) => {
+            const command = { kill: () => handlers.end() };
+            commands.push(command);
+            return command;
+        });
+        await recorder.start();
+        await recorder.stop();
+
+        recorder.files.map(({ fileName }) => fileName).should.deepEqual([`${recorder.prefix}.json`]);
+        readManifest(recorder)
+            .tracks.map(({ file }) => file)
+            .should.deepEqual([null, null]);
+    });
+});
@@ -0,0 +1,74 @@
+'use strict';
+
+// npx mocha test-Presenters.js
+
+require('should');
+
+const Presenters = require('../app/src/Presenters');
+
+describe('test-Presenters', () => {
+    const presentersCfg = { list: ['Miroslav Pejic'], join_first: true };
+
+    describe('isJoinPresenter', () => {
+        it('should not promote a guest token joining first', () => {
+            Presenters.isJoinPresenter(presentersCfg, {
+                roomClaims: { room: 'test', role: 'guest' },
+                peer_name: 'Guest',
+                presentersCount: 0,
+            }).should.be.false();
+        });
+
+        it('should not promote a viewer token by the name in the presenters list', () => {
+            Presenters.isJoinPresenter(presentersCfg, {
+                roomClaims: { room: 'test', role: 'viewer', name: 'Miroslav Pejic' },
+                peer_name: 'Miroslav Pejic',
+                presentersCount: 1,
+            }).should.be.false();
+        });
+
+        it('should promote a presenter token', () => {
+            Presenters.isJoinPresenter(presentersCfg, {
+                roomClaims: { room: 'test', role: 'presenter' },
+                peer_name: 'Host',
+                presentersCount: 3,
+            }).should.be.true();
+        });
+
+        it('should promote the first peer or a listed one without room token', () => {
+            const join = (peer_name, presentersCount) =>
+                Presenters.isJoinPresenter(presentersCfg, { roomClaims: null, peer_name, presentersCount });
+            join('Guest', 0).should.be.true();
+            join('Guest', 1).should.be.false();
+            join('Miroslav Pejic', 1).should.be.true();
+            Presenters.isJoinPresenter(
+                {},
+                { roomClaims: null, peer_name: 'Guest', presentersCount: 0 }
+            ).should.be.false();
+        });
+    });
+
+    describe('promote', () => {
+        it('should make the peer a presenter of the room', () => {
+            const presenters = {
+                test: { 'socket-1': { peer_ip: '10.0.0.1', peer_name: 'Guest', is_presenter: false } },
+            };
+            const peer = { id: 'socket-1', peer_name: 'Guest', peer_uuid: 'uuid-1' };
+
+            Presenters.promote(presenters, 'test', peer).should.deepEqual({
+                peer_ip: '10.0.0.1',
+                peer_name: 'Guest',
+                peer_uuid: 'uuid-1',
+                is_presenter: true,
+            });
+            Presenters.promote(presenters, 'other', { ...peer, id: 'socket-2' }).is_presenter.should.be.true();
+            Object.keys(presenters).should.deepEqual(['test', 'other']);
+        });
+    });
+
+    describe('isLoginPresenter', () => {
+        it('should leave join_first to the join', () => {
+            Presenters.isLoginPresenter(presentersCfg, 'Guest').should.be.false();
+            Presenters.isLoginPresenter(presentersCfg, 'Miroslav Pejic').should.be.true();
+        });
+    });
+});
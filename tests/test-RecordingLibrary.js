@@ -0,0 +1,156 @@
+'use strict';
+
+// npx mocha test-RecordingLibrary.js
+
+require('should');
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sinon = require('sinon');
+const {
+    ListObjectsV2Command,
+    HeadObjectCommand,
+    GetObjectCommand,
+    DeleteObjectCommand,
+} = require('@aws-sdk/client-s3');
+const RecordingLibrary = require('../app/src/RecordingLibrary');
+
+describe('test-RecordingLibrary', () => {
+    let dir, library, s3Client;
+
+    const createRecording = (fileName, content, mtime) => {
+        const filePath = path.join(dir, fileName);
+        fs.writeFileSync(filePath, content);
+        fs.utimesSync(filePath, mtime, mtime);
+    };
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'recording-library-'));
+        // A bucket with one recording of the standup room, probed before the upload
+        s3Client = { send: sinon.stub() };
+        s3Client.send.withArgs(sinon.match.instanceOf(ListObjectsV2Command)).resolves({
+            Contents: [
+                {
+                    Key: 'recordings/standup/Rec_standup_2026-01-03-10-00-00_abc.webm',
+                    Size: 300,
+                    LastModified: new Date('2026-01-03T10:30:00Z'),
+                },
+            ],
+            IsTruncated: false,
+        });
+        s3Client.send.withArgs(sinon.match.instanceOf(HeadObjectCommand)).resolves({ Metadata: { duration: '42.5' } });
+        library = new RecordingLibrary({ dir, s3Client, bucket: 'bucket', secret: 'secret' });
+        sinon.stub(library, 'probeDuration').resolves(12.34);
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+        sinon.restore();
+    });
+
+    it('should list the local and S3 recordings by room and date', async () => {
+        createRecording('Rec_standup_2026-01-01-10-00-00_abc.webm', 'hello', new Date('2026-01-01T10:30:00Z'));
+        createRecording('Rec_standup_2026-01-01-10-00-00_abc.jpg', 'jpg', new Date('2026-01-01T10:31:00Z'));
+        createRecording('Rec_standup_2026-01-01-10-00-00_abc.jobs.json', '{}', new Date('2026-01-01T10:31:00Z'));
+        createRecording('Rec_retro_2026-01-02-10-00-00_abc.webm', 'retro', new Date('2026-01-02T10:30:00Z'));
+        fs.mkdirSync(path.join(dir, '.uploads'));
+
+        const recordings = await library.list({ room_id: 'standup' });
+        recordings
+            .map(({ name, storage }) => `${storage}:${name}`)
+            .should.deepEqual([
+                's3:Rec_standup_2026-01-03-10-00-00_abc.webm',
+                'local:Rec_standup_2026-01-01-10-00-00_abc.jpg',
+                'local:Rec_standup_2026-01-01-10-00-00_abc.webm',
+            ]);
+        recordings[0].should.containDeep({ room_id: 'standup', size: 300, duration: 42.5 });
+        recordings[1].should.containDeep({ size: 3, duration: null });
+        recordings[2].should.containDeep({ size: 5, duration: 12.34, createdAt: '2026-01-01T10:30:00.000Z' });
+        s3Client.send.firstCall.args[0].input.Prefix.should.equal('recordings/standup/');
+
+        const day = await library.list({ from: '2026-01-02T00:00:00Z', to: '2026-01-02T23:59:59Z' });
+        day.map(({ name }) => name).should.deepEqual(['Rec_retro_2026-01-02-10-00-00_abc.webm']);
+        (await library.list({ storage: 'local' })).should.have.length(3);
+        await library.list({ from: 'yesterday' }).should.be.rejectedWith(/Invalid date filter/);
+    });
+
+    it('should probe a recording again only once it changed', async () => {
+        createRecording('Rec_standup_2026_abc.webm', 'hello', new Date('2026-01-01T10:30:00Z'));
+        await library.list({ storage: 'local' });
+        await library.list({ storage: 'local' });
+        library.probeDuration.callCount.should.equal(1);
+
+        createRecording('Rec_standup_2026_abc.webm', 'hello world', new Date('2026-01-01T10:31:00Z'));
+        await library.list({ storage: 'local' });
+        library.probeDuration.callCount.should.equal(2);
+    });
+
+    it('should probe a few recordings at a time', async () => {
+        library = new RecordingLibrary({ dir, secret: 'secret', probeConcurrency: 2 });
+        let probing = 0;
+        let maxProbing = 0;
+        sinon.stub(library, 'probeDuration').callsFake(async () => {
+            maxProbing = Math.max(maxProbing, ++probing);
+            await new Promise((resolve) => setImmediate(resolve));
+            probing--;
+            return 1;
+        });
+        for (let i = 0; i < 5; i++) {
+            createRecording(`Rec_standup_2026_abc${i}.webm`, 'hello', new Date(`2026-01-01T10:0${i}:00Z`));
+        }
+
+        (await library.list({ storage: 'local' })).should.have.length(5);
+        library.probeDuration.callCount.should.equal(5);
+        maxProbing.should.equal(2);
+    });
+
+    it('should find, read and delete a recording where it is stored', async () => {
+        const name = 'Rec_standup_2026_abc.webm';
+        createRecording(name, 'hello', new Date());
+        (await library.getStorage(name)).should.equal('local');
+        (await library.getStorage(name, 's3')).should.equal('s3');
+
+        s3Client.send.withArgs(sinon.match.instanceOf(GetObjectCommand)).resolves({ ContentRange: 'bytes 0-1/300' });
+        (await library.getS3Object(name, 'bytes=0-1')).ContentRange.should.equal('bytes 0-1/300');
+        s3Client.send.lastCall.args[0].input.should.deepEqual({
+            Bucket: 'bucket',
+            Key: 'recordings/standup/Rec_standup_2026_abc.webm',
+            Range: 'bytes=0-1',
+        });
+
+        await library.delete(name, 'local');
+        ((await library.getStorage(name, 'local')) === null).should.be.true();
+        fs.existsSync(path.join(dir, name)).should.be.false();
+        s3Client.send.withArgs(sinon.match.instanceOf(DeleteObjectCommand)).resolves({});
+        await library.delete(name, 's3');
+        s3Client.send.lastCall.args[0].should.be.instanceOf(DeleteObjectCommand);
+
+        (() => library.getFilePath('../config.js')).should.throw(/Invalid recording name/);
+    });
+
+    it('should sign links valid for a recording until they expire', () => {
+        const clock = sinon.useFakeTimers({ now: Date.now(), toFake: ['Date'] });
+        const name = 'Rec_standup_2026_abc.webm';
+        const { storage, expires, signature } = library.sign(name, 'local', 60);
+
+        library.verify(name, storage, String(expires), signature).should.be.true();
+        library.verify(name, 's3', expires, signature).should.be.false();
+        library.verify('Rec_retro_2026_abc.webm', storage, expires, signature).should.be.false();
+        library.verify(name, storage, expires + 60, signature).should.be.false();
+        library.verify(name, storage, expires, 'abc').should.be.false();
+
+        clock.tick(61 * 1000);
+        library.verify(name, storage, expires, signature).should.be.false();
+        (() => library.sign(name, 'local', 30 * 24 * 3600)).should.throw(/Invalid expiresIn/);
+    });
+
+    it('should not sign the links with the secret itself', () => {
+        const name = 'Rec_standup_2026_abc.webm';
+        const { storage, expires, signature } = library.sign(name, 'local', 60);
+        const withSecret = crypto.createHmac('sha256', 'secret').update(`${storage}:${name}:${expires}`).digest('hex');
+        signature.should.not.equal(withSecret);
+        new RecordingLibrary({ dir, secret: 'other' }).verify(name, storage, expires, signature).should.be.false();
+    });
+});
@@ -0,0 +1,148 @@
+'use strict';
+
+// npx mocha test-RecordingPipeline.js
+
+require('should');
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sinon = require('sinon');
+const RecordingPipeline = require('../app/src/RecordingPipeline');
+
+describe('test-RecordingPipeline', () => {
+    let dir;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'recording-pipeline-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+        sinon.restore();
+    });
+
+    const createRecording = (fileName, content = 'webm data') => {
+        const filePath = path.join(dir, fileName);
+        fs.writeFileSync(filePath, content);
+        return filePath;
+    };
+
+    const createPipeline = (options) => {
+        const pipeline = new RecordingPipeline(options);
+        // FFmpeg writes the output asked for
+        sinon.stub(pipeline, 'runFFmpeg').callsFake(async (inputPath, outputPath) => {
+            fs.writeFileSync(outputPath, 'output');
+        });
+        return pipeline;
+    };
+
+    it('should run the jobs and report them in the sidecar file', async () => {
+        const pipeline = createPipeline();
+        const filePath = createRecording('Rec_standup_2026_abc.webm', 'hello');
+
+        const sidecar = await pipeline.add(filePath);
+        pipeline.getSummary(sidecar).should.deepEqual({
+            mp4: 'done',
+            m4a: 'done',
+            thumbnail: 'done',
+            preview: 'done',
+            checksum: 'done',
+        });
+        sidecar.jobs.mp4.output.should.equal('Rec_standup_2026_abc.mp4');
+        sidecar.jobs.preview.output.should.equal('Rec_standup_2026_abc.gif');
+        sidecar.jobs.checksum.sha256.should.equal('2cf24dba5fb0a30e26e83b2ac5b9e29e1b161e5c1fa7425e73043362938b9824');
+        ['mp4', 'm4a', 'jpg', 'gif'].forEach((ext) =>
+            fs.existsSync(path.join(dir, `Rec_standup_2026_abc.${ext}`)).should.be.true()
+        );
+
+        RecordingPipeline.getSidecarPath(filePath).should.equal(path.join(dir, 'Rec_standup_2026_abc.jobs.json'));
+        RecordingPipeline.readSidecar(filePath).should.deepEqual(sidecar);
+    });
+
+    it('should go on with the other jobs when one fails', async () => {
+        const pipeline = createPipeline({ jobs: ['m4a', 'thumbnail', 'checksum'] });
+        pipeline.runFFmpeg.withArgs(sinon.match.any, sinon.match(/\.m4a$/)).rejects(new Error('No audio stream'));
+        const filePath = createRecording('Rec_standup_2026_abc.webm');
+
+        const sidecar = await pipeline.add(filePath);
+        sidecar.jobs.m4a.should.containDeep({ status: 'failed', error: 'No audio stream' });
+        pipeline.getSummary(sidecar).should.deepEqual({ m4a: 'failed', thumbnail: 'done', checksum: 'done' });
+    });
+
+    it('should not transcode a recording already in MP4', async () => {
+        const pipeline = createPipeline({ jobs: ['mp4'] });
+        const sidecar = await pipeline.add(createRecording('Rec_standup_2026_composite.mp4'));
+        sidecar.jobs.mp4.status.should.equal('skipped');
+        pipeline.runFFmpeg.called.should.be.false();
+    });
+
+    it('should process the recordings one after the other', async () => {
+        const pipeline = createPipeline({ jobs: ['thumbnail'] });
+        const order = [];
+        const waiting = [];
+        pipeline.on('done', (filePath) => {
+            order.push(path.basename(filePath));
+            waiting.push(RecordingPipeline.readSidecar(path.join(dir, 'Rec_b_1.webm')).jobs.thumbnail.status);
+        });
+
+        const first = pipeline.add(createRecording('Rec_a_1.webm'));
+        const second = pipeline.add(createRecording('Rec_b_1.webm'));
+        pipeline.getPending().should.equal(2);
+
+        await Promise.all([first, second]);
+        order.should.deepEqual(['Rec_a_1.webm', 'Rec_b_1.webm']);
+        waiting.should.deepEqual(['pending', 'done']);
+        pipeline.getPending().should.equal(0);
+    });
+
+    it('should process a recording added again while queued or running once', async () => {
+        const pipeline = createPipeline({ jobs: ['thumbnail'] });
+        const filePath = createRecording('Rec_a_1.webm');
+
+        const first = pipeline.add(filePath);
+        pipeline.add(filePath).should.equal(first);
+        pipeline.getPending().should.equal(1);
+
+        await first;
+        pipeline.runFFmpeg.callCount.should.equal(1);
+
+        // Once done, a new add processes it again
+        await pipeline.add(filePath);
+        pipeline.runFFmpeg.callCount.should.equal(2);
+    });
+
+    it('should run again the jobs left unfinished by a restart', async () => {
+        const filePath = createRecording('Rec_standup_2026_abc.webm');
+        const sidecar = { source: 'Rec_standup_2026_abc.webm', jobs: { checksum: { status: 'running' } } };
+        fs.writeFileSync(RecordingPipeline.getSidecarPath(filePath), JSON.stringify(sidecar));
+        const done = { source: 'Rec_retro_2026_abc.webm', jobs: { checksum: { status: 'done' } } };
+        fs.writeFileSync(path.join(dir, 'Rec_retro_2026_abc.jobs.json'), JSON.stringify(done));
+
+        const pipeline = createPipeline({ jobs: ['checksum'] });
+        const finished = new Promise((resolve) => pipeline.once('done', resolve));
+        pipeline.recover(dir).should.deepEqual([filePath]);
+        await finished;
+        RecordingPipeline.readSidecar(filePath).jobs.checksum.status.should.equal('done');
+    });
+
+    it('should skip the unreadable sidecars on recovery', async () => {
+        const filePath = createRecording('Rec_standup_2026_abc.webm');
+        const sidecar = { source: 'Rec_standup_2026_abc.webm', jobs: { checksum: { status: 'pending' } } };
+        fs.writeFileSync(RecordingPipeline.getSidecarPath(filePath), JSON.stringify(sidecar));
+        fs.writeFileSync(path.join(dir, 'Rec_retro_2026_abc.jobs.json'), '{"source": "Rec_retro');
+        fs.writeFileSync(path.join(dir, 'Rec_demo_2026_abc.jobs.json'), '{}');
+
+        const pipeline = createPipeline({ jobs: ['checksum'] });
+        const finished = new Promise((resolve) => pipeline.once('done', resolve));
+        pipeline.recover(dir).should.deepEqual([filePath]);
+        await finished;
+        fs.readdirSync(dir)
+            .filter((file) => file.endsWith('.tmp'))
+            .should.deepEqual([]);
+    });
+
+    it('should reject an unknown job', () => {
+        (() => new RecordingPipeline({ jobs: ['mp4', 'webp'] })).should.throw(/Unknown recording job webp/);
+    });
+});
@@ -0,0 +1,115 @@
+'use strict';
+
+// npx mocha test-RecordingRetention.js
+
+require('should');
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sinon = require('sinon');
+const RecordingLibrary = require('../app/src/RecordingLibrary');
+const RecordingRetention = require('../app/src/RecordingRetention');
+
+describe('test-RecordingRetention', () => {
+    const MB = 1024 * 1024;
+    const DAY = 24 * 60 * 60 * 1000;
+    const now = new Date('2026-02-01T00:00:00Z').getTime();
+    let dir, library;
+
+    const recording = (name, size, age) => ({
+        name,
+        room_id: RecordingLibrary.getRoomId(name),
+        storage: 'local',
+        size: size * MB,
+        createdAt: new Date(now - age).toISOString(),
+    });
+
+    const getNames = (recordings) => recordings.map(({ name, reason }) => `${reason}:${name}`);
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'recording-retention-'));
+        library = new RecordingLibrary({ dir, secret: 'secret' });
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+        sinon.restore();
+    });
+
+    it('should expire the old recordings, then the oldest over the quotas', () => {
+        const retention = new RecordingRetention(library, {
+            maxAge: 30,
+            maxTotalSize: 250,
+            roomQuota: 100,
+            roomQuotas: { vip: 1000 },
+        });
+        const recordings = [
+            recording('Rec_standup_1.webm', 10, 40 * DAY),
+            recording('Rec_standup_2.webm', 60, 3 * DAY),
+            recording('Rec_standup_3.webm', 60, 2 * DAY),
+            recording('Rec_vip_1.webm', 150, 5 * DAY),
+            recording('Rec_retro_1.webm', 50, 4 * DAY),
+            recording('Rec_retro_2.webm', 40, DAY),
+        ];
+
+        getNames(retention.getExpired(recordings, now)).should.deepEqual([
+            'maxAge:Rec_standup_1.webm',
+            'roomQuota:Rec_standup_2.webm',
+            'maxTotalSize:Rec_vip_1.webm',
+        ]);
+    });
+
+    it('should not delete the recordings still written to', () => {
+        const retention = new RecordingRetention(library, { roomQuota: 10, maxTotalSize: 10 });
+        const recordings = [recording('Rec_standup_1.webm', 50, 60 * 1000), recording('Rec_retro_1.webm', 50, DAY)];
+
+        getNames(retention.getExpired(recordings, now)).should.deepEqual(['roomQuota:Rec_retro_1.webm']);
+        getNames(new RecordingRetention(library).getExpired(recordings, now)).should.deepEqual([]);
+    });
+
+    it('should delete the expired recordings with their sidecars', async () => {
+        const old = new Date(Date.now() - 10 * DAY);
+        ['Rec_standup_1.webm', 'Rec_standup_1.mp4', 'Rec_standup_1.jobs.json', 'Rec_standup_2.webm'].forEach((name) => {
+            fs.writeFileSync(path.join(dir, name), 'data');
+            if (name.includes('_1.')) fs.utimesSync(path.join(dir, name), old, old);
+        });
+        sinon.stub(library, 'probeDuration').resolves(null);
+        const retention = new RecordingRetention(library, { maxAge: 7 });
+
+        const deleted = await retention.run();
+        deleted.map(({ name }) => name).should.have.length(3);
+        fs.readdirSync(dir).should.deepEqual(['Rec_standup_2.webm']);
+        library.probeDuration.called.should.be.false();
+    });
+
+    it('should clean each storage apart and share a running cleanup', async () => {
+        const fakeLibrary = { dir, list: sinon.stub(), delete: sinon.stub().resolves() };
+        fakeLibrary.list.withArgs(sinon.match({ storage: 'local' })).resolves([recording('Rec_a_1.webm', 60, DAY)]);
+        fakeLibrary.list
+            .withArgs(sinon.match({ storage: 's3' }))
+            .resolves([recording('Rec_a_2.webm', 60, 2 * DAY), recording('Rec_a_3.webm', 60, DAY)]);
+        const retention = new RecordingRetention(fakeLibrary, { storages: ['local', 's3'], maxTotalSize: 100 });
+
+        const [first, second] = await Promise.all([retention.run(), retention.run()]);
+        first.should.equal(second);
+        fakeLibrary.list.callCount.should.equal(2);
+        fakeLibrary.delete.args.should.deepEqual([['Rec_a_2.webm', 's3']]);
+    });
+
+    it('should tell when the free disk space is below the floor', async () => {
+        const retention = new RecordingRetention(library, { minFreeDisk: 512 });
+        (await retention.getFreeDisk()).should.be.a.Number();
+
+        sinon.stub(retention, 'getFreeDisk').resolves(100);
+        (await retention.isDiskFull()).should.be.true();
+        retention.getFreeDisk.resolves(1024);
+        (await retention.isDiskFull()).should.be.false();
+        retention.getFreeDisk.resolves(null);
+        (await retention.isDiskFull()).should.be.false();
+
+        retention.minFreeDisk = 0;
+        retention.getFreeDisk.resolves(0);
+        (await retention.isDiskFull()).should.be.false();
+    });
+});
@@ -0,0 +1,110 @@
+'use strict';
+
+// npx mocha test-RecordingUploads.js
+
+require('should');
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sinon = require('sinon');
+const RecordingUploads = require('../app/src/RecordingUploads');
+
+describe('test-RecordingUploads', () => {
+    const fileName = 'Rec_standup_2026-01-01-10-00-00_abc.webm';
+    const uploadKey = 'a1b2c3d4-e5f6-4789-8abc-def012345678';
+    let dir, uploads;
+
+    const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+    const chunk = (text) => [Buffer.from(text), sha256(Buffer.from(text))];
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'recording-uploads-'));
+        uploads = new RecordingUploads(dir, { maxFileSize: 20, maxChunkSize: 8 });
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+        sinon.restore();
+    });
+
+    it('should assemble the chunks in order', async () => {
+        const { sessionId, seq, offset } = await uploads.create(fileName, uploadKey);
+        [seq, offset].should.deepEqual([0, 0]);
+
+        (await uploads.writeChunk(sessionId, 1, ...chunk('hello '))).should.containDeep({ seq: 1, offset: 6 });
+        (await uploads.writeChunk(sessionId, 2, ...chunk('world'))).should.containDeep({ seq: 2, offset: 11 });
+        uploads.getStatus(await uploads.get(sessionId)).should.deepEqual({ sessionId, fileName, seq: 2, offset: 11 });
+
+        await uploads.complete(sessionId, 12).should.be.rejectedWith(/Upload size mismatch/);
+        (await uploads.complete(sessionId, 11)).should.deepEqual({ fileName, size: 11 });
+        fs.readFileSync(path.join(dir, fileName), 'utf8').should.equal('hello world');
+        ((await uploads.get(sessionId)) === null).should.be.true();
+        fs.readdirSync(path.join(dir, '.uploads')).should.deepEqual([]);
+    });
+
+    it('should acknowledge a chunk sent again without writing it twice', async () => {
+        const { sessionId } = await uploads.create(fileName, uploadKey);
+        await uploads.writeChunk(sessionId, 1, ...chunk('hello '));
+
+        (await uploads.writeChunk(sessionId, 1, ...chunk('hello '))).should.containDeep({
+            seq: 1,
+            offset: 6,
+            duplicate: true,
+        });
+        await uploads.writeChunk(sessionId, 1, ...chunk('other ')).should.be.rejectedWith(/conflicts/);
+        await uploads.writeChunk(sessionId, 3, ...chunk('world')).should.be.rejectedWith(/out of order/);
+
+        // The client lost the reply of the session too
+        (await uploads.create(fileName, uploadKey)).sessionId.should.equal(sessionId);
+    });
+
+    it('should only give a session back to the client that created it', async () => {
+        const { sessionId } = await uploads.create(fileName, uploadKey);
+        await uploads.create(fileName, 'f0e1d2c3-b4a5-4968-8776-655443322110').should.be.rejectedWith(/already exists/);
+        await uploads.create(fileName, 'short').should.be.rejectedWith(/Invalid upload key/);
+        (await uploads.create(fileName, uploadKey)).sessionId.should.equal(sessionId);
+        JSON.stringify(await uploads.get(sessionId)).should.not.containEql(uploadKey);
+    });
+
+    it('should reject a corrupted or oversized chunk', async () => {
+        const { sessionId } = await uploads.create(fileName, uploadKey);
+        await uploads
+            .writeChunk(sessionId, 1, Buffer.from('hello'), sha256('hellO'))
+            .should.be.rejectedWith(/checksum mismatch/);
+        await uploads.writeChunk(sessionId, 1, ...chunk('too large chunk')).should.be.rejectedWith(/Chunk exceeds/);
+        for (let seq = 1; seq <= 2; seq++) {
+            await uploads.writeChunk(sessionId, seq, ...chunk('12345678'));
+        }
+        await uploads.writeChunk(sessionId, 3, ...chunk('12345')).should.be.rejectedWith(/File size exceeds/);
+        await uploads.writeChunk('../../etc', 1, ...chunk('x')).should.be.rejectedWith(/session not found/);
+    });
+
+    it('should drop the bytes written after the last commit', async () => {
+        const { sessionId } = await uploads.create(fileName, uploadKey);
+        await uploads.writeChunk(sessionId, 1, ...chunk('hello '));
+        // A process stopped while appending the next chunk
+        fs.appendFileSync(uploads.getPartPath(sessionId), 'wor');
+
+        await uploads.writeChunk(sessionId, 2, ...chunk('world'));
+        await uploads.complete(sessionId, 11);
+        fs.readFileSync(path.join(dir, fileName), 'utf8').should.equal('hello world');
+    });
+
+    it('should remove the sessions left without chunks', async () => {
+        const clock = sinon.useFakeTimers({ now: Date.now(), toFake: ['Date'] });
+        uploads = new RecordingUploads(dir, { sessionTimeout: 1000 });
+        const { sessionId } = await uploads.create(fileName, uploadKey);
+
+        clock.tick(1500);
+        await uploads.create('Rec_retro_2026-01-01-10-00-00_abc.webm', uploadKey);
+        ((await uploads.get(sessionId)) === null).should.be.true();
+        (await uploads.list()).should.have.length(1);
+    });
+
+    it('should not overwrite a recording', async () => {
+        fs.writeFileSync(path.join(dir, fileName), 'done');
+        await uploads.create(fileName, uploadKey).should.be.rejectedWith(/already exists/);
+    });
+});
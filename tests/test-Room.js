@@ -0,0 +1,442 @@
+'use strict';
+
+// npx mocha test-Room.js
+
+require('should');
+
+const sinon = require('sinon');
+const Peer = require('../app/src/Peer');
+const Room = require('../app/src/Room');
+
+describe('test-Room', () => {
+    const fakeObserver = () => ({ closed: false, on: () => {}, close: sinon.spy() });
+
+    const fakeRouter = (id) => ({
+        id,
+        closed: false,
+        rtpCapabilities: { codecs: [], router: id },
+        observer: { on: () => {} },
+        close: sinon.spy(),
+        createAudioLevelObserver: sinon.stub().resolves(fakeObserver()),
+        createActiveSpeakerObserver: sinon.stub().resolves(fakeObserver()),
+        pipeToRouter: sinon.stub().resolves({ pipeProducer: { observer: { on: () => {} } } }),
+    });
+
+    const fakeWorker = (pid, router) => ({
+        pid,
+        appData: { webRtcServer: { id: `webrtc-server-${pid}` } },
+        createRouter: router
+            ? sinon.stub().callsFake(async ({ appData }) => Object.assign(router, { appData }))
+            : sinon.stub().rejects(new Error('Worker closed')),
+    });
+
+    const fakePeer = (id, producers = []) => ({
+        id,
+        router_id: null,
+        transports: new Map(),
+        consumers: new Map(),
+        producers: new Map(producers.map((producer_id) => [producer_id, {}])),
+        close: sinon.spy(),
+    });
+
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    describe('moveToWorker', () => {
+        it('should recreate the router on the new worker and keep the peers', async () => {
+            const oldRouter = fakeRouter('old-router');
+            const room = new Room('team-weekly', fakeWorker(1, oldRouter), {});
+            await room.createTheRouter();
+            const peer = fakePeer('socket-1');
+            room.addPeer(peer);
+            room.setLocked(true, 'secret');
+
+            const newRouter = fakeRouter('new-router');
+            const worker = fakeWorker(2, newRouter);
+            (await room.moveToWorker(worker)).should.be.true();
+
+            room.worker.should.equal(worker);
+            room.webRtcServer.should.equal(worker.appData.webRtcServer);
+            room.router.should.equal(newRouter);
+            room.getRtpCapabilities().router.should.equal('new-router');
+            peer.close.calledOnce.should.be.true();
+            room.getPeersCount().should.equal(1);
+            room.isLocked().should.be.true();
+        });
+
+        it('should report a router that could not be created', async () => {
+            const room = new Room('team-weekly', fakeWorker(1, fakeRouter('old-router')), {});
+            await room.createTheRouter();
+            (await room.moveToWorker(fakeWorker(2, null))).should.be.false();
+            (room.router === null).should.be.true();
+        });
+    });
+
+    describe('extra routers', () => {
+        const createRoom = async (maxPeersPerRouter, extraWorker) => {
+            const worker = fakeWorker(1, fakeRouter('main-router'));
+            const room = new Room('all-hands', worker, {});
+            await room.createTheRouter();
+            room.maxPeersPerRouter = maxPeersPerRouter;
+            room.maxRoutersPerRoom = 2;
+            room.setExtraWorkerProvider(sinon.stub().resolves(extraWorker));
+            return room;
+        };
+
+        it('should keep a single router below the limit', async () => {
+            const room = await createRoom(0, fakeWorker(2, fakeRouter('extra-router')));
+            for (const id of ['a', 'b', 'c']) {
+                const peer = fakePeer(id);
+                room.addPeer(peer);
+                (await room.getPeerRouter(peer)).id.should.equal('main-router');
+            }
+            room.getExtraWorker.called.should.be.false();
+        });
+
+        it('should add a router on another worker once the routers are full', async () => {
+            const extraWorker = fakeWorker(2, fakeRouter('extra-router'));
+            const room = await createRoom(2, extraWorker);
+            const routers = [];
+            for (const id of ['a', 'b', 'c', 'd', 'e']) {
+                const peer = fakePeer(id);
+                room.addPeer(peer);
+                routers.push((await room.getPeerRouter(peer)).id);
+            }
+            routers.should.deepEqual(['main-router', 'main-router', 'extra-router', 'extra-router', 'main-router']);
+            room.getExtraWorker.calledOnce.should.be.true();
+            room.getExtraWorker.firstCall.args[0].map(({ pid }) => pid).should.deepEqual([1]);
+            room.getWorkers().should.have.length(2);
+            room.getLoadOn(extraWorker).routers.should.equal(1);
+        });
+
+        it('should share one new router between peers joining together', async () => {
+            const room = await createRoom(1, fakeWorker(2, fakeRouter('extra-router')));
+            const first = fakePeer('a');
+            room.addPeer(first);
+            await room.getPeerRouter(first);
+
+            const peers = [fakePeer('b'), fakePeer('c')];
+            peers.forEach((peer) => room.addPeer(peer));
+            const routers = await Promise.all(peers.map((peer) => room.getPeerRouter(peer)));
+            routers.map(({ id }) => id).should.deepEqual(['extra-router', 'extra-router']);
+            room.getExtraWorker.calledOnce.should.be.true();
+        });
+
+        it('should pipe a producer once to the router of the consumer', async () => {
+            const extraRouter = fakeRouter('extra-router');
+            const room = await createRoom(1, fakeWorker(2, extraRouter));
+            const speaker = fakePeer('speaker', ['producer-1']);
+            const listener = fakePeer('listener');
+            room.addPeer(speaker);
+            room.addPeer(listener);
+            await room.getPeerRouter(speaker);
+            const router = await room.getPeerRouter(listener);
+
+            await Promise.all([room.pipeProducer('producer-1', router), room.pipeProducer('producer-1', router)]);
+            room.router.pipeToRouter.calledOnce.should.be.true();
+            room.router.pipeToRouter.firstCall.args[0].should.deepEqual({
+                producerId: 'producer-1',
+                router: extraRouter,
+            });
+
+            await room.pipeProducer('producer-1', room.router);
+            room.router.pipeToRouter.calledOnce.should.be.true();
+        });
+
+        it('should only drop the peers of a dead extra router', async () => {
+            const extraWorker = fakeWorker(2, fakeRouter('extra-router'));
+            const room = await createRoom(1, extraWorker);
+            const peers = [fakePeer('a'), fakePeer('b')];
+            for (const peer of peers) {
+                room.addPeer(peer);
+                await room.getPeerRouter(peer);
+            }
+
+            room.dropWorker(extraWorker).should.deepEqual([peers[1]]);
+            peers[0].close.called.should.be.false();
+            peers[1].close.calledOnce.should.be.true();
+            (peers[1].router_id === null).should.be.true();
+            room.getWorkers().should.have.length(1);
+        });
+    });
+
+    describe('video layers', () => {
+        const fakeConsumer = (id, producerId, scalabilityMode = 'L3T3') => ({
+            id,
+            producerId,
+            kind: 'video',
+            type: 'simulcast',
+            rtpParameters: { encodings: [{ scalabilityMode }] },
+            setPreferredLayers: sinon.stub().resolves(),
+            setPriority: sinon.stub().resolves(),
+        });
+
+        const createPeer = (id, producers = []) => {
+            const peer = new Peer(id, { peer_info: { peer_name: id } });
+            producers.forEach((producer_id) =>
+                peer.addProducer(producer_id, { id: producer_id, kind: 'video', close: () => {} })
+            );
+            return peer;
+        };
+
+        const settle = () => new Promise((resolve) => setImmediate(resolve));
+
+        const lastLayers = (consumer) => ({
+            ...consumer.setPreferredLayers.lastCall.args[0],
+            priority: consumer.setPriority.lastCall.args[0],
+        });
+
+        let room, viewer, consumers;
+
+        beforeEach(() => {
+            room = new Room('team-weekly', fakeWorker(1, fakeRouter('router')), {});
+            ['alice', 'bob', 'carol'].forEach((name) => room.addPeer(createPeer(name, [`${name}-video`])));
+            viewer = createPeer('viewer');
+            room.addPeer(viewer);
+            consumers = ['alice', 'bob', 'carol'].map((name) => fakeConsumer(`${name}-consumer`, `${name}-video`));
+            consumers.forEach((consumer) => viewer.addConsumer(consumer.id, consumer));
+        });
+
+        it('should send the low layer to thumbnails and the high one to large tiles', async () => {
+            const updated = room.setVideoTiles('viewer', [
+                { consumer_id: 'alice-consumer', width: 160, height: 90 },
+                { consumer_id: 'bob-consumer', width: 480, height: 270 },
+                { consumer_id: 'carol-consumer', width: 1280, height: 720 },
+                { consumer_id: 'unknown-consumer', width: 1280, height: 720 },
+            ]);
+            updated.should.deepEqual(['alice-consumer', 'bob-consumer', 'carol-consumer']);
+            await settle();
+
+            consumers.map(lastLayers).should.deepEqual([
+                { spatialLayer: 0, temporalLayer: 2, priority: 1 },
+                { spatialLayer: 1, temporalLayer: 2, priority: 1 },
+                { spatialLayer: 2, temporalLayer: 2, priority: 2 },
+            ]);
+
+            // Same sizes, nothing to change
+            room.setVideoTiles('viewer', [{ consumer_id: 'alice-consumer', width: 160, height: 90 }]).should.be.empty();
+            await settle();
+            consumers[0].setPreferredLayers.calledOnce.should.be.true();
+        });
+
+        it('should send the lowest layer in data saver mode', async () => {
+            room.setVideoTiles('viewer', [{ consumer_id: 'carol-consumer', width: 1280, height: 720, pinned: true }]);
+            viewer.updatePeerInfo({ type: 'dataSaver', status: true });
+            room.updateDataSaver(viewer);
+            await settle();
+            lastLayers(consumers[2]).should.deepEqual({ spatialLayer: 0, temporalLayer: 0, priority: 1 });
+        });
+
+        it('should give the high layer to the active speaker while it holds', async () => {
+            const clock = sinon.useFakeTimers({ now: Date.now(), toFake: ['Date'] });
+            room.setVideoTiles('viewer', [
+                { consumer_id: 'alice-consumer', width: 160, height: 90 },
+                { consumer_id: 'bob-consumer', width: 160, height: 90 },
+            ]);
+
+            room.setActiveSpeaker('alice').should.be.true();
+            await settle();
+            lastLayers(consumers[0]).should.deepEqual({ spatialLayer: 2, temporalLayer: 2, priority: 3 });
+
+            // Too soon to switch to another speaker
+            clock.tick(1000);
+            room.setActiveSpeaker('bob').should.be.false();
+
+            clock.tick(1000);
+            room.setActiveSpeaker('bob').should.be.true();
+            await settle();
+            lastLayers(consumers[0]).should.deepEqual({ spatialLayer: 0, temporalLayer: 2, priority: 1 });
+            lastLayers(consumers[1]).should.deepEqual({ spatialLayer: 2, temporalLayer: 2, priority: 3 });
+
+            // A speaker that left does not hold the layer
+            room.removePeer('bob');
+            room.setActiveSpeaker('alice').should.be.true();
+        });
+    });
+
+    describe('last N', () => {
+        const fakeConsumer = (id, producerId) => ({
+            id,
+            producerId,
+            kind: 'video',
+            type: 'simple',
+            pause: sinon.stub().resolves(),
+            resume: sinon.stub().resolves(),
+        });
+
+        const createPeer = (id, producers = {}) => {
+            const peer = new Peer(id, { peer_info: { peer_name: id } });
+            for (const [producer_id, mediaType] of Object.entries(producers)) {
+                peer.addProducer(producer_id, {
+                    id: producer_id,
+                    kind: 'video',
+                    appData: { mediaType },
+                    close: () => {},
+                });
+            }
+            return peer;
+        };
+
+        let room, emit, viewer;
+
+        beforeEach(() => {
+            emit = sinon.spy();
+            room = new Room('all-hands', fakeWorker(1, fakeRouter('router')), { to: () => ({ emit }) });
+            room.addPeer(createPeer('alice', { 'alice-video': 'videoType' }));
+            room.addPeer(createPeer('bob', { 'bob-video': 'videoType', 'bob-screen': 'screenType' }));
+            room.addPeer(createPeer('carol', { 'carol-video': 'videoType' }));
+            viewer = createPeer('viewer');
+            room.addPeer(viewer);
+            for (const producer_id of ['alice-video', 'bob-video', 'bob-screen', 'carol-video']) {
+                viewer.addConsumer(`${producer_id}-consumer`, fakeConsumer(`${producer_id}-consumer`, producer_id));
+            }
+        });
+
+        const held = () => [...viewer.heldConsumers].sort();
+
+        it('should only forward the videos of the most recent speakers and the screen shares', async () => {
+            room.setLastN(1);
+            await room.updateForwarding();
+            // Nobody spoke yet, the first peers that joined
+            held().should.deepEqual(['bob-video-consumer', 'carol-video-consumer']);
+            viewer.getConsumer('bob-video-consumer').pause.calledOnce.should.be.true();
+            emit.lastCall.args.should.deepEqual([
+                'videoForwarding',
+                { lastN: 1, dataSaver: false, paused: ['bob-video-consumer', 'carol-video-consumer'] },
+            ]);
+
+            room.addRecentSpeaker('carol').should.be.true();
+            await room.updateForwarding();
+            held().should.deepEqual(['alice-video-consumer', 'bob-video-consumer']);
+            viewer.getConsumer('carol-video-consumer').resume.calledOnce.should.be.true();
+
+            // Already forwarded, nothing changes
+            room.addRecentSpeaker('carol').should.be.false();
+        });
+
+        it('should forward a pinned video beyond the last N', async () => {
+            room.setLastN(1);
+            room.setVideoTiles('viewer', [
+                { consumer_id: 'carol-video-consumer', width: 1280, height: 720, pinned: true },
+            ]);
+            await room.updateForwarding();
+            held().should.deepEqual(['bob-video-consumer']);
+            viewer.isConsumerHeld('carol-video-consumer').should.be.false();
+        });
+
+        it('should forward all the videos again once disabled', async () => {
+            room.setLastN(2);
+            await room.updateForwarding();
+            held().should.deepEqual(['carol-video-consumer']);
+
+            room.setLastN(0);
+            await room.updateForwarding();
+            held().should.deepEqual([]);
+            room.getSettings().lastN.should.equal(0);
+            (() => room.setLastN(-1)).should.throw(/Invalid last N/);
+        });
+
+        it('should only forward the pinned video and the screen shares in data saver mode', async () => {
+            viewer.updatePeerInfo({ type: 'dataSaver', status: true });
+            await room.updateDataSaver(viewer);
+            held().should.deepEqual(['alice-video-consumer', 'bob-video-consumer', 'carol-video-consumer']);
+            emit.lastCall.args[1].dataSaver.should.be.true();
+
+            room.setVideoTiles('viewer', [
+                { consumer_id: 'alice-video-consumer', width: 640, height: 360, pinned: true },
+            ]);
+            await room.updateForwarding();
+            held().should.deepEqual(['bob-video-consumer', 'carol-video-consumer']);
+
+            viewer.updatePeerInfo({ type: 'dataSaver', status: false });
+            await room.updateDataSaver(viewer);
+            held().should.deepEqual([]);
+        });
+
+        it('should let another peer in when a speaker leaves', async () => {
+            room.setLastN(1);
+            room.addRecentSpeaker('bob');
+            await room.updateForwarding();
+            held().should.deepEqual(['alice-video-consumer', 'carol-video-consumer']);
+
+            room.removePeer('bob');
+            viewer.delConsumer('bob-video-consumer');
+            await room.updateForwarding();
+            held().should.deepEqual(['carol-video-consumer']);
+        });
+    });
+
+    describe('moderate peers', () => {
+        let room, emit, sockets;
+
+        beforeEach(() => {
+            emit = sinon.spy();
+            sockets = new Map();
+            room = new Room('town-hall', fakeWorker(1, fakeRouter('router')), {
+                to: (peer_id) => ({ emit: (...args) => emit(peer_id, ...args) }),
+                sockets: { sockets },
+            });
+            room.addPeer(new Peer('socket-1', { peer_info: { peer_name: 'Alice', peer_uuid: 'uuid-1' } }));
+            room.addPeer(new Peer('socket-2', { peer_info: { peer_name: 'Bob', peer_uuid: 'uuid-2' } }));
+        });
+
+        it('should find a peer by uuid', () => {
+            room.getPeerByUuid('uuid-2').id.should.equal('socket-2');
+            (room.getPeerByUuid('unknown') === undefined).should.be.true();
+            room.findPeer('socket-1').peer_name.should.equal('Alice');
+            room.findPeer('uuid-1').peer_name.should.equal('Alice');
+        });
+
+        it('should only unban a banned peer', () => {
+            room.addBannedPeer('uuid-3');
+            room.removeBannedPeer('uuid-3').should.be.true();
+            room.isBanned('uuid-3').should.be.false();
+            room.removeBannedPeer('uuid-3').should.be.false();
+        });
+
+        it('should relay the action to the peer addressed by socket id or uuid', () => {
+            room.moderatePeer('uuid-2', 'mute', 'Too loud').should.deepEqual({
+                peer_id: 'socket-2',
+                peer_uuid: 'uuid-2',
+                peer_name: 'Bob',
+            });
+            emit.calledOnce.should.be.true();
+            emit.firstCall.args.should.deepEqual([
+                'socket-2',
+                'peerAction',
+                {
+                    from_peer_name: 'Server',
+                    peer_id: 'socket-2',
+                    to_peer_uuid: 'uuid-2',
+                    action: 'mute',
+                    message: 'Too loud',
+                    broadcast: false,
+                },
+            ]);
+            (room.moderatePeer('socket-3', 'mute') === null).should.be.true();
+        });
+
+        it('should ban the peer and drop its socket if it does not leave', () => {
+            const clock = sinon.useFakeTimers();
+            const socket = { room_id: 'town-hall', disconnect: sinon.spy() };
+            sockets.set('socket-1', socket);
+
+            room.moderatePeer('socket-1', 'ban');
+            room.isBanned('uuid-1').should.be.true();
+            clock.tick(5000);
+            socket.disconnect.calledOnceWith(true).should.be.true();
+        });
+
+        it('should unban a peer that already left by its uuid', () => {
+            room.addBannedPeer('uuid-3');
+            room.moderatePeer('uuid-3', 'unban').should.deepEqual({
+                peer_id: null,
+                peer_uuid: 'uuid-3',
+                peer_name: null,
+            });
+            (room.moderatePeer('uuid-3', 'unban') === null).should.be.true();
+            emit.called.should.be.false();
+        });
+    });
+});
@@ -0,0 +1,198 @@
+'use strict';
+
+// npx mocha test-RoomStore.js
+
+require('should');
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sinon = require('sinon');
+const Room = require('../app/src/Room');
+const RoomStore = require('../app/src/RoomStore');
+const FileRoomStore = require('../app/src/FileRoomStore');
+
+describe('test-RoomStore', () => {
+    let dir;
+
+    // The router is never needed to keep the state
+    const worker = { appData: {}, createRouter: () => new Promise(() => {}) };
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'test-room-store-'));
+    });
+
+    afterEach(() => {
+        sinon.restore();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    describe('Room state', () => {
+        it('should restore the settings, ban list and polls', async () => {
+            const room = new Room('team-weekly', worker, {});
+            room.setLocked(true, 'secret');
+            room.setLobbyEnabled(true);
+            room.updateRoomModerator({ type: 'audio_start_muted', status: true });
+            room.addBannedPeer('banned-uuid');
+            room.getPolls().push({ question: 'Pizza?', options: ['yes', 'no'], voters: new Map([['bob', 'yes']]) });
+
+            const state = JSON.parse(JSON.stringify(room.getState()));
+
+            const restored = new Room('team-weekly', worker, {});
+            restored.restoreState(state);
+            restored.isLocked().should.be.true();
+            (await restored.isValidPassword('secret')).should.be.true();
+            (await restored.isValidPassword('wrong')).should.be.false();
+            restored.isLobbyEnabled().should.be.true();
+            restored.getSettings().moderator.audio_start_muted.should.be.true();
+            restored.isBanned('banned-uuid').should.be.true();
+            restored.getPolls()[0].voters.get('bob').should.equal('yes');
+        });
+
+        it('should only persist a hash of the password', async () => {
+            const room = new Room('team-weekly', worker, {});
+            room.setLocked(true, 'secret');
+            const state = room.getState();
+            state.should.not.have.property('password');
+            JSON.stringify(state).should.not.containEql('secret');
+
+            room.setLocked(true);
+            (await room.isValidPassword('secret')).should.be.true();
+            room.setLocked(false);
+            room.hasPassword().should.be.false();
+        });
+
+        it('should ignore unknown moderator settings', () => {
+            const room = new Room('team-weekly', worker, {});
+            room.restoreState({ moderator: { audio_start_muted: true, removed_setting: true } });
+            room.getSettings().moderator.should.not.have.property('removed_setting');
+        });
+
+        it('should save every change once a store is set', () => {
+            const store = { set: sinon.stub().resolves(), touch: sinon.stub().resolves() };
+            const room = new Room('team-weekly', worker, {});
+            room.setLobbyEnabled(true);
+            store.set.called.should.be.false();
+
+            room.setStore(store);
+            room.addBannedPeer('banned-uuid');
+            room.removeBannedPeer('banned-uuid');
+            store.set.callCount.should.equal(2);
+            store.set.lastCall.args[0].should.equal('team-weekly');
+            store.set.lastCall.args[1].bannedPeers.should.deepEqual([]);
+        });
+
+        it('should touch the state when the room is restored or joined', () => {
+            const store = { set: sinon.stub().resolves(), touch: sinon.stub().resolves() };
+            const room = new Room('team-weekly', worker, {});
+            room.setStore(store);
+            room.addPeer({ id: 'socket-1' });
+            store.touch.args.should.deepEqual([['team-weekly'], ['team-weekly']]);
+            store.set.called.should.be.false();
+        });
+    });
+
+    describe('FileRoomStore', () => {
+        it('should keep the state across instances', async () => {
+            const file = path.join(dir, 'store', 'rooms.json');
+            const store = new FileRoomStore(file);
+            await store.set('team-weekly', { locked: true });
+            ((await store.get('unknown-room')) === null).should.be.true();
+
+            (await new FileRoomStore(file).get('team-weekly')).should.deepEqual({ locked: true });
+
+            await store.delete('team-weekly');
+            ((await new FileRoomStore(file).get('team-weekly')) === null).should.be.true();
+        });
+
+        it('should purge the rooms not updated for a while', async () => {
+            const store = new FileRoomStore(path.join(dir, 'rooms.json'));
+            await store.set('old-room', {});
+            const before = Date.now() + 1;
+            (await store.purge(before)).should.equal(1);
+            ((await store.get('old-room')) === null).should.be.true();
+        });
+
+        it('should keep the rooms in use', async () => {
+            const clock = sinon.useFakeTimers({ now: Date.now(), toFake: ['Date'] });
+            const store = new FileRoomStore(path.join(dir, 'rooms.json'));
+            await store.set('weekly-room', { lobby: true });
+            await store.touch('unknown-room');
+            clock.tick(60 * 1000);
+            const before = Date.now();
+            await store.touch('weekly-room');
+            (await store.purge(before)).should.equal(0);
+            (await store.get('weekly-room')).should.deepEqual({ lobby: true });
+        });
+
+        it('should save off the event loop, one write at a time', async () => {
+            const writeFile = sinon.spy(fs.promises, 'writeFile');
+            const store = new FileRoomStore(path.join(dir, 'rooms.json'));
+            const saved = Array.from({ length: 10 }, (_, i) => store.set(`room-${i}`, { lobby: true }));
+            await Promise.resolve();
+            // Made while the first write is in flight
+            saved.push(...Array.from({ length: 10 }, (_, i) => store.set(`room-${i + 10}`, { lobby: true })));
+            await Promise.all(saved);
+
+            // The first write, then one for all the changes made meanwhile
+            writeFile.callCount.should.equal(2);
+            Object.keys(JSON.parse(fs.readFileSync(path.join(dir, 'rooms.json'), 'utf8'))).should.have.length(20);
+            await store.close();
+        });
+
+        it('should start empty from a malformed file', async () => {
+            const file = path.join(dir, 'rooms.json');
+            fs.writeFileSync(file, '{ not json');
+            ((await new FileRoomStore(file).get('team-weekly')) === null).should.be.true();
+        });
+    });
+
+    describe('create', () => {
+        it('should not persist anything in memory mode', async () => {
+            ((await RoomStore.create({ type: 'memory' })) === null).should.be.true();
+        });
+
+        it('should never purge with a max age of 0', async () => {
+            const purge = sinon.spy(FileRoomStore.prototype, 'purge');
+            const store = await RoomStore.create({ type: 'file', path: path.join(dir, 'rooms.json'), maxAge: 0 });
+            purge.called.should.be.false();
+            store.stopPurge();
+        });
+
+        it('should reject an unknown type', async () => {
+            await RoomStore.create({ type: 'redis' }).should.be.rejectedWith(/Unknown room store type/);
+        });
+
+        it('should purge the rooms on start and every hour', async () => {
+            const DAY = 24 * 60 * 60 * 1000;
+            const clock = sinon.useFakeTimers({ now: Date.now(), toFake: ['Date', 'setInterval', 'clearInterval'] });
+            const store = await RoomStore.create({ type: 'file', path: path.join(dir, 'rooms.json'), maxAge: 30 });
+            await store.set('old-room', {});
+
+            clock.tick(31 * DAY - 60 * 60 * 1000);
+            await store.set('recent-room', {});
+            clock.tick(60 * 60 * 1000);
+            await Promise.resolve();
+            ((await store.get('old-room')) === null).should.be.true();
+            (await store.get('recent-room')).should.deepEqual({});
+            store.stopPurge();
+        });
+
+        it('should create a sqlite store when node:sqlite is available', async function () {
+            try {
+                require('node:sqlite');
+            } catch (err) {
+                this.skip();
+            }
+            const store = await RoomStore.create({ type: 'sqlite', path: path.join(dir, 'rooms.db') });
+            await store.set('team-weekly', { lobby: true });
+            (await store.get('team-weekly')).should.deepEqual({ lobby: true });
+            const before = Date.now() + 1;
+            await new Promise((resolve) => setTimeout(resolve, 5));
+            await store.touch('team-weekly');
+            (await store.purge(before)).should.equal(0);
+            (await store.purge(Date.now() + 1)).should.equal(1);
+            await store.close();
+        });
+    });
+});
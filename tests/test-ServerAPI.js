@@ -19,8 +19,6 @@ describe('test-ServerAPI', () => {
     const timestamp = new Date().toISOString();
 
     beforeEach(() => {
-        // Mocking config values
-        sinon.stub(config.api, 'keySecret').value(apiKeySecret);
         serverApi = new ServerApi(host, authorization);
     });
 
@@ -29,13 +27,66 @@ describe('test-ServerAPI', () => {
     });
 
     describe('isAuthorized', () => {
+        const loadServerApi = (api) =>
+            proxyquire('../app/src/ServerApi', {
+                './config': { ...config, api: { ...config.api, keySecret: apiKeySecret, ...api } },
+            });
+
         it('should return true when authorization matches the api key secret', () => {
+            const ServerApi = loadServerApi();
+            serverApi = new ServerApi(host, authorization);
             serverApi.isAuthorized().should.be.true();
+            serverApi.getKeyName().should.equal('default');
         });
 
         it('should return false when authorization does not match the api key secret', () => {
+            const ServerApi = loadServerApi();
             serverApi = new ServerApi(host, 'wrong-key');
             serverApi.isAuthorized().should.be.false();
+            serverApi = new ServerApi(host, 'secret-ke');
+            serverApi.isAuthorized().should.be.false();
+        });
+
+        it('should restrict the api key secret to its scopes', () => {
+            const ServerApi = loadServerApi({ keySecretScopes: ['stats', 'meetings'] });
+            serverApi = new ServerApi(host, authorization);
+            serverApi.isAuthorized('stats').should.be.true();
+            serverApi.isAuthorized('rooms', 'room1').should.be.false();
+            serverApi.isAuthorized('drain').should.be.false();
+        });
+
+        it('should refuse the api key secret when disabled', () => {
+            const ServerApi = loadServerApi({ keySecret: '' });
+            serverApi = new ServerApi(host, '');
+            serverApi.isAuthorized('stats').should.be.false();
+        });
+
+        it('should refuse a token without a room to a key restricted to some rooms', () => {
+            const ServerApi = loadServerApi({
+                keys: [{ name: 'crm', secret: 'crm-key', scopes: ['token'], rooms: ['sales-'] }],
+            });
+            serverApi = new ServerApi(host, 'crm-key');
+            serverApi.isAuthorized('token', 'sales-weekly').should.be.true();
+            serverApi.isAuthorized('token', '').should.be.false();
+            serverApi = new ServerApi(host, authorization);
+            serverApi.isAuthorized('token', '').should.be.true();
+        });
+
+        it('should authorize scoped keys and restrict them to their rooms', () => {
+            const ServerApi = loadServerApi({
+                keys: [{ name: 'crm', secret: 'crm-key', scopes: ['meetings'], rooms: ['sales-'] }],
+            });
+
+            serverApi = new ServerApi(host, 'crm-key');
+            serverApi.isAuthorized('stats').should.be.false();
+            serverApi.isAuthorized('meetings').should.be.true();
+            serverApi.getKeyName().should.equal('crm');
+
+            const roomList = new Map([
+                ['sales-weekly', { peers: new Map() }],
+                ['board', { peers: new Map() }],
+            ]);
+            serverApi.getMeetings(roomList).should.deepEqual([{ roomId: 'sales-weekly', peers: [] }]);
         });
     });
 
@@ -152,6 +203,169 @@ describe('test-ServerAPI', () => {
         });
     });
 
+    describe('getRoom', () => {
+        it('should return the room settings with the join URL', () => {
+            const room = {
+                getPeersCount: () => 2,
+                getSettings: () => ({
+                    locked: true,
+                    lobby: false,
+                    hostOnlyRecording: false,
+                    moderator: { audio_start_muted: true },
+                }),
+            };
+
+            const result = serverApi.getRoom('room1', room);
+            result.should.deepEqual({
+                id: 'room1',
+                peers: 2,
+                locked: true,
+                lobby: false,
+                hostOnlyRecording: false,
+                moderator: { audio_start_muted: true },
+                join: 'https://example.com/join/room1',
+            });
+        });
+    });
+
+    describe('updateRoom', () => {
+        let room;
+
+        beforeEach(() => {
+            room = {
+                locked: false,
+                password: null,
+                lobby: false,
+                hostOnlyRecording: false,
+                lastN: 0,
+                moderator: { audio_start_muted: false, audio_cant_unmute: false },
+                getSettings() {
+                    return {
+                        locked: this.locked,
+                        lobby: this.lobby,
+                        hostOnlyRecording: this.hostOnlyRecording,
+                        lastN: this.lastN,
+                        moderator: { ...this.moderator },
+                    };
+                },
+                hasPassword() {
+                    return this.password !== null;
+                },
+                setLocked(status, password = null) {
+                    this.locked = status;
+                    if (!status) this.password = null;
+                    else if (password) this.password = password;
+                },
+                setLobbyEnabled(status) {
+                    this.lobby = status;
+                },
+                setHostOnlyRecording(status) {
+                    this.hostOnlyRecording = status;
+                },
+                setLastN(lastN) {
+                    this.lastN = lastN;
+                },
+                updateRoomModerator({ type, status }) {
+                    this.moderator[type] = status;
+                },
+            };
+        });
+
+        it('should apply the settings and return the actions to relay', () => {
+            const actions = serverApi.updateRoom(room, {
+                locked: true,
+                password: 'secret',
+                lobby: true,
+                hostOnlyRecording: true,
+                moderator: { audio_cant_unmute: true },
+            });
+
+            room.locked.should.be.true();
+            room.password.should.equal('secret');
+            room.lobby.should.be.true();
+            room.hostOnlyRecording.should.be.true();
+            room.moderator.should.deepEqual({ audio_start_muted: false, audio_cant_unmute: true });
+            actions.should.deepEqual([
+                { event: 'roomAction', data: 'lock' },
+                { event: 'roomAction', data: 'lobbyOn' },
+                { event: 'roomAction', data: 'hostOnlyRecordingOn' },
+                { event: 'updateRoomModerator', data: { type: 'audio_cant_unmute', status: true } },
+            ]);
+        });
+
+        it('should not return actions for unchanged settings', () => {
+            const actions = serverApi.updateRoom(room, { lobby: false, moderator: { audio_start_muted: false } });
+            actions.should.deepEqual([]);
+        });
+
+        it('should unlock the room and change the password of a locked room', () => {
+            room.setLocked(true, 'old');
+
+            serverApi.updateRoom(room, { password: 'new' }).should.deepEqual([]);
+            room.password.should.equal('new');
+
+            serverApi.updateRoom(room, { locked: false }).should.deepEqual([{ event: 'roomAction', data: 'unlock' }]);
+            room.locked.should.be.false();
+        });
+
+        it('should set the last N on the server only', () => {
+            serverApi.updateRoom(room, { lastN: 9 }).should.deepEqual([]);
+            room.lastN.should.equal(9);
+        });
+
+        it('should reject invalid settings without changing the room', () => {
+            (() => serverApi.updateRoom(room, { locked: true })).should.throw('Password is required to lock the room');
+            (() => serverApi.updateRoom(room, { password: 'secret' })).should.throw(
+                'Password can only be set on a locked room'
+            );
+            (() => serverApi.updateRoom(room, { lobby: 'yes' })).should.throw('Invalid lobby value, expected boolean');
+            (() => serverApi.updateRoom(room, { lobby: true, moderator: { unknown: true } })).should.throw(
+                'Unknown moderator setting unknown'
+            );
+            (() => serverApi.updateRoom(room, { lobby: true, lastN: -1 })).should.throw(
+                'Invalid lastN value, expected a positive integer or 0'
+            );
+            (() => serverApi.updateRoom(room, { lastN: '9' })).should.throw(/Invalid lastN value/);
+            room.lobby.should.be.false();
+            room.lastN.should.equal(0);
+        });
+    });
+
+    describe('getSystemMessage', () => {
+        it('should return a system message for everyone', () => {
+            const result = serverApi.getSystemMessage({ message: ' Meeting ends in 5 minutes ' });
+            result.should.deepEqual({
+                system: true,
+                peer_name: 'System',
+                peer_id: 'system',
+                peer_avatar: false,
+                peer_msg: 'Meeting ends in 5 minutes',
+                to_peer_id: 'all',
+                to_peer_name: 'all',
+            });
+        });
+
+        it('should address the message to a single peer with a custom sender name', () => {
+            const result = serverApi.getSystemMessage(
+                { message: 'Your ticket: https://example.com/t/1', name: 'Helpdesk' },
+                { id: 'socket1', peer_name: 'John Doe' }
+            );
+            result.peer_name.should.equal('Helpdesk');
+            result.to_peer_id.should.equal('socket1');
+            result.to_peer_name.should.equal('John Doe');
+        });
+
+        it('should reject empty messages and names', () => {
+            (() => serverApi.getSystemMessage({})).should.throw('Invalid message value, expected non empty string');
+            (() => serverApi.getSystemMessage({ message: '   ' })).should.throw(
+                'Invalid message value, expected non empty string'
+            );
+            (() => serverApi.getSystemMessage({ message: 'hi', name: 42 })).should.throw(
+                'Invalid name value, expected non empty string'
+            );
+        });
+    });
+
     describe('getMeetingURL', () => {
         it('should return a meeting URL with a generated UUID', () => {
             const uuidV4Stub = sinon.stub().returns('12345');
@@ -239,6 +453,35 @@ describe('test-ServerAPI', () => {
         });
     });
 
+    describe('getRoomToken', () => {
+        it('should return a signed token with the room claims and no credentials', () => {
+            const token = serverApi.getToken({ room: 'room1', role: 'viewer', name: ' John Doe ', expire: '1h' });
+            const claims = jwt.verify(token, 'mirotalksfu_jwt_secret');
+
+            claims.should.containEql({ type: 'room', room: 'room1', role: 'viewer', name: 'John Doe', avatar: '' });
+            claims.nonce.should.be.a.String();
+            claims.should.not.have.properties('data', 'username', 'password');
+            (claims.exp - claims.iat).should.equal(3600);
+        });
+
+        it('should default to guest and use a new nonce for each token', () => {
+            const first = jwt.decode(serverApi.getRoomToken({ room: 'room1' }));
+            const second = jwt.decode(serverApi.getRoomToken({ room: 'room1' }));
+            first.role.should.equal('guest');
+            first.nonce.should.not.equal(second.nonce);
+        });
+
+        it('should reject invalid claims', () => {
+            (() => serverApi.getRoomToken({ room: '../room1' })).should.throw('Invalid room value');
+            (() => serverApi.getRoomToken({ room: 'room1', role: 'admin' })).should.throw(
+                'Invalid role value, expected one of: presenter, guest, viewer'
+            );
+            (() => serverApi.getJoinURL({ room: 'room2', token: { room: 'room1' } })).should.throw(
+                'The token room does not match the room'
+            );
+        });
+    });
+
     describe('getRandomNumber', () => {
         it('should return a random number between 0 and 999999', () => {
             const result = serverApi.getRandomNumber();
@@ -133,4 +133,22 @@ describe('test-Validator', () => {
             checkValidator.hasPathTraversal('C:\\SomeDir\\OtherDir\\File.txt').should.be.false();
         });
     });
+
+    describe('4. Handling recording names', () => {
+        it('should return true for the files of a recording', () => {
+            checkValidator.isValidRecordingName('Rec_standup_2026-01-01-10-00-00_abc.webm').should.be.true();
+            checkValidator.isValidRecordingName('Rec_standup_2026-01-01T10-00-00-000Z_composite.mp4').should.be.true();
+            checkValidator.isValidRecordingName('Rec_standup_2026_multitrack_01_video.mkv').should.be.true();
+            checkValidator.isValidRecordingName('Rec_standup_2026_multitrack.json').should.be.true();
+            checkValidator.isValidRecordingName('Rec_standup_2026_abc.m4a').should.be.true();
+        });
+
+        it('should return false for other files or path traversal', () => {
+            checkValidator.isValidRecordingName('Rec_standup.exe').should.be.false();
+            checkValidator.isValidRecordingName('config.json').should.be.false();
+            checkValidator.isValidRecordingName('Rec_../../config.json').should.be.false();
+            checkValidator.isValidRecordingName('Rec_..json').should.be.false();
+            checkValidator.isValidRecordingName(null).should.be.false();
+        });
+    });
 });
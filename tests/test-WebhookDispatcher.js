@@ -0,0 +1,252 @@
+'use strict';
+
+// npx mocha test-WebhookDispatcher.js
+
+require('should');
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sinon = require('sinon');
+const axios = require('axios');
+const CryptoJS = require('crypto-js');
+const WebhookDispatcher = require('../app/src/WebhookDispatcher');
+
+describe('test-WebhookDispatcher', () => {
+    let dir;
+    let dispatcher;
+
+    const options = (extra = {}) => ({
+        enabled: true,
+        url: 'https://crm.example.com/webhook',
+        secret: 'crm-secret',
+        subscribers: [{ url: 'https://audit.example.com/webhook', events: ['roomClosed'] }],
+        maxAttempts: 3,
+        retryDelay: 1000,
+        dir: dir,
+        ...extra,
+    });
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'test-webhooks-'));
+    });
+
+    afterEach(async () => {
+        if (dispatcher) {
+            dispatcher.stop();
+            await dispatcher.whenSaved();
+        }
+        sinon.restore();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    describe('dispatch', () => {
+        it('should queue a delivery for each subscriber listening to the event', async () => {
+            dispatcher = new WebhookDispatcher(options());
+            dispatcher.dispatch('join', { room_id: 'room1' }).length.should.equal(1);
+            dispatcher.dispatch('roomClosed', { room_id: 'room1' }).length.should.equal(2);
+            dispatcher.getQueue().length.should.equal(3);
+            await dispatcher.whenSaved();
+
+            const saved = JSON.parse(fs.readFileSync(path.join(dir, 'queue.json'), 'utf8'));
+            saved.map(({ event }) => event).should.deepEqual(['join', 'roomClosed', 'roomClosed']);
+            saved[0].payload.data.room_id.should.equal('room1');
+        });
+
+        it('should do nothing when disabled', () => {
+            dispatcher = new WebhookDispatcher(options({ enabled: false }));
+            dispatcher.isEnabled().should.be.false();
+            dispatcher.dispatch('join', {}).should.deepEqual([]);
+        });
+
+        it('should restore the pending deliveries after a restart', async () => {
+            dispatcher = new WebhookDispatcher(options());
+            dispatcher.dispatch('roomClosed', { room_id: 'room1' });
+            dispatcher.stop();
+            await dispatcher.whenSaved();
+
+            dispatcher = new WebhookDispatcher(options());
+            dispatcher.getQueue().length.should.equal(2);
+        });
+
+        it('should save the queue off the event loop, one write at a time', async () => {
+            const writeFile = sinon.spy(fs.promises, 'writeFile');
+            dispatcher = new WebhookDispatcher(options());
+            for (let i = 0; i < 20; i++) dispatcher.dispatch('join', { room_id: `room${i}` });
+            dispatcher.stop();
+            await dispatcher.whenSaved();
+
+            // The first write, then one for all the events queued meanwhile
+            writeFile.callCount.should.equal(2);
+            JSON.parse(fs.readFileSync(path.join(dir, 'queue.json'), 'utf8')).length.should.equal(20);
+        });
+
+        it('should never expose the subscriber secrets', () => {
+            dispatcher = new WebhookDispatcher(options());
+            dispatcher.getSubscribers().should.deepEqual([
+                { url: 'https://crm.example.com/webhook', events: ['*'] },
+                { url: 'https://audit.example.com/webhook', events: ['roomClosed'] },
+            ]);
+        });
+    });
+
+    describe('deliver', () => {
+        it('should sign the payload and remove the delivery once accepted', async () => {
+            const post = sinon.stub(axios, 'post').resolves({ status: 200 });
+            dispatcher = new WebhookDispatcher(options());
+            const [job] = dispatcher.dispatch('join', { room_id: 'room1' });
+            dispatcher.stop(); // deliver by hand, not from the scheduler
+
+            (await dispatcher.deliver(job)).should.be.true();
+
+            const [url, body, { headers }] = post.firstCall.args;
+            url.should.equal('https://crm.example.com/webhook');
+            JSON.parse(body).should.deepEqual(job.payload);
+            headers['X-MiroTalk-Event'].should.equal('join');
+            headers['X-MiroTalk-Delivery'].should.equal(job.id);
+            const expected = CryptoJS.HmacSHA256(`${headers['X-MiroTalk-Timestamp']}.${body}`, 'crm-secret');
+            headers['X-MiroTalk-Signature'].should.equal('sha256=' + expected.toString(CryptoJS.enc.Hex));
+            dispatcher.getQueue().length.should.equal(0);
+        });
+
+        it('should retry with exponential backoff and give up after max attempts', async () => {
+            sinon.stub(axios, 'post').rejects(new Error('ECONNREFUSED'));
+            dispatcher = new WebhookDispatcher(options());
+            const [job] = dispatcher.dispatch('join', { room_id: 'room1' });
+            dispatcher.stop(); // deliver by hand, not from the scheduler
+
+            const before = Date.now();
+            (await dispatcher.deliver(job)).should.be.false();
+            job.attempts.should.equal(1);
+            job.last_error.should.equal('ECONNREFUSED');
+            job.next_attempt_at.should.be.within(before + 1000, Date.now() + 1000);
+
+            await dispatcher.deliver(job);
+            job.next_attempt_at.should.be.aboveOrEqual(before + 2000);
+            dispatcher.getQueue().length.should.equal(1);
+
+            await dispatcher.deliver(job);
+            dispatcher.getQueue().length.should.equal(0);
+        });
+
+        it('should deliver the subscribers in parallel, each in order', async () => {
+            let release;
+            const slow = new Promise((resolve) => (release = resolve));
+            const post = sinon
+                .stub(axios, 'post')
+                .callsFake((url) =>
+                    url.startsWith('https://crm.')
+                        ? slow.then(() => ({ status: 200 }))
+                        : Promise.resolve({ status: 200 })
+                );
+            dispatcher = new WebhookDispatcher(options());
+            dispatcher.dispatch('roomClosed', { room_id: 'room1' });
+            dispatcher.dispatch('roomClosed', { room_id: 'room2' });
+            dispatcher.stop(); // flush by hand, not from the scheduler
+
+            const flushed = dispatcher.flush();
+            await new Promise((resolve) => setImmediate(resolve));
+            // The slow subscriber holds its next delivery, not the other subscriber's
+            post.args
+                .map(([url, body]) => [url, JSON.parse(body).data.room_id])
+                .should.deepEqual([
+                    ['https://crm.example.com/webhook', 'room1'],
+                    ['https://audit.example.com/webhook', 'room1'],
+                    ['https://audit.example.com/webhook', 'room2'],
+                ]);
+            release();
+            await flushed;
+            post.callCount.should.equal(4);
+            post.lastCall.args[0].should.equal('https://crm.example.com/webhook');
+            dispatcher.getQueue().length.should.equal(0);
+        });
+
+        it('should not sign when the subscriber has no secret', async () => {
+            const post = sinon.stub(axios, 'post').resolves({ status: 204 });
+            dispatcher = new WebhookDispatcher(options());
+            const [, job] = dispatcher.dispatch('roomClosed', { room_id: 'room1' });
+            dispatcher.stop(); // deliver by hand, not from the scheduler
+
+            await dispatcher.deliver(job);
+            post.firstCall.args[2].headers.should.not.have.property('X-MiroTalk-Signature');
+        });
+    });
+
+    describe('deliveries log', () => {
+        it('should record every attempt with status, latency and error', async () => {
+            sinon
+                .stub(axios, 'post')
+                .onFirstCall()
+                .rejects({ message: 'Request failed', response: { status: 500 } })
+                .onSecondCall()
+                .resolves({ status: 200 });
+            dispatcher = new WebhookDispatcher(options());
+            const [job] = dispatcher.dispatch('join', { room_id: 'room1' });
+            dispatcher.stop(); // deliver by hand, not from the scheduler
+
+            await dispatcher.deliver(job);
+            await dispatcher.deliver(job);
+
+            const [ok, failed] = dispatcher.getDeliveries();
+            ok.should.containDeep({ delivery_id: job.id, attempt: 2, success: true, status: 200, error: null });
+            failed.should.containDeep({ delivery_id: job.id, attempt: 1, success: false, status: 500 });
+            failed.error.should.equal('HTTP 500');
+            failed.latency_ms.should.be.a.Number();
+            failed.payload.should.deepEqual(job.payload);
+            failed.room_id.should.equal('room1');
+            (ok.payload === null).should.be.true();
+
+            dispatcher.getDeliveries({ success: false }).length.should.equal(1);
+            dispatcher.getDeliveries({ event: 'roomClosed' }).length.should.equal(0);
+        });
+
+        it('should keep a bounded history that survives a restart', async () => {
+            sinon.stub(axios, 'post').resolves({ status: 200 });
+            dispatcher = new WebhookDispatcher(options({ historySize: 2 }));
+            const jobs = dispatcher.dispatch('roomClosed', { room_id: 'room1' });
+            jobs.push(...dispatcher.dispatch('join', { room_id: 'room1' }));
+            dispatcher.stop(); // deliver by hand, not from the scheduler
+
+            for (const job of jobs) await dispatcher.deliver(job);
+            await dispatcher.whenSaved();
+
+            dispatcher = new WebhookDispatcher(options({ historySize: 2 }));
+            dispatcher
+                .getDeliveries()
+                .map(({ delivery_id }) => delivery_id)
+                .should.deepEqual([jobs[2].id, jobs[1].id]);
+        });
+
+        it('should redeliver the same payload as a new delivery', async () => {
+            const post = sinon.stub(axios, 'post').resolves({ status: 200 });
+            dispatcher = new WebhookDispatcher(options());
+            const [job] = dispatcher.dispatch('join', { room_id: 'room1' });
+            dispatcher.stop(); // deliver by hand, not from the scheduler
+            await dispatcher.deliver(job);
+
+            // By the id the deliveries log returns
+            const [delivered] = dispatcher.getDeliveries();
+            delivered.should.not.have.property('id');
+            const redelivery = dispatcher.redeliver(delivered.delivery_id);
+            dispatcher.stop();
+            redelivery.id.should.not.equal(job.id);
+            redelivery.payload.should.deepEqual(job.payload);
+            await dispatcher.deliver(redelivery);
+
+            post.secondCall.args[2].headers['X-MiroTalk-Redelivery-Of'].should.equal(job.id);
+            dispatcher.getDeliveries()[0].redelivery_of.should.equal(job.id);
+            (() => dispatcher.redeliver('unknown')).should.throw('Delivery not found');
+        });
+
+        it('should not keep the large payloads', async () => {
+            sinon.stub(axios, 'post').resolves({ status: 200 });
+            dispatcher = new WebhookDispatcher(options({ maxPayloadSize: 100 }));
+            const [job] = dispatcher.dispatch('join', { room_id: 'room1', peer_name: 'x'.repeat(200) });
+            dispatcher.stop(); // deliver by hand, not from the scheduler
+            await dispatcher.deliver(job);
+
+            dispatcher.getDeliveries()[0].should.containDeep({ room_id: 'room1', payload: null });
+            (() => dispatcher.redeliver(job.id)).should.throw(/payload not kept/);
+        });
+    });
+});
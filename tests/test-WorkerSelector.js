@@ -0,0 +1,91 @@
+'use strict';
+
+// npx mocha test-WorkerSelector.js
+
+require('should');
+
+const sinon = require('sinon');
+const WorkerSelector = require('../app/src/WorkerSelector');
+
+describe('test-WorkerSelector', () => {
+    const fakeWorker = (pid, options = {}) => ({
+        pid,
+        died: options.died || false,
+        closed: false,
+        getResourceUsage: sinon.stub().resolves({ ru_utime: 0, ru_stime: 0 }),
+    });
+
+    const fakePeer = (transports, consumers) => ({
+        transports: new Map(Array.from({ length: transports }, (_, i) => [`t${i}`, {}])),
+        consumers: new Map(Array.from({ length: consumers }, (_, i) => [`c${i}`, {}])),
+    });
+
+    const fakeRoom = (worker, peers = []) => ({
+        getLoadOn: (other) => ({
+            routers: worker === other ? 1 : 0,
+            transports: worker === other ? peers.reduce((sum, peer) => sum + peer.transports.size, 0) : 0,
+            consumers: worker === other ? peers.reduce((sum, peer) => sum + peer.consumers.size, 0) : 0,
+        }),
+    });
+
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    describe('roundRobin', () => {
+        it('should hand out the workers in turn whatever their load', () => {
+            const workers = [fakeWorker(1), fakeWorker(2)];
+            const selector = new WorkerSelector({ mode: 'roundRobin' });
+            const rooms = [fakeRoom(workers[0], [fakePeer(2, 100)])];
+            [1, 2, 1].map(() => selector.select(workers, rooms).pid).should.deepEqual([1, 2, 1]);
+        });
+    });
+
+    describe('load', () => {
+        it('should pick the least loaded worker', () => {
+            const workers = [fakeWorker(1), fakeWorker(2), fakeWorker(3)];
+            const rooms = [
+                fakeRoom(workers[0], [fakePeer(2, 40), fakePeer(2, 40)]), // webinar
+                fakeRoom(workers[1], [fakePeer(2, 1)]),
+                fakeRoom(workers[2], [fakePeer(2, 1), fakePeer(2, 1)]),
+            ];
+            const selector = new WorkerSelector();
+            selector.select(workers, rooms).pid.should.equal(2);
+            selector.getLoad(workers[0], rooms).should.deepEqual({ routers: 1, transports: 4, consumers: 80, cpu: 0 });
+        });
+
+        it('should spread equally loaded workers in turn', () => {
+            const workers = [fakeWorker(1), fakeWorker(2), fakeWorker(3)];
+            const selector = new WorkerSelector();
+            [1, 2, 3, 1].map(() => selector.select(workers, []).pid).should.deepEqual([1, 2, 3, 1]);
+        });
+
+        it('should weigh the sampled CPU', async () => {
+            const clock = sinon.useFakeTimers();
+            const workers = [fakeWorker(1), fakeWorker(2)];
+            const selector = new WorkerSelector();
+            await selector.sampleCpu(workers);
+
+            clock.tick(1000);
+            workers[0].getResourceUsage.resolves({ ru_utime: 700, ru_stime: 100 }); // 80% of a core
+            workers[1].getResourceUsage.resolves({ ru_utime: 50, ru_stime: 50 }); // 10%
+            await selector.sampleCpu(workers);
+
+            // One more router on the second worker does not outweigh the CPU of the first
+            const rooms = [fakeRoom(workers[1])];
+            selector.getLoad(workers[0], rooms).cpu.should.equal(80);
+            selector.select(workers, rooms).pid.should.equal(2);
+        });
+
+        it('should skip the dead workers', () => {
+            const workers = [fakeWorker(1, { died: true }), fakeWorker(2)];
+            const selector = new WorkerSelector();
+            selector.select(workers, []).pid.should.equal(2);
+            (() => selector.select([fakeWorker(1, { died: true })], [])).should.throw('No mediasoup worker available');
+        });
+    });
+
+    it('should reject an unknown mode', () => {
+        (() => new WorkerSelector({ mode: 'random' })).should.throw(/Unknown worker selection mode/);
+    });
+});
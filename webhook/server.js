@@ -1,16 +1,42 @@
 'use strict';
 
+const crypto = require('crypto');
 const express = require('express');
 const bodyParser = require('body-parser');
 
 const app = express();
 const port = 8888;
 
-// Middleware to parse JSON bodies
-app.use(bodyParser.json());
+// Same value as WEBHOOK_SECRET on the MiroTalk SFU side, empty to skip the check
+const secret = process.env.WEBHOOK_SECRET || '';
+
+// Middleware to parse JSON bodies, keeping the raw body to verify the signature
+app.use(
+    bodyParser.json({
+        verify: (req, res, buf) => {
+            req.rawBody = buf.toString();
+        },
+    })
+);
+
+function isValidSignature(req) {
+    if (!secret) return true;
+    const timestamp = req.headers['x-mirotalk-timestamp'];
+    const signature = req.headers['x-mirotalk-signature'] || '';
+    const expected =
+        'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${req.rawBody}`).digest('hex');
+    return (
+        signature.length === expected.length && crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))
+    );
+}
 
 // Endpoint to receive webhooks
 app.post('/webhook-endpoint', (req, res) => {
+    if (!isValidSignature(req)) {
+        console.error('Invalid signature');
+        return res.status(401).send('Invalid signature');
+    }
+
     const { event, data } = req.body;
 
     // Handle different events
@@ -27,6 +53,21 @@ app.post('/webhook-endpoint', (req, res) => {
             console.log('User disconnected:', data);
             // Add your custom logic here
             break;
+        case 'roomCreated':
+        case 'roomClosed':
+        case 'lobbyWaiting':
+        case 'lobbyAccepted':
+        case 'roomLocked':
+        case 'roomUnlocked':
+        case 'recordingStarted':
+        case 'recordingFinished':
+        case 'rtmpStarted':
+        case 'rtmpStopped':
+        case 'pollCreated':
+        case 'handRaised':
+            console.log(`${event}:`, data);
+            // Add your custom logic here
+            break;
         default:
             console.error('Unknown event type');
             break;